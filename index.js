@@ -2,6 +2,7 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const { exec } = require('child_process');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -141,15 +142,43 @@ async function connectMongoDB() {
   }
 }
 
+// 요청 수/응답 시간, MongoDB 연결 상태 변화 수집 (/metrics)
+const { metricsMiddleware, watchConnection, renderMetrics } = require('./utils/metrics');
+watchConnection(mongoose.connection);
+app.use(metricsMiddleware);
+
 // CORS 및 JSON 파싱 미들웨어
 const cors = require('cors');
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'ETag'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// 요청 ID 부여 (감사 로그 및 로그 추적용, 클라이언트가 X-Request-Id를 보내면 그대로 사용)
+app.use((req, res, next) => {
+  req.id = req.get('X-Request-Id') || crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
+// 인증 (Authorization: Bearer <JWT> 또는 X-API-Key)
+// 인증 정보가 없으면 viewer로 처리하고, 쓰기 API는 각 라우터에서 requireRole로 권한 확인
+// viewer: 조회 / editor: 등록·수정·삭제 / admin: 일괄 삭제·동기화·가져오기·캐시 관리·사용자 관리
+const { authenticate, ensureInitialAdmin } = require('./utils/auth');
+app.use('/api', authenticate);
+
 // 라우터 import
+const authRouter = require('./routers/auth');
 const materialsRouter = require('./routers/materials');
 const loadCacheFromDB = materialsRouter.loadCacheFromDB;
+const startCacheSync = materialsRouter.startCacheSync;
+const getCacheStatus = materialsRouter.getCacheStatus;
+const { rebuildDimensions } = require('./utils/materialDimensions');
+const { loadProductCodes } = require('./utils/productCodes');
+const pricesRouter = require('./routers/prices');
+const quotesRouter = require('./routers/quotes');
+const stockRouter = require('./routers/stock');
+const productsRouter = require('./routers/products');
+const categoriesRouter = require('./routers/categories');
 
 // 기본 라우트
 app.get('/', (req, res) => {
@@ -211,8 +240,56 @@ app.get('/', (req, res) => {
   res.json(response);
 });
 
+// ============================================
+// 상태 확인 API (로드 밸런서/오케스트레이터용, 인증 없음)
+// ============================================
+// /healthz: 프로세스가 응답하면 200 (liveness)
+app.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// /readyz: MongoDB 연결과 재료 캐시 로드가 모두 완료되어야 200, 아니면 503 (readiness)
+app.get('/readyz', (req, res) => {
+  const readyState = mongoose.connection.readyState;
+  const cache = getCacheStatus();
+  const checks = {
+    mongodb: { ok: readyState === 1, state: mongoose.STATES[readyState] },
+    cache: { ok: cache.isLoaded, count: cache.count, lastSync: cache.lastSync }
+  };
+  const ready = checks.mongodb.ok && checks.cache.ok;
+
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not-ready', checks });
+});
+
+// /metrics: Prometheus 텍스트 형식
+app.get('/metrics', (req, res) => {
+  const cache = getCacheStatus();
+  const gauges = [
+    { name: 'materials_cache_loaded', help: '재료 캐시 로드 여부 (1: 로드됨)', value: cache.isLoaded ? 1 : 0 },
+    { name: 'materials_cache_size', help: '재료 캐시 항목 수', value: cache.count },
+    {
+      name: 'materials_cache_last_sync_age_seconds',
+      help: '마지막 전체 캐시 로드 이후 경과 시간(초)',
+      value: cache.lastSync ? (Date.now() - cache.lastSync.getTime()) / 1000 : null
+    },
+    { name: 'mongodb_connection_state', help: 'MongoDB 연결 상태 (0: 끊김, 1: 연결됨, 2: 연결 중, 3: 해제 중)', value: mongoose.connection.readyState },
+    { name: 'process_uptime_seconds', help: '프로세스 실행 시간(초)', value: process.uptime() }
+  ];
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics(gauges));
+});
+
 // API 라우터 등록
+app.use('/api/auth', authRouter);
 app.use('/api/materials', materialsRouter);
+app.use('/api/prices', pricesRouter);
+app.use('/api/quotes', quotesRouter);
+app.use('/api/stock', stockRouter);
+app.use('/api/products', productsRouter);
+app.use('/api/categories', categoriesRouter);
 
 // 서버 시작 함수
 async function startServer() {
@@ -227,9 +304,24 @@ async function startServer() {
       console.warn('⚠️  MongoDB 연결 실패했지만 서버는 계속 실행됩니다.');
       console.warn('⚠️  API 엔드포인트는 작동하지 않을 수 있습니다.');
     } else {
+      // 사용자가 없으면 최초 관리자 생성
+      await ensureInitialAdmin();
+
+      // 치수 정보가 없는 기존 재료 저장 (DB 직접 조회의 치수 필터가 캐시와 같은 결과를 내도록)
+      const dimensions = await rebuildDimensions({ missingOnly: true });
+      if (dimensions.count > 0) {
+        console.log(`📐 치수 정보 저장: ${dimensions.count}개 항목 (해석 실패 ${dimensions.unparsedCount}개)`);
+      }
+
+      // 품목별 규칙(spec 형식, 검색 별칭 등)을 현재 품목 이름으로 조회하도록 DB의 품목 목록 로드
+      await loadProductCodes();
+
       // MongoDB 연결 성공 시 캐시 로드
       console.log('📦 캐시 데이터 로딩 시작...');
       await loadCacheFromDB();
+
+      // 다른 인스턴스의 변경 사항을 캐시에 반영 (변경 스트림 또는 버전 확인)
+      await startCacheSync();
     }
     
     const server = app.listen(PORT, () => {
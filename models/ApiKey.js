@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('./User');
+
+// API 키 - 서버 간 연동이나 스크립트용
+// 원본 키는 발급 시 한 번만 응답하고, DB에는 SHA-256 해시와 식별용 앞부분(prefix)만 저장
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  createdBy: { type: String, default: '' },
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date }
+}, {
+  collection: 'api_keys',
+  timestamps: true
+});
+
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
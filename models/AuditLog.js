@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// 감사 로그 동작 유형
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'bulk-delete', 'import', 'revert', 'restore', 'purge', 'seed'];
+
+// 필드 단위 변경 내역
+const auditChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// 재료 변경 이력 - 재료별로 version이 1부터 증가
+// snapshot은 변경 후 상태 (삭제 시에는 삭제 직전 상태)
+const auditLogSchema = new mongoose.Schema({
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  spec: { type: String, required: true },
+  version: { type: Number, required: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  actor: { type: String, default: 'anonymous' },
+  requestId: { type: String },
+  changes: { type: [auditChangeSchema], default: [] },
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  revertedTo: { type: Number }
+}, {
+  collection: 'audit_logs',
+  timestamps: { createdAt: 'timestamp', updatedAt: false }
+});
+
+auditLogSchema.index({ entityId: 1, version: -1 }, { unique: true });
+auditLogSchema.index({ spec: 1, timestamp: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
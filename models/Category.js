@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// 제품 분류 - 재료의 cat_product 값(code)에 이름과 표시 순서를 부여
+// code는 중량 계산 규칙과 연결되어 있으므로 변경하지 않고 이름/순서만 수정
+const categorySchema = new mongoose.Schema({
+  code: { type: Number, required: true, unique: true },
+  nameKo: { type: String, required: true, trim: true },
+  nameEn: { type: String, default: '', trim: true },
+  order: { type: Number, default: 0 }
+}, {
+  collection: 'categories',
+  timestamps: true
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// 컬렉션별 변경 버전 카운터
+// 변경 스트림을 쓸 수 없는 단독(standalone) 서버에서 다른 인스턴스의 캐시가 변경 여부를 확인하는 데 사용
+const collectionVersionSchema = new mongoose.Schema({
+  _id: { type: String }, // 컬렉션 이름
+  version: { type: Number, default: 0 }
+}, {
+  collection: 'collection_versions',
+  timestamps: { createdAt: false, updatedAt: true },
+  versionKey: false
+});
+
+// 이 인스턴스가 증가시킨 횟수 (자기 쓰기로 바뀐 버전은 캐시에 이미 반영되어 있으므로 다시 확인하지 않음)
+const localBumps = new Map();
+
+// 버전 증가 (실패해도 요청은 실패시키지 않음 - 주기적 전체 비교로 보완)
+collectionVersionSchema.statics.bump = function(name) {
+  return this.updateOne({ _id: name }, { $inc: { version: 1 } }, { upsert: true })
+    .then(() => localBumps.set(name, (localBumps.get(name) || 0) + 1))
+    .catch(error => console.error(`❌ ${name} 버전 갱신 실패:`, error.message));
+};
+
+collectionVersionSchema.statics.localBumpCount = function(name) {
+  return localBumps.get(name) || 0;
+};
+
+const CollectionVersion = mongoose.model('CollectionVersion', collectionVersionSchema);
+
+module.exports = CollectionVersion;
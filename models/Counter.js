@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// 일련번호 카운터 (예: quote-20250101 → 그날 마지막 견적 일련번호)
+// findOneAndUpdate + $inc로 번호를 원자적으로 발급해 동시 요청에도 중복되지 않음
+const counterSchema = new mongoose.Schema({
+  _id: { type: String }, // 카운터 이름
+  seq: { type: Number, default: 0 }
+}, {
+  collection: 'counters',
+  versionKey: false
+});
+
+// 다음 번호 발급
+// initial: 카운터가 없을 때 시작 기준값을 구하는 함수 (기존 데이터의 마지막 번호, $max라 동시에 실행돼도 안전)
+counterSchema.statics.next = async function(name, initial) {
+  if (initial && !(await this.exists({ _id: name }))) {
+    await this.updateOne({ _id: name }, { $max: { seq: await initial() } }, { upsert: true });
+  }
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  ).lean();
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
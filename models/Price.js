@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// 단가 기준: kg당 또는 개(본/장)당
+const PRICE_UNITS = ['kg', 'piece'];
+
+// Price 스키마 정의
+// 품목(product) 단위 또는 규격(spec) 단위로 단가를 등록하며, 이력 보존을 위해 수정하지 않고 새 단가를 추가
+// 규격 단가는 material(재료 _id)로 조회하고, spec은 등록 당시 이름으로 남김
+const priceSchema = new mongoose.Schema({
+  scope: { type: String, enum: ['product', 'spec'], required: true },
+  product: { type: String },
+  spec: { type: String },
+  material: { type: mongoose.Schema.Types.ObjectId, ref: 'SteelMaterial' },
+  unit: { type: String, enum: PRICE_UNITS, required: true },
+  unitPrice: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'KRW' },
+  effectiveFrom: { type: Date, required: true },
+  note: { type: String, default: '' }
+}, {
+  collection: 'prices',
+  timestamps: true
+});
+
+priceSchema.index({ scope: 1, material: 1, effectiveFrom: -1 });
+priceSchema.index({ scope: 1, spec: 1, effectiveFrom: -1 });
+priceSchema.index({ scope: 1, product: 1, effectiveFrom: -1 });
+
+const Price = mongoose.model('Price', priceSchema);
+
+module.exports = Price;
+module.exports.PRICE_UNITS = PRICE_UNITS;
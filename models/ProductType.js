@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// 새 재료 등록 시 기본값 (요청에 값이 없을 때 사용)
+const productDefaultsSchema = new mongoose.Schema({
+  method_calc: { type: Number },
+  initial_length: { type: Number },
+  trade_unit: { type: Number }
+}, { _id: false });
+
+// 품목 - 재료의 product 이름을 한 곳에서 관리 (이름을 바꾸면 재료/단가의 product도 함께 변경)
+// category는 Category.code (재료의 cat_product와 같은 값)
+const productTypeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+  nameKo: { type: String, required: true, unique: true, trim: true },
+  nameEn: { type: String, default: '', trim: true },
+  category: { type: Number, required: true },
+  defaults: { type: productDefaultsSchema, default: () => ({}) },
+  order: { type: Number, default: 0 }
+}, {
+  collection: 'product_types',
+  timestamps: true
+});
+
+const ProductType = mongoose.model('ProductType', productTypeSchema);
+
+module.exports = ProductType;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// 견적 상태: 작성 중 → 발행 / 취소
+const QUOTE_STATUSES = ['draft', 'issued', 'cancelled'];
+
+// 견적 품목 - 작성 시점의 재료 정보(wpm 등)와 단가를 스냅샷으로 저장
+// 이후 재료/단가가 수정되어도 발행된 견적 금액은 바뀌지 않음
+const quoteItemSchema = new mongoose.Schema({
+  material: { type: mongoose.Schema.Types.ObjectId, ref: 'SteelMaterial' },
+  spec: { type: String, required: true },
+  product: { type: String },
+  method_calc: { type: Number, required: true },
+  trade_unit: { type: Number },
+  wpm: { type: Number, required: true },
+  initial_length: { type: Number },
+  length: { type: Number },
+  quantity: { type: Number, required: true },
+  unitWeight: { type: Number, required: true },
+  weight: { type: Number, required: true },
+  priceUnit: { type: String, enum: ['kg', 'piece'], required: true },
+  unitPrice: { type: Number, required: true },
+  priceSource: { type: String, enum: ['spec', 'product', 'manual'], required: true },
+  price: { type: mongoose.Schema.Types.ObjectId, ref: 'Price' },
+  amount: { type: Number, required: true },
+  note: { type: String, default: '' }
+});
+
+const quoteSchema = new mongoose.Schema({
+  quoteNumber: { type: String, required: true, unique: true },
+  status: { type: String, enum: QUOTE_STATUSES, default: 'draft' },
+  customer: {
+    name: { type: String, required: true },
+    contact: { type: String, default: '' },
+    phone: { type: String, default: '' },
+    email: { type: String, default: '' },
+    address: { type: String, default: '' }
+  },
+  quoteDate: { type: Date, required: true },
+  validUntil: { type: Date },
+  items: { type: [quoteItemSchema], default: [] },
+  totalWeight: { type: Number, default: 0 },
+  supplyAmount: { type: Number, default: 0 },
+  vatRate: { type: Number, default: 0.1 },
+  vat: { type: Number, default: 0 },
+  totalAmount: { type: Number, default: 0 },
+  note: { type: String, default: '' },
+  issuedAt: { type: Date }
+}, {
+  collection: 'quotes',
+  timestamps: true
+});
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+module.exports = Quote;
+module.exports.QUOTE_STATUSES = QUOTE_STATUSES;
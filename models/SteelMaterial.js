@@ -1,20 +1,88 @@
 const mongoose = require('mongoose');
+const { parseSpec } = require('../utils/specParser');
+const CollectionVersion = require('./CollectionVersion');
+const ProductType = require('./ProductType');
+const {
+  METHOD_CALC_VALUES,
+  CAT_PRODUCT_VALUES,
+  TRADE_UNIT_VALUES,
+  INITIAL_LENGTHS
+} = require('../utils/materialValidation');
 
-// Steel Material 스키마 정의
+// spec에서 추출한 치수 (단위: mm, 해석 실패 시 shape는 null이고 parseError에 사유 저장)
+const dimensionsSchema = new mongoose.Schema({
+  shape: { type: String, default: null },
+  height: Number,
+  width: Number,
+  webThickness: Number,
+  flangeThickness: Number,
+  thickness: Number,
+  lip: Number,
+  diameter: Number,
+  sheetSize: String,
+  sheetWidth: Number,
+  sheetLength: Number,
+  nominalSize: Number,
+  schedule: String,
+  nominalWeight: Number,
+  parseError: String
+}, { _id: false });
+
+// Steel Material 스키마 정의 (허용 값은 utils/materialValidation.js와 공유)
 const steelMaterialSchema = new mongoose.Schema({
-  spec: { type: String, required: true },
-  wpm: { type: Number, required: true },
-  product: { type: String, required: true },
-  method_calc: { type: Number, required: true },
-  initial_length: { type: Number, required: true },
-  trade_unit: { type: Number, required: true },
-  cat_product: { type: Number, required: true }
+  spec: { type: String, required: true, trim: true },
+  wpm: {
+    type: Number,
+    required: true,
+    validate: { validator: value => value > 0, message: 'wpm은 0보다 큰 숫자여야 합니다.' }
+  },
+  product: { type: String, required: true, trim: true },
+  method_calc: { type: Number, required: true, enum: METHOD_CALC_VALUES },
+  initial_length: { type: Number, required: true, enum: INITIAL_LENGTHS },
+  trade_unit: { type: Number, required: true, enum: TRADE_UNIT_VALUES },
+  cat_product: { type: Number, required: true, enum: CAT_PRODUCT_VALUES },
+  // 품목 참조 (product 이름으로 자동 연결, 이름 변경은 /api/products에서 한 번에 반영)
+  productType: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductType', default: null },
+  dimensions: { type: dimensionsSchema, default: undefined },
+  // 휴지통 (삭제 시각, null이면 사용 중) - 캐시/목록/조회에서 제외되고 /api/materials/:id/restore로 복원
+  deletedAt: { type: Date, default: null }
 }, {
   collection: 'steel_materials',
-  timestamps: false
+  // updatedAt: polling 방식 캐시 동기화가 마지막 확인 이후 바뀐 문서만 조회하는 기준
+  timestamps: { createdAt: false, updatedAt: true },
+  // 저장할 때마다 __v 증가, 읽은 뒤 다른 요청이 먼저 저장했으면 VersionError (ETag/If-Match 기준)
+  optimisticConcurrency: true
+});
+
+steelMaterialSchema.index({ deletedAt: 1 });
+steelMaterialSchema.index({ updatedAt: 1 });
+
+// spec이 바뀌면 치수 다시 계산
+steelMaterialSchema.pre('validate', function(next) {
+  if (this.isModified('spec') || !this.dimensions) {
+    this.dimensions = parseSpec(this.spec);
+  }
+  next();
 });
 
+// product가 바뀌면 품목 참조 다시 연결 (등록되지 않은 품목이면 null)
+steelMaterialSchema.pre('validate', async function() {
+  if (this.isModified('product') || (this.isNew && !this.productType)) {
+    const productType = await ProductType.findOne({ nameKo: this.product }, '_id').lean();
+    this.productType = productType ? productType._id : null;
+  }
+});
+
+// 쓰기 작업 후 컬렉션 버전 증가 (polling 방식 캐시 동기화용)
+const bumpVersion = () => CollectionVersion.bump('steel_materials');
+steelMaterialSchema.post('save', bumpVersion);
+steelMaterialSchema.post('deleteOne', { document: true, query: true }, bumpVersion);
+steelMaterialSchema.post(
+  ['deleteMany', 'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'],
+  bumpVersion
+);
+steelMaterialSchema.post(['insertMany', 'bulkWrite'], bumpVersion);
+
 const SteelMaterial = mongoose.model('SteelMaterial', steelMaterialSchema);
 
 module.exports = SteelMaterial;
-
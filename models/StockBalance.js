@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// 재고 현황 - (재료, 창고 위치, 본 길이)별 현재 수량
+// 재고 이동 원장(StockMovement)을 기록할 때 함께 갱신
+const stockBalanceSchema = new mongoose.Schema({
+  material: { type: mongoose.Schema.Types.ObjectId, ref: 'SteelMaterial', required: true },
+  location: { type: String, required: true },
+  length: { type: Number, required: true, min: 0 },
+  pieces: { type: Number, required: true, min: 0, default: 0 }
+}, {
+  collection: 'stock_balances',
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+stockBalanceSchema.index({ material: 1, location: 1, length: 1 }, { unique: true });
+
+const StockBalance = mongoose.model('StockBalance', stockBalanceSchema);
+
+module.exports = StockBalance;
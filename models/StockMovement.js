@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// 재고 이동 유형
+//   receive: 입고, issue: 출고, adjust: 실사 조정(증감), transfer: 창고 간 이동
+const MOVEMENT_TYPES = ['receive', 'issue', 'adjust', 'transfer'];
+
+// 재고 이동 원장 - 추가만 가능하며 수정/삭제하지 않음
+// pieces는 본(판재는 장) 수량, length는 한 본의 길이(m, 판재는 0)
+const stockMovementSchema = new mongoose.Schema({
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  material: { type: mongoose.Schema.Types.ObjectId, ref: 'SteelMaterial', required: true },
+  spec: { type: String, required: true },
+  location: { type: String, required: true },
+  toLocation: { type: String },
+  length: { type: Number, required: true, min: 0 },
+  pieces: { type: Number, required: true },
+  weight: { type: Number, required: true },
+  reference: { type: String, default: '' },
+  note: { type: String, default: '' }
+}, {
+  collection: 'stock_movements',
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ material: 1, createdAt: -1 });
+stockMovementSchema.index({ location: 1, createdAt: -1 });
+
+// 원장 보호: 저장된 이동 내역은 수정/삭제 불가
+function rejectMutation(next) {
+  next(new Error('재고 이동 원장은 수정하거나 삭제할 수 없습니다.'));
+}
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(method => {
+  stockMovementSchema.pre(method, rejectMutation);
+});
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// 권한 등급 (뒤로 갈수록 상위 권한)
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// 로컬 사용자 저장소 - 외부 인증 서버 없이 로그인 처리
+// 비밀번호는 scrypt 해시(scrypt$salt$hash)로만 저장
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  passwordHash: { type: String, required: true },
+  name: { type: String, default: '' },
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date }
+}, {
+  collection: 'users',
+  timestamps: true
+});
+
+// 응답에 비밀번호 해시가 포함되지 않도록 제거
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.ROLES = ROLES;
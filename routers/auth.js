@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const {
+  JWT_EXPIRES_IN,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  validateRole,
+  signToken,
+  generateApiKey,
+  requireRole
+} = require('../utils/auth');
+const { getActor } = require('../utils/auditLog');
+const { createHttpError } = require('../utils/httpError');
+
+// 에러 응답
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// 로그인
+// body: { username, password }
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      throw createHttpError(400, 'username과 password는 필수 항목입니다.');
+    }
+
+    const user = await User.findOne({ username: String(username).trim() });
+    if (!user || !user.active || !verifyPassword(String(password), user.passwordHash)) {
+      throw createHttpError(401, '아이디 또는 비밀번호가 올바르지 않습니다.');
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    console.log(`🔑 로그인: ${user.username} (${user.role})`);
+
+    res.json({
+      success: true,
+      data: {
+        token: signToken(user),
+        expiresIn: JWT_EXPIRES_IN,
+        user
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 현재 인증 정보 조회
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: req.user || { username: 'anonymous', role: 'viewer', type: 'anonymous' }
+  });
+});
+
+// 본인 비밀번호 변경
+// body: { currentPassword, newPassword }
+router.put('/me/password', async (req, res) => {
+  try {
+    if (!req.user || req.user.type !== 'user') {
+      throw createHttpError(401, '로그인한 사용자만 비밀번호를 변경할 수 있습니다.');
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id);
+    if (!user || !verifyPassword(String(currentPassword || ''), user.passwordHash)) {
+      throw createHttpError(401, '현재 비밀번호가 올바르지 않습니다.');
+    }
+    validatePassword(newPassword);
+
+    user.passwordHash = hashPassword(newPassword);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: '비밀번호가 변경되었습니다.'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// 사용자 관리 (admin)
+// ============================================
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ username: 1 });
+    res.json({
+      success: true,
+      data: users,
+      count: users.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// body: { username, password, name, role }
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, name, role = 'viewer' } = req.body;
+    if (!username) {
+      throw createHttpError(400, 'username은 필수 항목입니다.');
+    }
+    validatePassword(password);
+    validateRole(role);
+
+    if (await User.exists({ username: String(username).trim() })) {
+      throw createHttpError(409, `이미 존재하는 사용자입니다: ${username}`);
+    }
+
+    const user = await User.create({
+      username: String(username).trim(),
+      passwordHash: hashPassword(password),
+      name: name || '',
+      role
+    });
+    console.log(`👤 사용자 생성: ${user.username} (${user.role}) by ${getActor(req)}`);
+
+    res.status(201).json({
+      success: true,
+      message: '사용자가 생성되었습니다.',
+      data: user
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// body: { name, role, active, password } (보낸 항목만 변경)
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw createHttpError(404, '사용자를 찾을 수 없습니다.');
+    }
+
+    const { name, role, active, password } = req.body;
+    if (role !== undefined) validateRole(role);
+    if (password !== undefined) validatePassword(password);
+
+    // 자기 자신의 관리자 권한 해제/비활성화 방지 (관리자가 없어지는 상황 예방)
+    const isSelf = req.user.type === 'user' && String(req.user.id) === String(user._id);
+    if (isSelf && ((role !== undefined && role !== 'admin') || active === false)) {
+      throw createHttpError(409, '자신의 관리자 권한을 해제하거나 계정을 비활성화할 수 없습니다.');
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) user.passwordHash = hashPassword(password);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: '사용자 정보가 수정되었습니다.',
+      data: user
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// API 키 관리 (admin)
+// ============================================
+router.get('/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({}).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      data: apiKeys,
+      count: apiKeys.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// body: { name, role }
+// 응답의 key는 이때만 확인할 수 있으므로 안전한 곳에 보관해야 함
+router.post('/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role = 'viewer' } = req.body;
+    if (!name) {
+      throw createHttpError(400, 'name은 필수 항목입니다.');
+    }
+    validateRole(role);
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({ name, prefix, keyHash, role, createdBy: getActor(req) });
+    console.log(`🔐 API 키 발급: ${name} (${role}) by ${getActor(req)}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API 키가 발급되었습니다. 키는 다시 조회할 수 없으니 안전하게 보관하세요.',
+      data: { ...apiKey.toJSON(), key }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API 키 폐기 (기록 보존을 위해 삭제하지 않고 revokedAt만 설정)
+router.delete('/api-keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      throw createHttpError(404, 'API 키를 찾을 수 없습니다.');
+    }
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API 키가 폐기되었습니다.',
+      data: apiKey
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const ProductType = require('../models/ProductType');
+const { countMaterialsBy } = require('./materials');
+const { validateCategory } = require('../utils/taxonomy');
+const { createHttpError } = require('../utils/httpError');
+const { requireRole } = require('../utils/auth');
+
+// 에러 응답 (검증 오류는 필드별 오류 목록 포함)
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details ? { errors: error.details } : {})
+  });
+}
+
+// code로 분류 조회 (없으면 404)
+async function findCategoryOrThrow(code) {
+  const category = /^\d+$/.test(code) ? await Category.findOne({ code: parseInt(code) }) : null;
+  if (!category) {
+    throw createHttpError(404, `분류를 찾을 수 없습니다: ${code}`);
+  }
+  return category;
+}
+
+// 분류별 품목 수와 재료 수 추가
+async function withCounts(categories) {
+  const materialCounts = await countMaterialsBy('cat_product');
+  const productCounts = new Map(
+    (await ProductType.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }]))
+      .map(group => [group._id, group.count])
+  );
+  return categories.map(category => ({
+    ...category,
+    productCount: productCounts.get(category.code) || 0,
+    materialCount: materialCounts.get(category.code) || 0
+  }));
+}
+
+// READ - 분류 목록 (표시 순서대로, 품목 수/재료 수 포함)
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find({}).sort({ order: 1, code: 1 }).lean();
+    res.json({
+      success: true,
+      data: await withCounts(categories)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// READ - 분류 상세 (소속 품목 목록 포함)
+router.get('/:code', async (req, res) => {
+  try {
+    const category = (await findCategoryOrThrow(req.params.code)).toObject();
+    const [data] = await withCounts([category]);
+    data.products = await ProductType.find({ category: category.code }).sort({ order: 1, nameKo: 1 }).lean();
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// UPDATE - 분류 이름/표시 순서 수정 (code는 재료의 cat_product 값이므로 변경 불가)
+// body: { nameKo, nameEn, order }
+router.patch('/:code', requireRole('admin'), async (req, res) => {
+  try {
+    const updates = validateCategory(req.body);
+    const category = await findCategoryOrThrow(req.params.code);
+    Object.assign(category, updates);
+    await category.save();
+
+    console.log(`🏷️  분류 수정: ${category.code} ${category.nameKo}`);
+    res.json({
+      success: true,
+      message: '분류가 수정되었습니다.',
+      data: category
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
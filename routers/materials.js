@@ -1,6 +1,40 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const SteelMaterial = require('../models/SteelMaterial');
+const { STEEL_DENSITY, round, calculateLine, summarizeLines } = require('../utils/weightCalculator');
+const { planCuts } = require('../utils/cuttingStock');
+const { nestParts } = require('../utils/plateNesting');
+const { findMaterialsWithStock } = require('../utils/stockLedger');
+const { recordAudit } = require('../utils/auditLog');
+const { requireRole } = require('../utils/auth');
+const { assertValidMaterial } = require('../utils/materialValidation');
+const { BULK_MODES, supportsTransactions, prepareOperations, runOperations } = require('../utils/materialBulk');
+const { createCacheSync } = require('../utils/cacheSync');
+const { createMaterialIndex } = require('../utils/materialIndex');
+const AuditLog = require('../models/AuditLog');
+const mongoose = require('mongoose');
+const { createHttpError } = require('../utils/httpError');
+const { IMPORT_MODES, decodeBuffer, parseCsv, validateRows } = require('../utils/csvImport');
+const { EXPORT_FORMATS, toCsv, toJson, toNdjson } = require('../utils/materialExport');
+const { readBackupFile, seedMaterials } = require('../utils/materialSeed');
+const { parseSpec } = require('../utils/specParser');
+const { productNamesOf, reloadIfUnknown } = require('../utils/productCodes');
+const { escapeRegex, getPath, parseFilters, resolveSortPath, matchesFilters, toMongoQuery } = require('../utils/materialFilters');
+const { searchMaterials } = require('../utils/koreanSearch');
+const { applyProductDefaults, productTypeIdsOf } = require('../utils/taxonomy');
+const { computeFacets, facetPipeline, fromAggregation } = require('../utils/materialFacets');
+const { computeSectionProperties, sectionPropertiesOf, selectSections } = require('../utils/sectionProperties');
+const { DEFAULT_TOLERANCE, buildQualityReport } = require('../utils/qualityReport');
+const { materialEtag, collectionEtag, checkIfMatch, checkIfNoneMatch, sendPreconditionFailed } = require('../utils/etag');
+const { recordCacheRead } = require('../utils/metrics');
+const { rebuildDimensions } = require('../utils/materialDimensions');
+
+// CSV 업로드 설정 (메모리 저장, 파일당 10MB 제한)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 10 }
+});
 
 // ============================================
 // 메모리 캐시 시스템
@@ -10,26 +44,37 @@ let materialsCache = {
   bySpec: new Map(), // spec을 키로 하는 Map
   byId: new Map(), // _id를 키로 하는 Map
   lastSync: null, // 마지막 동기화 시간
-  isLoaded: false // 초기 로드 완료 여부
+  isLoaded: false, // 초기 로드 완료 여부
+  version: 0, // 항목이 바뀔 때마다 증가 (목록 ETag용)
+  index: createMaterialIndex() // 검색 인덱스 (품목/분류 버킷, spec 조각, 정렬 뷰)
 };
 
-// 캐시 초기화 함수
+// 휴지통에 없는 재료 조건 (deletedAt 필드가 없는 기존 문서 포함)
+const activeQuery = (query = {}) => ({ ...query, deletedAt: null });
+
+// 캐시 초기화 함수 (휴지통의 재료는 제외)
 async function loadCacheFromDB() {
   try {
     console.log('📦 캐시 데이터 로딩 시작...');
-    const materials = await SteelMaterial.find({}).lean();
+    const materials = await SteelMaterial.find(activeQuery()).lean();
     
     materialsCache.data = materials;
     materialsCache.bySpec.clear();
     materialsCache.byId.clear();
     
     materials.forEach(material => {
+      // 치수 정보가 없는 기존 데이터는 메모리에서만 계산 (저장은 /dimensions/rebuild)
+      if (!material.dimensions) {
+        material.dimensions = parseSpec(material.spec);
+      }
       materialsCache.bySpec.set(material.spec, material);
       materialsCache.byId.set(material._id.toString(), material);
     });
+    materialsCache.index.rebuild(materials);
     
     materialsCache.lastSync = new Date();
     materialsCache.isLoaded = true;
+    materialsCache.version++;
     
     console.log(`✅ 캐시 로딩 완료: ${materials.length}개 항목`);
     return true;
@@ -40,42 +85,22 @@ async function loadCacheFromDB() {
   }
 }
 
-// 캐시에서 검색 함수
-function searchInCache(query, page = 1, limit = 50, sort = 'spec', order = 'asc') {
-  let results = [...materialsCache.data];
-  
-  // 검색 필터 적용
-  if (query.spec) {
-    const specRegex = new RegExp(query.spec, 'i');
-    results = results.filter(m => specRegex.test(m.spec));
-  }
-  if (query.product) {
-    const productRegex = new RegExp(query.product, 'i');
-    results = results.filter(m => productRegex.test(m.product));
-  }
-  if (query.method_calc !== undefined) {
-    results = results.filter(m => m.method_calc === parseInt(query.method_calc));
-  }
-  if (query.cat_product !== undefined) {
-    results = results.filter(m => m.cat_product === parseInt(query.cat_product));
-  }
+// 캐시에서 검색 함수 (filters는 parseFilters 결과)
+function searchInCache(filters, page = 1, limit = 50, sort = 'spec', order = 'asc') {
+  // limit이 매우 크면 전체 데이터 반환 (페이지네이션 없음)
+  const all = limit >= 999999;
   
-  // 정렬
-  const sortOrder = order === 'desc' ? -1 : 1;
-  results.sort((a, b) => {
-    const aVal = a[sort];
-    const bVal = b[sort];
-    if (aVal < bVal) return -1 * sortOrder;
-    if (aVal > bVal) return 1 * sortOrder;
-    return 0;
+  // 인덱스로 후보를 좁히고 미리 정렬된 뷰를 사용 (치수 필드는 dimensions 경로로 변환)
+  const { data, total } = materialsCache.index.search(filters, {
+    page,
+    limit: all ? 0 : limit,
+    sort: resolveSortPath(sort),
+    order
   });
   
-  // 페이지네이션
-  const total = results.length;
-  // limit이 매우 크면 전체 데이터 반환 (페이지네이션 없음)
-  if (limit >= 999999) {
+  if (all) {
     return {
-      data: results,
+      data,
       total,
       page: 1,
       limit: total,
@@ -83,11 +108,8 @@ function searchInCache(query, page = 1, limit = 50, sort = 'spec', order = 'asc'
     };
   }
   
-  const skip = (page - 1) * limit;
-  const paginatedResults = results.slice(skip, skip + limit);
-  
   return {
-    data: paginatedResults,
+    data,
     total,
     page,
     limit,
@@ -95,47 +117,193 @@ function searchInCache(query, page = 1, limit = 50, sort = 'spec', order = 'asc'
   };
 }
 
-// CREATE - 새 재료 생성
-router.post('/', async (req, res) => {
+// 캐시 항목 추가 또는 교체 (spec이 바뀐 경우 이전 spec 키 제거)
+function upsertCacheEntry(materialObj) {
+  if (!materialsCache.isLoaded) return;
+  const id = materialObj._id.toString();
+  const previous = materialsCache.byId.get(id);
+  
+  if (previous && previous.spec !== materialObj.spec) {
+    materialsCache.bySpec.delete(previous.spec);
+  }
+  
+  const index = materialsCache.data.findIndex(m => m._id.toString() === id);
+  if (index !== -1) {
+    materialsCache.data[index] = materialObj;
+  } else {
+    materialsCache.data.push(materialObj);
+  }
+  
+  materialsCache.bySpec.set(materialObj.spec, materialObj);
+  materialsCache.byId.set(id, materialObj);
+  materialsCache.index.upsert(materialObj);
+  materialsCache.version++;
+}
+
+// 다른 인스턴스/DB 직접 수정으로 생긴 변경을 캐시에 항목 단위로 반영
+const cacheSync = createCacheSync({
+  model: SteelMaterial,
+  getEntries: () => materialsCache.data,
+  getEntry: id => materialsCache.byId.get(id),
+  // 휴지통으로 이동한 재료는 캐시에서 제거
+  activeFilter: activeQuery(),
+  isActive: doc => !doc.deletedAt,
+  onUpsert: doc => {
+    // 다른 인스턴스에서 품목 이름을 바꿨으면 품목별 규칙 조회용 이름도 갱신
+    reloadIfUnknown(doc.product);
+    if (!doc.dimensions) {
+      doc.dimensions = parseSpec(doc.spec);
+    }
+    upsertCacheEntry(doc);
+  },
+  onRemove: id => {
+    const entry = materialsCache.byId.get(id);
+    if (entry) removeCacheEntry(entry);
+  },
+  onReload: loadCacheFromDB
+});
+
+// 캐시 동기화 시작 (캐시 로드 이후 호출, 실패해도 서버는 계속 실행)
+async function startCacheSync() {
   try {
-    const { spec, wpm, product, method_calc, initial_length, trade_unit, cat_product } = req.body;
-    
-    // 필수 필드 검증
-    if (!spec || wpm === undefined) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'spec과 wpm은 필수 필드입니다.' 
-      });
+    await cacheSync.start();
+  } catch (error) {
+    console.error('❌ 캐시 동기화 시작 실패:', error.message);
+  }
+}
+
+// 캐시 상태 (동기화 방식, 재개 토큰 또는 버전, 지연 시간 포함)
+function getCacheStatus() {
+  return {
+    isLoaded: materialsCache.isLoaded,
+    count: materialsCache.data.length,
+    lastSync: materialsCache.lastSync,
+    version: materialsCache.version,
+    sync: cacheSync.status()
+  };
+}
+
+// 필드 값별 재료 수 (예: product, cat_product) - 캐시가 없으면 DB 집계
+async function countMaterialsBy(field) {
+  if (materialsCache.isLoaded) {
+    return materialsCache.index.counts(field);
+  }
+  const groups = await SteelMaterial.aggregate([
+    { $match: activeQuery() },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(groups.map(group => [group._id, group.count]));
+}
+
+// 캐시에서 항목 제거
+function removeCacheEntry(materialObj) {
+  if (!materialsCache.isLoaded) return;
+  const id = materialObj._id.toString();
+  materialsCache.bySpec.delete(materialObj.spec);
+  materialsCache.byId.delete(id);
+  materialsCache.index.remove(materialObj);
+  materialsCache.data = materialsCache.data.filter(m => m._id.toString() !== id);
+  materialsCache.version++;
+}
+
+// 캐시에서 여러 항목 제거 (배열은 한 번만 다시 구성)
+function removeCacheEntries(materials) {
+  if (!materialsCache.isLoaded || materials.length === 0) return;
+  const ids = new Set(materials.map(m => m._id.toString()));
+  ids.forEach(id => {
+    const entry = materialsCache.byId.get(id);
+    if (!entry) return;
+    materialsCache.bySpec.delete(entry.spec);
+    materialsCache.byId.delete(id);
+    materialsCache.index.remove(entry);
+  });
+  materialsCache.data = materialsCache.data.filter(m => !ids.has(m._id.toString()));
+  materialsCache.version++;
+}
+
+// 에러 응답 (검증 오류는 422와 필드별 오류 목록 포함, 저장 중 다른 요청과 충돌하면 412, 잘못된 id 형식은 400)
+function sendError(res, error) {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: `${error.path} 값의 형식이 올바르지 않습니다. (입력값: ${error.value})`
+    });
+  }
+  if (error.name === 'VersionError') {
+    return res.status(412).json({
+      success: false,
+      error: '다른 사용자가 먼저 수정한 재료입니다. 최신 데이터를 다시 불러온 뒤 수정해주세요.'
+    });
+  }
+  if (error.name === 'ValidationError' && error.errors) {
+    return res.status(422).json({
+      success: false,
+      error: '입력값이 올바르지 않습니다.',
+      errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message, value: e.value }))
+    });
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details ? { errors: error.details } : {}),
+    ...(error.trashed ? { trashed: error.trashed } : {})
+  });
+}
+
+// 다른 재료가 같은 spec을 사용 중이면 409
+// 휴지통의 재료도 spec을 점유하므로, 중복 생성 대신 복원할 수 있도록 응답에 trashed 정보 포함
+async function assertSpecAvailable(spec, exceptId) {
+  const query = exceptId ? { spec, _id: { $ne: exceptId } } : { spec };
+  const existing = await SteelMaterial.findOne(query, '_id spec deletedAt').lean();
+  if (!existing) return;
+  if (!existing.deletedAt) {
+    throw createHttpError(409, '이미 존재하는 spec입니다.');
+  }
+  throw Object.assign(createHttpError(409, '휴지통에 같은 spec의 재료가 있습니다. 새로 만들지 말고 복원해주세요.'), {
+    trashed: {
+      _id: existing._id,
+      spec: existing.spec,
+      deletedAt: existing.deletedAt,
+      restore: `POST /api/materials/${existing._id}/restore`
     }
+  });
+}
 
-    // 중복 확인
-    const existing = await SteelMaterial.findOne({ spec });
-    if (existing) {
-      return res.status(409).json({ 
-        success: false, 
-        error: '이미 존재하는 spec입니다.' 
-      });
+// ID 또는 spec으로 재료 조회 (캐시 우선, 없으면 DB, 휴지통의 재료는 제외)
+async function findMaterial(idOrSpec) {
+  const key = String(idOrSpec);
+  const isObjectId = /^[0-9a-fA-F]{24}$/.test(key);
+
+  if (materialsCache.isLoaded) {
+    const cached = isObjectId
+      ? materialsCache.byId.get(key)
+      : materialsCache.bySpec.get(key);
+    if (cached) {
+      recordCacheRead('lookup', true);
+      return cached;
     }
+  }
 
-    const material = new SteelMaterial({
-      spec,
-      wpm: parseFloat(wpm) || 0,
-      product: product || '',
-      method_calc: parseInt(method_calc) || 0,
-      initial_length: parseFloat(initial_length) || 0,
-      trade_unit: parseInt(trade_unit) || 0,
-      cat_product: parseInt(cat_product) || 0
-    });
+  recordCacheRead('lookup', false);
+  return SteelMaterial.findOne(activeQuery(isObjectId ? { _id: key } : { spec: key })).lean();
+}
+
+// CREATE - 새 재료 생성
+router.post('/', requireRole('editor'), async (req, res) => {
+  try {
+    // 입력 검증 (실패 시 422, 보내지 않은 method_calc/initial_length/trade_unit/cat_product는 품목 기본값 사용)
+    const data = assertValidMaterial(await applyProductDefaults(req.body), { mode: 'create' });
+
+    // 중복 확인
+    await assertSpecAvailable(data.spec);
 
+    const material = new SteelMaterial(data);
     await material.save();
     
     // 캐시에 추가
-    if (materialsCache.isLoaded) {
-      const materialObj = material.toObject();
-      materialsCache.data.push(materialObj);
-      materialsCache.bySpec.set(materialObj.spec, materialObj);
-      materialsCache.byId.set(materialObj._id.toString(), materialObj);
-    }
+    upsertCacheEntry(material.toObject());
+    
+    await recordAudit(req, [{ action: 'create', after: material.toObject() }]);
     
     res.status(201).json({ 
       success: true, 
@@ -143,9 +311,237 @@ router.post('/', async (req, res) => {
       data: material 
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// 단면 선정 API - 필요 단면계수/단면2차모멘트를 만족하는 가장 가벼운 규격 (wpm 오름차순)
+// ============================================
+// body: { family: 'H' | 'channel' | 'angle' | 'rectTube' | 'pipe' | 품목 이름(예: H형강, 각관),
+//         modulus(필요 단면계수 cm³), inertia(필요 단면2차모멘트 cm⁴), axis: 'x'(기본값) | 'y', limit(기본 10) }
+router.post('/select-section', async (req, res) => {
+  try {
+    const { family, modulus, inertia, axis, limit } = req.body || {};
+    const materials = await loadSearchTargets();
+    const { required, total, results } = selectSections(materials, { family, modulus, inertia, axis, limit });
+
+    res.json({
+      success: true,
+      required,
+      data: results.map(({ material, properties, provided, utilization }) => ({
+        _id: material._id,
+        spec: material.spec,
+        product: material.product,
+        wpm: material.wpm,
+        provided,
+        utilization,
+        sectionProperties: properties
+      })),
+      total,
+      fromCache: materialsCache.isLoaded
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// 중량 계산 API - method_calc에 따라 이론 중량 계산
+// ============================================
+// body: { spec | id, quantity, length } 또는 { items: [{ spec | id, quantity, length }, ...] }
+router.post('/calculate', async (req, res) => {
+  try {
+    const items = Array.isArray(req.body.items) ? req.body.items : [req.body];
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'items 배열이 비어 있습니다.'
+      });
+    }
+
+    const lines = [];
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i] || {};
+      const key = item.id || item.spec;
+      if (!key) {
+        throw createHttpError(400, `${i + 1}번째 항목에 spec 또는 id가 필요합니다.`);
+      }
+
+      const material = await findMaterial(key);
+      if (!material) {
+        throw createHttpError(404, `재료를 찾을 수 없습니다: ${key}`);
+      }
+
+      lines.push(calculateLine(material, item));
+    }
+
+    res.json({
+      success: true,
+      data: summarizeLines(lines)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// 판재 배치 API - 철판 규격(3x6, 4x8 등) 중 총 중량이 가장 적은 판 선택
+// ============================================
+// body: { parts: [{ width(mm), height(mm), quantity }], thickness(mm),
+//         product(기본값: 철판 품목(PLATE)의 현재 이름), sheetSizes(예: ['4x8', '5x10']), kerf(mm), allowRotation(기본값 true) }
+router.post('/plate-nesting', async (req, res) => {
+  try {
+    const { parts, product = productNamesOf(['PLATE'])[0] || '철판', sheetSizes, kerf = 0, allowRotation = true } = req.body;
+    const thickness = parseFloat(req.body.thickness);
+
+    if (!Number.isFinite(thickness) || thickness <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'thickness(판 두께, mm)는 0보다 큰 숫자여야 합니다.'
+      });
+    }
+
+    // 같은 품목/두께의 판재 규격 후보
+    const materials = materialsCache.isLoaded
+      ? materialsCache.data
+      : await SteelMaterial.find(activeQuery({ method_calc: 3, product })).lean();
+    const candidates = materials
+      .filter(m => m.method_calc === 3 && m.product === product)
+      .map(m => ({ material: m, dimensions: m.dimensions || parseSpec(m.spec) }))
+      .filter(({ dimensions }) => dimensions.sheetWidth && Math.abs(dimensions.thickness - thickness) < 1e-6)
+      .filter(({ dimensions }) => !Array.isArray(sheetSizes) || sheetSizes.includes(dimensions.sheetSize));
+
+    if (candidates.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `${product} ${thickness}T 규격을 찾을 수 없습니다.`
+      });
+    }
+
+    const results = candidates.map(({ material, dimensions }) => {
+      const nesting = nestParts({
+        parts,
+        sheetWidth: dimensions.sheetWidth,
+        sheetLength: dimensions.sheetLength,
+        kerf: parseFloat(kerf) || 0,
+        allowRotation: allowRotation !== false && allowRotation !== 'false'
+      });
+      return {
+        spec: material.spec,
+        _id: material._id,
+        sheetSize: dimensions.sheetSize,
+        sheetWidth: dimensions.sheetWidth,
+        sheetLength: dimensions.sheetLength,
+        wpm: material.wpm,
+        ...nesting,
+        totalWeight: nesting.feasible ? round(material.wpm * nesting.sheetCount) : null
+      };
+    });
+
+    const feasible = results
+      .filter(result => result.feasible)
+      .sort((a, b) => (a.totalWeight - b.totalWeight) || (a.sheetCount - b.sheetCount));
+
+    if (feasible.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '부품이 들어가는 판 규격이 없습니다.',
+        candidates: results.map(({ spec, reason }) => ({ spec, reason }))
+      });
+    }
+
+    const best = feasible[0];
+    // 부품 이론 중량 (면적 × 두께 × 비중)
+    const partsWeight = round(best.partsArea * thickness * STEEL_DENSITY * 1e-6);
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        thickness,
+        selected: {
+          ...best,
+          partsWeight,
+          scrapWeight: round(best.totalWeight - partsWeight)
+        },
+        candidates: results.map(({ sheets, ...summary }) => summary)
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// 절단 계획 API - 정척(initial_length) 원자재에서 필요한 조각을 잘라내는 배치 계산
+// ============================================
+// body: { pieces: [{ length(mm), quantity }], kerf(mm, 기본값 0),
+//         stockLength(m, 기본값 initial_length), mode: auto | heuristic | optimal }
+router.post('/:id/cutting-plan', async (req, res) => {
+  try {
+    const material = await findMaterial(req.params.id);
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        message: '재료를 찾을 수 없습니다.'
+      });
+    }
+
+    if (material.method_calc === 3) {
+      return res.status(400).json({
+        success: false,
+        error: '판재(철판)는 절단 계획 대상이 아닙니다. 판재 배치 API를 사용해주세요.'
+      });
+    }
+
+    const { pieces, kerf = 0, stockLength, mode = 'auto' } = req.body;
+    const stockLengthM = stockLength !== undefined ? parseFloat(stockLength) : material.initial_length;
+    if (!stockLengthM || stockLengthM <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${material.spec}은(는) 정척 길이가 없으므로 stockLength(m)를 지정해야 합니다.`
+      });
+    }
+
+    const plan = planCuts({
+      pieces,
+      stockLength: stockLengthM * 1000,
+      kerf: parseFloat(kerf),
+      mode
+    });
+
+    // 중량 계산 (wpm: kg/m)
+    const purchasedWeight = material.wpm * stockLengthM * plan.summary.barCount;
+    const requiredWeight = material.wpm * plan.summary.totalPieceLength / 1000;
+    plan.summary.purchasedWeight = round(purchasedWeight);
+    plan.summary.requiredWeight = round(requiredWeight);
+    plan.summary.wasteWeight = round(purchasedWeight - requiredWeight);
+
+    res.json({
+      success: true,
+      data: {
+        material: {
+          _id: material._id,
+          spec: material.spec,
+          product: material.product,
+          wpm: material.wpm,
+          initial_length: material.initial_length
+        },
+        ...plan
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
     });
   }
 });
@@ -155,34 +551,32 @@ router.get('/', async (req, res) => {
   try {
     const startTime = Date.now(); // 성능 측정 시작
     const { 
-      spec, 
-      product, 
-      method_calc,
-      cat_product,
       page = 1, 
       limit, // limit이 없으면 전체 데이터 반환
       sort = 'spec',
       order = 'asc'
     } = req.query;
     
+    // 검색 조건 (spec/product 부분 일치, method_calc/cat_product/trade_unit 일치, <필드>_min/_max 범위)
+    const filters = parseFilters(req.query);
+    // limit이 없거나 0이면 전체 데이터 반환 (매우 큰 값으로 설정)
+    const limitValue = limit ? parseInt(limit) : 999999;
+    const pageValue = parseInt(page) || 1;
+    
     // 캐시가 로드되지 않았으면 DB에서 직접 조회
     if (!materialsCache.isLoaded) {
       console.warn('⚠️  캐시가 로드되지 않아 DB에서 직접 조회합니다.');
-      const query = {};
-      
-      if (spec) query.spec = { $regex: spec, $options: 'i' };
-      if (product) query.product = { $regex: product, $options: 'i' };
-      if (method_calc) query.method_calc = parseInt(method_calc);
-      if (cat_product) query.cat_product = parseInt(cat_product);
+      recordCacheRead('list', false);
+      const query = activeQuery(toMongoQuery(filters));
       
       const sortOrder = order === 'desc' ? -1 : 1;
-      const sortObj = { [sort]: sortOrder };
+      const sortObj = { [resolveSortPath(sort)]: sortOrder };
       
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const materials = await SteelMaterial.find(query)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .sort(sortObj);
+      let findQuery = SteelMaterial.find(query).sort(sortObj);
+      if (limitValue < 999999) {
+        findQuery = findQuery.skip((pageValue - 1) * limitValue).limit(limitValue);
+      }
+      const materials = await findQuery;
       
       const total = await SteelMaterial.countDocuments(query);
       const duration = Date.now() - startTime;
@@ -192,49 +586,369 @@ router.get('/', async (req, res) => {
       return res.json({
         success: true,
         data: materials,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        },
+        pagination: limitValue < 999999
+          ? { page: pageValue, limit: limitValue, total, pages: Math.ceil(total / limitValue) }
+          : { page: 1, limit: total, total, pages: 1 },
         fromCache: false,
         duration: `${duration}ms`
       });
     }
     
+    recordCacheRead('list', true);
+    
+    // 캐시가 바뀌지 않았으면 304 (If-None-Match)
+    const etag = collectionEtag(materialsCache.lastSync, materialsCache.version);
+    res.set('ETag', etag);
+    if (checkIfNoneMatch(req, etag)) {
+      console.log(`⚡ 변경 없음 (304): 캐시 버전 ${materialsCache.version}`);
+      return res.status(304).end();
+    }
+    
     // 캐시에서 검색
-    const query = { spec, product, method_calc, cat_product };
-    // limit이 없거나 0이면 전체 데이터 반환 (매우 큰 값으로 설정)
-    const limitValue = limit ? parseInt(limit) : 999999;
-    const result = searchInCache(query, parseInt(page), limitValue, sort, order);
+    const result = searchInCache(filters, pageValue, limitValue, sort, order);
     const duration = Date.now() - startTime;
     
     console.log(`⚡ 캐시에서 반환: ${result.data.length}개 항목 (요청: page=${page}, limit=${limit || '전체'}), ${duration}ms 소요 (캐시 크기: ${materialsCache.data.length}개)`);
     
     res.json({
       success: true,
-      data: result.data,
-      pagination: {
-        page: result.page,
-        limit: result.limit,
-        total: result.total,
-        pages: result.pages
-      },
-      fromCache: true,
-      lastSync: materialsCache.lastSync,
-      duration: `${duration}ms`,
-      cacheSize: materialsCache.data.length
+      data: result.data,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      },
+      fromCache: true,
+      lastSync: materialsCache.lastSync,
+      duration: `${duration}ms`,
+      cacheSize: materialsCache.data.length
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// 내보내기 API - CSV / JSON(mongoexport 형식) / NDJSON
+// ============================================
+// query: format=csv|json|ndjson, encoding=utf-8|utf-8-bom|cp949|euc-kr (CSV 전용)
+//        검색 필터는 목록 조회와 동일
+router.get('/export', async (req, res) => {
+  try {
+    const {
+      format = 'csv',
+      encoding = 'utf-8-bom',
+      sort = 'spec',
+      order = 'asc'
+    } = req.query;
+
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res.status(400).json({
+        success: false,
+        error: `format은 ${Object.keys(EXPORT_FORMATS).join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
+    // 캐시에서 조회, 캐시가 없으면 DB에서 직접 조회
+    const filters = parseFilters(req.query);
+    let materials;
+    recordCacheRead('export', materialsCache.isLoaded);
+    if (materialsCache.isLoaded) {
+      materials = searchInCache(filters, 1, 999999, sort, order).data;
+    } else {
+      console.warn('⚠️  캐시가 로드되지 않아 DB에서 직접 조회합니다.');
+      materials = await SteelMaterial.find(activeQuery(toMongoQuery(filters)))
+        .sort({ [resolveSortPath(sort)]: order === 'desc' ? -1 : 1 })
+        .lean();
+    }
+
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const filename = `steel_materials_${date}.${exportFormat.extension}`;
+
+    let body;
+    let charset = 'utf-8';
+    if (format === 'csv') {
+      const csvResult = toCsv(materials, encoding);
+      body = csvResult.buffer;
+      charset = csvResult.charset;
+    } else if (format === 'json') {
+      body = toJson(materials);
+    } else {
+      body = toNdjson(materials);
+    }
+
+    console.log(`📤 내보내기 완료 (${format}): ${materials.length}개 항목`);
+
+    res.set('Content-Type', `${exportFormat.contentType}; charset=${charset}`);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// 규격 검색 API - 오타 허용, 품목 별칭(ㄱ↔앵글, ㄷ↔잔넬, PL↔철판, 각관), 초성 검색
+// ============================================
+// 예: "H 200 200", "h200x200", "앵글 50", "ㄱ50*50*6", "25각", "ㅎㄱㄱ 30"
+const SEARCH_LIMIT_MAX = 100;
+
+// 검색 대상 (캐시가 없으면 DB에서 조회)
+async function loadSearchTargets() {
+  recordCacheRead('search', materialsCache.isLoaded);
+  if (materialsCache.isLoaded) return materialsCache.data;
+  console.warn('⚠️  캐시가 로드되지 않아 DB에서 직접 조회합니다.');
+  const materials = await SteelMaterial.find(activeQuery()).lean();
+  materials.forEach(material => {
+    if (!material.dimensions) {
+      material.dimensions = parseSpec(material.spec);
+    }
+  });
+  return materials;
+}
+
+function parseSearchLimit(value, defaultLimit) {
+  const limit = parseInt(value) || defaultLimit;
+  return Math.min(Math.max(limit, 1), SEARCH_LIMIT_MAX);
+}
+
+// query: q(필수), limit(기본 20, 최대 100)
+router.get('/search', async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ success: false, error: '검색어(q)를 입력하세요.' });
+    }
+
+    const materials = await loadSearchTargets();
+    const { parsed, total, results } = searchMaterials(materials, q, { limit: parseSearchLimit(req.query.limit, 20) });
+    const duration = Date.now() - startTime;
+
+    console.log(`🔎 규격 검색 "${q}": ${total}개 일치, ${duration}ms 소요`);
+
+    res.json({
+      success: true,
+      query: parsed,
+      data: results.map(({ material, score }) => ({ ...material, score })),
+      total,
+      fromCache: materialsCache.isLoaded,
+      duration: `${duration}ms`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 자동완성 (주문 입력 화면용, 최소 필드만 반환)
+// query: q(필수), limit(기본 10, 최대 100)
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+      return res.json({ success: true, data: [] });
+    }
+
+    const materials = await loadSearchTargets();
+    const { results } = searchMaterials(materials, q, { limit: parseSearchLimit(req.query.limit, 10) });
+
+    res.json({
+      success: true,
+      data: results.map(({ material, score }) => ({
+        _id: material._id,
+        spec: material.spec,
+        product: material.product,
+        score
+      }))
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// 집계 API - 품목/분류/계산방식/거래단위/정척/형태별 개수와 wpm 통계 (대시보드용)
+// ============================================
+// query: 검색 필터는 목록 조회와 동일
+router.get('/facets', async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const filters = parseFilters(req.query);
+
+    let result;
+    recordCacheRead('facets', materialsCache.isLoaded);
+    if (materialsCache.isLoaded) {
+      result = computeFacets(searchInCache(filters, 1, 999999).data);
+    } else {
+      console.warn('⚠️  캐시가 로드되지 않아 DB에서 직접 집계합니다.');
+      result = fromAggregation(await SteelMaterial.aggregate(facetPipeline(activeQuery(toMongoQuery(filters)))));
+    }
+    const duration = Date.now() - startTime;
+
+    console.log(`📊 집계 완료: ${result.total}개 항목, ${duration}ms 소요`);
+
+    res.json({
+      success: true,
+      data: result,
+      fromCache: materialsCache.isLoaded,
+      duration: `${duration}ms`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// 데이터 품질 점검 API - 이론 중량 편차, 중복 규격, 품목 불일치, 속성 불일치 (권장 조치 포함)
+// ============================================
+// query: tolerance(이론 중량 허용 오차 %, 기본 5)
+router.get('/quality-report', async (req, res) => {
+  try {
+    const startTime = Date.now();
+    let tolerance = DEFAULT_TOLERANCE;
+    if (req.query.tolerance !== undefined) {
+      tolerance = Number(req.query.tolerance);
+      if (!Number.isFinite(tolerance) || tolerance < 0) {
+        throw createHttpError(400, 'tolerance는 0 이상의 숫자(%)여야 합니다.');
+      }
+    }
+
+    const materials = await loadSearchTargets();
+    const report = buildQualityReport(materials, { tolerance });
+    const duration = Date.now() - startTime;
+
+    const findingCount = Object.values(report.summary.counts).reduce((sum, count) => sum + count, 0);
+    console.log(`🧪 품질 점검 완료: ${materials.length}개 중 ${findingCount}건 발견, ${duration}ms 소요`);
+
+    res.json({
+      success: true,
+      data: report,
+      fromCache: materialsCache.isLoaded,
+      duration: `${duration}ms`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// 휴지통 API - 삭제한 재료 조회, 복원, 영구 삭제
+// ============================================
+// 재료 삭제는 deletedAt만 기록 (캐시/목록/조회에서 제외), 영구 삭제는 관리자가 보관 기간이 지난 항목만 처리
+const TRASH_RETENTION_DAYS = 30;
+
+// query: page(기본 1), limit(기본 50), spec/product(부분 일치) - 최근 삭제 순
+router.get('/trash', async (req, res) => {
+  try {
+    const pageValue = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitValue = Math.max(parseInt(req.query.limit) || 50, 1);
+    const query = { deletedAt: { $ne: null } };
+    ['spec', 'product'].forEach(field => {
+      if (req.query[field]) {
+        query[field] = { $regex: escapeRegex(String(req.query[field])), $options: 'i' };
+      }
+    });
+
+    const [materials, total] = await Promise.all([
+      SteelMaterial.find(query)
+        .sort({ deletedAt: -1 })
+        .skip((pageValue - 1) * limitValue)
+        .limit(limitValue)
+        .lean(),
+      SteelMaterial.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: materials,
+      pagination: { page: pageValue, limit: limitValue, total, pages: Math.ceil(total / limitValue) },
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 영구 삭제 (관리자용) - 삭제한 지 days일(기본 30일)이 지난 항목, days=0이면 휴지통 전체
+// 재고 또는 재고 이동 내역이 있는 재료는 남겨 두고 skipped로 반환
+router.delete('/trash', requireRole('admin'), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? TRASH_RETENTION_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0) {
+      throw createHttpError(400, 'days는 0 이상의 정수여야 합니다.');
+    }
+
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const expired = await SteelMaterial.find({ deletedAt: { $ne: null, $lte: cutoff } }).lean();
+    const withStock = await findMaterialsWithStock(expired.map(m => m._id));
+    const targets = expired.filter(m => !withStock.has(m._id.toString()));
+
+    const result = targets.length > 0
+      ? await SteelMaterial.deleteMany({ _id: { $in: targets.map(m => m._id) }, deletedAt: { $ne: null } })
+      : { deletedCount: 0 };
+    await recordAudit(req, targets.map(target => ({ action: 'purge', before: target })));
+
+    console.log(`🗑️  휴지통 비우기 완료 (${days}일 경과): ${result.deletedCount}개 영구 삭제, ${withStock.size}개 건너뜀`);
+
+    res.json({
+      success: true,
+      message: `${result.deletedCount}개의 재료가 영구 삭제되었습니다.`,
+      deletedCount: result.deletedCount,
+      cutoff,
+      skipped: expired.filter(m => withStock.has(m._id.toString())).map(m => m.spec)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 복원 - ID 또는 spec으로 휴지통의 재료 조회
+router.post('/:id/restore', requireRole('editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+    const material = await SteelMaterial.findOne({
+      ...(isObjectId ? { _id: id } : { spec: id }),
+      deletedAt: { $ne: null }
+    });
+
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        message: '휴지통에서 재료를 찾을 수 없습니다.'
+      });
+    }
+
+    // 삭제 이후 같은 spec으로 만든 재료가 있으면 복원 불가
+    await assertSpecAvailable(material.spec, material._id);
+
+    material.deletedAt = null;
+    await material.save();
+
+    const materialObj = material.toObject();
+    upsertCacheEntry(materialObj);
+    await recordAudit(req, [{ action: 'restore', after: materialObj }]);
+
+    res.json({
+      success: true,
+      message: '재료가 복원되었습니다.',
+      data: material
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    sendError(res, error);
   }
 });
 
 // READ - 특정 재료 조회 (ID 또는 spec으로) - 캐시에서 반환
+// 단면 성능을 계산할 수 있는 형태(H형강, 잔넬, 앵글, 각관, 강관 등)는 sectionProperties 포함
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -247,19 +961,22 @@ router.get('/:id', async (req, res) => {
         : materialsCache.bySpec.get(id);
       
       if (material) {
+        recordCacheRead('get', true);
+        const etag = materialEtag(material);
+        res.set('ETag', etag);
+        if (checkIfNoneMatch(req, etag)) return res.status(304).end();
         return res.json({ 
           success: true, 
-          data: material,
+          data: { ...material, sectionProperties: sectionPropertiesOf(material) },
           fromCache: true
         });
       }
     }
     
     // 캐시에 없으면 DB에서 조회
+    recordCacheRead('get', false);
     const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
-    const material = isObjectId 
-      ? await SteelMaterial.findById(id)
-      : await SteelMaterial.findOne({ spec: id });
+    const material = await SteelMaterial.findOne(activeQuery(isObjectId ? { _id: id } : { spec: id }));
     
     if (!material) {
       return res.status(404).json({ 
@@ -268,30 +985,28 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    const materialObj = material.toObject();
+    const etag = materialEtag(materialObj);
+    res.set('ETag', etag);
+    if (checkIfNoneMatch(req, etag)) return res.status(304).end();
     res.json({ 
       success: true, 
-      data: material,
+      data: { ...materialObj, sectionProperties: computeSectionProperties(materialObj.dimensions || parseSpec(materialObj.spec)) },
       fromCache: false
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    sendError(res, error);
   }
 });
 
 // UPDATE - 재료 수정
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
     
     // MongoDB ObjectId 형식인지 확인
     const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
-    const material = isObjectId 
-      ? await SteelMaterial.findById(id)
-      : await SteelMaterial.findOne({ spec: id });
+    const material = await SteelMaterial.findOne(activeQuery(isObjectId ? { _id: id } : { spec: id }));
     
     if (!material) {
       return res.status(404).json({ 
@@ -300,63 +1015,45 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // 데이터 타입 변환
-    if (updateData.wpm !== undefined) updateData.wpm = parseFloat(updateData.wpm);
-    if (updateData.method_calc !== undefined) updateData.method_calc = parseInt(updateData.method_calc);
-    if (updateData.initial_length !== undefined) updateData.initial_length = parseFloat(updateData.initial_length);
-    if (updateData.trade_unit !== undefined) updateData.trade_unit = parseInt(updateData.trade_unit);
-    if (updateData.cat_product !== undefined) updateData.cat_product = parseInt(updateData.cat_product);
+    // If-Match의 ETag가 현재 버전과 다르면 412 (다른 사용자가 먼저 수정)
+    if (!checkIfMatch(req, materialEtag(material))) {
+      return sendPreconditionFailed(res, material.toObject());
+    }
+
+    // 입력 검증 (전체 수정이므로 모든 필드 필수)
+    const updateData = assertValidMaterial(req.body, { mode: 'replace' });
+    if (updateData.spec !== material.spec) {
+      await assertSpecAvailable(updateData.spec, material._id);
+    }
 
     // 업데이트
+    const before = material.toObject();
     Object.assign(material, updateData);
     await material.save();
+    await recordAudit(req, [{ action: 'update', before, after: material.toObject() }]);
     
     // 캐시 업데이트
-    if (materialsCache.isLoaded) {
-      const materialObj = material.toObject();
-      const oldSpec = materialsCache.byId.get(material._id.toString())?.spec;
-      
-      // 기존 spec으로 찾아서 업데이트
-      if (oldSpec && oldSpec !== materialObj.spec) {
-        materialsCache.bySpec.delete(oldSpec);
-      }
-      
-      // 배열에서 찾아서 업데이트
-      const index = materialsCache.data.findIndex(m => m._id.toString() === material._id.toString());
-      if (index !== -1) {
-        materialsCache.data[index] = materialObj;
-      } else {
-        materialsCache.data.push(materialObj);
-      }
-      
-      materialsCache.bySpec.set(materialObj.spec, materialObj);
-      materialsCache.byId.set(materialObj._id.toString(), materialObj);
-    }
+    upsertCacheEntry(material.toObject());
     
+    res.set('ETag', materialEtag(material));
     res.json({ 
       success: true, 
       message: '재료가 성공적으로 수정되었습니다.',
       data: material 
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    sendError(res, error);
   }
 });
 
 // UPDATE - 부분 수정 (PATCH)
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', requireRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
     
     // MongoDB ObjectId 형식인지 확인
     const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
-    const material = isObjectId 
-      ? await SteelMaterial.findById(id)
-      : await SteelMaterial.findOne({ spec: id });
+    const material = await SteelMaterial.findOne(activeQuery(isObjectId ? { _id: id } : { spec: id }));
     
     if (!material) {
       return res.status(404).json({ 
@@ -365,65 +1062,46 @@ router.patch('/:id', async (req, res) => {
       });
     }
 
-    // 데이터 타입 변환
-    if (updateData.wpm !== undefined) updateData.wpm = parseFloat(updateData.wpm);
-    if (updateData.method_calc !== undefined) updateData.method_calc = parseInt(updateData.method_calc);
-    if (updateData.initial_length !== undefined) updateData.initial_length = parseFloat(updateData.initial_length);
-    if (updateData.trade_unit !== undefined) updateData.trade_unit = parseInt(updateData.trade_unit);
-    if (updateData.cat_product !== undefined) updateData.cat_product = parseInt(updateData.cat_product);
+    // If-Match의 ETag가 현재 버전과 다르면 412 (다른 사용자가 먼저 수정)
+    if (!checkIfMatch(req, materialEtag(material))) {
+      return sendPreconditionFailed(res, material.toObject());
+    }
+
+    // 입력 검증 (보낸 필드만)
+    const updateData = assertValidMaterial(req.body, { mode: 'patch', current: material });
+    if (updateData.spec !== undefined && updateData.spec !== material.spec) {
+      await assertSpecAvailable(updateData.spec, material._id);
+    }
 
     // 부분 업데이트
-    Object.keys(updateData).forEach(key => {
-      if (updateData[key] !== undefined) {
-        material[key] = updateData[key];
-      }
-    });
+    const before = material.toObject();
+    Object.assign(material, updateData);
     
     await material.save();
+    await recordAudit(req, [{ action: 'update', before, after: material.toObject() }]);
     
     // 캐시 업데이트
-    if (materialsCache.isLoaded) {
-      const materialObj = material.toObject();
-      const oldSpec = materialsCache.byId.get(material._id.toString())?.spec;
-      
-      if (oldSpec && oldSpec !== materialObj.spec) {
-        materialsCache.bySpec.delete(oldSpec);
-      }
-      
-      const index = materialsCache.data.findIndex(m => m._id.toString() === material._id.toString());
-      if (index !== -1) {
-        materialsCache.data[index] = materialObj;
-      } else {
-        materialsCache.data.push(materialObj);
-      }
-      
-      materialsCache.bySpec.set(materialObj.spec, materialObj);
-      materialsCache.byId.set(materialObj._id.toString(), materialObj);
-    }
+    upsertCacheEntry(material.toObject());
     
+    res.set('ETag', materialEtag(material));
     res.json({ 
       success: true, 
       message: '재료가 성공적으로 수정되었습니다.',
       data: material 
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    sendError(res, error);
   }
 });
 
-// DELETE - 재료 삭제
-router.delete('/:id', async (req, res) => {
+// DELETE - 재료 삭제 (휴지통으로 이동)
+router.delete('/:id', requireRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
     
     // MongoDB ObjectId 형식인지 확인
     const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
-    const material = isObjectId 
-      ? await SteelMaterial.findByIdAndDelete(id)
-      : await SteelMaterial.findOneAndDelete({ spec: id });
+    const material = await SteelMaterial.findOne(activeQuery(isObjectId ? { _id: id } : { spec: id }));
     
     if (!material) {
       return res.status(404).json({ 
@@ -431,98 +1109,269 @@ router.delete('/:id', async (req, res) => {
         message: '재료를 찾을 수 없습니다.' 
       });
     }
+
+    // If-Match의 ETag가 현재 버전과 다르면 412 (다른 사용자가 먼저 수정)
+    if (!checkIfMatch(req, materialEtag(material))) {
+      return sendPreconditionFailed(res, material.toObject());
+    }
     
-    // 캐시에서 삭제
-    if (materialsCache.isLoaded) {
-      const materialObj = material.toObject();
-      materialsCache.bySpec.delete(materialObj.spec);
-      materialsCache.byId.delete(materialObj._id.toString());
-      materialsCache.data = materialsCache.data.filter(m => m._id.toString() !== materialObj._id.toString());
+    // 재고 또는 재고 이동 내역이 있으면 삭제 불가
+    const withStock = await findMaterialsWithStock([material._id]);
+    if (withStock.size > 0) {
+      return res.status(409).json({
+        success: false,
+        error: '재고 또는 재고 이동 내역이 있는 재료는 삭제할 수 없습니다.'
+      });
     }
     
+    const before = material.toObject();
+    material.deletedAt = new Date();
+    await material.save();
+    await recordAudit(req, [{ action: 'delete', before }]);
+    
+    // 캐시에서 삭제
+    removeCacheEntry(before);
+    
     res.json({ 
       success: true, 
-      message: '재료가 성공적으로 삭제되었습니다.',
+      message: '재료가 휴지통으로 이동되었습니다.',
       data: material 
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    sendError(res, error);
   }
 });
 
-// DELETE - 여러 재료 일괄 삭제
-router.delete('/', async (req, res) => {
+// DELETE - 여러 재료 일괄 삭제 (휴지통으로 이동)
+router.delete('/', requireRole('admin'), async (req, res) => {
   try {
     const { ids, specs } = req.body;
     
-    if (!ids && !specs) {
+    // 빈 배열로 전체 재료가 삭제되지 않도록 확인
+    const hasIds = Array.isArray(ids) && ids.length > 0;
+    if (!hasIds && !(Array.isArray(specs) && specs.length > 0)) {
       return res.status(400).json({ 
         success: false, 
         error: 'ids 또는 specs 배열이 필요합니다.' 
       });
     }
 
-    let query = {};
-    if (ids && ids.length > 0) {
-      query._id = { $in: ids };
-    } else if (specs && specs.length > 0) {
-      query.spec = { $in: specs };
+    const query = activeQuery(hasIds ? { _id: { $in: ids } } : { spec: { $in: specs } });
+
+    // 재고 또는 재고 이동 내역이 있는 재료가 포함되어 있으면 삭제 불가
+    const targets = await SteelMaterial.find(query).lean();
+    const withStock = await findMaterialsWithStock(targets.map(m => m._id));
+    if (withStock.size > 0) {
+      return res.status(409).json({
+        success: false,
+        error: '재고 또는 재고 이동 내역이 있는 재료는 삭제할 수 없습니다.',
+        specs: targets.filter(m => withStock.has(m._id.toString())).map(m => m.spec)
+      });
     }
 
-    const result = await SteelMaterial.deleteMany(query);
+    const result = await SteelMaterial.updateMany(
+      { _id: { $in: targets.map(m => m._id) } },
+      { $set: { deletedAt: new Date() }, $inc: { __v: 1 } }
+    );
+    await recordAudit(req, targets.map(target => ({ action: 'bulk-delete', before: target })));
     
     // 캐시에서 삭제
-    if (materialsCache.isLoaded && result.deletedCount > 0) {
-      // 삭제된 항목들을 캐시에서 제거
-      if (ids && ids.length > 0) {
-        ids.forEach(id => {
-          const material = materialsCache.byId.get(id.toString());
-          if (material) {
-            materialsCache.bySpec.delete(material.spec);
-            materialsCache.byId.delete(id.toString());
-          }
+    removeCacheEntries(targets);
+    
+    res.json({ 
+      success: true, 
+      message: `${result.modifiedCount}개의 재료가 휴지통으로 이동되었습니다.`,
+      deletedCount: result.modifiedCount 
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// 일괄 작업 API - 생성/수정/upsert/삭제를 한 번에 처리
+// ============================================
+// body: {
+//   mode: atomic(기본값, 트랜잭션으로 전체 성공 또는 전체 취소) | best-effort(실패한 행만 제외),
+//   operations: [{ op: create | update | upsert | delete, spec | id, data: { 재료 필드 } }]
+// }
+// 응답 results[i].status: created | updated | deleted | failed | rolledBack(atomic 취소) | skipped(atomic 미실행)
+router.post('/bulk', requireRole('admin'), async (req, res) => {
+  let session = null;
+  try {
+    const mode = req.body.mode || 'atomic';
+    if (!BULK_MODES.includes(mode)) {
+      throw createHttpError(400, `mode는 ${BULK_MODES.join(', ')} 중 하나여야 합니다.`);
+    }
+
+    const rows = prepareOperations(req.body.operations);
+    const atomic = mode === 'atomic';
+
+    // atomic 모드는 입력 오류가 하나라도 있으면 DB 작업 없이 전체 오류 반환
+    const invalid = rows.filter(row => row.errors.length > 0);
+    if (atomic && invalid.length > 0) {
+      return res.status(422).json({
+        success: false,
+        mode,
+        error: '입력값 오류가 있어 일괄 작업을 진행하지 않았습니다.',
+        results: rows.map(row => ({
+          index: row.index,
+          op: row.op,
+          spec: row.spec || row.data.spec,
+          ...(row.errors.length > 0
+            ? { status: 'failed', statusCode: 422, errors: row.errors }
+            : { status: 'skipped' })
+        }))
+      });
+    }
+
+    // 단독 서버에서는 트랜잭션을 시작할 수 없으므로 DB 작업 전에 안내
+    if (atomic && !await supportsTransactions()) {
+      throw createHttpError(400, '현재 MongoDB 서버(단독 서버)는 트랜잭션을 지원하지 않아 atomic 모드를 사용할 수 없습니다. mode: "best-effort"로 요청해주세요.');
+    }
+
+    let outcome;
+    if (atomic) {
+      session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          outcome = await runOperations(rows, { atomic: true, session });
         });
-      } else if (specs && specs.length > 0) {
-        specs.forEach(spec => {
-          const material = materialsCache.bySpec.get(spec);
-          if (material) {
-            materialsCache.byId.delete(material._id.toString());
-            materialsCache.bySpec.delete(spec);
-          }
+      } catch (error) {
+        if (error.index === undefined) throw error;
+        return res.status(error.status).json({
+          success: false,
+          mode,
+          error: error.message,
+          results: rows.map(row => {
+            if (row.index === error.index) return error.result;
+            return { index: row.index, op: row.op, spec: row.spec || row.data.spec, status: row.index < error.index ? 'rolledBack' : 'skipped' };
+          })
         });
       }
-      
-      // 배열에서도 제거
-      materialsCache.data = materialsCache.data.filter(m => {
-        if (ids && ids.length > 0) {
-          return !ids.includes(m._id.toString());
-        } else if (specs && specs.length > 0) {
-          return !specs.includes(m.spec);
-        }
-        return true;
+    } else {
+      outcome = await runOperations(rows);
+    }
+
+    // 캐시는 일괄 작업이 끝난 뒤 한 번만 갱신
+    outcome.deleted.forEach(removeCacheEntry);
+    outcome.saved.forEach(upsertCacheEntry);
+    await recordAudit(req, outcome.audits);
+
+    const summary = { total: rows.length, created: 0, updated: 0, deleted: 0, failed: 0 };
+    outcome.results.forEach(result => { summary[result.status]++; });
+
+    console.log(`📦 일괄 작업 완료 (${mode}): 생성 ${summary.created}, 수정 ${summary.updated}, 삭제 ${summary.deleted}, 실패 ${summary.failed}`);
+
+    res.json({
+      success: summary.failed === 0,
+      mode,
+      summary,
+      results: outcome.results
+    });
+  } catch (error) {
+    sendError(res, error);
+  } finally {
+    if (session) await session.endSession();
+  }
+});
+
+// ============================================
+// 변경 이력 API - 감사 로그 조회 및 이전 버전으로 되돌리기
+// ============================================
+// ID 또는 spec으로 감사 로그 대상 ID 조회 (삭제된 재료는 감사 로그에서 찾음)
+async function resolveAuditEntityId(idOrSpec) {
+  if (/^[0-9a-fA-F]{24}$/.test(idOrSpec)) {
+    return new mongoose.Types.ObjectId(idOrSpec);
+  }
+  const material = await findMaterial(idOrSpec);
+  if (material) return material._id;
+  const latest = await AuditLog.findOne({ spec: idOrSpec }).sort({ timestamp: -1 }).lean();
+  return latest ? latest.entityId : null;
+}
+
+router.get('/:id/history', async (req, res) => {
+  try {
+    const entityId = await resolveAuditEntityId(req.params.id);
+    const history = entityId
+      ? await AuditLog.find({ entityId }).sort({ version: -1 }).lean()
+      : [];
+
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: '변경 이력이 없습니다.'
       });
     }
-    
-    res.json({ 
-      success: true, 
-      message: `${result.deletedCount}개의 재료가 삭제되었습니다.`,
-      deletedCount: result.deletedCount 
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    sendError(res, error);
+  }
+});
+
+router.post('/:id/revert/:version', requireRole('editor'), async (req, res) => {
+  try {
+    const entityId = await resolveAuditEntityId(req.params.id);
+    const version = parseInt(req.params.version);
+    const entry = entityId && Number.isInteger(version)
+      ? await AuditLog.findOne({ entityId, version }).lean()
+      : null;
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: '해당 버전의 변경 이력을 찾을 수 없습니다.'
+      });
+    }
+
+    if (!entry.changes.some(change => change.after !== undefined)) {
+      return res.status(409).json({
+        success: false,
+        error: '삭제된 상태의 버전으로는 되돌릴 수 없습니다. 삭제 이전 버전을 지정해주세요.'
+      });
+    }
+
+    // 되돌릴 spec을 다른 재료가 사용 중이면 중복 방지
+    const conflict = await SteelMaterial.findOne({ spec: entry.snapshot.spec, _id: { $ne: entityId } });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `다른 재료가 이미 spec '${entry.snapshot.spec}'을(를) 사용하고 있습니다.`
+      });
+    }
+
+    // 영구 삭제된 재료는 같은 _id로 다시 생성, 휴지통의 재료는 복원
+    let material = await SteelMaterial.findById(entityId);
+    const before = material && !material.deletedAt ? material.toObject() : null;
+    if (!material) {
+      material = new SteelMaterial({ _id: entityId });
+    }
+    Object.assign(material, entry.snapshot, { deletedAt: null });
+    await material.save();
+
+    const materialObj = material.toObject();
+    upsertCacheEntry(materialObj);
+    await recordAudit(req, [{ action: 'revert', before, after: materialObj, revertedTo: version }]);
+
+    res.json({
+      success: true,
+      message: `버전 ${version}(으)로 되돌렸습니다.`,
+      data: material
     });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // ============================================
 // 수동 동기화 API - DB에서 캐시로 데이터 동기화
 // ============================================
-router.post('/sync', async (req, res) => {
+router.post('/sync', requireRole('admin'), async (req, res) => {
   try {
     console.log('🔄 수동 동기화 요청 받음');
     const success = await loadCacheFromDB();
@@ -550,24 +1399,339 @@ router.post('/sync', async (req, res) => {
   }
 });
 
-// 캐시 상태 조회 API
+// ============================================
+// CSV 가져오기 API - 엑셀 CSV(UTF-8/CP949)로 일괄 등록
+// ============================================
+// multipart/form-data
+//   file: CSV 파일 (여러 개 가능)
+//   mode: insert | upsert | replace (기본값: insert, replace는 파일에 없는 재료를 휴지통으로 이동)
+//   dryRun: true이면 검증 결과만 반환하고 저장하지 않음
+//   encoding: auto | utf-8 | cp949 | euc-kr (기본값: auto)
+//   mapping: 헤더 매핑 JSON (예: {"규격명":"spec"})
+function uploadCsvFiles(req, res, next) {
+  upload.array('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: `파일 업로드 실패: ${error.message}`
+      });
+    }
+    next();
+  });
+}
+
+router.post('/import', requireRole('admin'), uploadCsvFiles, async (req, res) => {
+  try {
+    const files = req.files || [];
+    const mode = req.body.mode || req.query.mode || 'insert';
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'file 필드로 CSV 파일을 업로드해주세요.'
+      });
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode는 ${IMPORT_MODES.join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          error: 'mapping은 올바른 JSON 형식이어야 합니다.'
+        });
+      }
+    }
+
+    // 파일별 디코딩 및 파싱
+    const entries = [];
+    const fileInfos = [];
+    for (const file of files) {
+      const { text, encoding } = decodeBuffer(file.buffer, req.body.encoding || 'auto');
+      const rows = await parseCsv(text, mapping);
+      rows.forEach((values, index) => {
+        entries.push({ file: file.originalname, row: index + 2, values });
+      });
+      fileInfos.push({ name: file.originalname, encoding, rows: rows.length });
+    }
+
+    const { docs, errors, warnings } = validateRows(entries);
+
+    // 기존 spec 확인 후 추가/수정/건너뜀 분류
+    const specs = docs.map(d => d.doc.spec);
+    const existing = await SteelMaterial.find({ spec: { $in: specs } }).lean();
+    const existingBySpec = new Map(existing.map(m => [m.spec, m]));
+
+    const toInsert = [];
+    const toUpdate = [];
+    const skipped = [];
+    docs.forEach(entry => {
+      const current = existingBySpec.get(entry.doc.spec);
+      if (!current) {
+        toInsert.push(entry);
+      } else if (current.deletedAt) {
+        skipped.push({ file: entry.file, row: entry.row, spec: entry.doc.spec, reason: '휴지통에 같은 spec의 재료가 있습니다. 복원 후 다시 가져오세요.' });
+      } else if (mode === 'upsert' || mode === 'replace') {
+        toUpdate.push(entry);
+      } else {
+        skipped.push({ file: entry.file, row: entry.row, spec: entry.doc.spec, reason: '이미 존재하는 spec입니다.' });
+      }
+    });
+
+    // replace: 파일에 없는 사용 중 재료는 휴지통으로 (재고가 연결된 재료는 남기고 retained로 보고)
+    const toTrash = [];
+    const retained = [];
+    if (mode === 'replace') {
+      const missing = await SteelMaterial.find(activeQuery({ spec: { $nin: specs } })).lean();
+      const withStock = await findMaterialsWithStock(missing.map(m => m._id));
+      missing.forEach(material => {
+        if (withStock.has(material._id.toString())) {
+          retained.push({ _id: material._id, spec: material.spec, reason: '재고 또는 재고 이동 내역이 있어 휴지통으로 옮기지 않았습니다.' });
+        } else {
+          toTrash.push(material);
+        }
+      });
+    }
+
+    const invalidRows = new Set(errors.map(e => `${e.file}:${e.row}`)).size;
+    const summary = {
+      totalRows: entries.length,
+      validRows: docs.length,
+      invalidRows,
+      inserted: toInsert.length,
+      updated: toUpdate.length,
+      skipped: skipped.length,
+      deleted: toTrash.length,
+      retained: retained.length
+    };
+
+    if (dryRun || errors.length > 0) {
+      return res.status(errors.length > 0 && !dryRun ? 422 : 200).json({
+        success: errors.length === 0,
+        dryRun,
+        mode,
+        message: errors.length > 0
+          ? '검증 오류가 있어 가져오기를 진행하지 않았습니다.'
+          : '검증이 완료되었습니다. (저장되지 않음)',
+        files: fileInfos,
+        summary,
+        errors,
+        warnings,
+        skipped,
+        retained
+      });
+    }
+
+    // 저장 (감사 로그용으로 추가 문서에 _id를 미리 부여)
+    // bulkWrite는 pre('validate') 훅을 거치지 않으므로 dimensions와 productType을 직접 채움
+    // 휴지통 이동은 추가/수정이 모두 성공한 뒤에만 실행 (저장이 실패하면 기존 재료는 그대로 남음)
+    const writes = [...toInsert, ...toUpdate];
+    const productTypeIds = await productTypeIdsOf(writes.map(entry => entry.doc.product));
+    writes.forEach(entry => {
+      entry.doc.dimensions = parseSpec(entry.doc.spec);
+      entry.doc.productType = productTypeIds.get(entry.doc.product) || null;
+    });
+    toInsert.forEach(entry => { entry.doc._id = new mongoose.Types.ObjectId(); });
+
+    const failed = [];
+    const audits = [];
+    try {
+      const failedIndexes = new Set();
+      if (writes.length > 0) {
+        try {
+          await SteelMaterial.bulkWrite([
+            ...toInsert.map(entry => ({ insertOne: { document: entry.doc } })),
+            ...toUpdate.map(entry => ({
+              updateOne: { filter: { spec: entry.doc.spec }, update: { $set: entry.doc, $inc: { __v: 1 } } }
+            }))
+          ], { ordered: false });
+        } catch (error) {
+          // ordered: false이므로 실패한 행을 제외한 나머지는 저장됨 (writeErrors의 index는 writes 순서)
+          if (!error.writeErrors) throw error;
+          [].concat(error.writeErrors).forEach(writeError => {
+            const entry = writes[writeError.index];
+            failedIndexes.add(writeError.index);
+            failed.push({ file: entry.file, row: entry.row, spec: entry.doc.spec, message: writeError.errmsg || writeError.message });
+          });
+        }
+      }
+
+      writes.forEach((entry, index) => {
+        if (failedIndexes.has(index)) return;
+        const before = existingBySpec.get(entry.doc.spec);
+        audits.push(before
+          ? { action: 'import', before, after: { ...before, ...entry.doc } }
+          : { action: 'import', after: entry.doc });
+      });
+
+      if (toTrash.length > 0 && failed.length === 0) {
+        await SteelMaterial.updateMany(
+          { _id: { $in: toTrash.map(m => m._id) }, deletedAt: null },
+          { $set: { deletedAt: new Date() }, $inc: { __v: 1 } }
+        );
+        audits.unshift(...toTrash.map(material => ({ action: 'import', before: material })));
+      }
+    } finally {
+      // 저장 중 오류가 나도 저장된 행은 감사 로그에 남기고 캐시를 다시 읽음
+      await recordAudit(req, audits);
+      await loadCacheFromDB();
+    }
+
+    if (failed.length > 0) {
+      const failedSpecs = new Set(failed.map(f => f.spec));
+      summary.inserted = toInsert.filter(entry => !failedSpecs.has(entry.doc.spec)).length;
+      summary.updated = toUpdate.filter(entry => !failedSpecs.has(entry.doc.spec)).length;
+      summary.deleted = 0;
+      summary.failed = failed.length;
+
+      console.error(`❌ CSV 가져오기 일부 실패 (${mode}): 실패 ${failed.length}행`);
+
+      return res.status(207).json({
+        success: false,
+        dryRun,
+        mode,
+        message: `${failed.length}개 행을 저장하지 못했습니다. 나머지 행은 저장되었고, 휴지통 이동은 실행하지 않았습니다.`,
+        files: fileInfos,
+        summary,
+        errors: failed,
+        warnings,
+        skipped,
+        retained
+      });
+    }
+
+    console.log(`📥 CSV 가져오기 완료 (${mode}): 추가 ${summary.inserted}, 수정 ${summary.updated}, 건너뜀 ${summary.skipped}, 휴지통 이동 ${summary.deleted}, 재고로 유지 ${summary.retained}`);
+
+    res.json({
+      success: true,
+      dryRun,
+      mode,
+      message: 'CSV 가져오기가 완료되었습니다.',
+      files: fileInfos,
+      summary,
+      errors,
+      warnings,
+      skipped,
+      retained
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// 백업 복원 API - DB_BACKUP 파일을 DB에 적재 (관리자용)
+// ============================================
+// body: { wipe: true이면 컬렉션을 비운 뒤 적재, force: true이면 재고가 연결된 재료도 wipe, matchBy: '_id' | 'spec' }
+// 재고 또는 재고 이동 내역이 있는 재료가 있으면 force 없이 wipe할 수 없음 (409, errors에 해당 재료 목록)
+router.post('/seed', requireRole('admin'), async (req, res) => {
+  try {
+    const wipe = req.body.wipe === true || req.body.wipe === 'true';
+    const force = req.body.force === true || req.body.force === 'true';
+    const matchBy = req.body.matchBy || '_id';
+
+    console.log(`🌱 백업 복원 요청 받음 (wipe: ${wipe}, force: ${force}, matchBy: ${matchBy})`);
+    const { summary: result, audits } = await seedMaterials(readBackupFile(), { wipe, force, matchBy });
+    await recordAudit(req, audits);
+    await loadCacheFromDB();
+
+    res.json({
+      success: true,
+      message: '백업 데이터 복원이 완료되었습니다.',
+      data: {
+        ...result,
+        cacheCount: materialsCache.data.length
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// 치수 정보 API - spec 해석 실패 목록 및 일괄 재계산
+// ============================================
+router.get('/dimensions/unparsed', async (req, res) => {
+  try {
+    const materials = materialsCache.isLoaded
+      ? materialsCache.data
+      : await SteelMaterial.find(activeQuery()).lean();
+
+    const unparsed = materials
+      .map(material => ({
+        material,
+        dimensions: material.dimensions || parseSpec(material.spec)
+      }))
+      .filter(({ dimensions }) => !dimensions.shape)
+      .map(({ material, dimensions }) => ({
+        _id: material._id,
+        spec: material.spec,
+        product: material.product,
+        parseError: dimensions.parseError
+      }));
+
+    res.json({
+      success: true,
+      data: unparsed,
+      count: unparsed.length,
+      total: materials.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/dimensions/rebuild', requireRole('admin'), async (req, res) => {
+  try {
+    const { count, unparsedCount } = await rebuildDimensions();
+    await loadCacheFromDB();
+
+    console.log(`📐 치수 재계산 완료: ${count}개 항목 (해석 실패 ${unparsedCount}개)`);
+
+    res.json({
+      success: true,
+      message: '치수 정보 재계산이 완료되었습니다.',
+      data: {
+        count,
+        unparsedCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 캐시 상태 조회 API (조회 전용이므로 viewer도 사용 가능, 캐시를 바꾸는 /sync는 admin)
 router.get('/cache/status', (req, res) => {
   res.json({
     success: true,
-    data: {
-      isLoaded: materialsCache.isLoaded,
-      count: materialsCache.data.length,
-      lastSync: materialsCache.lastSync
-    }
+    data: getCacheStatus()
   });
 });
 
 // 캐시 초기화 함수를 외부에서 사용할 수 있도록 export
 module.exports = router;
 module.exports.loadCacheFromDB = loadCacheFromDB;
-module.exports.getCacheStatus = () => ({
-  isLoaded: materialsCache.isLoaded,
-  count: materialsCache.data.length,
-  lastSync: materialsCache.lastSync
-});
+module.exports.findMaterial = findMaterial;
+module.exports.getCacheStatus = getCacheStatus;
+module.exports.startCacheSync = startCacheSync;
+module.exports.countMaterialsBy = countMaterialsBy;
 
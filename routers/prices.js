@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const Price = require('../models/Price');
+const { PRICE_UNITS } = require('../models/Price');
+const SteelMaterial = require('../models/SteelMaterial');
+const { findMaterial } = require('./materials');
+const { calculateLine } = require('../utils/weightCalculator');
+const { parseDate, specPriceQuery, resolvePrice, calculateAmount } = require('../utils/priceResolver');
+const { createHttpError } = require('../utils/httpError');
+const { requireRole } = require('../utils/auth');
+
+// trade_unit(1: 중량, 2: 개수)에 맞는 기본 단가 기준
+function defaultUnitFor(material) {
+  return material && material.trade_unit === 2 ? 'piece' : 'kg';
+}
+
+// 요청의 spec 또는 id로 재료 조회 (없으면 404)
+async function findMaterialOrThrow(idOrSpec) {
+  if (!idOrSpec) {
+    throw createHttpError(400, 'spec 또는 id가 필요합니다.');
+  }
+  const material = await findMaterial(idOrSpec);
+  if (!material) {
+    throw createHttpError(404, `재료를 찾을 수 없습니다: ${idOrSpec}`);
+  }
+  return material;
+}
+
+// CREATE - 단가 등록 (품목 또는 규격 단위)
+// body: { product | spec | materialId, unit: 'kg' | 'piece', unitPrice, effectiveFrom, note }
+router.post('/', requireRole('editor'), async (req, res) => {
+  try {
+    const { product, spec, materialId, unit, unitPrice, effectiveFrom, note } = req.body;
+
+    if ((product ? 1 : 0) + (spec || materialId ? 1 : 0) !== 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'product 또는 spec(materialId) 중 하나만 지정해야 합니다.'
+      });
+    }
+
+    const price = parseFloat(unitPrice);
+    if (!Number.isFinite(price) || price < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'unitPrice는 0 이상의 숫자여야 합니다.'
+      });
+    }
+
+    if (unit !== undefined && !PRICE_UNITS.includes(unit)) {
+      return res.status(400).json({
+        success: false,
+        error: `unit은 ${PRICE_UNITS.join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
+    const entry = {
+      unitPrice: price,
+      effectiveFrom: parseDate(effectiveFrom, 'effectiveFrom'),
+      note: note || ''
+    };
+
+    if (product) {
+      const sample = await SteelMaterial.findOne({ product, deletedAt: null }).lean();
+      if (!sample) {
+        return res.status(404).json({
+          success: false,
+          error: `등록된 재료가 없는 품목입니다: ${product}`
+        });
+      }
+      Object.assign(entry, { scope: 'product', product, unit: unit || defaultUnitFor(sample) });
+    } else {
+      const material = await findMaterialOrThrow(materialId || spec);
+      Object.assign(entry, {
+        scope: 'spec',
+        spec: material.spec,
+        product: material.product,
+        material: material._id,
+        unit: unit || defaultUnitFor(material)
+      });
+    }
+
+    const created = await Price.create(entry);
+
+    res.status(201).json({
+      success: true,
+      message: '단가가 성공적으로 등록되었습니다.',
+      data: created
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// READ - 단가 목록 조회
+// query: scope, product, spec, from, to(effectiveFrom 범위), page, limit
+router.get('/', async (req, res) => {
+  try {
+    const { scope, product, spec, from, to, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    // 쿼리 문자열 값은 문자열로 고정 (?scope[$ne]=x 같은 연산자 주입 방지)
+    if (scope) query.scope = String(scope);
+    if (product) query.product = String(product);
+    if (spec) {
+      // spec 이름이 바뀐 재료도 이전 단가가 조회되도록 재료 _id 기준으로 조회
+      const material = await findMaterial(spec);
+      Object.assign(query, material ? specPriceQuery(material) : { spec });
+    }
+    if (from || to) {
+      query.effectiveFrom = {};
+      if (from) query.effectiveFrom.$gte = parseDate(from, 'from');
+      if (to) query.effectiveFrom.$lte = parseDate(to, 'to');
+    }
+
+    const pageValue = parseInt(page) || 1;
+    const limitValue = parseInt(limit) || 50;
+    const [prices, total] = await Promise.all([
+      Price.find(query)
+        .sort({ effectiveFrom: -1, createdAt: -1 })
+        .skip((pageValue - 1) * limitValue)
+        .limit(limitValue),
+      Price.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: prices,
+      pagination: {
+        page: pageValue,
+        limit: limitValue,
+        total,
+        pages: Math.ceil(total / limitValue)
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 유효 단가 조회 - 특정 날짜 기준으로 재료에 적용되는 단가
+// query: spec | id, date(기본값: 현재), quantity, length (지정 시 금액까지 계산)
+router.get('/resolve', async (req, res) => {
+  try {
+    const { spec, id, date, quantity, length } = req.query;
+    const material = await findMaterialOrThrow(id || spec);
+    const at = parseDate(date);
+    const price = await resolvePrice(material, at);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: `${at.toISOString().slice(0, 10)} 기준 ${material.spec}에 적용할 단가가 없습니다.`
+      });
+    }
+
+    const data = {
+      spec: material.spec,
+      product: material.product,
+      date: at,
+      price
+    };
+
+    if (quantity !== undefined || length !== undefined) {
+      const line = calculateLine(material, { quantity, length });
+      data.line = { ...line, unitPrice: price.unitPrice, priceUnit: price.unit, amount: calculateAmount(price, line) };
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 단가 이력 조회 - 재료에 적용되는 규격/품목 단가 전체 이력
+router.get('/history', async (req, res) => {
+  try {
+    const material = await findMaterialOrThrow(req.query.id || req.query.spec);
+
+    const prices = await Price.find({
+      $or: [
+        specPriceQuery(material),
+        { scope: 'product', product: material.product }
+      ]
+    }).sort({ effectiveFrom: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        spec: material.spec,
+        product: material.product,
+        current: await resolvePrice(material),
+        history: prices
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// READ - 단가 단건 조회
+router.get('/:id', async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: '단가를 찾을 수 없습니다.'
+      });
+    }
+
+    const price = await Price.findById(req.params.id);
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: '단가를 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: price
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE - 단가 삭제 (이력 보존을 위해 아직 적용되지 않은 미래 단가만 삭제 가능)
+router.delete('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: '단가를 찾을 수 없습니다.'
+      });
+    }
+
+    const price = await Price.findById(req.params.id);
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: '단가를 찾을 수 없습니다.'
+      });
+    }
+
+    if (price.effectiveFrom <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        error: '이미 적용된 단가는 삭제할 수 없습니다. 새 단가를 등록해주세요.'
+      });
+    }
+
+    await price.deleteOne();
+
+    res.json({
+      success: true,
+      message: '단가가 성공적으로 삭제되었습니다.',
+      data: price
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
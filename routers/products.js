@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const ProductType = require('../models/ProductType');
+const SteelMaterial = require('../models/SteelMaterial');
+const { countMaterialsBy, loadCacheFromDB } = require('./materials');
+const {
+  validateProductType,
+  assertCategoryExists,
+  propagateProductType
+} = require('../utils/taxonomy');
+const { createHttpError } = require('../utils/httpError');
+const { requireRole } = require('../utils/auth');
+const { recordAudit } = require('../utils/auditLog');
+const { loadProductCodes } = require('../utils/productCodes');
+
+// 에러 응답 (검증 오류는 필드별 오류 목록 포함)
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details ? { errors: error.details } : {})
+  });
+}
+
+// ID, code 또는 한글 이름으로 품목 조회 (없으면 404)
+async function findProductTypeOrThrow(key) {
+  const query = /^[0-9a-fA-F]{24}$/.test(key)
+    ? { _id: key }
+    : { $or: [{ code: key.toUpperCase() }, { nameKo: key }] };
+  const productType = await ProductType.findOne(query);
+  if (!productType) {
+    throw createHttpError(404, `품목을 찾을 수 없습니다: ${key}`);
+  }
+  return productType;
+}
+
+// 다른 품목이 같은 code 또는 이름을 사용 중이면 409
+async function assertProductTypeAvailable({ code, nameKo }, exceptId) {
+  const conditions = [];
+  if (code) conditions.push({ code: code.toUpperCase() });
+  if (nameKo) conditions.push({ nameKo });
+  if (conditions.length === 0) return;
+
+  const query = { $or: conditions };
+  if (exceptId) query._id = { $ne: exceptId };
+  const existing = await ProductType.findOne(query).lean();
+  if (existing) {
+    const field = code && existing.code === code.toUpperCase() ? 'code' : 'nameKo';
+    throw createHttpError(409, `이미 존재하는 품목 ${field}입니다: ${existing[field]}`);
+  }
+}
+
+// 품목별 재료 수 추가 (캐시 기준)
+async function withCounts(productTypes) {
+  const counts = await countMaterialsBy('product');
+  return productTypes.map(productType => ({
+    ...productType,
+    materialCount: counts.get(productType.nameKo) || 0
+  }));
+}
+
+// READ - 품목 목록 (표시 순서대로, 재료 수 포함)
+// query: category(분류 code)
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.category !== undefined) {
+      query.category = parseInt(req.query.category);
+      if (Number.isNaN(query.category)) {
+        throw createHttpError(400, 'category는 분류 code(숫자)여야 합니다.');
+      }
+    }
+
+    const productTypes = await ProductType.find(query).sort({ order: 1, nameKo: 1 }).lean();
+    res.json({
+      success: true,
+      data: await withCounts(productTypes)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// READ - 품목 상세 (ID, code 또는 한글 이름)
+router.get('/:id', async (req, res) => {
+  try {
+    const productType = await findProductTypeOrThrow(req.params.id);
+    const [data] = await withCounts([productType.toObject()]);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// CREATE - 품목 등록 (같은 이름의 기존 재료는 자동 연결)
+// body: { code, nameKo, nameEn, category, defaults: { method_calc, initial_length, trade_unit }, order }
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const data = validateProductType(req.body, { mode: 'create' });
+    await assertCategoryExists(data.category);
+    await assertProductTypeAvailable(data);
+
+    const productType = await ProductType.create(data);
+    await loadProductCodes();
+    const { modifiedCount } = await SteelMaterial.updateMany(
+      { product: productType.nameKo },
+      { $set: { productType: productType._id } }
+    );
+    if (modifiedCount > 0) {
+      await loadCacheFromDB();
+    }
+
+    console.log(`🏷️  품목 등록: ${productType.code} ${productType.nameKo} (재료 ${modifiedCount}개 연결)`);
+    res.status(201).json({
+      success: true,
+      message: '품목이 등록되었습니다.',
+      data: productType,
+      linkedMaterials: modifiedCount
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// UPDATE - 품목 수정 (이름/분류를 바꾸면 연결된 재료와 단가의 product, cat_product도 함께 변경)
+// body: 등록과 같은 필드 중 변경할 필드만 (defaults는 보낸 항목만 변경, null이면 기본값 삭제)
+// code는 품목별 규칙(spec 형식, 검색 별칭 등)의 기준이므로 변경할 수 없음 (같은 값은 허용)
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const updates = validateProductType(req.body, { mode: 'patch' });
+    const productType = await findProductTypeOrThrow(req.params.id);
+    if (updates.code !== undefined && updates.code.toUpperCase() !== productType.code) {
+      throw createHttpError(422, '입력값이 올바르지 않습니다.', [
+        { field: 'code', message: 'code는 품목별 규칙(spec 형식, 검색 별칭 등)의 기준이므로 변경할 수 없습니다.', value: updates.code }
+      ]);
+    }
+    if (updates.category !== undefined) {
+      await assertCategoryExists(updates.category);
+    }
+    await assertProductTypeAvailable(updates, productType._id);
+
+    const previous = productType.toObject();
+    const { defaults, ...fields } = updates;
+    Object.assign(productType, fields);
+    if (defaults) {
+      productType.defaults = { ...previous.defaults, ...defaults };
+    }
+    await productType.save();
+    await loadProductCodes();
+
+    const { audits, ...propagated } = await propagateProductType(previous, productType);
+    await recordAudit(req, audits);
+    if (propagated.materials > 0) {
+      await loadCacheFromDB();
+    }
+
+    if (previous.nameKo !== productType.nameKo) {
+      console.log(`🏷️  품목 이름 변경: ${previous.nameKo} → ${productType.nameKo} (재료 ${propagated.materials}개, 단가 ${propagated.prices}개)`);
+    }
+    res.json({
+      success: true,
+      message: '품목이 수정되었습니다.',
+      data: productType,
+      propagated
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// DELETE - 품목 삭제 (재료가 남아 있으면 409)
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const productType = await findProductTypeOrThrow(req.params.id);
+    const inUse = await SteelMaterial.countDocuments({
+      $or: [{ productType: productType._id }, { product: productType.nameKo }]
+    });
+    if (inUse > 0) {
+      throw createHttpError(409, `이 품목을 사용하는 재료가 ${inUse}개 있어 삭제할 수 없습니다.`);
+    }
+
+    await productType.deleteOne();
+    await loadProductCodes();
+    console.log(`🗑️  품목 삭제: ${productType.code} ${productType.nameKo}`);
+    res.json({
+      success: true,
+      message: '품목이 삭제되었습니다.',
+      data: productType
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
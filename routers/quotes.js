@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const Quote = require('../models/Quote');
+const Counter = require('../models/Counter');
+const { QUOTE_STATUSES } = require('../models/Quote');
+const { findMaterial } = require('./materials');
+const { buildQuoteItems, summarizeQuote, DEFAULT_VAT_RATE } = require('../utils/quoteBuilder');
+const { parseDate } = require('../utils/priceResolver');
+const { createHttpError } = require('../utils/httpError');
+const { requireRole } = require('../utils/auth');
+
+// 상태 변경 허용 규칙
+const STATUS_TRANSITIONS = {
+  draft: ['issued', 'cancelled'],
+  issued: ['cancelled'],
+  cancelled: []
+};
+
+// 견적번호 생성 (Q-YYYYMMDD-001 형식, 날짜별 일련번호)
+// 일련번호는 날짜별 카운터에서 원자적으로 발급 (카운터가 없으면 기존 견적의 가장 큰 번호부터 시작)
+async function generateQuoteNumber(date) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const prefix = `Q-${day}-`;
+  const seq = await Counter.next(`quote-${day}`, async () => {
+    const quotes = await Quote.find({ quoteNumber: { $regex: `^${prefix}` } }).select('quoteNumber').lean();
+    // 문자열 정렬은 999 다음 1000에서 순서가 틀어지므로 숫자로 비교
+    return quotes.reduce((max, quote) => Math.max(max, parseInt(quote.quoteNumber.slice(prefix.length)) || 0), 0);
+  });
+  return `${prefix}${String(seq).padStart(3, '0')}`;
+}
+
+// ID 또는 견적번호로 조회
+function findQuote(id) {
+  return /^[0-9a-fA-F]{24}$/.test(id)
+    ? Quote.findById(id)
+    : Quote.findOne({ quoteNumber: id });
+}
+
+// 거래처 정보 검증
+function parseCustomer(customer) {
+  const value = typeof customer === 'string' ? { name: customer } : customer;
+  if (!value || !value.name) {
+    throw createHttpError(400, 'customer.name은 필수 항목입니다.');
+  }
+  return value;
+}
+
+// 부가세율 검증
+function parseVatRate(vatRate) {
+  if (vatRate === undefined) return DEFAULT_VAT_RATE;
+  const rate = parseFloat(vatRate);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+    throw createHttpError(400, 'vatRate는 0 이상 1 이하의 숫자여야 합니다.');
+  }
+  return rate;
+}
+
+// 에러 응답 (품목 오류 상세 포함)
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details ? { errors: error.details } : {})
+  });
+}
+
+// CREATE - 견적 작성
+// body: { customer: { name, contact, phone, email, address }, quoteDate, validUntil, vatRate, note,
+//         items: [{ spec | id, length, quantity, unitPrice(선택), priceUnit(선택), note }] }
+router.post('/', requireRole('editor'), async (req, res) => {
+  try {
+    const { customer, quoteDate, validUntil, vatRate, note, items } = req.body;
+
+    const date = parseDate(quoteDate, 'quoteDate');
+    const quoteItems = await buildQuoteItems(items, { date, findMaterial });
+
+    const quote = new Quote({
+      quoteNumber: await generateQuoteNumber(date),
+      customer: parseCustomer(customer),
+      quoteDate: date,
+      validUntil: validUntil ? parseDate(validUntil, 'validUntil') : undefined,
+      items: quoteItems,
+      note: note || '',
+      ...summarizeQuote(quoteItems, parseVatRate(vatRate))
+    });
+
+    await quote.save();
+
+    res.status(201).json({
+      success: true,
+      message: '견적서가 성공적으로 작성되었습니다.',
+      data: quote
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// READ - 견적 목록 조회 (품목 제외)
+// query: customer(거래처명 부분 일치), status, from, to(견적일 범위), page, limit
+router.get('/', async (req, res) => {
+  try {
+    const { customer, status, from, to, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (customer) {
+      query['customer.name'] = { $regex: customer.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    if (status) query.status = status;
+    if (from || to) {
+      query.quoteDate = {};
+      if (from) query.quoteDate.$gte = parseDate(from, 'from');
+      if (to) query.quoteDate.$lte = parseDate(to, 'to');
+    }
+
+    const pageValue = parseInt(page) || 1;
+    const limitValue = parseInt(limit) || 50;
+    const [quotes, total] = await Promise.all([
+      Quote.find(query)
+        .select('-items')
+        .sort({ quoteDate: -1, quoteNumber: -1 })
+        .skip((pageValue - 1) * limitValue)
+        .limit(limitValue),
+      Quote.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: quotes,
+      pagination: {
+        page: pageValue,
+        limit: limitValue,
+        total,
+        pages: Math.ceil(total / limitValue)
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// READ - 견적 상세 조회 (ID 또는 견적번호)
+router.get('/:id', async (req, res) => {
+  try {
+    const quote = await findQuote(req.params.id);
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: '견적서를 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// UPDATE - 견적 수정
+// 작성 중(draft)인 견적만 내용 수정 가능, 발행/취소된 견적은 상태 변경만 가능
+// items의 기존 품목(_id 포함)은 작성 당시 스냅샷을 유지하며, reprice: true이면 현재 재료/단가로 다시 계산
+router.put('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const quote = await findQuote(req.params.id);
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: '견적서를 찾을 수 없습니다.'
+      });
+    }
+
+    const { customer, quoteDate, validUntil, vatRate, note, items, reprice, status } = req.body;
+    const contentChanged = [customer, quoteDate, validUntil, vatRate, note, items, reprice]
+      .some(value => value !== undefined);
+
+    if (contentChanged && quote.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        error: '발행되었거나 취소된 견적서는 수정할 수 없습니다.'
+      });
+    }
+
+    if (status !== undefined && status !== quote.status) {
+      if (!QUOTE_STATUSES.includes(status) || !STATUS_TRANSITIONS[quote.status].includes(status)) {
+        return res.status(409).json({
+          success: false,
+          error: `견적 상태를 ${quote.status}에서 ${status}(으)로 변경할 수 없습니다.`
+        });
+      }
+    }
+
+    if (customer !== undefined) quote.customer = parseCustomer(customer);
+    if (quoteDate !== undefined) quote.quoteDate = parseDate(quoteDate, 'quoteDate');
+    if (validUntil !== undefined) quote.validUntil = validUntil ? parseDate(validUntil, 'validUntil') : undefined;
+    if (note !== undefined) quote.note = note;
+
+    if (items !== undefined || reprice || vatRate !== undefined) {
+      const inputs = items !== undefined
+        ? items
+        : quote.items.map(item => ({ _id: item._id, quantity: item.quantity, length: item.length, note: item.note }));
+      const quoteItems = await buildQuoteItems(inputs, {
+        date: quote.quoteDate,
+        findMaterial,
+        existingItems: quote.items,
+        reprice: reprice === true
+      });
+      quote.items = quoteItems;
+      Object.assign(quote, summarizeQuote(quoteItems, vatRate !== undefined ? parseVatRate(vatRate) : quote.vatRate));
+    }
+
+    if (status !== undefined && status !== quote.status) {
+      quote.status = status;
+      if (status === 'issued') quote.issuedAt = new Date();
+    }
+
+    await quote.save();
+
+    res.json({
+      success: true,
+      message: '견적서가 성공적으로 수정되었습니다.',
+      data: quote
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// DELETE - 견적 삭제 (작성 중인 견적만)
+router.delete('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const quote = await findQuote(req.params.id);
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: '견적서를 찾을 수 없습니다.'
+      });
+    }
+
+    if (quote.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        error: '발행된 견적서는 삭제할 수 없습니다. 취소 상태로 변경해주세요.'
+      });
+    }
+
+    await quote.deleteOne();
+
+    res.json({
+      success: true,
+      message: '견적서가 성공적으로 삭제되었습니다.',
+      data: quote
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const { findMaterial } = require('./materials');
+const { stockWeight, recordMovement } = require('../utils/stockLedger');
+const { parseDate } = require('../utils/priceResolver');
+const { round } = require('../utils/weightCalculator');
+const { createHttpError } = require('../utils/httpError');
+const { requireRole } = require('../utils/auth');
+
+// spec 또는 id로 재료 조회 (없으면 404)
+async function findMaterialOrThrow(idOrSpec) {
+  const material = await findMaterial(idOrSpec);
+  if (!material) {
+    throw createHttpError(404, `재료를 찾을 수 없습니다: ${idOrSpec}`);
+  }
+  return material;
+}
+
+// READ - 현재 재고 조회
+// query: spec | id, location
+router.get('/', async (req, res) => {
+  try {
+    const { spec, id, location } = req.query;
+    const query = { pieces: { $gt: 0 } };
+
+    if (id || spec) {
+      const material = await findMaterialOrThrow(id || spec);
+      query.material = material._id;
+    }
+    // 쿼리 문자열 값은 문자열로 고정 (?location[$ne]=x 같은 연산자 주입 방지)
+    if (location) query.location = String(location);
+
+    const balances = await StockBalance.find(query).sort({ location: 1, length: -1 }).lean();
+
+    const rows = [];
+    for (const balance of balances) {
+      const material = await findMaterial(balance.material.toString());
+      if (!material) continue;
+      const isSheet = material.method_calc === 3;
+      rows.push({
+        material: {
+          _id: material._id,
+          spec: material.spec,
+          product: material.product
+        },
+        location: balance.location,
+        unit: isSheet ? '장' : '본',
+        length: isSheet ? null : balance.length,
+        pieces: balance.pieces,
+        totalLength: isSheet ? null : round(balance.length * balance.pieces),
+        weight: stockWeight(material, balance.length, balance.pieces),
+        updatedAt: balance.updatedAt
+      });
+    }
+
+    // 창고별 합계
+    const byLocation = {};
+    rows.forEach(row => {
+      const total = byLocation[row.location] || { pieces: 0, weight: 0 };
+      total.pieces += row.pieces;
+      total.weight = round(total.weight + row.weight);
+      byLocation[row.location] = total;
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      totals: {
+        pieces: rows.reduce((sum, row) => sum + row.pieces, 0),
+        weight: round(rows.reduce((sum, row) => sum + row.weight, 0)),
+        byLocation
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 재고 이동 기록 (입고/출고/조정/이동)
+// body: { type: receive | issue | adjust | transfer, spec | id, location, toLocation(transfer),
+//         pieces(adjust는 증감 수량), length(m, 기본값 정척, 판재는 무시), reference, note }
+router.post('/movements', requireRole('editor'), async (req, res) => {
+  try {
+    const key = req.body.id || req.body.spec;
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'spec 또는 id가 필요합니다.'
+      });
+    }
+
+    const material = await findMaterialOrThrow(key);
+    const movement = await recordMovement(material, req.body);
+
+    console.log(`📦 재고 이동 기록: ${movement.type} ${movement.spec} ${movement.pieces} @ ${movement.location}${movement.toLocation ? ` → ${movement.toLocation}` : ''}`);
+
+    res.status(201).json({
+      success: true,
+      message: '재고 이동이 기록되었습니다.',
+      data: movement
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 재고 이동 원장 조회
+// query: spec | id, location(출발 또는 도착), type, from, to, page, limit
+router.get('/movements', async (req, res) => {
+  try {
+    const { spec, id, location, type, from, to, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (id || spec) {
+      const material = await findMaterialOrThrow(id || spec);
+      query.material = material._id;
+    }
+    if (location) query.$or = [{ location: String(location) }, { toLocation: String(location) }];
+    if (type) query.type = String(type);
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = parseDate(from, 'from');
+      if (to) query.createdAt.$lte = parseDate(to, 'to');
+    }
+
+    const pageValue = parseInt(page) || 1;
+    const limitValue = parseInt(limit) || 50;
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageValue - 1) * limitValue)
+        .limit(limitValue),
+      StockMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: movements,
+      pagination: {
+        page: pageValue,
+        limit: limitValue,
+        total,
+        pages: Math.ceil(total / limitValue)
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
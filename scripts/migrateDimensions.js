@@ -0,0 +1,35 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { rebuildDimensions } = require('../utils/materialDimensions');
+
+// ============================================
+// 치수 정보 마이그레이션 스크립트
+// ============================================
+// 사용법:
+//   npm run migrate:dimensions            # dimensions가 없는 재료만 계산
+//   npm run migrate:dimensions -- --all   # 전체 재료 다시 계산 (specParser 변경 후)
+// 서버 시작 시에도 빠진 재료는 자동으로 채우므로, 여러 번 실행해도 안전
+async function main() {
+  const all = process.argv.slice(2).includes('--all');
+  const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+
+  if (!MONGODB_URI) {
+    throw new Error('MongoDB URI가 설정되지 않았습니다. 환경 변수 MONGODB_URI 또는 MONGO_URI를 설정해주세요.');
+  }
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  console.log('✅ MongoDB 연결 성공!');
+
+  try {
+    const result = await rebuildDimensions({ missingOnly: !all });
+    console.log(`✅ 치수 계산 완료: ${result.count}개 저장 (해석 실패 ${result.unparsedCount}개)`);
+    console.log('💡 실행 중인 서버가 있다면 POST /api/materials/sync 로 캐시를 동기화하세요.');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ 마이그레이션 실패:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrateTaxonomy } = require('../utils/taxonomy');
+
+// ============================================
+// 품목/분류 마이그레이션 스크립트
+// ============================================
+// 사용법:
+//   npm run migrate:taxonomy
+// 기본 분류(categories)와 품목(product_types)을 등록하고, 기존 재료에 productType을 연결
+// 이미 등록된 분류/품목은 수정하지 않으므로 여러 번 실행해도 안전
+async function main() {
+  const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+
+  if (!MONGODB_URI) {
+    throw new Error('MongoDB URI가 설정되지 않았습니다. 환경 변수 MONGODB_URI 또는 MONGO_URI를 설정해주세요.');
+  }
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  console.log('✅ MongoDB 연결 성공!');
+
+  try {
+    const result = await migrateTaxonomy();
+
+    console.log(`✅ 마이그레이션 완료: 분류 ${result.categories}개 등록, 품목 ${result.productTypes}개 등록, 재료 ${result.linked}개 연결`);
+    if (result.discovered.length > 0) {
+      console.warn(`⚠️  기본 목록에 없는 품목을 추가했습니다 (code/영문 이름 확인 필요): ${result.discovered.join(', ')}`);
+    }
+    console.log('💡 실행 중인 서버가 있다면 POST /api/materials/sync 로 캐시를 동기화하세요.');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ 마이그레이션 실패:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const { DEFAULT_BACKUP_FILE, readBackupFile, seedMaterials } = require('../utils/materialSeed');
+const { rebuildDimensions } = require('../utils/materialDimensions');
+const { recordAudit } = require('../utils/auditLog');
+
+// 감사 로그에 남길 실행자 (HTTP 요청이 아니므로 고정 이름 사용)
+const SCRIPT_ACTOR = { user: { username: 'script:seed' } };
+
+// ============================================
+// 백업 파일 시드 스크립트
+// ============================================
+// 사용법:
+//   npm run seed                              # 백업 파일 upsert (_id 기준)
+//   npm run seed -- --wipe                    # 컬렉션을 비우고 다시 적재 (재고가 연결된 재료가 있으면 중단)
+//   npm run seed -- --wipe --force            # 재고가 연결된 재료까지 지우고 다시 적재
+//   npm run seed -- --match spec              # spec 기준으로 upsert
+//   npm run seed -- --file ./other_backup.json
+function parseArgs(argv) {
+  const options = { file: DEFAULT_BACKUP_FILE, wipe: false, force: false, matchBy: '_id' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--wipe') {
+      options.wipe = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--file') {
+      options.file = path.resolve(argv[++i]);
+    } else if (arg === '--match') {
+      options.matchBy = argv[++i];
+    } else {
+      throw new Error(`알 수 없는 옵션입니다: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+
+  if (!MONGODB_URI) {
+    throw new Error('MongoDB URI가 설정되지 않았습니다. 환경 변수 MONGODB_URI 또는 MONGO_URI를 설정해주세요.');
+  }
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  console.log('✅ MongoDB 연결 성공!');
+
+  try {
+    console.log(`📂 백업 파일 읽는 중: ${options.file}`);
+    const docs = readBackupFile(options.file);
+
+    if (options.wipe) {
+      console.warn('⚠️  --wipe 옵션: 기존 steel_materials 컬렉션을 모두 삭제합니다.');
+    }
+
+    const { summary: result, audits } = await seedMaterials(docs, options);
+    await recordAudit(SCRIPT_ACTOR, audits);
+
+    console.log(`✅ 시드 완료: 전체 ${result.total}, 추가 ${result.inserted}, 수정 ${result.updated}, 건너뜀 ${result.skipped}, 삭제 ${result.deleted}, 휴지통에서 복원 ${result.restored.length}`);
+    result.errors.forEach(error => {
+      console.warn(`⚠️  [${error.index}] ${error.spec || '(spec 없음)'}: ${error.message}`);
+    });
+
+    // 백업 파일에 없던 기존 재료도 치수 정보 저장
+    const dimensions = await rebuildDimensions({ missingOnly: true });
+    if (dimensions.count > 0) {
+      console.log(`📐 치수 정보 저장: ${dimensions.count}개 항목 (해석 실패 ${dimensions.unparsedCount}개)`);
+    }
+    console.log('💡 새로 적재한 재료의 품목 연결은 npm run migrate:taxonomy 로 반영하세요.');
+    console.log('💡 실행 중인 서버가 있다면 POST /api/materials/sync 로 캐시를 동기화하세요.');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ 시드 실패:', error.message);
+  (error.details || []).forEach(material => console.error(`   - ${material.spec} (${material._id})`));
+  process.exit(1);
+});
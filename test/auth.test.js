@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const SteelMaterial = require('../models/SteelMaterial');
+const authRouter = require('../routers/auth');
+const materialsRouter = require('../routers/materials');
+const { authenticate, hashPassword, hasRole } = require('../utils/auth');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { withServer, request } = require('./helpers/app');
+
+// ============================================
+// 인증/권한 테스트 - JWT 로그인, API 키, 역할별 접근
+// ============================================
+
+const PASSWORD = 'password1234';
+useMemoryModel(User, ['viewer', 'editor', 'admin'].map(role => ({
+  username: role,
+  passwordHash: hashPassword(PASSWORD),
+  role
+})).concat([{ username: 'retired', passwordHash: hashPassword(PASSWORD), role: 'admin', active: false }]));
+useMemoryModel(ApiKey);
+useMemoryModel(SteelMaterial);
+
+// index.js와 같은 순서로 인증 미들웨어 연결
+const app = express();
+app.use(express.json());
+app.use('/api', authenticate);
+app.use('/api/auth', authRouter);
+app.use('/api/materials', materialsRouter);
+
+async function login(baseUrl, username) {
+  const { status, body } = await request(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    body: { username, password: PASSWORD }
+  });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  return { Authorization: `Bearer ${body.data.token}` };
+}
+
+test('역할은 viewer < editor < admin 순서로 상위 권한을 포함한다', () => {
+  assert.ok(hasRole('admin', 'editor'));
+  assert.ok(hasRole('editor', 'editor'));
+  assert.ok(!hasRole('viewer', 'editor'));
+  assert.ok(!hasRole('editor', 'admin'));
+});
+
+test('로그인하면 토큰으로 사용자 정보를 조회하고, 잘못된 비밀번호나 비활성 계정은 401', async () => {
+  await withServer(app, async baseUrl => {
+    const headers = await login(baseUrl, 'editor');
+    const me = await request(`${baseUrl}/api/auth/me`, { headers });
+    assert.strictEqual(me.body.data.username, 'editor');
+    assert.strictEqual(me.body.data.role, 'editor');
+
+    const anonymous = await request(`${baseUrl}/api/auth/me`);
+    assert.strictEqual(anonymous.body.data.role, 'viewer');
+
+    const wrong = await request(`${baseUrl}/api/auth/login`, { method: 'POST', body: { username: 'editor', password: 'wrong-password' } });
+    assert.strictEqual(wrong.status, 401);
+    assert.ok(!JSON.stringify(wrong.body).includes('passwordHash'));
+
+    const retired = await request(`${baseUrl}/api/auth/login`, { method: 'POST', body: { username: 'retired', password: PASSWORD } });
+    assert.strictEqual(retired.status, 401);
+
+    const forged = await request(`${baseUrl}/api/auth/me`, { headers: { Authorization: 'Bearer not-a-token' } });
+    assert.strictEqual(forged.status, 401);
+  });
+});
+
+test('쓰기 API는 비로그인 401, 권한이 부족하면 403', async () => {
+  await withServer(app, async baseUrl => {
+    const create = await request(`${baseUrl}/api/materials`, { method: 'POST', body: {} });
+    assert.strictEqual(create.status, 401);
+
+    const viewer = await login(baseUrl, 'viewer');
+    const viewerCreate = await request(`${baseUrl}/api/materials`, { method: 'POST', body: {}, headers: viewer });
+    assert.strictEqual(viewerCreate.status, 403);
+
+    const editor = await login(baseUrl, 'editor');
+    const editorSync = await request(`${baseUrl}/api/materials/sync`, { method: 'POST', headers: editor });
+    assert.strictEqual(editorSync.status, 403);
+    assert.match(editorSync.body.error, /admin/);
+
+    const admin = await login(baseUrl, 'admin');
+    const adminSync = await request(`${baseUrl}/api/materials/sync`, { method: 'POST', headers: admin });
+    assert.strictEqual(adminSync.status, 200);
+  });
+});
+
+test('캐시 상태 조회는 비로그인(viewer)도 가능하다', async () => {
+  await withServer(app, async baseUrl => {
+    const { status, body } = await request(`${baseUrl}/api/materials/cache/status`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.ok('isLoaded' in body.data);
+  });
+});
+
+test('API 키는 발급한 권한으로 인증되고, 폐기하면 401', async () => {
+  await withServer(app, async baseUrl => {
+    const admin = await login(baseUrl, 'admin');
+    const issued = await request(`${baseUrl}/api/auth/api-keys`, { method: 'POST', body: { name: 'erp', role: 'editor' }, headers: admin });
+    assert.strictEqual(issued.status, 201);
+    assert.ok(!('keyHash' in issued.body.data));
+
+    const headers = { 'X-API-Key': issued.body.data.key };
+    const me = await request(`${baseUrl}/api/auth/me`, { headers });
+    assert.deepStrictEqual([me.body.data.username, me.body.data.role], ['apikey:erp', 'editor']);
+
+    const revoked = await request(`${baseUrl}/api/auth/api-keys/${issued.body.data._id}`, { method: 'DELETE', headers: admin });
+    assert.strictEqual(revoked.status, 200);
+    const after = await request(`${baseUrl}/api/auth/me`, { headers });
+    assert.strictEqual(after.status, 401);
+  });
+});
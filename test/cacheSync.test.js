@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+// 버전 확인 주기를 줄여 polling 동작을 바로 확인
+process.env.CACHE_POLL_INTERVAL_MS = '20';
+
+const SteelMaterial = require('../models/SteelMaterial');
+const CollectionVersion = require('../models/CollectionVersion');
+const { createCacheSync } = require('../utils/cacheSync');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+// ============================================
+// 캐시 동기화 테스트 - 전체 비교, 변경 스트림 이벤트, polling 버전 확인
+// ============================================
+
+const hBeam = { spec: 'H100x100x6x8', wpm: 17.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2 };
+const updatedAt = new Date('2026-10-01T00:00:00Z');
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 다음 버전 확인이 끝날 때까지 대기 (최대 2초)
+async function until(predicate) {
+  for (let i = 0; i < 200 && !predicate(); i++) await wait(10);
+  assert.ok(predicate(), '시간 안에 반영되지 않았습니다.');
+}
+
+// 라우터의 캐시 대신 Map으로 캐시를 두고 동기화 생성
+function createCache(store) {
+  const cache = new Map();
+  const calls = { finds: [], reloads: 0 };
+  const find = SteelMaterial.find;
+  SteelMaterial.find = filter => {
+    calls.finds.push(filter);
+    return find(filter);
+  };
+  const sync = createCacheSync({
+    model: SteelMaterial,
+    getEntries: () => [...cache.values()],
+    getEntry: id => cache.get(id),
+    activeFilter: { deletedAt: null },
+    isActive: doc => !doc.deletedAt,
+    onUpsert: doc => cache.set(doc._id.toString(), doc),
+    onRemove: id => cache.delete(id),
+    onReload: async () => {
+      calls.reloads++;
+      cache.clear();
+      store.filter(doc => !doc.deletedAt).forEach(doc => cache.set(doc._id.toString(), { ...doc }));
+    }
+  });
+  return { cache, calls, sync };
+}
+
+function fakeStream() {
+  const stream = new EventEmitter();
+  stream.closed = false;
+  stream.close = async () => { stream.closed = true; };
+  return stream;
+}
+
+test('전체 비교는 추가/수정/휴지통/삭제된 문서만 캐시에 반영한다', async () => {
+  const store = useMemoryModel(SteelMaterial, [
+    { ...hBeam, updatedAt },
+    { ...hBeam, spec: 'H150x75x5x7', wpm: 14, updatedAt },
+    { ...hBeam, spec: 'H200x100x5.5x8', wpm: 21.3, updatedAt }
+  ]);
+  const { cache, sync } = createCache(store);
+
+  await sync.reconcile();
+  assert.strictEqual(cache.size, 3);
+  assert.deepStrictEqual(sync.status().applied, { upserts: 3, removes: 0, reloads: 0 });
+
+  // 내용이 같으면 다시 반영하지 않음
+  await sync.reconcile();
+  assert.strictEqual(sync.status().applied.upserts, 3);
+
+  store[0].wpm = 17.5;
+  store[1].deletedAt = new Date();
+  store.splice(2, 1);
+  cache.set('0'.repeat(24), { _id: '0'.repeat(24), spec: 'stale' });
+
+  await sync.reconcile();
+  assert.deepStrictEqual([...cache.values()].map(doc => [doc.spec, doc.wpm]), [['H100x100x6x8', 17.5]]);
+  assert.deepStrictEqual(sync.status().applied, { upserts: 4, removes: 3, reloads: 0 });
+  assert.deepStrictEqual(sync.status().since, updatedAt);
+});
+
+test('변경 스트림 이벤트를 항목 단위로 반영하고 무효화되면 다시 로드 후 재구독한다', async () => {
+  const store = useMemoryModel(SteelMaterial, [{ ...hBeam, updatedAt }]);
+  const { cache, calls, sync } = createCache(store);
+  const streams = [];
+  const watch = SteelMaterial.watch;
+  SteelMaterial.watch = (pipeline, options) => {
+    const stream = fakeStream();
+    stream.options = options;
+    streams.push(stream);
+    return stream;
+  };
+
+  try {
+    await sync.start('changeStream');
+    assert.strictEqual(sync.status().mode, 'changeStream');
+    assert.strictEqual(cache.size, 1);
+    assert.deepStrictEqual(streams[0].options, { fullDocument: 'updateLookup' });
+
+    const id = store[0]._id;
+    const other = { ...hBeam, _id: '1'.repeat(24), spec: 'H150x75x5x7' };
+    const wallTime = new Date(Date.now() - 1000);
+    streams[0].emit('change', { _id: { token: 1 }, operationType: 'insert', fullDocument: other, wallTime });
+    streams[0].emit('change', { _id: { token: 2 }, operationType: 'update', fullDocument: { ...store[0], wpm: 17.5 }, documentKey: { _id: id } });
+    assert.strictEqual(cache.get(id.toString()).wpm, 17.5);
+    assert.strictEqual(cache.size, 2);
+
+    // 휴지통으로 이동, 조회 시점에 이미 삭제된 문서, 완전 삭제
+    streams[0].emit('change', { _id: { token: 3 }, operationType: 'update', fullDocument: { ...store[0], deletedAt: new Date() }, documentKey: { _id: id } });
+    assert.ok(!cache.has(id.toString()));
+    streams[0].emit('change', { _id: { token: 4 }, operationType: 'delete', documentKey: { _id: other._id } });
+    assert.strictEqual(cache.size, 0);
+
+    const status = sync.status();
+    assert.deepStrictEqual(status.resumeToken, { token: 4 });
+    assert.deepStrictEqual(status.applied, { upserts: 3, removes: 2, reloads: 0 });
+
+    streams[0].emit('change', { _id: { token: 5 }, operationType: 'invalidate' });
+    await until(() => streams.length === 2);
+    assert.strictEqual(calls.reloads, 1);
+    assert.ok(streams[0].closed);
+    assert.strictEqual(streams.length, 2);
+    assert.deepStrictEqual(streams[1].options, { fullDocument: 'updateLookup' });
+    assert.strictEqual(cache.size, 1);
+    assert.strictEqual(sync.status().resumeToken, null);
+
+    // 재개 토큰 만료 오류는 토큰을 버리고 재연결을 예약
+    streams[1].emit('change', { _id: { token: 6 }, operationType: 'insert', fullDocument: other });
+    streams[1].emit('error', Object.assign(new Error('history lost'), { code: 286 }));
+    assert.strictEqual(sync.status().resumeToken, null);
+    assert.strictEqual(sync.status().lastError, 'history lost');
+  } finally {
+    sync.stop();
+    SteelMaterial.watch = watch;
+  }
+  assert.strictEqual(sync.status().mode, 'off');
+});
+
+test('polling은 다른 인스턴스의 변경만 조회하고 자기 쓰기는 건너뛴다', async () => {
+  const store = useMemoryModel(SteelMaterial, [
+    { ...hBeam, updatedAt },
+    { ...hBeam, spec: 'H150x75x5x7', wpm: 14, updatedAt }
+  ]);
+  const versions = useMemoryModel(CollectionVersion, [{ _id: 'steel_materials', version: 3 }]);
+  const { cache, calls, sync } = createCache(store);
+
+  try {
+    await sync.start('polling');
+    assert.strictEqual(sync.status().mode, 'polling');
+    assert.strictEqual(sync.status().version, 3);
+    assert.strictEqual(cache.size, 2);
+    assert.deepStrictEqual(calls.finds, [{ deletedAt: null }]);
+
+    // 이 인스턴스의 쓰기: 버전은 오르지만 DB를 다시 조회하지 않음
+    await CollectionVersion.bump('steel_materials');
+    await until(() => sync.status().version === 4);
+    assert.strictEqual(calls.finds.length, 1);
+
+    // 다른 인스턴스의 쓰기: 마지막 확인 이후 바뀐 문서만 조회
+    store[0].wpm = 17.5;
+    store[0].updatedAt = new Date();
+    versions[0].version = 5;
+    versions[0].updatedAt = new Date();
+    await until(() => sync.status().version === 5);
+    assert.strictEqual(cache.get(store[0]._id.toString()).wpm, 17.5);
+    assert.strictEqual(calls.finds.length, 2);
+    assert.ok(calls.finds[1].updatedAt.$gte < updatedAt);
+    assert.ok(sync.status().lagMs >= 0);
+
+    // 완전히 삭제된 문서는 개수 차이로 감지해 전체 비교
+    store.splice(1, 1);
+    versions[0].version = 6;
+    await until(() => sync.status().version === 6);
+    assert.strictEqual(cache.size, 1);
+    assert.deepStrictEqual(calls.finds.slice(-1), [{ deletedAt: null }]);
+  } finally {
+    sync.stop();
+  }
+});
+
+test('알 수 없는 동기화 방식은 거부하고 off는 아무것도 시작하지 않는다', async () => {
+  const store = useMemoryModel(SteelMaterial);
+  const { calls, sync } = createCache(store);
+  await assert.rejects(sync.start('push'), /CACHE_SYNC_MODE/);
+  await sync.start('off');
+  assert.strictEqual(sync.status().mode, 'off');
+  assert.strictEqual(calls.finds.length, 0);
+});
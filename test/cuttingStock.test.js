@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const materialsRouter = require('../routers/materials');
+const { planCuts } = require('../utils/cuttingStock');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 절단 계획 테스트 - kerf 계산, 최적/휴리스틱 비교, 입력 검증
+// ============================================
+
+// 최적 적합 감소로는 6본, 분기 한정법으로는 5본이 나오는 조각 구성
+const HARD_PIECES = [
+  { length: 2900, quantity: 1 },
+  { length: 1700, quantity: 1 },
+  { length: 2500, quantity: 2 },
+  { length: 1700, quantity: 2 },
+  { length: 4800, quantity: 2 },
+  { length: 2100, quantity: 2 }
+];
+
+test('조각 사이마다 kerf를 빼고, 남는 토막을 잘라내는 절단도 kerf로 계산한다', () => {
+  const exact = planCuts({ pieces: [{ length: 2000, quantity: 3 }], stockLength: 6000 });
+  assert.strictEqual(exact.summary.barCount, 1);
+  assert.deepStrictEqual(exact.bars[0], { bar: 1, cuts: [2000, 2000, 2000], used: 6000, kerfLoss: 0, offcut: 0 });
+
+  // 2000 × 3 + kerf 5 × 2 = 6010mm > 6000mm → 2본
+  const withKerf = planCuts({ pieces: [{ length: 2000, quantity: 3 }], stockLength: 6000, kerf: 5 });
+  assert.strictEqual(withKerf.summary.barCount, 2);
+  assert.deepStrictEqual(withKerf.bars.map(bar => bar.cuts), [[2000, 2000], [2000]]);
+  assert.deepStrictEqual(withKerf.bars[0], { bar: 1, cuts: [2000, 2000], used: 4000, kerfLoss: 10, offcut: 1990 });
+  assert.strictEqual(withKerf.summary.totalWaste, 6000);
+
+  // 소수점 길이도 0.1mm 단위로 정확히 맞아떨어진다
+  const decimal = planCuts({ pieces: [{ length: 1999.9, quantity: 3 }], stockLength: 6000, kerf: 0.1 });
+  assert.strictEqual(decimal.summary.barCount, 1);
+  assert.strictEqual(decimal.bars[0].offcut, 0);
+});
+
+test('optimal은 휴리스틱보다 적은 본수를 찾고 하한에 도달하면 optimal: true', () => {
+  const heuristic = planCuts({ pieces: HARD_PIECES, stockLength: 6000, mode: 'heuristic' });
+  const optimal = planCuts({ pieces: HARD_PIECES, stockLength: 6000, mode: 'optimal' });
+  assert.strictEqual(heuristic.summary.barCount, 6);
+  assert.strictEqual(heuristic.optimal, false);
+  assert.strictEqual(optimal.summary.barCount, 5);
+  assert.strictEqual(optimal.optimal, true);
+
+  // 모든 조각이 한 번씩 배치되고 본마다 원자재 길이를 넘지 않는다
+  const placed = optimal.bars.flatMap(bar => bar.cuts).sort((a, b) => a - b);
+  const requested = HARD_PIECES.flatMap(piece => Array(piece.quantity).fill(piece.length)).sort((a, b) => a - b);
+  assert.deepStrictEqual(placed, requested);
+  optimal.bars.forEach(bar => assert.ok(bar.used + bar.kerfLoss + bar.offcut <= 6000));
+  assert.strictEqual(optimal.patterns.reduce((sum, pattern) => sum + pattern.count, 0), 5);
+
+  // auto는 조각 30개 이하에서 optimal로 동작
+  assert.strictEqual(planCuts({ pieces: HARD_PIECES, stockLength: 6000 }).mode, 'optimal');
+  assert.strictEqual(planCuts({ pieces: [{ length: 100, quantity: 31 }], stockLength: 6000 }).mode, 'heuristic');
+});
+
+test('잘못된 조각, 원자재보다 긴 조각, 모드와 수량 한도는 400', () => {
+  const invalid = [
+    { pieces: [], stockLength: 6000 },
+    { pieces: [{ length: -1 }], stockLength: 6000 },
+    { pieces: [{ length: 1000, quantity: 1.5 }], stockLength: 6000 },
+    { pieces: [{ length: 6001 }], stockLength: 6000 },
+    { pieces: [{ length: 1000 }], stockLength: 6000, kerf: -1 },
+    { pieces: [{ length: 1000 }], stockLength: 6000, mode: 'fast' },
+    { pieces: [{ length: 100, quantity: 61 }], stockLength: 6000, mode: 'optimal' },
+    { pieces: [{ length: 100, quantity: 5001 }], stockLength: 6000 }
+  ];
+  invalid.forEach(options => assert.throws(() => planCuts(options), error => error.status === 400, JSON.stringify(options)));
+});
+
+test('POST /:id/cutting-plan은 정척으로 계획하고 구매/소요 중량을 계산한다', async () => {
+  const tube = { spec: '흑50x50x2.3', wpm: 3.34, product: '흑각관', method_calc: 4, initial_length: 6, trade_unit: 2, cat_product: 1 };
+  const deck = { spec: '칼라데크600x1.2', wpm: 9.38, product: '칼라데크플레이트', method_calc: 2, initial_length: 0, trade_unit: 1, cat_product: 2 };
+  const plate = { spec: 'PL1.6T 3x6', wpm: 21, product: '철판', method_calc: 3, initial_length: 0, trade_unit: 1, cat_product: 3 };
+  useMemoryModel(SteelMaterial, [tube, deck, plate]);
+
+  await withServer(createApp({ '/api/materials': materialsRouter }, null), async baseUrl => {
+    const plan = spec => `${baseUrl}/api/materials/${encodeURIComponent(spec)}/cutting-plan`;
+
+    const { status, body } = await request(plan(tube.spec), {
+      method: 'POST',
+      body: { pieces: [{ length: 2500, quantity: 4 }], kerf: 3 }
+    });
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.strictEqual(body.data.stockLength, 6000);
+    assert.strictEqual(body.data.summary.barCount, 2);
+    assert.strictEqual(body.data.summary.purchasedWeight, 40.08);
+    assert.strictEqual(body.data.summary.requiredWeight, 33.4);
+    assert.strictEqual(body.data.summary.wasteWeight, 6.68);
+
+    const noStockLength = await request(plan(deck.spec), { method: 'POST', body: { pieces: [{ length: 1000 }] } });
+    assert.strictEqual(noStockLength.status, 400);
+    const withStockLength = await request(plan(deck.spec), { method: 'POST', body: { pieces: [{ length: 1000 }], stockLength: 3 } });
+    assert.strictEqual(withStockLength.status, 200);
+    assert.strictEqual(withStockLength.body.data.summary.barCount, 1);
+
+    const plateRequest = await request(plan(plate.spec), { method: 'POST', body: { pieces: [{ length: 1000 }] } });
+    assert.strictEqual(plateRequest.status, 400);
+
+    const tooLong = await request(plan(tube.spec), { method: 'POST', body: { pieces: [{ length: 7000 }] } });
+    assert.strictEqual(tooLong.status, 400);
+
+    const missing = await request(plan('H999x999x9x9'), { method: 'POST', body: { pieces: [{ length: 1000 }] } });
+    assert.strictEqual(missing.status, 404);
+  });
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const ProductType = require('../models/ProductType');
+const AuditLog = require('../models/AuditLog');
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const materialsRouter = require('../routers/materials');
+const { materialEtag, collectionEtag, checkIfMatch, checkIfNoneMatch } = require('../utils/etag');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// ETag 테스트 - 조건부 조회(304), 오래된 버전으로 수정/삭제 시 412
+// ============================================
+
+const hBeam = { spec: 'H100x100x6x8', wpm: 17.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2 };
+const angle = { spec: 'ㄱ50x50x6', wpm: 4.43, product: '앵글', method_calc: 1, initial_length: 6, trade_unit: 1, cat_product: 2 };
+
+let materials;
+
+function setup() {
+  materials = useMemoryModel(SteelMaterial, [hBeam, angle], { unique: ['spec'] });
+  useMemoryModel(ProductType);
+  useMemoryModel(AuditLog);
+  useMemoryModel(StockBalance);
+  useMemoryModel(StockMovement);
+}
+
+const materialOf = spec => materials.find(material => material.spec === spec);
+const reqWith = headers => ({ get: name => headers[name] });
+const app = createApp({ '/api/materials': materialsRouter }, { username: 'editor', role: 'editor' });
+
+test('If-Match는 강한 비교, If-None-Match는 약한 비교로 ETag를 확인한다', () => {
+  const material = { _id: 'abc', __v: 2 };
+  assert.strictEqual(materialEtag(material), '"abc-2"');
+  assert.strictEqual(materialEtag({ _id: 'abc' }), '"abc-0"');
+  assert.strictEqual(collectionEtag(new Date(1000), 5), 'W/"1000-5"');
+  assert.strictEqual(collectionEtag(null, 0), 'W/"0-0"');
+
+  assert.strictEqual(checkIfMatch(reqWith({}), '"abc-2"'), true);
+  assert.strictEqual(checkIfMatch(reqWith({ 'If-Match': '"abc-1", "abc-2"' }), '"abc-2"'), true);
+  assert.strictEqual(checkIfMatch(reqWith({ 'If-Match': '*' }), '"abc-2"'), true);
+  assert.strictEqual(checkIfMatch(reqWith({ 'If-Match': 'W/"abc-2"' }), '"abc-2"'), false);
+  assert.strictEqual(checkIfMatch(reqWith({ 'If-Match': '"abc-1"' }), '"abc-2"'), false);
+
+  assert.strictEqual(checkIfNoneMatch(reqWith({}), '"abc-2"'), false);
+  assert.strictEqual(checkIfNoneMatch(reqWith({ 'If-None-Match': 'W/"abc-2"' }), '"abc-2"'), true);
+  assert.strictEqual(checkIfNoneMatch(reqWith({ 'If-None-Match': '"1000-5"' }), 'W/"1000-5"'), true);
+  assert.strictEqual(checkIfNoneMatch(reqWith({ 'If-None-Match': '"abc-1"' }), '"abc-2"'), false);
+});
+
+test('캐시 목록은 캐시 버전으로 만든 ETag를 보내고 항목이 바뀌면 다시 200', async () => {
+  setup();
+  await materialsRouter.loadCacheFromDB();
+
+  await withServer(app, async baseUrl => {
+    const list = (query, headers) => request(`${baseUrl}/api/materials?${query}`, { headers });
+
+    const first = await list('limit=10');
+    assert.strictEqual(first.status, 200);
+    const etag = first.headers.get('etag');
+    assert.match(etag, /^W\/"\d+-\d+"$/);
+
+    assert.strictEqual((await list('limit=10', { 'If-None-Match': etag })).status, 304);
+    assert.strictEqual((await list('limit=10', { 'If-None-Match': etag.slice(2) })).status, 304);
+
+    const id = materialOf(angle.spec)._id;
+    assert.strictEqual((await request(`${baseUrl}/api/materials/${id}`, { method: 'PATCH', body: { wpm: 4.5 } })).status, 200);
+
+    const changed = await list('limit=10', { 'If-None-Match': etag });
+    assert.strictEqual(changed.status, 200);
+    assert.notStrictEqual(changed.headers.get('etag'), etag);
+    assert.strictEqual(changed.body.data.find(m => m.spec === angle.spec).wpm, 4.5);
+  });
+});
+
+// 캐시 로드 전(DB 조회)과 후(캐시 조회) 모두 확인
+[false, true].forEach(cached => {
+  test(`GET /:id는 ETag를 보내고 바뀌지 않았으면 304 (${cached ? '캐시' : 'DB'})`, async () => {
+    setup();
+    if (cached) await materialsRouter.loadCacheFromDB();
+    const id = materialOf(hBeam.spec)._id;
+
+    await withServer(app, async baseUrl => {
+      const get = headers => request(`${baseUrl}/api/materials/${id}`, { headers });
+
+      const first = await get();
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(first.headers.get('etag'), `"${id}-0"`);
+
+      const unchanged = await get({ 'If-None-Match': first.headers.get('etag') });
+      assert.strictEqual(unchanged.status, 304);
+      assert.strictEqual(unchanged.body, '');
+
+      const patched = await request(`${baseUrl}/api/materials/${id}`, { method: 'PATCH', body: { wpm: 17.3 }, headers: { 'If-Match': first.headers.get('etag') } });
+      assert.strictEqual(patched.status, 200, JSON.stringify(patched.body));
+      assert.strictEqual(patched.headers.get('etag'), `"${id}-1"`);
+
+      const changed = await get({ 'If-None-Match': first.headers.get('etag') });
+      assert.strictEqual(changed.status, 200);
+      assert.strictEqual(changed.body.data.wpm, 17.3);
+      assert.strictEqual(changed.headers.get('etag'), patched.headers.get('etag'));
+    });
+  });
+});
+
+test('오래된 If-Match로 수정/삭제하면 412와 현재 버전을 반환하고 변경하지 않는다', async () => {
+  setup();
+  const id = materialOf(hBeam.spec)._id;
+  const stale = `"${id}-0"`;
+
+  await withServer(app, async baseUrl => {
+    const api = (method, body, headers) => request(`${baseUrl}/api/materials/${id}`, { method, body, headers });
+
+    assert.strictEqual((await api('PATCH', { wpm: 18 }, { 'If-Match': stale })).status, 200);
+
+    const cases = [
+      ['PATCH', { wpm: 19 }],
+      ['PUT', { ...hBeam, wpm: 19 }],
+      ['DELETE', undefined]
+    ];
+    for (const [method, body] of cases) {
+      const response = await api(method, body, { 'If-Match': stale });
+      assert.strictEqual(response.status, 412, method);
+      assert.strictEqual(response.body.currentVersion, 1);
+      assert.strictEqual(response.body.etag, `"${id}-1"`);
+      assert.strictEqual(response.headers.get('etag'), `"${id}-1"`);
+      assert.strictEqual(response.body.data.wpm, 18);
+    }
+    assert.strictEqual(materialOf(hBeam.spec).wpm, 18);
+    assert.strictEqual(materialOf(hBeam.spec).deletedAt, null);
+
+    // 약한 ETag는 If-Match와 일치하지 않음, *는 항상 일치
+    assert.strictEqual((await api('PATCH', { wpm: 19 }, { 'If-Match': `W/"${id}-1"` })).status, 412);
+    assert.strictEqual((await api('PATCH', { wpm: 19 }, { 'If-Match': '*' })).status, 200);
+    assert.strictEqual((await api('PATCH', { wpm: 20 })).status, 200);
+    assert.strictEqual(materialOf(hBeam.spec).__v, 3);
+  });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const iconv = require('iconv-lite');
+const SteelMaterial = require('../models/SteelMaterial');
+const ProductType = require('../models/ProductType');
+const AuditLog = require('../models/AuditLog');
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const materialsRouter = require('../routers/materials');
+const { toCsv, toJson, toNdjson } = require('../utils/materialExport');
+const { DEFAULT_BACKUP_FILE, readBackupFile, fromExtendedJsonDoc, seedMaterials } = require('../utils/materialSeed');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer } = require('./helpers/app');
+
+// ============================================
+// 내보내기 테스트 - CSV/JSON 형식과 내보내기 → 가져오기 왕복
+// ============================================
+
+const backup = readBackupFile().map(fromExtendedJsonDoc);
+const DATA_FIELDS = ['spec', 'wpm', 'product', 'method_calc', 'initial_length', 'trade_unit', 'cat_product'];
+const pick = material => DATA_FIELDS.map(field => material[field]);
+
+useMemoryModel(ProductType);
+useMemoryModel(AuditLog);
+useMemoryModel(StockBalance);
+useMemoryModel(StockMovement);
+
+const app = createApp({ '/api/materials': materialsRouter });
+
+test('JSON 내보내기는 DB_BACKUP 파일과 같은 형식이다', () => {
+  const original = fs.readFileSync(DEFAULT_BACKUP_FILE, 'utf8');
+  assert.strictEqual(toJson(backup).trimEnd(), original.trimEnd());
+
+  const lines = toNdjson(backup.slice(0, 2)).trimEnd().split('\n');
+  assert.deepStrictEqual(JSON.parse(lines[1])._id, { $oid: backup[1]._id.toString() });
+});
+
+test('CSV는 BOM/CP949 인코딩과 따옴표 이스케이프를 지원한다', () => {
+  const material = { ...backup[0], spec: 'H100x100x6x8', product: '형강, "특수"' };
+  const withBom = toCsv([material]).buffer.toString('utf8');
+  assert.ok(withBom.startsWith('\uFEFF_id,spec,wpm'));
+  assert.ok(withBom.includes('"형강, ""특수"""'));
+
+  const { buffer, charset } = toCsv([material], 'cp949');
+  assert.strictEqual(charset, 'cp949');
+  assert.ok(iconv.decode(buffer, 'cp949').includes('형강'));
+
+  assert.throws(() => toCsv([material], 'latin1'), error => error.status === 400);
+});
+
+test('CSV로 내보낸 재료를 빈 DB에 가져오면 같은 데이터가 된다', async () => {
+  const source = backup.slice(0, 60);
+  useMemoryModel(SteelMaterial, source);
+  await materialsRouter.loadCacheFromDB();
+
+  await withServer(app, async baseUrl => {
+    const exported = await fetch(`${baseUrl}/api/materials/export?format=csv&encoding=cp949`);
+    assert.strictEqual(exported.status, 200);
+    assert.match(exported.headers.get('content-disposition'), /steel_materials_\d{8}\.csv/);
+    const csv = Buffer.from(await exported.arrayBuffer());
+
+    const target = useMemoryModel(SteelMaterial);
+    const form = new FormData();
+    form.append('file', new Blob([csv]), 'export.csv');
+    const imported = await fetch(`${baseUrl}/api/materials/import`, { method: 'POST', body: form });
+    const body = await imported.json();
+    assert.strictEqual(imported.status, 200, JSON.stringify(body));
+    assert.strictEqual(body.files[0].encoding, 'cp949');
+    assert.strictEqual(body.summary.inserted, source.length);
+
+    const bySpec = new Map(target.map(material => [material.spec, material]));
+    source.forEach(material => assert.deepStrictEqual(pick(bySpec.get(material.spec)), pick(material)));
+  });
+});
+
+test('JSON으로 내보낸 재료를 복원하면 _id까지 같다', async () => {
+  const source = backup.slice(100, 140);
+  useMemoryModel(SteelMaterial, source);
+  await materialsRouter.loadCacheFromDB();
+
+  await withServer(app, async baseUrl => {
+    const exported = await fetch(`${baseUrl}/api/materials/export?format=json`);
+    const docs = JSON.parse(await exported.text());
+
+    const target = useMemoryModel(SteelMaterial);
+    const { summary } = await seedMaterials(docs);
+    assert.strictEqual(summary.inserted, source.length);
+    assert.deepStrictEqual(
+      target.map(material => [String(material._id), ...pick(material)]).sort(),
+      source.map(material => [String(material._id), ...pick(material)]).sort()
+    );
+  });
+});
@@ -0,0 +1,51 @@
+const express = require('express');
+
+// ============================================
+// 테스트용 앱 - 인증 대신 지정한 사용자를 req.user에 넣고 라우터 연결
+// ============================================
+
+// routes: { '/api/materials': router, ... }, user: { username, role } (null이면 비로그인)
+function createApp(routes, user = { username: 'tester', role: 'admin' }) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (user) req.user = user;
+    next();
+  });
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  return app;
+}
+
+// 임의 포트로 서버를 띄워 run(baseUrl) 실행 후 종료
+async function withServer(app, run) {
+  const server = app.listen(0);
+  const { port } = server.address();
+  try {
+    return await run(`http://127.0.0.1:${port}`);
+  } finally {
+    server.close();
+  }
+}
+
+// JSON 요청 (응답: { status, headers, body })
+async function request(url, { method = 'GET', body, headers = {} } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    // JSON이 아닌 응답(CSV, 메트릭 등)은 문자열 그대로 반환
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+module.exports = {
+  createApp,
+  withServer,
+  request
+};
@@ -0,0 +1,366 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// 테스트용 메모리 모델 - DB 없이 Mongoose 모델의 조회/저장 함수를 배열로 대체
+// ============================================
+// 라우터/모듈 테스트에서 쓰는 조건 연산자만 지원 ($and, $or, $in, $nin, $ne, $lt(e), $gt(e), $exists, $type, $regex)
+// options.unique: 중복을 허용하지 않는 필드 목록 (bulkWrite/save에서 E11000 오류 재현)
+
+mongoose.set('bufferCommands', false);
+
+function getValue(doc, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setValue(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (current[key] === null || typeof current[key] !== 'object') current[key] = {};
+    return current[key];
+  }, doc);
+  target[last] = value;
+}
+
+// ObjectId, Date도 같은 값이면 같다고 비교
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+}
+
+function equals(a, b) {
+  if (b === null) return a === null || a === undefined;
+  if (Array.isArray(a)) return a.some(item => equals(item, b));
+  return comparable(a) === comparable(b);
+}
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof RegExp) &&
+    !(value instanceof mongoose.Types.ObjectId) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+function matchesCondition(value, condition) {
+  if (condition instanceof RegExp) return typeof value === 'string' && condition.test(value);
+  if (!isOperatorObject(condition)) return equals(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some(item => (item instanceof RegExp ? matchesCondition(value, item) : equals(value, item)));
+      case '$nin': return !operand.some(item => equals(value, item));
+      case '$ne': return !equals(value, operand);
+      case '$eq': return equals(value, operand);
+      case '$lt': return value !== undefined && value !== null && comparable(value) < comparable(operand);
+      case '$lte': return value !== undefined && value !== null && comparable(value) <= comparable(operand);
+      case '$gt': return value !== undefined && value !== null && comparable(value) > comparable(operand);
+      case '$gte': return value !== undefined && value !== null && comparable(value) >= comparable(operand);
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$type': return operand === 'number' ? typeof value === 'number' : typeof value === operand;
+      case '$regex': return typeof value === 'string' && new RegExp(operand, condition.$options || '').test(value);
+      case '$options': return true;
+      case '$not': return !matchesCondition(value, operand);
+      default: throw new Error(`memoryModel: 지원하지 않는 조건 연산자 ${operator}`);
+    }
+  });
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+    return matchesCondition(getValue(doc, key), condition);
+  });
+}
+
+// 저장된 값과 분리된 복사본 (ObjectId, Date 유지)
+function clone(doc) {
+  if (Array.isArray(doc)) return doc.map(clone);
+  return doc ? mongoose.mongo.BSON.deserialize(mongoose.mongo.BSON.serialize(doc)) : doc;
+}
+
+function applyUpdate(doc, update, { isInsert = false } = {}) {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  Object.entries(operators.$set || {}).forEach(([path, value]) => setValue(doc, path, value));
+  Object.keys(operators.$unset || {}).forEach(path => setValue(doc, path, undefined));
+  Object.entries(operators.$inc || {}).forEach(([path, value]) => setValue(doc, path, (getValue(doc, path) || 0) + value));
+  if (isInsert) {
+    Object.entries(operators.$setOnInsert || {}).forEach(([path, value]) => setValue(doc, path, value));
+  }
+}
+
+function sortDocs(docs, sort) {
+  if (!sort) return docs;
+  const fields = typeof sort === 'string'
+    ? sort.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]))
+    : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const x = comparable(getValue(a, field));
+      const y = comparable(getValue(b, field));
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  });
+}
+
+// 메모리 모델 설치 (반환: 저장된 문서 배열, 테스트에서 직접 확인/수정 가능)
+function useMemoryModel(Model, initialDocs = [], options = {}) {
+  const { unique = [] } = options;
+  const store = initialDocs.map(doc => clone(withDefaults(Model, doc)));
+
+  function duplicateOf(doc, ignoreId) {
+    const field = unique.find(name => store.some(other =>
+      String(other._id) !== String(ignoreId) && getValue(other, name) === getValue(doc, name)
+    ));
+    if (!field) return null;
+    const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name} dup key: { ${field}: "${getValue(doc, field)}" }`);
+    error.code = 11000;
+    return error;
+  }
+
+  // 실제 쿼리처럼 스키마 타입으로 변환 (잘못된 ObjectId 등은 CastError)
+  function castFilter(filter = {}) {
+    return new mongoose.Query({}, {}, Model, Model.collection).cast(Model, filter);
+  }
+
+  function findDocs(filter) {
+    const casted = castFilter(filter);
+    return store.filter(doc => matches(doc, casted));
+  }
+
+  // 조건은 실행할 때 적용 (변환 오류도 실제 쿼리처럼 await 시점에 발생)
+  function query(filter, single) {
+    let sort = null;
+    let skip = 0;
+    let limit = 0;
+    const finish = () => {
+      let selected = sortDocs(findDocs(filter), sort).slice(skip);
+      if (limit) selected = selected.slice(0, limit);
+      return single ? selected[0] || null : selected;
+    };
+    const chain = {
+      sort(value) { sort = value; return chain; },
+      skip(value) { skip = value; return chain; },
+      limit(value) { limit = value; return chain; },
+      select() { return chain; },
+      populate() { return chain; },
+      session() { return chain; },
+      lean: async () => clone(finish()),
+      exec: async () => {
+        const found = finish();
+        if (single) return found ? Model.hydrate(clone(found)) : null;
+        return found.map(doc => Model.hydrate(clone(doc)));
+      },
+      then: (resolve, reject) => chain.exec().then(resolve, reject)
+    };
+    return chain;
+  }
+
+  Model.find = (filter = {}) => query(filter, false);
+  Model.findOne = (filter = {}) => query(filter, true);
+  Model.findById = id => Model.findOne({ _id: id });
+  Model.countDocuments = async (filter = {}) => findDocs(filter).length;
+  Model.exists = async (filter = {}) => {
+    const [found] = findDocs(filter);
+    return found ? { _id: found._id } : null;
+  };
+  Model.distinct = async (field, filter = {}) => {
+    const values = new Map();
+    findDocs(filter).forEach(doc => {
+      [].concat(getValue(doc, field)).forEach(value => {
+        if (value !== undefined) values.set(String(comparable(value)), value);
+      });
+    });
+    return [...values.values()];
+  };
+
+  Model.aggregate = async pipeline => clone(runPipeline(store.slice(), pipeline));
+
+  function updateDocs(filter, update, { multi, upsert }) {
+    const targets = findDocs(filter);
+    const selected = multi ? targets : targets.slice(0, 1);
+    selected.forEach(doc => applyUpdate(doc, update));
+    if (selected.length === 0 && upsert) {
+      const doc = withDefaults(Model, {});
+      Object.entries(filter).forEach(([key, value]) => {
+        if (!key.startsWith('$') && !isOperatorObject(value)) setValue(doc, key, value);
+      });
+      applyUpdate(doc, update, { isInsert: true });
+      store.push(doc);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    return { matchedCount: selected.length, modifiedCount: selected.length, upsertedCount: 0 };
+  }
+
+  function deleteDocs(filter, multi) {
+    const targets = findDocs(filter);
+    const selected = multi ? targets : targets.slice(0, 1);
+    selected.forEach(doc => store.splice(store.indexOf(doc), 1));
+    return { deletedCount: selected.length };
+  }
+
+  Model.updateOne = async (filter, update, opts = {}) => updateDocs(filter, update, { multi: false, upsert: opts.upsert });
+  Model.updateMany = async (filter, update, opts = {}) => updateDocs(filter, update, { multi: true, upsert: opts.upsert });
+  Model.findOneAndUpdate = async (filter, update, opts = {}) => {
+    const [target] = findDocs(filter);
+    if (!target) return null;
+    const before = clone(target);
+    applyUpdate(target, update);
+    return Model.hydrate(opts.new ? clone(target) : before);
+  };
+  Model.deleteOne = async filter => deleteDocs(filter, false);
+  Model.deleteMany = async (filter = {}) => deleteDocs(filter, true);
+
+  Model.insertMany = async docs => {
+    const inserted = docs.map(doc => withDefaults(Model, doc));
+    inserted.forEach(doc => {
+      const duplicate = duplicateOf(doc);
+      if (duplicate) throw duplicate;
+      store.push(clone(doc));
+    });
+    return inserted.map(doc => Model.hydrate(clone(doc)));
+  };
+
+  // ordered: false처럼 실패한 작업만 건너뛰고 끝난 뒤 writeErrors로 보고
+  Model.bulkWrite = async operations => {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+    const writeErrors = [];
+    operations.forEach((operation, index) => {
+      if (operation.insertOne) {
+        const doc = withDefaults(Model, operation.insertOne.document);
+        const duplicate = duplicateOf(doc);
+        if (duplicate) {
+          writeErrors.push({ index, code: duplicate.code, errmsg: duplicate.message });
+          return;
+        }
+        store.push(clone(doc));
+        result.insertedCount++;
+      } else if (operation.updateOne || operation.updateMany) {
+        const { filter, update, upsert } = operation.updateOne || operation.updateMany;
+        const counts = updateDocs(filter, update, { multi: Boolean(operation.updateMany), upsert });
+        result.matchedCount += counts.matchedCount;
+        result.modifiedCount += counts.modifiedCount;
+        result.upsertedCount += counts.upsertedCount;
+      } else if (operation.deleteOne || operation.deleteMany) {
+        const { filter } = operation.deleteOne || operation.deleteMany;
+        result.deletedCount += deleteDocs(filter, Boolean(operation.deleteMany)).deletedCount;
+      }
+    });
+    if (writeErrors.length > 0) {
+      const error = new Error(writeErrors[0].errmsg);
+      error.name = 'MongoBulkWriteError';
+      error.code = writeErrors[0].code;
+      error.writeErrors = writeErrors;
+      error.result = result;
+      throw error;
+    }
+    return result;
+  };
+
+  // 문서 저장: 검증(pre validate 훅 포함) 후 __v를 올려 배열에 반영
+  Model.prototype.save = async function() {
+    await this.validate();
+    const index = store.findIndex(doc => String(doc._id) === String(this._id));
+    const current = index >= 0 ? store[index] : null;
+    if (current && this.__v !== undefined && current.__v !== this.__v) {
+      throw new mongoose.Error.VersionError(this, this.__v, this.modifiedPaths());
+    }
+    const duplicate = duplicateOf(this.toObject(), this._id);
+    if (duplicate) throw duplicate;
+
+    this.__v = (this.__v || 0) + (current ? 1 : 0);
+    if (Model.schema.options.timestamps) this.set('updatedAt', new Date());
+    const saved = clone(this.toObject({ depopulate: true }));
+    if (current) {
+      store[index] = saved;
+    } else {
+      store.push(saved);
+    }
+    this.isNew = false;
+    return this;
+  };
+  Model.prototype.deleteOne = async function() {
+    return deleteDocs({ _id: this._id }, false);
+  };
+  Model.create = async docs => {
+    const list = Array.isArray(docs) ? docs : [docs];
+    const created = [];
+    for (const doc of list) {
+      created.push(await new Model(doc).save());
+    }
+    return Array.isArray(docs) ? created : created[0];
+  };
+
+  return store;
+}
+
+// 집계: $match, $sort, $limit, $count, $facet, $group만 지원
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce((current, stage) => {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+      case '$match': return current.filter(doc => matches(doc, spec));
+      case '$sort': return sortDocs(current, spec);
+      case '$limit': return current.slice(0, spec);
+      case '$count': return current.length > 0 ? [{ [spec]: current.length }] : [];
+      case '$facet': return [Object.fromEntries(Object.entries(spec).map(([key, sub]) => [key, runPipeline(current, sub)]))];
+      case '$group': return groupDocs(current, spec);
+      default: throw new Error(`memoryModel: 지원하지 않는 집계 단계 ${name}`);
+    }
+  }, docs);
+}
+
+// 식: '$필드', 상수, $cond, $isNumber만 지원
+function fieldValue(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getValue(doc, expression.slice(1));
+  if (expression && typeof expression === 'object' && '$cond' in expression) {
+    const [condition, then, otherwise] = expression.$cond;
+    return fieldValue(doc, fieldValue(doc, condition) ? then : otherwise);
+  }
+  if (expression && typeof expression === 'object' && '$isNumber' in expression) {
+    return typeof fieldValue(doc, expression.$isNumber) === 'number';
+  }
+  return expression;
+}
+
+function groupDocs(docs, { _id: key, ...accumulators }) {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const id = key === null ? null : fieldValue(doc, key);
+    const groupKey = String(comparable(id));
+    if (!groups.has(groupKey)) groups.set(groupKey, { _id: id, docs: [] });
+    groups.get(groupKey).docs.push(doc);
+  });
+  return [...groups.values()].map(({ _id, docs: members }) => {
+    const result = { _id };
+    Object.entries(accumulators).forEach(([field, accumulator]) => {
+      const [[operator, expression]] = Object.entries(accumulator);
+      const values = members.map(doc => fieldValue(doc, expression));
+      if (operator === '$max') result[field] = values.reduce((a, b) => (comparable(b) > comparable(a) ? b : a));
+      else if (operator === '$min') result[field] = values.reduce((a, b) => (comparable(b) < comparable(a) ? b : a));
+      else if (operator === '$sum') result[field] = values.reduce((a, b) => a + (Number(b) || 0), 0);
+      else if (operator === '$avg') {
+        const numbers = values.filter(value => typeof value === 'number');
+        result[field] = numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+      } else if (operator === '$addToSet') result[field] = [...new Map(values.map(value => [String(comparable(value)), value])).values()];
+      else if (operator === '$first') result[field] = values[0];
+      else if (operator === '$last') result[field] = values[values.length - 1];
+      else throw new Error(`memoryModel: 지원하지 않는 집계 연산자 ${operator}`);
+    });
+    return result;
+  });
+}
+
+// 스키마 기본값과 _id 적용 (검증 훅은 실행하지 않음 - bulkWrite와 같음)
+function withDefaults(Model, doc) {
+  const result = new Model(doc).toObject({ depopulate: true });
+  if (result.__v === undefined) result.__v = 0;
+  return result;
+}
+
+module.exports = {
+  matches,
+  useMemoryModel
+};
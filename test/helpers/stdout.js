@@ -0,0 +1,10 @@
+// ============================================
+// 테스트 실행 설정 - 앱 로그를 stderr로 출력
+// ============================================
+// Node 20 테스트 실행기는 각 테스트 파일의 결과를 stdout으로 받는데, 결과 메시지 바로 뒤에
+// 한글/이모지로 시작하는 console.log 출력이 같은 조각으로 이어지면 메시지 길이를 잘못 읽어
+// 'Unable to deserialize cloned data' 오류로 파일 전체가 실패함 → 로그는 stderr로 보냄
+// (package.json의 test 스크립트에서 --require로 불러옴)
+
+console.log = console.error;
+console.info = console.error;
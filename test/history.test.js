@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const ProductType = require('../models/ProductType');
+const AuditLog = require('../models/AuditLog');
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const materialsRouter = require('../routers/materials');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 감사 로그/변경 이력 테스트 - 이력 조회, 이전 버전으로 되돌리기, 오류 응답
+// ============================================
+
+const materials = useMemoryModel(SteelMaterial, [], { unique: ['spec'] });
+const audits = useMemoryModel(AuditLog);
+useMemoryModel(ProductType);
+useMemoryModel(StockBalance);
+useMemoryModel(StockMovement);
+
+const app = createApp({ '/api/materials': materialsRouter }, { username: 'tester', role: 'admin' });
+
+const hBeam = {
+  spec: 'H100x100x6x8',
+  wpm: 17.2,
+  product: 'H형강',
+  method_calc: 1,
+  initial_length: 10,
+  trade_unit: 1,
+  cat_product: 2
+};
+
+test('수정 이력을 버전별로 남기고 이전 버전으로 되돌린다', async () => {
+  await withServer(app, async baseUrl => {
+    const api = `${baseUrl}/api/materials`;
+    const created = await request(api, { method: 'POST', body: hBeam });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    const id = created.body.data._id;
+
+    const patched = await request(`${api}/${id}`, { method: 'PATCH', body: { wpm: 17.5 } });
+    assert.strictEqual(patched.status, 200, JSON.stringify(patched.body));
+
+    const history = await request(`${api}/${id}/history`);
+    assert.strictEqual(history.status, 200);
+    assert.deepStrictEqual(history.body.data.map(entry => [entry.version, entry.action]), [[2, 'update'], [1, 'create']]);
+    assert.deepStrictEqual(history.body.data[0].changes, [{ field: 'wpm', before: 17.2, after: 17.5 }]);
+    assert.ok(history.body.data.every(entry => entry.actor === 'tester'));
+
+    // spec으로도 같은 이력 조회
+    const bySpec = await request(`${api}/${encodeURIComponent(hBeam.spec)}/history`);
+    assert.strictEqual(bySpec.body.count, 2);
+
+    const reverted = await request(`${api}/${id}/revert/1`, { method: 'POST' });
+    assert.strictEqual(reverted.status, 200, JSON.stringify(reverted.body));
+    assert.strictEqual(reverted.body.data.wpm, 17.2);
+    assert.strictEqual(materials.find(m => String(m._id) === id).wpm, 17.2);
+
+    const latest = audits.filter(entry => String(entry.entityId) === id).sort((a, b) => b.version - a.version)[0];
+    assert.strictEqual(latest.version, 3);
+    assert.strictEqual(latest.action, 'revert');
+    assert.strictEqual(latest.revertedTo, 1);
+
+    const missing = await request(`${api}/${id}/revert/9`, { method: 'POST' });
+    assert.strictEqual(missing.status, 404);
+  });
+});
+
+test('휴지통으로 옮긴 재료도 되돌리면 복원된다', async () => {
+  await withServer(app, async baseUrl => {
+    const api = `${baseUrl}/api/materials`;
+    const created = await request(api, { method: 'POST', body: { ...hBeam, spec: 'H150x75x5x7', wpm: 14 } });
+    const id = created.body.data._id;
+
+    const deleted = await request(`${api}/${id}`, { method: 'DELETE' });
+    assert.strictEqual(deleted.status, 200, JSON.stringify(deleted.body));
+    assert.ok(materials.find(m => String(m._id) === id).deletedAt);
+
+    const reverted = await request(`${api}/${id}/revert/1`, { method: 'POST' });
+    assert.strictEqual(reverted.status, 200, JSON.stringify(reverted.body));
+    assert.strictEqual(materials.find(m => String(m._id) === id).deletedAt, null);
+  });
+});
+
+test('잘못된 id 형식은 400, 이력이 없으면 404', async () => {
+  await withServer(app, async baseUrl => {
+    const api = `${baseUrl}/api/materials`;
+    const bulkDelete = await request(api, { method: 'DELETE', body: { ids: ['not-an-object-id'] } });
+    assert.strictEqual(bulkDelete.status, 400, JSON.stringify(bulkDelete.body));
+    assert.strictEqual(bulkDelete.body.success, false);
+
+    const noHistory = await request(`${api}/${'0'.repeat(24)}/history`);
+    assert.strictEqual(noHistory.status, 404);
+  });
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const iconv = require('iconv-lite');
+const SteelMaterial = require('../models/SteelMaterial');
+const ProductType = require('../models/ProductType');
+const AuditLog = require('../models/AuditLog');
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const materialsRouter = require('../routers/materials');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer } = require('./helpers/app');
+
+// ============================================
+// CSV 가져오기 API 테스트 (POST /api/materials/import)
+// ============================================
+
+const HEADER = '규격,단위중량,품목,계산방식,정척,거래단위,분류';
+const hBeam = {
+  _id: new mongoose.Types.ObjectId(),
+  spec: 'H100x100x6x8',
+  wpm: 17.2,
+  product: 'H형강',
+  method_calc: 1,
+  initial_length: 10,
+  trade_unit: 1,
+  cat_product: 2
+};
+const hBeamType = { _id: new mongoose.Types.ObjectId(), code: 'H_BEAM', nameKo: 'H형강', category: 2 };
+
+let materials;
+let audits;
+
+function setup(initial = [hBeam]) {
+  materials = useMemoryModel(SteelMaterial, initial, { unique: ['spec'] });
+  audits = useMemoryModel(AuditLog);
+  useMemoryModel(ProductType, [hBeamType]);
+  useMemoryModel(StockBalance);
+  useMemoryModel(StockMovement);
+}
+
+async function importCsv(baseUrl, csv, fields = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([csv]), 'materials.csv');
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  const response = await fetch(`${baseUrl}/api/materials/import`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+const app = createApp({ '/api/materials': materialsRouter });
+
+test('CP949 CSV를 upsert로 가져오면 추가/수정하고 productType, dimensions를 채운다', async () => {
+  setup();
+  const csv = iconv.encode([
+    HEADER,
+    'H100x100x6x8,17.3,H형강,1,10,1,2',
+    'H150x75x5x7,14,H형강,1,10,1,2'
+  ].join('\r\n'), 'cp949');
+
+  await withServer(app, async baseUrl => {
+    const { status, body } = await importCsv(baseUrl, csv, { mode: 'upsert' });
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.strictEqual(body.files[0].encoding, 'cp949');
+    assert.strictEqual(body.summary.inserted, 1);
+    assert.strictEqual(body.summary.updated, 1);
+
+    const inserted = materials.find(m => m.spec === 'H150x75x5x7');
+    assert.strictEqual(String(inserted.productType), String(hBeamType._id));
+    assert.strictEqual(inserted.dimensions.shape, 'H');
+    assert.strictEqual(inserted.dimensions.height, 150);
+
+    const updated = materials.find(m => m.spec === hBeam.spec);
+    assert.strictEqual(updated.wpm, 17.3);
+    assert.strictEqual(String(updated.productType), String(hBeamType._id));
+    assert.strictEqual(updated.__v, 1);
+
+    assert.strictEqual(audits.length, 2);
+    assert.ok(audits.every(entry => entry.action === 'import' && entry.actor === 'tester'));
+
+    // 캐시도 다시 읽어 새 재료가 바로 조회됨
+    const fetched = await fetch(`${baseUrl}/api/materials/${inserted._id}`);
+    assert.strictEqual(fetched.status, 200);
+  });
+});
+
+test('dryRun이면 검증 결과만 반환하고 저장하지 않는다', async () => {
+  setup();
+  await withServer(app, async baseUrl => {
+    const { status, body } = await importCsv(baseUrl, `${HEADER}\nH150x75x5x7,14,H형강,1,10,1,2\nH200x100x5.5x8,x,H형강,1,10,1,2`, { dryRun: 'true' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.summary.validRows, 1);
+    assert.strictEqual(body.summary.invalidRows, 1);
+    assert.strictEqual(body.errors[0].row, 3);
+    assert.strictEqual(materials.length, 1);
+  });
+});
+
+test('저장 중 일부 행이 실패하면 실패한 행을 보고하고 저장된 행만 감사 로그에 남긴다', async () => {
+  setup();
+  // 확인 후 저장 전에 다른 요청이 같은 spec을 먼저 등록한 경우
+  const bulkWrite = SteelMaterial.bulkWrite;
+  SteelMaterial.bulkWrite = async (operations, options) => {
+    materials.push({ ...hBeam, _id: new mongoose.Types.ObjectId(), spec: 'H150x75x5x7', deletedAt: null, __v: 0 });
+    return bulkWrite(operations, options);
+  };
+
+  const csv = `${HEADER}\nH150x75x5x7,14,H형강,1,10,1,2\nH200x100x5.5x8,20.9,H형강,1,10,1,2`;
+  await withServer(app, async baseUrl => {
+    const { status, body } = await importCsv(baseUrl, csv, { mode: 'replace' });
+    assert.strictEqual(status, 207, JSON.stringify(body));
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.summary.failed, 1);
+    assert.strictEqual(body.summary.inserted, 1);
+    assert.strictEqual(body.summary.deleted, 0);
+    assert.deepStrictEqual(body.errors.map(e => [e.row, e.spec]), [[2, 'H150x75x5x7']]);
+    assert.match(body.errors[0].message, /E11000/);
+
+    // 실패가 있으면 파일에 없는 재료를 휴지통으로 옮기지 않음
+    assert.strictEqual(materials.find(m => m.spec === hBeam.spec).deletedAt, null);
+    assert.deepStrictEqual(audits.map(entry => entry.spec), ['H200x100x5.5x8']);
+
+    // 저장된 행은 캐시에도 반영
+    const saved = materials.find(m => m.spec === 'H200x100x5.5x8');
+    const fetched = await fetch(`${baseUrl}/api/materials/${saved._id}`);
+    assert.strictEqual(fetched.status, 200);
+  });
+  SteelMaterial.bulkWrite = bulkWrite;
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const materialsRouter = require('../routers/materials');
+const { normalizeText, getChosung, editDistance, searchMaterials } = require('../utils/koreanSearch');
+const { readBackupFile, fromExtendedJsonDoc } = require('../utils/materialSeed');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 한글 규격 검색 테스트 - 정규화, 별칭/초성/오타, 순위, 검색/자동완성 API
+// ============================================
+
+const materials = readBackupFile().map(fromExtendedJsonDoc);
+
+const top = (query, limit = 3) => searchMaterials(materials, query, { limit }).results.map(({ material }) => material.spec);
+const viaOf = query => searchMaterials(materials, query).parsed.words.map(word => word.via);
+
+test('전각 문자, 대소문자, 구분자와 숫자 사이 공백을 정규화한다', () => {
+  assert.strictEqual(normalizeText('Ｈ２００ X ２００*8×12'), 'h200x200x8x12');
+  assert.strictEqual(normalizeText('  H 200   200 '), 'h 200x200');
+  assert.strictEqual(normalizeText('앵글　50'), '앵글 50');
+  assert.strictEqual(getChosung('흑각관 25A'), 'ㅎㄱㄱ 25A');
+  assert.strictEqual(editDistance('잔널', '잔넬'), 1);
+});
+
+test('같은 규격을 여러 방식으로 입력해도 같은 재료가 가장 먼저 나온다', () => {
+  ['H 200 200', 'h200x200', 'Ｈ２００ Ｘ ２００', 'h 200×200'].forEach(query => {
+    assert.strictEqual(top(query)[0], 'H200x200x8x12', query);
+  });
+  ['ㄱ50*50*6', '앵글50x50x6', 'ㄱ 50 50 6'].forEach(query => {
+    assert.strictEqual(top(query)[0], 'ㄱ50x50x6', query);
+  });
+  assert.deepStrictEqual(top('앵글 50', 5), ['ㄱ50x50x4', 'ㄱ50x50x6']);
+});
+
+test('품목 별칭, 초성, 오타로 품목을 찾는다', () => {
+  assert.deepStrictEqual(viaOf('잔넬 100'), ['alias']);
+  assert.strictEqual(top('잔넬 100')[0], 'ㄷ100x50x5x7.5');
+  assert.strictEqual(top('ㄷ100')[0], 'ㄷ100x50x5x7.5');
+  assert.ok(top('PL 3.2', 5).every(spec => spec.startsWith('PL3.2T')));
+
+  const tubes = searchMaterials(materials, '25각', { limit: 100 }).results.map(({ material }) => material);
+  assert.ok(tubes.every(material => /각관$/.test(material.product) && material.spec.includes('25x')));
+  assert.deepStrictEqual(tubes.slice(0, 5).map(material => /^\D*25x25x/.test(material.spec)), [true, true, true, true, true]);
+
+  assert.deepStrictEqual(viaOf('ㅎㄱㄱ 30'), ['chosung']);
+  const black = searchMaterials(materials, 'ㅎㄱㄱ 30', { limit: 100 }).results.map(({ material }) => material);
+  assert.ok(black.every(material => material.product === '흑각관'));
+  assert.ok(black.slice(0, 3).every(material => material.spec.startsWith('흑30x')));
+
+  assert.deepStrictEqual(viaOf('앵굴 50'), ['typo']);
+  assert.deepStrictEqual(top('앵굴 50', 5), top('앵글 50', 5));
+  assert.strictEqual(top('잔널 100')[0], 'ㄷ100x50x5x7.5');
+});
+
+test('여러 품목 단어는 교집합으로, 해석되지 않는 단어는 spec 포함 조건으로 쓴다', () => {
+  const colorTubes = searchMaterials(materials, '칼라 각관 50', { limit: 100 }).results;
+  assert.ok(colorTubes.length > 0);
+  assert.ok(colorTubes.every(({ material }) => material.product === '칼라각관'));
+
+  assert.strictEqual(top('흑KS 25A sch80')[0], '흑KS 25A(Sch80)');
+  assert.strictEqual(searchMaterials(materials, 'xyz').total, 0);
+});
+
+test('점수가 같으면 짧은 spec, spec 순으로 정렬하고 limit만큼 반환한다', () => {
+  const { total, results } = searchMaterials(materials, 'H20', { limit: 5 });
+  assert.ok(total > 5);
+  assert.strictEqual(results.length, 5);
+  for (let i = 1; i < results.length; i++) {
+    const [a, b] = [results[i - 1], results[i]];
+    assert.ok(a.score > b.score || (a.score === b.score && (a.material.spec.length < b.material.spec.length ||
+      (a.material.spec.length === b.material.spec.length && a.material.spec <= b.material.spec))));
+  }
+});
+
+test('GET /search와 /suggest는 캐시 로드 전후에 같은 결과를 반환한다', async () => {
+  useMemoryModel(SteelMaterial, materials);
+
+  await withServer(createApp({ '/api/materials': materialsRouter }, null), async baseUrl => {
+    const get = path => request(`${baseUrl}/api/materials${path}`);
+
+    const fromDb = await get(`/search?q=${encodeURIComponent('ㄱ50*50*6')}`);
+    assert.strictEqual(fromDb.status, 200);
+    assert.strictEqual(fromDb.body.fromCache, false);
+    assert.strictEqual(fromDb.body.data[0].spec, 'ㄱ50x50x6');
+    assert.ok(fromDb.body.data[0].score > 0);
+    assert.strictEqual(fromDb.body.query.normalized, 'ㄱ50x50x6');
+
+    await materialsRouter.loadCacheFromDB();
+    const fromCache = await get(`/search?q=${encodeURIComponent('ㄱ50*50*6')}`);
+    assert.strictEqual(fromCache.body.fromCache, true);
+    assert.deepStrictEqual(fromCache.body.data.map(m => m.spec), fromDb.body.data.map(m => m.spec));
+
+    assert.strictEqual((await get('/search?q=')).status, 400);
+
+    const suggest = await get(`/suggest?q=${encodeURIComponent('h200')}&limit=3`);
+    assert.strictEqual(suggest.status, 200);
+    assert.strictEqual(suggest.body.data.length, 3);
+    assert.deepStrictEqual(Object.keys(suggest.body.data[0]).sort(), ['_id', 'product', 'score', 'spec']);
+    assert.deepStrictEqual((await get('/suggest?q=')).body.data, []);
+
+    const capped = await get('/search?q=x&limit=1000');
+    assert.ok(capped.body.total > 100);
+    assert.strictEqual(capped.body.data.length, 100);
+  });
+});
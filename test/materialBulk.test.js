@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const SteelMaterial = require('../models/SteelMaterial');
+const ProductType = require('../models/ProductType');
+const AuditLog = require('../models/AuditLog');
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const materialsRouter = require('../routers/materials');
+const { prepareOperations, runOperations } = require('../utils/materialBulk');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 일괄 작업 테스트 - 행별 결과, best-effort/atomic, 중복/휴지통/재고 확인
+// ============================================
+
+const hBeam = { spec: 'H100x100x6x8', wpm: 17.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2 };
+const angle = { spec: 'ㄱ50x50x6', wpm: 4.43, product: '앵글', method_calc: 2, initial_length: 6, trade_unit: 1, cat_product: 2 };
+const trashed = { ...hBeam, spec: 'H150x75x5x7', wpm: 14, deletedAt: new Date('2026-01-01') };
+const stocked = { ...hBeam, spec: 'H200x100x5.5x8', wpm: 21.3 };
+
+let materials;
+let audits;
+
+function setup() {
+  materials = useMemoryModel(SteelMaterial, [hBeam, angle, trashed, stocked], { unique: ['spec'] });
+  audits = useMemoryModel(AuditLog);
+  useMemoryModel(ProductType);
+  useMemoryModel(StockBalance);
+  useMemoryModel(StockMovement, [{
+    type: 'receive',
+    material: materials[3]._id,
+    spec: stocked.spec,
+    location: 'A동',
+    length: 10,
+    pieces: 1,
+    weight: 213
+  }]);
+}
+
+const bySpec = spec => materials.find(material => material.spec === spec);
+
+test('요청 형식과 입력값 오류는 DB 조회 전에 행별로 모은다', () => {
+  assert.throws(() => prepareOperations([]), error => error.status === 400);
+  assert.throws(() => prepareOperations(Array(1001).fill({ op: 'delete', spec: 'x' })), error => error.status === 400);
+
+  const rows = prepareOperations([
+    { op: 'create', data: hBeam },
+    { op: 'rename', spec: 'x' },
+    { op: 'update', data: { wpm: 1 } },
+    { op: 'delete', id: 'abc' },
+    { op: 'upsert', spec: 'H125x125x6.5x9', data: { wpm: -1 } }
+  ]);
+  assert.deepStrictEqual(rows.map(row => row.errors.map(error => error.field)), [[], ['op'], ['spec'], ['id'], ['wpm']]);
+  assert.strictEqual(rows[0].data.spec, hBeam.spec);
+  assert.strictEqual(rows[4].data.spec, 'H125x125x6.5x9');
+});
+
+test('best-effort는 실패한 행만 건너뛰고 나머지를 저장한다', async () => {
+  setup();
+  const rows = prepareOperations([
+    { op: 'create', data: { ...hBeam, spec: 'H125x125x6.5x9', wpm: 23.8 } },
+    { op: 'create', data: hBeam },
+    { op: 'update', spec: hBeam.spec, data: { wpm: 17.5 } },
+    { op: 'upsert', spec: angle.spec, data: { ...angle, wpm: 4.5 } },
+    { op: 'upsert', data: { ...angle, spec: 'ㄱ65x65x6', wpm: 5.91 } },
+    { op: 'create', data: { ...hBeam, spec: trashed.spec } },
+    { op: 'delete', spec: stocked.spec },
+    { op: 'delete', spec: 'H999x999x9x9' },
+    { op: 'update', spec: hBeam.spec, data: { spec: angle.spec, product: angle.product } },
+    { op: 'delete', spec: angle.spec }
+  ]);
+  const { results, saved, deleted, audits: entries } = await runOperations(rows);
+
+  assert.deepStrictEqual(results.map(result => result.status === 'failed' ? result.statusCode : result.status), [
+    'created', 409, 'updated', 'updated', 'created', 409, 409, 404, 409, 'deleted'
+  ]);
+  assert.match(results[5].error, /휴지통/);
+  assert.match(results[6].error, /재고/);
+
+  assert.strictEqual(bySpec(hBeam.spec).wpm, 17.5);
+  assert.strictEqual(bySpec('ㄱ65x65x6').wpm, 5.91);
+  assert.ok(bySpec(angle.spec).deletedAt);
+  assert.ok(!bySpec(stocked.spec).deletedAt);
+
+  // 수정 후 삭제된 재료는 saved가 아니라 deleted에만 남는다
+  assert.deepStrictEqual(saved.map(material => material.spec).sort(), ['H100x100x6x8', 'H125x125x6.5x9', 'ㄱ65x65x6']);
+  assert.deepStrictEqual(deleted.map(material => material.spec), [angle.spec]);
+  assert.deepStrictEqual(entries.map(entry => entry.action), ['create', 'update', 'update', 'create', 'delete']);
+});
+
+test('atomic은 첫 번째 실패 행에서 멈추고 행 번호와 결과를 담아 던진다', async () => {
+  setup();
+  const rows = prepareOperations([
+    { op: 'update', spec: hBeam.spec, data: { wpm: 17.5 } },
+    { op: 'create', data: angle },
+    { op: 'delete', spec: hBeam.spec }
+  ]);
+  await assert.rejects(runOperations(rows, { atomic: true }), error => {
+    assert.strictEqual(error.status, 409);
+    assert.strictEqual(error.index, 1);
+    assert.strictEqual(error.result.status, 'failed');
+    assert.match(error.message, /2번째 작업이 실패하여 전체 작업을 취소했습니다/);
+    return true;
+  });
+});
+
+test('POST /bulk(best-effort)는 요약, 캐시, 감사 로그를 한 번에 반영한다', async () => {
+  setup();
+  await materialsRouter.loadCacheFromDB();
+
+  await withServer(createApp({ '/api/materials': materialsRouter }), async baseUrl => {
+    const { status, body } = await request(`${baseUrl}/api/materials/bulk`, {
+      method: 'POST',
+      body: {
+        mode: 'best-effort',
+        operations: [
+          { op: 'create', data: { ...hBeam, spec: 'H125x125x6.5x9', wpm: 23.8 } },
+          { op: 'update', spec: hBeam.spec, data: { wpm: 'abc' } },
+          { op: 'delete', spec: angle.spec }
+        ]
+      }
+    });
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.strictEqual(body.success, false);
+    assert.deepStrictEqual(body.summary, { total: 3, created: 1, updated: 0, deleted: 1, failed: 1 });
+    assert.deepStrictEqual(body.results[1].errors.map(error => error.field), ['wpm']);
+    assert.deepStrictEqual(audits.map(entry => entry.action).sort(), ['create', 'delete']);
+
+    const created = await request(`${baseUrl}/api/materials/${encodeURIComponent('H125x125x6.5x9')}`);
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual(created.body.fromCache, true);
+    const removed = await request(`${baseUrl}/api/materials/${encodeURIComponent(angle.spec)}`);
+    assert.strictEqual(removed.status, 404);
+  });
+});
+
+test('POST /bulk(atomic)는 입력 오류가 있거나 트랜잭션을 쓸 수 없으면 아무것도 저장하지 않는다', async () => {
+  setup();
+  const app = createApp({ '/api/materials': materialsRouter });
+  const operations = [
+    { op: 'update', spec: hBeam.spec, data: { wpm: 17.5 } },
+    { op: 'create', data: { ...hBeam, spec: 'H125x125x6.5x9', method_calc: 7 } }
+  ];
+
+  await withServer(app, async baseUrl => {
+    const invalid = await request(`${baseUrl}/api/materials/bulk`, { method: 'POST', body: { operations } });
+    assert.strictEqual(invalid.status, 422);
+    assert.deepStrictEqual(invalid.body.results.map(result => result.status), ['skipped', 'failed']);
+
+    // 단독 서버(레플리카셋 아님)에서는 atomic 대신 best-effort 안내
+    const db = mongoose.connection.db;
+    mongoose.connection.db = { admin: () => ({ command: async () => ({ isWritablePrimary: true }) }) };
+    try {
+      const standalone = await request(`${baseUrl}/api/materials/bulk`, { method: 'POST', body: { operations: operations.slice(0, 1) } });
+      assert.strictEqual(standalone.status, 400);
+      assert.match(standalone.body.error, /best-effort/);
+    } finally {
+      mongoose.connection.db = db;
+    }
+
+    const badMode = await request(`${baseUrl}/api/materials/bulk`, { method: 'POST', body: { mode: 'partial', operations } });
+    assert.strictEqual(badMode.status, 400);
+    assert.strictEqual(bySpec(hBeam.spec).wpm, 17.2);
+    assert.strictEqual(materials.length, 4);
+  });
+});
+
+test('POST /bulk는 admin만 사용할 수 있다', async () => {
+  setup();
+  await withServer(createApp({ '/api/materials': materialsRouter }, { username: 'writer', role: 'editor' }), async baseUrl => {
+    const denied = await request(`${baseUrl}/api/materials/bulk`, {
+      method: 'POST',
+      body: { mode: 'best-effort', operations: [{ op: 'delete', spec: hBeam.spec }] }
+    });
+    assert.strictEqual(denied.status, 403);
+    assert.ok(!bySpec(hBeam.spec).deletedAt);
+  });
+});
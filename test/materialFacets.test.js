@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const materialsRouter = require('../routers/materials');
+const { computeFacets, facetPipeline, fromAggregation } = require('../utils/materialFacets');
+const { readBackupFile, fromExtendedJsonDoc } = require('../utils/materialSeed');
+const { parseSpec } = require('../utils/specParser');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 집계 테스트 - 필드별 개수, wpm 통계, 캐시/DB 집계 결과 일치
+// ============================================
+
+const materials = readBackupFile().map(fromExtendedJsonDoc).map(doc => ({ ...doc, dimensions: parseSpec(doc.spec) }));
+
+const QUERIES = [
+  {},
+  { product: 'H형강' },
+  { cat_product: '3' },
+  { spec: '50x50', method_calc: '2' },
+  { height_min: '1000' }
+];
+
+test('품목별 개수, wpm 최소/최대/평균, 사용 중인 정척을 계산한다', () => {
+  const sample = [
+    { spec: 'H100x100x6x8', product: 'H형강', wpm: 17.2, initial_length: 10, cat_product: 2, method_calc: 1, trade_unit: 1, dimensions: { shape: 'H' } },
+    { spec: 'H150x75x5x7', product: 'H형강', wpm: 14, initial_length: 12, cat_product: 2, method_calc: 1, trade_unit: 1, dimensions: { shape: 'H' } },
+    { spec: 'PL1.6T 3x6', product: '철판', wpm: 21, initial_length: 0, cat_product: 3, method_calc: 3, trade_unit: 1, dimensions: { shape: 'plate' } },
+    { spec: '알수없음', product: '철판', wpm: 1, initial_length: 0, cat_product: 3, method_calc: 3, trade_unit: 1 }
+  ];
+  const result = computeFacets(sample);
+
+  assert.strictEqual(result.total, 4);
+  assert.deepStrictEqual(result.facets.product, [{ value: 'H형강', count: 2 }, { value: '철판', count: 2 }]);
+  assert.deepStrictEqual(result.facets.initial_length, [{ value: 0, count: 2 }, { value: 10, count: 1 }, { value: 12, count: 1 }]);
+  assert.deepStrictEqual(result.facets.shape, [{ value: 'H', count: 2 }, { value: 'plate', count: 1 }, { value: null, count: 1 }]);
+  assert.deepStrictEqual(result.stats.wpm, { count: 4, min: 1, max: 21, avg: 13.3 });
+  assert.deepStrictEqual(result.byProduct[0], { product: 'H형강', count: 2, wpm: { min: 14, max: 17.2, avg: 15.6 }, initialLengths: [10, 12] });
+
+  assert.deepStrictEqual(computeFacets([]).stats.wpm, { count: 0, min: null, max: null, avg: null });
+});
+
+test('GET /facets는 캐시 집계와 DB 집계 결과가 같다', async () => {
+  useMemoryModel(SteelMaterial, materials);
+
+  await withServer(createApp({ '/api/materials': materialsRouter }, null), async baseUrl => {
+    const facets = async query => {
+      const { status, body } = await request(`${baseUrl}/api/materials/facets?${new URLSearchParams(query)}`);
+      assert.strictEqual(status, 200, JSON.stringify(body));
+      return body;
+    };
+
+    const fromDb = [];
+    for (const query of QUERIES) {
+      const body = await facets(query);
+      assert.strictEqual(body.fromCache, false);
+      fromDb.push(body.data);
+    }
+
+    await materialsRouter.loadCacheFromDB();
+    for (let i = 0; i < QUERIES.length; i++) {
+      const body = await facets(QUERIES[i]);
+      assert.strictEqual(body.fromCache, true);
+      assert.deepStrictEqual(body.data, fromDb[i], JSON.stringify(QUERIES[i]));
+    }
+
+    const all = fromDb[0];
+    assert.strictEqual(all.total, materials.length);
+    assert.strictEqual(all.facets.product.reduce((sum, bucket) => sum + bucket.count, 0), materials.length);
+    // product는 부분 일치 (H형강 → H형강, 경량H형강)
+    assert.deepStrictEqual(fromDb[1].facets.product.map(bucket => bucket.value), ['H형강', '경량H형강']);
+    assert.ok(fromDb[2].facets.cat_product.every(bucket => bucket.value === 3));
+
+    const invalid = await request(`${baseUrl}/api/materials/facets?wpm_min=abc`);
+    assert.strictEqual(invalid.status, 400);
+  });
+});
+
+test('조건에 맞는 재료가 없으면 개수 0과 빈 통계를 반환한다', async () => {
+  useMemoryModel(SteelMaterial, materials);
+  await materialsRouter.loadCacheFromDB();
+
+  await withServer(createApp({ '/api/materials': materialsRouter }, null), async baseUrl => {
+    const { body } = await request(`${baseUrl}/api/materials/facets?spec=zzzz`);
+    assert.strictEqual(body.data.total, 0);
+    assert.deepStrictEqual(body.data.facets.product, []);
+    assert.deepStrictEqual(body.data.byProduct, []);
+    assert.deepStrictEqual(body.data.stats.wpm, { count: 0, min: null, max: null, avg: null });
+
+    // DB 집계도 빈 결과를 같은 형식으로 변환
+    assert.deepStrictEqual(fromAggregation(await SteelMaterial.aggregate(facetPipeline({ spec: 'zzzz' }))), body.data);
+  });
+});
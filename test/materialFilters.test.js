@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const materialsRouter = require('../routers/materials');
+const { escapeRegex, parseFilters, matchesFilters, toMongoQuery } = require('../utils/materialFilters');
+const { readBackupFile, fromExtendedJsonDoc } = require('../utils/materialSeed');
+const { parseSpec } = require('../utils/specParser');
+const { matches, useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 목록 필터 테스트 - 쿼리 해석, 정규식 이스케이프, 캐시/DB 조건 일치
+// ============================================
+
+const materials = readBackupFile().map(fromExtendedJsonDoc).map(doc => ({
+  ...doc,
+  dimensions: parseSpec(doc.spec),
+  deletedAt: null
+}));
+
+const QUERIES = [
+  { product: 'H형강', height_min: '200', height_max: '300' },
+  { spec: 'PL1.6T' },
+  { spec: '3.2', cat_product: '3' },
+  { thickness: '6' },
+  { wpm_min: '10', wpm_max: '10.7', method_calc: '2' },
+  { spec: '^ㄱ(50|65)x', match: 'regex' },
+  { shape: 'rectTube', width_min: '100' }
+];
+
+test('범위/일치 조건을 해석하고 잘못된 값은 400', () => {
+  const filters = parseFilters({ height_min: '200', height_max: '300', thickness: '6', method_calc: '1' });
+  assert.deepStrictEqual(filters.ranges, [
+    { path: 'dimensions.height', min: 200, max: 300 },
+    { path: 'dimensions.thickness', min: 6, max: 6 }
+  ]);
+  assert.deepStrictEqual(filters.exact, { method_calc: 1 });
+
+  const invalid = [
+    { wpm_min: 'abc' },
+    { height_min: '300', height_max: '200' },
+    { method_calc: '1.5' },
+    { match: 'glob' }
+  ];
+  invalid.forEach(query => assert.throws(() => parseFilters(query), error => error.status === 400, JSON.stringify(query)));
+});
+
+test('부분 일치 검색어의 정규식 특수문자는 문자 그대로 비교한다', () => {
+  assert.strictEqual(escapeRegex('PL1.6T (3*6)'), 'PL1\\.6T \\(3\\*6\\)');
+
+  const filters = parseFilters({ spec: 'PL1.6T' });
+  assert.ok(matchesFilters({ spec: 'PL1.6T 3x6' }, filters));
+  assert.ok(!matchesFilters({ spec: 'PL1x6T 3x6' }, filters));
+  assert.doesNotThrow(() => parseFilters({ spec: '((' }));
+});
+
+test('정규식 검색은 역참조와 중첩 반복처럼 느려질 수 있는 형태를 거부한다', () => {
+  ['(a+)+$', '(a|a)*', '((ab)*)+', '(a)\\1', 'x'.repeat(101), '[unclosed'].forEach(pattern => {
+    assert.throws(() => parseFilters({ spec: pattern, match: 'regex' }), error => error.status === 400, pattern);
+  });
+  assert.doesNotThrow(() => parseFilters({ spec: '^H(100|125)x', match: 'regex' }));
+});
+
+test('캐시 조건(matchesFilters)과 DB 조건(toMongoQuery)은 같은 재료를 찾는다', () => {
+  QUERIES.forEach(query => {
+    const filters = parseFilters(query);
+    const mongoQuery = toMongoQuery(filters);
+    const fromCache = materials.filter(material => matchesFilters(material, filters)).map(m => m.spec);
+    const fromDb = materials.filter(material => matches(material, mongoQuery)).map(m => m.spec);
+    assert.ok(fromCache.length > 0, JSON.stringify(query));
+    assert.deepStrictEqual(fromCache, fromDb, JSON.stringify(query));
+  });
+});
+
+test('GET /는 캐시 로드 전후에 같은 결과와 건수를 반환한다', async () => {
+  useMemoryModel(SteelMaterial, materials);
+  const app = createApp({ '/api/materials': materialsRouter }, null);
+
+  await withServer(app, async baseUrl => {
+    const list = async query => {
+      const { status, body } = await request(`${baseUrl}/api/materials?${new URLSearchParams(query)}`);
+      assert.strictEqual(status, 200, JSON.stringify(body));
+      return body;
+    };
+
+    const fromDb = [];
+    for (const query of QUERIES) {
+      const body = await list(query);
+      assert.strictEqual(body.fromCache, false);
+      fromDb.push(body);
+    }
+
+    await materialsRouter.loadCacheFromDB();
+    for (let i = 0; i < QUERIES.length; i++) {
+      const body = await list(QUERIES[i]);
+      assert.strictEqual(body.fromCache, true);
+      assert.strictEqual(body.pagination.total, fromDb[i].pagination.total, JSON.stringify(QUERIES[i]));
+      assert.deepStrictEqual(
+        body.data.map(m => m.spec).sort(),
+        fromDb[i].data.map(m => m.spec).sort()
+      );
+    }
+
+    const paged = await list({ product: 'H형강', limit: '5', page: '2' });
+    assert.strictEqual(paged.data.length, 5);
+    assert.strictEqual(paged.pagination.page, 2);
+
+    const invalid = await request(`${baseUrl}/api/materials?height_min=abc`);
+    assert.strictEqual(invalid.status, 400);
+  });
+});
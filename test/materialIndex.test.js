@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMaterialIndex, SORT_KEYS } = require('../utils/materialIndex');
+const { parseFilters, matchesFilters, getPath } = require('../utils/materialFilters');
+const { readBackupFile, fromExtendedJsonDoc } = require('../utils/materialSeed');
+const { parseSpec } = require('../utils/specParser');
+
+// ============================================
+// 검색 인덱스 테스트 - 전체 탐색 결과와 비교, 변경 반영, 값별 개수
+// ============================================
+
+const materials = readBackupFile().map(fromExtendedJsonDoc).map(doc => ({ ...doc, dimensions: parseSpec(doc.spec) }));
+
+// 인덱스 없이 전체를 거르고 정렬한 결과 (값 없음 → 값 → spec → _id 순)
+function scan(source, query, { sort = 'spec', order = 'asc', page = 1, limit = 0 } = {}) {
+  const filters = parseFilters(query);
+  const key = material => {
+    const value = getPath(material, sort);
+    return value === undefined || value === null ? null : value;
+  };
+  const sorted = source.filter(material => matchesFilters(material, filters)).sort((a, b) => {
+    const [x, y] = [key(a), key(b)];
+    if ((x === null) !== (y === null)) return x === null ? -1 : 1;
+    if (x !== y) return x < y ? -1 : 1;
+    if (a.spec !== b.spec) return a.spec < b.spec ? -1 : 1;
+    return String(a._id) < String(b._id) ? -1 : 1;
+  });
+  const ordered = order === 'desc' ? sorted.reverse() : sorted;
+  const start = limit ? (page - 1) * limit : 0;
+  return { total: ordered.length, specs: ordered.slice(start, limit ? start + limit : undefined).map(m => m.spec) };
+}
+
+function search(index, query, options) {
+  const { data, total } = index.search(parseFilters(query), options);
+  return { total, specs: data.map(m => m.spec) };
+}
+
+const QUERIES = [
+  {},
+  { product: 'H형강' },
+  { product: '각관' },
+  { spec: 'x' },
+  { spec: 'PL' },
+  { spec: '100x100' },
+  { spec: '2.3t', method_calc: '4' },
+  { spec: 'zzzz' },
+  { cat_product: '1', height_min: '50', height_max: '100' },
+  { shape: 'angle', thickness: '6' },
+  { spec: '^H(100|125)x', match: 'regex' },
+  { product: '앵글', spec: '5$', match: 'regex' }
+];
+
+test('인덱스 검색은 모든 조건/정렬/페이지에서 전체 탐색과 같은 결과를 낸다', () => {
+  const index = createMaterialIndex();
+  index.rebuild(materials);
+
+  QUERIES.forEach(query => {
+    [
+      {},
+      { sort: 'wpm', order: 'desc' },
+      { sort: 'dimensions.thickness', limit: 20, page: 2 },
+      { sort: 'product', order: 'desc', limit: 7, page: 3 },
+      { sort: 'updatedAt', limit: 5 }
+    ].forEach(options => {
+      const label = JSON.stringify({ query, options });
+      assert.deepStrictEqual(search(index, query, options), scan(materials, query, options), label);
+    });
+  });
+});
+
+test('마지막 페이지를 넘어선 요청은 정렬 방향과 관계없이 빈 결과', () => {
+  const index = createMaterialIndex();
+  index.rebuild(materials);
+
+  ['asc', 'desc'].forEach(order => {
+    const { data, total } = index.search(parseFilters({ product: 'H형강' }), { order, limit: 50, page: 100 });
+    assert.deepStrictEqual(data, [], order);
+    assert.ok(total > 0);
+  });
+});
+
+test('부분 일치는 대소문자를 무시하고 특수문자를 문자 그대로 비교한다', () => {
+  const index = createMaterialIndex();
+  index.rebuild(materials);
+
+  const lower = search(index, { spec: 'pl3.2t' });
+  assert.deepStrictEqual(lower, search(index, { spec: 'PL3.2T' }));
+  assert.ok(lower.total > 0);
+  assert.strictEqual(search(index, { spec: 'PL3x2T' }).total, 0);
+});
+
+test('추가/수정/삭제 후에도 다시 만든 인덱스와 같은 결과를 낸다', () => {
+  const index = createMaterialIndex();
+  const source = materials.slice(0, 300).map(material => ({ ...material }));
+  index.rebuild(source);
+
+  const added = { ...materials[400] };
+  const changed = { ...source[10], spec: 'H999x999x9x9', wpm: 999, product: 'H형강', dimensions: parseSpec('H999x999x9x9') };
+  const removed = source[20];
+  index.upsert(added);
+  index.upsert(changed);
+  index.remove(removed);
+  index.remove({ _id: '0'.repeat(24), spec: 'missing' });
+
+  const current = [...source.filter(m => m !== removed && m !== source[10]), added, changed];
+  const rebuilt = createMaterialIndex();
+  rebuilt.rebuild(current);
+
+  assert.strictEqual(index.stats().size, 300);
+  [{}, { spec: 'H999' }, { spec: removed.spec }, { product: 'H형강' }].forEach(query => {
+    SORT_KEYS.forEach(sort => {
+      const label = JSON.stringify({ query, sort });
+      assert.deepStrictEqual(search(index, query, { sort }), search(rebuilt, query, { sort }), label);
+      assert.deepStrictEqual(search(index, query, { sort }), scan(current, query, { sort }), label);
+    });
+  });
+  assert.deepStrictEqual(index.stats(), rebuilt.stats());
+});
+
+test('버킷 필드의 값별 개수를 반환한다', () => {
+  const index = createMaterialIndex();
+  index.rebuild(materials);
+
+  const byCategory = index.counts('cat_product');
+  assert.strictEqual([...byCategory.values()].reduce((sum, count) => sum + count, 0), materials.length);
+  assert.strictEqual(index.counts('product').get('H형강'), materials.filter(m => m.product === 'H형강').length);
+  assert.strictEqual(index.counts('spec').size, 0);
+  assert.strictEqual(index.stats().sortKeys.length, SORT_KEYS.length);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const ProductType = require('../models/ProductType');
+const AuditLog = require('../models/AuditLog');
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const materialsRouter = require('../routers/materials');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 휴지통 테스트 - 삭제 시 숨김, 휴지통 조회, 복원, 중복 spec 안내, 보관 기간이 지난 항목 영구 삭제
+// ============================================
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY);
+
+const hBeam = { spec: 'H100x100x6x8', wpm: 17.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2 };
+const angle = { spec: 'ㄱ50x50x6', wpm: 4.43, product: '앵글', method_calc: 1, initial_length: 6, trade_unit: 1, cat_product: 2 };
+const channel = { spec: 'ㄷ100x50x5x7.5', wpm: 9.36, product: '잔넬', method_calc: 1, initial_length: 6, trade_unit: 1, cat_product: 2 };
+const oldTrash = { spec: 'H150x75x5x7', wpm: 14, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2, deletedAt: daysAgo(40) };
+const recentTrash = { spec: 'H125x60x6x8', wpm: 13.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2, deletedAt: daysAgo(3) };
+const stockedTrash = { spec: 'ㄱ40x40x3', wpm: 1.83, product: '앵글', method_calc: 1, initial_length: 6, trade_unit: 1, cat_product: 2, deletedAt: daysAgo(60) };
+
+let materials;
+let audits;
+
+function setup() {
+  materials = useMemoryModel(SteelMaterial, [hBeam, angle, channel, oldTrash, recentTrash, stockedTrash], { unique: ['spec'] });
+  audits = useMemoryModel(AuditLog);
+  useMemoryModel(ProductType);
+  useMemoryModel(StockBalance);
+  useMemoryModel(StockMovement, [{ material: materialOf(stockedTrash.spec)._id, type: 'receive', location: 'A동', length: 6, pieces: 1 }]);
+}
+
+const materialOf = spec => materials.find(material => material.spec === spec);
+const asAdmin = createApp({ '/api/materials': materialsRouter }, { username: 'admin', role: 'admin' });
+const asEditor = createApp({ '/api/materials': materialsRouter }, { username: 'editor', role: 'editor' });
+const asViewer = createApp({ '/api/materials': materialsRouter }, { username: 'viewer', role: 'viewer' });
+
+// 캐시 로드 전(DB 조회)과 후(캐시 조회) 모두 확인
+[false, true].forEach(cached => {
+  test(`삭제한 재료는 휴지통으로 이동하고 목록/조회에서 제외된다 (${cached ? '캐시' : 'DB'})`, async () => {
+    setup();
+    if (cached) await materialsRouter.loadCacheFromDB();
+
+    await withServer(asAdmin, async baseUrl => {
+      const api = (path, options) => request(`${baseUrl}/api/materials${path}`, options);
+      const listed = async () => (await api('/?limit=100')).body.data.map(m => m.spec).sort();
+
+      assert.deepStrictEqual(await listed(), [hBeam.spec, channel.spec, angle.spec].sort());
+      assert.strictEqual((await api(`/${encodeURIComponent(oldTrash.spec)}`)).status, 404);
+
+      const removed = await api(`/${materialOf(hBeam.spec)._id}`, { method: 'DELETE' });
+      assert.strictEqual(removed.status, 200, JSON.stringify(removed.body));
+      assert.ok(materialOf(hBeam.spec).deletedAt instanceof Date);
+      assert.strictEqual((await api(`/${materialOf(hBeam.spec)._id}`)).status, 404);
+
+      const bulk = await api('/', { method: 'DELETE', body: { specs: [angle.spec, oldTrash.spec, '없는규격'] } });
+      assert.strictEqual(bulk.body.deletedCount, 1);
+      assert.deepStrictEqual(await listed(), [channel.spec]);
+
+      // 휴지통은 최근 삭제 순
+      const trash = await api('/trash');
+      assert.strictEqual(trash.body.pagination.total, 5);
+      assert.strictEqual(trash.body.retentionDays, 30);
+      assert.deepStrictEqual(trash.body.data.slice(-3).map(m => m.spec), [recentTrash.spec, oldTrash.spec, stockedTrash.spec]);
+      assert.deepStrictEqual((await api('/trash?spec=h1&limit=2')).body.data.length, 2);
+      assert.deepStrictEqual((await api('/trash?product=앵글')).body.data.map(m => m.spec).sort(), [angle.spec, stockedTrash.spec].sort());
+
+      assert.deepStrictEqual(audits.map(entry => entry.action), ['delete', 'bulk-delete']);
+    });
+  });
+});
+
+test('휴지통의 재료는 ID 또는 spec으로 복원하고 캐시에 다시 넣는다', async () => {
+  setup();
+  await materialsRouter.loadCacheFromDB();
+
+  await withServer(asEditor, async baseUrl => {
+    const api = (path, options) => request(`${baseUrl}/api/materials${path}`, options);
+
+    const byId = await api(`/${materialOf(oldTrash.spec)._id}/restore`, { method: 'POST' });
+    assert.strictEqual(byId.status, 200, JSON.stringify(byId.body));
+    assert.strictEqual(materialOf(oldTrash.spec).deletedAt, null);
+    assert.strictEqual((await api(`/${encodeURIComponent(oldTrash.spec)}`)).body.data.spec, oldTrash.spec);
+
+    const bySpec = await api(`/${encodeURIComponent(recentTrash.spec)}/restore`, { method: 'POST' });
+    assert.strictEqual(bySpec.status, 200);
+    assert.strictEqual((await api(`/${encodeURIComponent(recentTrash.spec)}`)).status, 200);
+
+    // 휴지통에 없는 재료
+    assert.strictEqual((await api(`/${materialOf(hBeam.spec)._id}/restore`, { method: 'POST' })).status, 404);
+    assert.deepStrictEqual(audits.map(entry => entry.action), ['restore', 'restore']);
+  });
+
+  await withServer(asViewer, async baseUrl => {
+    const response = await request(`${baseUrl}/api/materials/${encodeURIComponent(stockedTrash.spec)}/restore`, { method: 'POST' });
+    assert.strictEqual(response.status, 403);
+    assert.ok(materialOf(stockedTrash.spec).deletedAt);
+  });
+});
+
+test('휴지통에 같은 spec이 있으면 새로 만들지 않고 복원 방법을 안내한다', async () => {
+  setup();
+
+  await withServer(asEditor, async baseUrl => {
+    const api = (path, options) => request(`${baseUrl}/api/materials${path}`, options);
+
+    const duplicate = await api('/', { method: 'POST', body: { ...oldTrash, deletedAt: undefined } });
+    assert.strictEqual(duplicate.status, 409);
+    assert.strictEqual(duplicate.body.trashed.spec, oldTrash.spec);
+    assert.strictEqual(duplicate.body.trashed.restore, `POST /api/materials/${materialOf(oldTrash.spec)._id}/restore`);
+    assert.strictEqual(materials.filter(m => m.spec === oldTrash.spec).length, 1);
+
+    const active = await api('/', { method: 'POST', body: hBeam });
+    assert.strictEqual(active.status, 409);
+    assert.strictEqual(active.body.trashed, undefined);
+
+    // 삭제 후 다른 재료가 같은 spec을 쓰게 되면 복원 불가
+    materialOf(channel.spec).spec = recentTrash.spec;
+    const blocked = await api(`/${materials.find(m => m.deletedAt && m.spec === recentTrash.spec)._id}/restore`, { method: 'POST' });
+    assert.strictEqual(blocked.status, 409);
+  });
+});
+
+test('영구 삭제는 관리자만, 보관 기간이 지나고 재고 내역이 없는 항목만 지운다', async () => {
+  setup();
+
+  await withServer(asEditor, async baseUrl => {
+    assert.strictEqual((await request(`${baseUrl}/api/materials/trash`, { method: 'DELETE' })).status, 403);
+  });
+
+  await withServer(asAdmin, async baseUrl => {
+    const purge = query => request(`${baseUrl}/api/materials/trash${query}`, { method: 'DELETE' });
+
+    assert.strictEqual((await purge('?days=-1')).status, 400);
+    assert.strictEqual((await purge('?days=abc')).status, 400);
+
+    const expired = await purge('');
+    assert.strictEqual(expired.status, 200);
+    assert.strictEqual(expired.body.deletedCount, 1);
+    assert.deepStrictEqual(expired.body.skipped, [stockedTrash.spec]);
+    assert.strictEqual(materialOf(oldTrash.spec), undefined);
+    assert.ok(materialOf(recentTrash.spec));
+
+    const all = await purge('?days=0');
+    assert.strictEqual(all.body.deletedCount, 1);
+    assert.deepStrictEqual(all.body.skipped, [stockedTrash.spec]);
+    assert.deepStrictEqual(materials.map(m => m.spec).sort(), [hBeam.spec, channel.spec, angle.spec, stockedTrash.spec].sort());
+    assert.deepStrictEqual(audits.map(entry => entry.action), ['purge', 'purge']);
+  });
+});
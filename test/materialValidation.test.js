@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const ProductType = require('../models/ProductType');
+const AuditLog = require('../models/AuditLog');
+const materialsRouter = require('../routers/materials');
+const { validateMaterial, assertValidMaterial } = require('../utils/materialValidation');
+const { readBackupFile, fromExtendedJsonDoc } = require('../utils/materialSeed');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 재료 입력 검증 테스트 - 필드 규칙, spec/품목 일치, 422 응답
+// ============================================
+
+const hBeam = { spec: 'H100x100x6x8', wpm: 17.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2 };
+
+useMemoryModel(ProductType);
+useMemoryModel(AuditLog);
+
+const fieldsOf = errors => errors.map(error => error.field).sort();
+
+test('숫자 문자열은 변환하고, 범위를 벗어난 값은 필드별 오류로 모은다', () => {
+  const { value, errors } = validateMaterial({ ...hBeam, wpm: '1,234.5', method_calc: '1', spec: ' H100x100x6x8 ' });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(value.wpm, 1234.5);
+  assert.strictEqual(value.method_calc, 1);
+  assert.strictEqual(value.spec, 'H100x100x6x8');
+
+  const invalid = validateMaterial({
+    ...hBeam,
+    wpm: 0,
+    method_calc: 5,
+    cat_product: 1.5,
+    trade_unit: 'abc',
+    initial_length: 7,
+    color: 'red'
+  });
+  assert.deepStrictEqual(fieldsOf(invalid.errors), ['cat_product', 'color', 'initial_length', 'method_calc', 'trade_unit', 'wpm']);
+  assert.ok(invalid.errors.find(error => error.field === 'method_calc').message.includes('1, 2, 3, 4'));
+  assert.strictEqual(invalid.errors.find(error => error.field === 'wpm').value, 0);
+});
+
+test('create/replace는 모든 필드가 필수이고 patch는 보낸 필드만 검증한다', () => {
+  const { errors } = validateMaterial({ spec: hBeam.spec, wpm: 17.2 }, { mode: 'replace' });
+  assert.deepStrictEqual(fieldsOf(errors), ['cat_product', 'initial_length', 'method_calc', 'product', 'trade_unit']);
+
+  assert.deepStrictEqual(validateMaterial({ wpm: 17.5 }, { mode: 'patch', current: hBeam }), { value: { wpm: 17.5 }, errors: [] });
+  assert.deepStrictEqual(fieldsOf(validateMaterial({ wpm: '' }, { mode: 'patch' }).errors), ['wpm']);
+
+  // 조회 결과를 그대로 보내도 서버 관리 필드는 무시
+  const { errors: readOnly } = validateMaterial({ ...hBeam, _id: 'x', __v: 1, dimensions: {}, deletedAt: null }, { mode: 'replace' });
+  assert.deepStrictEqual(readOnly, []);
+});
+
+test('spec 형식은 품목과 맞아야 하며, 다른 필드만 수정할 때는 확인하지 않는다', () => {
+  const mismatch = validateMaterial({ ...hBeam, spec: 'ㄱ50x50x6' });
+  assert.deepStrictEqual(fieldsOf(mismatch.errors), ['spec']);
+  assert.match(mismatch.errors[0].message, /H형강 형식이 아닙니다/);
+
+  assert.deepStrictEqual(fieldsOf(validateMaterial({ ...hBeam, spec: 'H100' }).errors), ['spec']);
+  assert.deepStrictEqual(fieldsOf(validateMaterial({ product: '앵글' }, { mode: 'patch', current: hBeam }).errors), ['spec']);
+
+  const legacy = { ...hBeam, spec: 'LH200X150Xx3.2x6.0', product: '경량H형강' };
+  assert.deepStrictEqual(validateMaterial({ wpm: 10 }, { mode: 'patch', current: legacy }).errors, []);
+
+  // 형식 규칙이 없는 품목은 spec 형식을 확인하지 않음
+  assert.deepStrictEqual(validateMaterial({ ...hBeam, product: '기타자재', spec: '아무거나' }).errors, []);
+});
+
+test('백업 데이터는 spec 오타 1건을 제외하고 모두 검증을 통과한다', () => {
+  const failed = readBackupFile()
+    .map(fromExtendedJsonDoc)
+    .filter(doc => validateMaterial(doc).errors.length > 0)
+    .map(doc => doc.spec);
+  assert.deepStrictEqual(failed, ['LH200X150Xx3.2x6.0']);
+});
+
+test('assertValidMaterial은 422와 오류 목록을 던지고, 스키마도 같은 허용 값을 검사한다', async () => {
+  assert.throws(
+    () => assertValidMaterial({ ...hBeam, wpm: -1 }),
+    error => error.status === 422 && error.details.length === 1 && error.details[0].field === 'wpm'
+  );
+
+  await assert.rejects(
+    new SteelMaterial({ ...hBeam, method_calc: 9, initial_length: 7, wpm: 0 }).validate(),
+    error => error.name === 'ValidationError' && ['method_calc', 'initial_length', 'wpm'].every(field => error.errors[field])
+  );
+});
+
+test('POST/PUT/PATCH는 잘못된 입력을 저장하지 않고 422와 필드별 오류를 반환한다', async () => {
+  const materials = useMemoryModel(SteelMaterial, [hBeam], { unique: ['spec'] });
+
+  await withServer(createApp({ '/api/materials': materialsRouter }), async baseUrl => {
+    const api = `${baseUrl}/api/materials`;
+    const id = String(materials[0]._id);
+
+    const created = await request(api, { method: 'POST', body: { ...hBeam, spec: 'H200x100x5.5x8', wpm: 'abc', method_calc: 0 } });
+    assert.strictEqual(created.status, 422);
+    assert.strictEqual(created.body.success, false);
+    assert.deepStrictEqual(fieldsOf(created.body.errors), ['method_calc', 'wpm']);
+
+    const replaced = await request(`${api}/${id}`, { method: 'PUT', body: { spec: hBeam.spec, wpm: 17.2 } });
+    assert.strictEqual(replaced.status, 422);
+    assert.strictEqual(replaced.body.errors.length, 5);
+
+    const patched = await request(`${api}/${id}`, { method: 'PATCH', body: { wpm: 17.5, unknownField: 1 } });
+    assert.strictEqual(patched.status, 422);
+    assert.deepStrictEqual(fieldsOf(patched.body.errors), ['unknownField']);
+
+    assert.strictEqual(materials.length, 1);
+    assert.strictEqual(materials[0].wpm, 17.2);
+
+    const ok = await request(`${api}/${id}`, { method: 'PATCH', body: { wpm: '17.5' } });
+    assert.strictEqual(ok.status, 200, JSON.stringify(ok.body));
+    assert.strictEqual(materials[0].wpm, 17.5);
+  });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const SteelMaterial = require('../models/SteelMaterial');
+const AuditLog = require('../models/AuditLog');
+const materialsRouter = require('../routers/materials');
+
+// ============================================
+// 재료 API 테스트 - GET으로 받은 재료를 그대로 PUT으로 보내는 경우
+// ============================================
+// DB 없이 실행 (SteelMaterial/AuditLog 조회·저장 함수를 메모리 데이터로 대체)
+
+// DB 연결이 없으면 대기하지 않고 바로 실패 (대체하지 않은 DB 호출을 찾기 위해)
+mongoose.set('bufferCommands', false);
+
+const stored = {
+  _id: new mongoose.Types.ObjectId(),
+  spec: 'H100x100x6x8',
+  wpm: 17.2,
+  product: 'H형강',
+  method_calc: 1,
+  initial_length: 10,
+  trade_unit: 1,
+  cat_product: 2,
+  productType: null,
+  deletedAt: null,
+  updatedAt: new Date('2026-01-01T00:00:00Z'),
+  __v: 0
+};
+
+// 저장된 상태의 재료 문서 (save는 __v만 올리고 DB에 쓰지 않음)
+function storedDocument() {
+  const doc = SteelMaterial.hydrate(JSON.parse(JSON.stringify(stored)));
+  doc.save = async function() {
+    this.__v++;
+    return this;
+  };
+  return doc;
+}
+
+SteelMaterial.find = () => ({ lean: async () => [{ ...stored }] });
+SteelMaterial.findOne = async () => storedDocument();
+AuditLog.aggregate = async () => [];
+AuditLog.insertMany = async docs => docs;
+
+// 인증 대신 editor 사용자를 넣은 앱
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { username: 'tester', role: 'editor' };
+    next();
+  });
+  app.use('/api/materials', materialsRouter);
+  return app;
+}
+
+async function withServer(run) {
+  const server = createApp().listen(0);
+  const { port } = server.address();
+  try {
+    await run(`http://127.0.0.1:${port}/api/materials`);
+  } finally {
+    server.close();
+  }
+}
+
+async function roundTrip(baseUrl) {
+  const fetched = await fetch(`${baseUrl}/${stored._id}`);
+  assert.strictEqual(fetched.status, 200);
+  const { data } = await fetched.json();
+  assert.ok(data.sectionProperties, 'GET 응답에 sectionProperties가 있어야 합니다.');
+
+  const updated = await fetch(`${baseUrl}/${stored._id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'If-Match': fetched.headers.get('ETag') },
+    body: JSON.stringify(data)
+  });
+  const body = await updated.json();
+  assert.strictEqual(updated.status, 200, JSON.stringify(body));
+  assert.strictEqual(body.data.spec, stored.spec);
+}
+
+test('DB에서 조회한 재료를 그대로 PUT하면 수정된다', async () => {
+  await withServer(roundTrip);
+});
+
+test('캐시에서 조회한 재료를 그대로 PUT하면 수정된다', async () => {
+  await materialsRouter.loadCacheFromDB();
+  await withServer(roundTrip);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const express = require('express');
+const SteelMaterial = require('../models/SteelMaterial');
+const materialsRouter = require('../routers/materials');
+const { DURATION_BUCKETS, metricsMiddleware, recordCacheRead, watchConnection, renderMetrics } = require('../utils/metrics');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { withServer, request } = require('./helpers/app');
+
+// ============================================
+// 메트릭 테스트 - 라우트별 요청 수/응답 시간, 캐시 적중, 연결 이벤트, Prometheus 텍스트 형식
+// ============================================
+// 메트릭 값은 프로세스 전체에서 누적되므로 각 테스트는 자기가 만든 라벨 조합만 확인
+
+const hBeam = { spec: 'H100x100x6x8', wpm: 17.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2 };
+
+// 라벨이 정확히 일치하는 샘플 값 (없으면 undefined)
+function sample(text, name, labels = '') {
+  const prefix = `${name}${labels} `;
+  const line = text.split('\n').find(row => row.startsWith(prefix));
+  return line === undefined ? undefined : Number(line.slice(prefix.length));
+}
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(metricsMiddleware);
+  app.use('/api/materials', materialsRouter);
+  return app;
+}
+
+test('요청 수와 응답 시간을 경로 패턴별로 수집하고 매칭되지 않은 요청은 unmatched로 묶는다', async () => {
+  const materials = useMemoryModel(SteelMaterial, [hBeam]);
+
+  await withServer(createApp(), async baseUrl => {
+    assert.strictEqual((await request(`${baseUrl}/api/materials/${materials[0]._id}`)).status, 200);
+    assert.strictEqual((await request(`${baseUrl}/api/materials/${encodeURIComponent(hBeam.spec)}`)).status, 200);
+    assert.strictEqual((await request(`${baseUrl}/api/materials/000000000000000000000000`)).status, 404);
+    assert.strictEqual((await request(`${baseUrl}/unknown/a`)).status, 404);
+    assert.strictEqual((await request(`${baseUrl}/unknown/b`)).status, 404);
+  });
+
+  const text = renderMetrics();
+  assert.match(text, /^# HELP http_requests_total /m);
+  assert.match(text, /^# TYPE http_requests_total counter$/m);
+  assert.strictEqual(sample(text, 'http_requests_total', '{method="GET",route="/api/materials/:id",status="200"}'), 2);
+  assert.strictEqual(sample(text, 'http_requests_total', '{method="GET",route="/api/materials/:id",status="404"}'), 1);
+  assert.strictEqual(sample(text, 'http_requests_total', '{method="GET",route="unmatched",status="404"}'), 2);
+  assert.ok(!text.includes('/unknown/'));
+
+  // 히스토그램은 누적 버킷, +Inf 버킷과 _count가 요청 수와 같음
+  assert.match(text, /^# TYPE http_request_duration_seconds histogram$/m);
+  const labels = le => `{method="GET",route="/api/materials/:id",le="${le}"}`;
+  const buckets = DURATION_BUCKETS.map(bound => sample(text, 'http_request_duration_seconds_bucket', labels(bound)));
+  buckets.forEach((count, i) => assert.ok(i === 0 || count >= buckets[i - 1]));
+  assert.strictEqual(sample(text, 'http_request_duration_seconds_bucket', labels('+Inf')), 3);
+  assert.strictEqual(sample(text, 'http_request_duration_seconds_count', '{method="GET",route="/api/materials/:id"}'), 3);
+  assert.ok(sample(text, 'http_request_duration_seconds_sum', '{method="GET",route="/api/materials/:id"}') > 0);
+});
+
+test('재료 조회가 캐시와 DB 중 어디서 처리되었는지 센다', async () => {
+  useMemoryModel(SteelMaterial, [hBeam]);
+  const count = (operation, source) =>
+    sample(renderMetrics(), 'materials_cache_reads_total', `{operation="${operation}",source="${source}"}`) || 0;
+
+  await withServer(createApp(), async baseUrl => {
+    const before = { db: count('list', 'db'), cache: count('list', 'cache') };
+
+    await request(`${baseUrl}/api/materials`);
+    assert.strictEqual(count('list', 'db'), before.db + 1);
+
+    await materialsRouter.loadCacheFromDB();
+    await request(`${baseUrl}/api/materials`);
+    await request(`${baseUrl}/api/materials?spec=H100`);
+    assert.strictEqual(count('list', 'cache'), before.cache + 2);
+    assert.strictEqual(count('list', 'db'), before.db + 1);
+  });
+});
+
+test('MongoDB 연결 이벤트를 세고 라벨 값과 현재 값(gauge)을 Prometheus 형식으로 출력한다', () => {
+  const connection = new EventEmitter();
+  watchConnection(connection);
+  connection.emit('connected');
+  connection.emit('disconnected');
+  connection.emit('reconnected');
+  connection.emit('reconnected');
+  connection.emit('open');
+
+  recordCacheRead('quote"d\\back\nline', true);
+
+  const text = renderMetrics([
+    { name: 'materials_cache_size', help: '재료 캐시 항목 수', value: 42 },
+    { name: 'materials_cache_last_sync_age_seconds', help: '마지막 전체 캐시 로드 이후 경과 시간(초)', value: null }
+  ]);
+
+  assert.strictEqual(sample(text, 'mongodb_connection_events_total', '{event="connected"}'), 1);
+  assert.strictEqual(sample(text, 'mongodb_connection_events_total', '{event="reconnected"}'), 2);
+  assert.strictEqual(sample(text, 'mongodb_connection_events_total', '{event="open"}'), undefined);
+
+  assert.strictEqual(sample(text, 'materials_cache_reads_total', '{operation="quote\\"d\\\\back\\nline",source="cache"}'), 1);
+
+  assert.match(text, /^# TYPE materials_cache_size gauge\nmaterials_cache_size 42$/m);
+  assert.ok(!text.includes('materials_cache_last_sync_age_seconds'));
+  assert.ok(text.endsWith('\n'));
+});
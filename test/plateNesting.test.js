@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const materialsRouter = require('../routers/materials');
+const { nestParts } = require('../utils/plateNesting');
+const { readBackupFile, fromExtendedJsonDoc } = require('../utils/materialSeed');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 판재 배치 테스트 - 길로틴 배치, 회전/kerf, 판 규격 선택
+// ============================================
+
+const SHEET = { sheetWidth: 1000, sheetLength: 2000 };
+
+// 배치된 부품이 판 안에 있고 서로 겹치지 않는지 확인
+function assertValidLayout(sheet, { sheetWidth, sheetLength }) {
+  sheet.placements.forEach((a, i) => {
+    assert.ok(a.x >= 0 && a.y >= 0 && a.x + a.width <= sheetWidth && a.y + a.height <= sheetLength, JSON.stringify(a));
+    sheet.placements.slice(i + 1).forEach(b => {
+      const overlaps = a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+      assert.ok(!overlaps, `${JSON.stringify(a)} / ${JSON.stringify(b)}`);
+    });
+  });
+}
+
+test('판을 빈틈없이 채우는 부품은 한 장에 배치하고 이용률 100%', () => {
+  const result = nestParts({ parts: [{ width: 500, height: 1000, quantity: 4 }], ...SHEET });
+  assert.strictEqual(result.feasible, true);
+  assert.strictEqual(result.sheetCount, 1);
+  assert.strictEqual(result.utilization, 100);
+  assert.strictEqual(result.partsArea, 2000000);
+  assertValidLayout(result.sheets[0], SHEET);
+});
+
+test('kerf만큼 부품이 커지면 한 장에 다 들어가지 않는다', () => {
+  const result = nestParts({ parts: [{ width: 500, height: 1000, quantity: 4 }], ...SHEET, kerf: 5 });
+  assert.strictEqual(result.sheetCount, 2);
+  result.sheets.forEach(sheet => assertValidLayout(sheet, SHEET));
+  assert.strictEqual(result.sheets.flatMap(sheet => sheet.placements).length, 4);
+});
+
+test('회전을 허용하면 돌려서 배치하고, 금지하면 배치 불가 사유를 반환한다', () => {
+  const rotated = nestParts({ parts: [{ width: 1500, height: 800 }], ...SHEET });
+  assert.deepStrictEqual(rotated.sheets[0].placements, [{ part: 1, x: 0, y: 0, width: 800, height: 1500, rotated: true }]);
+
+  const fixed = nestParts({ parts: [{ width: 1500, height: 800 }], ...SHEET, allowRotation: false });
+  assert.strictEqual(fixed.feasible, false);
+  assert.match(fixed.reason, /1번째 부품\(1500×800\)/);
+});
+
+test('여러 부품을 섞어도 겹치지 않게 배치한다', () => {
+  const parts = [
+    { width: 600, height: 400, quantity: 5 },
+    { width: 300, height: 900, quantity: 3 },
+    { width: 250, height: 250, quantity: 8 }
+  ];
+  const result = nestParts({ parts, ...SHEET, kerf: 3 });
+  result.sheets.forEach(sheet => assertValidLayout(sheet, SHEET));
+  assert.strictEqual(result.sheets.flatMap(sheet => sheet.placements).length, 16);
+  assert.ok(result.sheetCount <= 2);
+});
+
+test('잘못된 부품 입력은 400', () => {
+  const invalid = [
+    [],
+    [{ width: 0, height: 100 }],
+    [{ width: 100, height: 'abc' }],
+    [{ width: 100, height: 100, quantity: 0 }],
+    [{ width: 10, height: 10, quantity: 2001 }]
+  ];
+  invalid.forEach(parts => assert.throws(() => nestParts({ parts, ...SHEET }), error => error.status === 400, JSON.stringify(parts)));
+});
+
+test('POST /plate-nesting은 같은 두께의 판 규격 중 총 중량이 가장 적은 것을 고른다', async () => {
+  const plates = readBackupFile().map(fromExtendedJsonDoc).filter(doc => /^PL3\.2T /.test(doc.spec));
+  useMemoryModel(SteelMaterial, plates);
+
+  await withServer(createApp({ '/api/materials': materialsRouter }, null), async baseUrl => {
+    const nest = body => request(`${baseUrl}/api/materials/plate-nesting`, { method: 'POST', body });
+
+    const small = await nest({ thickness: 3.2, parts: [{ width: 800, height: 1500 }] });
+    assert.strictEqual(small.status, 200, JSON.stringify(small.body));
+    assert.strictEqual(small.body.data.selected.spec, 'PL3.2T 3x6');
+    assert.strictEqual(small.body.data.selected.totalWeight, 42);
+    assert.strictEqual(small.body.data.candidates.length, plates.length);
+
+    // 1000×2000은 3x6(914×1829)에 들어가지 않으므로 4x8을 선택
+    const large = await nest({ thickness: '3.2', parts: [{ width: 1000, height: 2000 }] });
+    assert.strictEqual(large.body.data.selected.spec, 'PL3.2T 4x8');
+    assert.strictEqual(large.body.data.selected.partsWeight, 50.24);
+    assert.strictEqual(large.body.data.selected.scrapWeight, 24.46);
+
+    const onlySmall = await nest({ thickness: 3.2, sheetSizes: ['3x6'], parts: [{ width: 1000, height: 2000 }] });
+    assert.strictEqual(onlySmall.status, 400);
+    assert.strictEqual(onlySmall.body.candidates[0].spec, 'PL3.2T 3x6');
+    assert.match(onlySmall.body.candidates[0].reason, /보다 큽니다/);
+
+    assert.strictEqual((await nest({ parts: [{ width: 100, height: 100 }] })).status, 400);
+    assert.strictEqual((await nest({ thickness: 7, parts: [{ width: 100, height: 100 }] })).status, 404);
+    assert.strictEqual((await nest({ thickness: 3.2, parts: [] })).status, 400);
+  });
+});
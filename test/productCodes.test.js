@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProductType = require('../models/ProductType');
+// taxonomy.js를 require하지 않은 상태에서도 기본 품목으로 품목별 규칙이 적용되는지 확인
+const { validateMaterial } = require('../utils/materialValidation');
+const { productCodeOf, productNamesOf, loadProductCodes } = require('../utils/productCodes');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+// ============================================
+// 품목 이름 ↔ code 조회 테스트
+// ============================================
+
+const angle = {
+  spec: 'H100x100x6x8',
+  wpm: 17.2,
+  product: '앵글',
+  method_calc: 2,
+  initial_length: 10,
+  trade_unit: 1,
+  cat_product: 2
+};
+
+test('모듈을 불러오기만 해도 기본 품목 code를 조회한다', () => {
+  assert.ok(!require.cache[require.resolve('../utils/taxonomy')], 'taxonomy.js가 먼저 로드되면 이 테스트는 의미가 없습니다.');
+  assert.strictEqual(productCodeOf('앵글'), 'ANGLE');
+  assert.deepStrictEqual(productNamesOf(['H_BEAM', 'UNKNOWN']), ['H형강']);
+
+  const { errors } = validateMaterial(angle);
+  assert.deepStrictEqual(errors.map(error => error.field), ['spec']);
+});
+
+test('DB에 품목이 없으면 기본 목록을 유지하고, 있으면 DB의 이름으로 교체한다', async () => {
+  useMemoryModel(ProductType);
+  assert.strictEqual(await loadProductCodes(), 0);
+  assert.strictEqual(productCodeOf('앵글'), 'ANGLE');
+
+  useMemoryModel(ProductType, [{ code: 'ANGLE', nameKo: '등변앵글', category: 2 }]);
+  assert.strictEqual(await loadProductCodes(), 1);
+  assert.strictEqual(productCodeOf('등변앵글'), 'ANGLE');
+  assert.strictEqual(productCodeOf('앵글'), null);
+  assert.deepStrictEqual(productNamesOf(['ANGLE']), ['등변앵글']);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildQualityReport } = require('../utils/qualityReport');
+
+// ============================================
+// 데이터 품질 점검 테스트
+// ============================================
+
+let nextId = 1;
+const material = (spec, wpm, product, extra = {}) => ({
+  _id: `m${nextId++}`,
+  spec,
+  wpm,
+  product,
+  method_calc: 2,
+  initial_length: 10,
+  trade_unit: 1,
+  cat_product: 2,
+  ...extra
+});
+
+test('이론 중량과 차이가 큰 wpm은 수정값 없이 KS 표 확인을 권장한다', () => {
+  // KS 단위중량 22.6은 필렛을 뺀 이론 중량 21.478보다 5% 넘게 크지만 올바른 값
+  const { findings } = buildQualityReport([material('ㄱ120x120x12', 22.6, '앵글')]);
+
+  assert.strictEqual(findings.weightDeviation.length, 1);
+  const [finding] = findings.weightDeviation;
+  assert.strictEqual(finding.theoretical, 21.478);
+  assert.strictEqual(finding.suggestion.action, 'review');
+  assert.deepStrictEqual(finding.suggestion.changes, {});
+  assert.match(finding.suggestion.note, /KS 표/);
+});
+
+test('허용 오차 안의 wpm은 보고하지 않는다', () => {
+  const report = buildQualityReport([material('ㄱ120x120x12', 22.6, '앵글')], { tolerance: 10 });
+  assert.strictEqual(report.summary.weightChecked, 1);
+  assert.strictEqual(report.summary.counts.weightDeviation, 0);
+});
+
+test('같은 wpm이 치수가 다른 규격에 복사되면 재료별 변경 목록으로 보고한다', () => {
+  const angles = [material('ㄱ50x50x4', 3.06, '앵글'), material('ㄱ50x50x6', 3.06, '앵글')];
+  const { findings } = buildQualityReport(angles);
+
+  assert.strictEqual(findings.sameWpm.length, 1);
+  const { changes } = findings.sameWpm[0].suggestion;
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(changes[0]._id, angles[1]._id);
+  assert.ok(changes[0].changes.wpm > 3.06);
+});
+
+test('표기만 다른 중복 규격과 품목 불일치를 찾는다', () => {
+  const { findings } = buildQualityReport([
+    material('FB6x50', 2.36, '평철', { method_calc: 2 }),
+    material('FB6.0x50', 2.36, '평철'),
+    material('ㄱ100x75x7', 9.32, '앵글')
+  ]);
+
+  assert.strictEqual(findings.duplicateSpecs.length, 1);
+  assert.strictEqual(findings.duplicateSpecs[0].exact, false);
+  assert.strictEqual(findings.productMismatch.length, 1);
+  assert.deepStrictEqual(findings.productMismatch[0].suggestion.changes, { product: '부등변앵글' });
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Price = require('../models/Price');
+const { buildQuoteItems, summarizeQuote } = require('../utils/quoteBuilder');
+
+// ============================================
+// 견적 계산 테스트
+// ============================================
+// DB 없이 실행 (Price.find를 메모리 단가 목록으로 대체)
+
+mongoose.set('bufferCommands', false);
+
+const material = {
+  _id: new mongoose.Types.ObjectId(),
+  spec: 'H100x100x6x8',
+  wpm: 17.2,
+  product: 'H형강',
+  method_calc: 1,
+  initial_length: 10,
+  trade_unit: 1,
+  cat_product: 2
+};
+
+const date = new Date('2026-03-01T00:00:00Z');
+
+const productPrice = {
+  _id: new mongoose.Types.ObjectId(),
+  scope: 'product',
+  product: 'H형강',
+  unit: 'kg',
+  unitPrice: 1000,
+  effectiveFrom: new Date('2026-01-01T00:00:00Z')
+};
+
+const specPrice = {
+  _id: new mongoose.Types.ObjectId(),
+  scope: 'spec',
+  material: material._id,
+  spec: material.spec,
+  unit: 'kg',
+  unitPrice: 1200,
+  effectiveFrom: new Date('2026-01-01T00:00:00Z')
+};
+
+// 단가 목록을 돌려주는 Price.find (마지막 조회 조건은 queries에 기록)
+const queries = [];
+function usePrices(prices) {
+  Price.find = query => {
+    queries.push(query);
+    return { sort: () => ({ lean: async () => prices }) };
+  };
+}
+
+const findMaterial = async key => (key === material.spec || key === String(material._id) ? material : null);
+
+test('견적 품목에 재료 _id로 등록한 규격 단가가 적용된다', async () => {
+  usePrices([specPrice, productPrice]);
+
+  const [item] = await buildQuoteItems([{ spec: material.spec, quantity: 2 }], { date, findMaterial });
+
+  assert.strictEqual(item.priceSource, 'spec');
+  assert.strictEqual(item.unitPrice, 1200);
+  assert.strictEqual(String(item.price), String(specPrice._id));
+
+  // 조회 조건에도 스냅샷의 재료 _id가 들어가야 함
+  const specQuery = queries[queries.length - 1].$or.find(condition => condition.scope === 'spec');
+  assert.ok(
+    specQuery.$or.some(condition => String(condition.material) === String(material._id)),
+    JSON.stringify(specQuery)
+  );
+});
+
+test('규격 단가가 품목 단가보다 우선하고, 규격 단가가 없으면 품목 단가를 쓴다', async () => {
+  usePrices([productPrice, specPrice]);
+  const [withSpec] = await buildQuoteItems([{ spec: material.spec }], { date, findMaterial });
+  assert.strictEqual(withSpec.priceSource, 'spec');
+  assert.strictEqual(withSpec.unitPrice, 1200);
+
+  usePrices([productPrice]);
+  const [withProduct] = await buildQuoteItems([{ spec: material.spec }], { date, findMaterial });
+  assert.strictEqual(withProduct.priceSource, 'product');
+  assert.strictEqual(withProduct.unitPrice, 1000);
+});
+
+test('수정 시 기존 품목은 재료가 바뀌어도 저장된 스냅샷과 단가를 유지한다', async () => {
+  usePrices([specPrice]);
+  const existing = {
+    _id: new mongoose.Types.ObjectId(),
+    material: material._id,
+    spec: material.spec,
+    product: material.product,
+    method_calc: 1,
+    trade_unit: 1,
+    wpm: 17,
+    initial_length: 12,
+    length: 12,
+    quantity: 1,
+    priceUnit: 'kg',
+    unitPrice: 900,
+    priceSource: 'product',
+    price: productPrice._id,
+    note: '기존'
+  };
+
+  const [kept] = await buildQuoteItems([{ _id: existing._id, quantity: 2 }], {
+    date, findMaterial, existingItems: [existing]
+  });
+  assert.strictEqual(kept.wpm, 17);
+  assert.strictEqual(kept.length, 12);
+  assert.strictEqual(kept.quantity, 2);
+  assert.strictEqual(kept.unitPrice, 900);
+  assert.strictEqual(kept.priceSource, 'product');
+  assert.strictEqual(kept.weight, 408);
+  assert.strictEqual(kept.amount, 367200);
+  assert.strictEqual(kept.note, '기존');
+
+  // reprice: true이면 현재 재료 정보와 단가로 다시 계산
+  const [repriced] = await buildQuoteItems([{ _id: existing._id }], {
+    date, findMaterial, existingItems: [existing], reprice: true
+  });
+  assert.strictEqual(repriced.wpm, 17.2);
+  assert.strictEqual(repriced.unitPrice, 1200);
+  assert.strictEqual(repriced.priceSource, 'spec');
+});
+
+test('직접 입력한 unitPrice가 등록된 단가보다 우선한다', async () => {
+  usePrices([specPrice, productPrice]);
+  const [byKg, byPiece] = await buildQuoteItems([
+    { spec: material.spec, quantity: 3, unitPrice: 950 },
+    { spec: material.spec, quantity: 3, unitPrice: '50000', priceUnit: 'piece' }
+  ], { date, findMaterial });
+
+  assert.strictEqual(byKg.priceSource, 'manual');
+  assert.strictEqual(byKg.priceUnit, 'kg');
+  assert.strictEqual(byKg.price, undefined);
+  assert.strictEqual(byKg.amount, 516 * 950);
+
+  assert.strictEqual(byPiece.priceSource, 'manual');
+  assert.strictEqual(byPiece.priceUnit, 'piece');
+  assert.strictEqual(byPiece.amount, 150000);
+
+  await assert.rejects(
+    buildQuoteItems([{ spec: material.spec, unitPrice: -1 }], { date, findMaterial }),
+    error => error.status === 400 && /unitPrice/.test(error.details[0].message)
+  );
+});
+
+test('금액은 원 단위 반올림, 부가세는 원 미만 절사, 합계는 공급가액 + 부가세', async () => {
+  usePrices([]);
+  const items = await buildQuoteItems([
+    { spec: material.spec, length: 1, unitPrice: 333.33 },
+    { spec: material.spec, length: 0.7, quantity: 3, unitPrice: 101.1 }
+  ], { date, findMaterial });
+
+  // 17.2 × 333.33 = 5733.276 → 5733, 17.2 × 0.7 × 3 = 36.12kg × 101.1 = 3651.732 → 3652
+  assert.deepStrictEqual(items.map(item => item.amount), [5733, 3652]);
+  assert.deepStrictEqual(items.map(item => item.weight), [17.2, 36.12]);
+
+  assert.deepStrictEqual(summarizeQuote(items), {
+    totalWeight: 53.32,
+    supplyAmount: 9385,
+    vatRate: 0.1,
+    vat: 938,
+    totalAmount: 10323
+  });
+  assert.strictEqual(summarizeQuote(items, 0).totalAmount, 9385);
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const materialsRouter = require('../routers/materials');
+const { computeSectionProperties, sectionPropertiesOf, selectSections } = require('../utils/sectionProperties');
+const { readBackupFile, fromExtendedJsonDoc } = require('../utils/materialSeed');
+const { parseSpec } = require('../utils/specParser');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 단면 성능 테스트 - 형태별 계산값, 가장 가벼운 규격 선정, 선정/상세 API
+// ============================================
+
+const materials = readBackupFile().map(fromExtendedJsonDoc).map(doc => ({ ...doc, dimensions: parseSpec(doc.spec) }));
+
+const of = spec => computeSectionProperties(parseSpec(spec));
+const near = (actual, expected, tolerance = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≈ ${expected}`);
+
+test('H형강은 플랜지/웨브 치수로 단면적, 단면2차모멘트, 단면계수를 계산한다', () => {
+  const h = of('H200x200x8x12');
+  assert.strictEqual(h.shape, 'H');
+  // A = 2·200·12 + 176·8 = 6208mm², Ix = (200·200³ − 192·176³) / 12
+  near(h.area, 62.08);
+  near(h.Ix, (200 * 200 ** 3 - 192 * 176 ** 3) / 12 / 1e4);
+  near(h.Zx, h.Ix / 10);
+  near(h.rx, Math.sqrt(h.Ix / h.area));
+  near(h.theoreticalWpm, h.area * 0.785, 0.001);
+  // 필렛을 무시하므로 KS 표 값(Ix 4720, Iy 1600)보다 약간 작거나 같다
+  assert.ok(h.Ix < 4720 && h.Ix > 4720 * 0.97);
+  near(h.Iy, 1600, 1);
+  assert.deepStrictEqual(h.units, { area: 'cm2', inertia: 'cm4', modulus: 'cm3', radius: 'cm', centroid: 'cm', thickness: 'mm' });
+});
+
+test('앵글, 각관, 강관, 채널은 형태별 추가 값을 함께 반환한다', () => {
+  const angle = of('ㄱ50x50x6');
+  near(angle.area, 5.64);
+  assert.strictEqual(angle.Ix, angle.Iy);
+  near(angle.cx, angle.cy);
+  // 주축 단면2차모멘트의 합은 도심축 합과 같다
+  near(angle.Iu + angle.Iv, angle.Ix + angle.Iy);
+  assert.ok(angle.rv < angle.rx && angle.rx < angle.ru);
+
+  const tube = of('흑100x100x10');
+  assert.strictEqual(tube.shape, 'rectTube');
+  near(tube.area, 36);
+  near(tube.Ix, 492);
+  near(tube.Zx, 98.4);
+  // J = 4·Am²·t / 중심선 둘레 = 4·90⁴·10 / 360
+  assert.deepStrictEqual(tube.wall, { thickness: 10, widthToThickness: 8, heightToThickness: 8, J: 729 });
+
+  const pipe = of('흑KS 25A');
+  assert.strictEqual(pipe.shape, 'ksPipe');
+  assert.strictEqual(pipe.Ix, pipe.Iy);
+  near(pipe.wall.J, 2 * pipe.Ix);
+  // KS 25A: 외경 34.0mm, 두께 3.2mm
+  near(pipe.wall.innerDiameter, 34 - 2 * 3.2);
+
+  const channel = of('ㄷ100x50x5x7.5');
+  assert.ok(channel.cx > 0 && channel.cx < 2.5);
+  assert.ok(channel.Ix > channel.Iy);
+
+  const round = of('RB20');
+  near(round.area, Math.PI);
+  near(round.Ix, Math.PI * 2 ** 4 / 64);
+});
+
+test('단면 성능을 계산할 수 없는 형태는 null', () => {
+  assert.strictEqual(computeSectionProperties(parseSpec('PL1.6T 3x6')), null);
+  assert.strictEqual(computeSectionProperties(null), null);
+  assert.strictEqual(sectionPropertiesOf({ spec: '알수없음' }), null);
+
+  const material = materials.find(m => m.spec === 'H200x200x8x12');
+  assert.strictEqual(sectionPropertiesOf(material), sectionPropertiesOf(material));
+});
+
+test('필요 단면계수를 만족하는 규격을 가벼운 순으로 선정한다', () => {
+  const { required, total, results } = selectSections(materials, { family: 'H', modulus: 400, limit: 3 });
+  assert.deepStrictEqual(required, { family: 'H', axis: 'x', modulus: 400, inertia: undefined });
+  assert.strictEqual(results.length, 3);
+  assert.strictEqual(results[0].material.spec, 'H298x149x5.5x8');
+
+  const candidates = materials.filter(m => m.dimensions && m.dimensions.shape === 'H');
+  const satisfying = candidates.filter(m => sectionPropertiesOf(m).Zx >= 400);
+  assert.strictEqual(total, satisfying.length);
+  assert.strictEqual(results[0].material.wpm, Math.min(...satisfying.map(m => m.wpm)));
+
+  results.forEach(({ properties, provided, utilization }, i) => {
+    assert.ok(properties.Zx >= 400);
+    assert.deepStrictEqual(provided, { Zx: properties.Zx });
+    near(utilization, 400 / properties.Zx, 0.001);
+    if (i > 0) assert.ok(results[i - 1].material.wpm <= results[i].material.wpm);
+  });
+});
+
+test('제품군은 형태, 품목 이름, 품목 별칭으로 지정하고 y축과 두 조건을 함께 쓸 수 있다', () => {
+  const specs = family => selectSections(materials, { family, inertia: 50, limit: 100 }).results.map(r => r.material.spec);
+  assert.deepStrictEqual(specs('ㄱ'), specs('angle'));
+  assert.ok(specs('H형강').every(spec => spec.startsWith('H')));
+  assert.ok(specs('각관').length > 0);
+
+  const weak = selectSections(materials, { family: 'H', modulus: 100, axis: 'y', limit: 100 }).results;
+  assert.ok(weak.every(({ properties, provided }) => properties.Zy >= 100 && Object.keys(provided).join() === 'Zy'));
+
+  const both = selectSections(materials, { family: 'H', modulus: 400, inertia: 10000 }).results;
+  both.forEach(({ properties, provided, utilization }) => {
+    assert.ok(properties.Zx >= 400 && properties.Ix >= 10000);
+    near(utilization, Math.max(400 / provided.Zx, 10000 / provided.Ix), 0.001);
+  });
+});
+
+test('제품군, 축, 필요값이 잘못되면 400 오류', () => {
+  const statusOf = options => {
+    try {
+      selectSections(materials, options);
+    } catch (error) {
+      return error.status;
+    }
+    return 200;
+  };
+  assert.strictEqual(statusOf({ modulus: 100 }), 400);
+  assert.strictEqual(statusOf({ family: 'H', modulus: 100, axis: 'z' }), 400);
+  assert.strictEqual(statusOf({ family: 'H' }), 400);
+  assert.strictEqual(statusOf({ family: 'H', modulus: -1 }), 400);
+  assert.strictEqual(statusOf({ family: 'H', inertia: 'abc' }), 400);
+  assert.strictEqual(statusOf({ family: '없는제품', modulus: 100 }), 400);
+
+  const capped = selectSections(materials, { family: '각관', inertia: 0.1, limit: 1000 });
+  assert.ok(capped.total > 100);
+  assert.strictEqual(capped.results.length, 100);
+});
+
+test('POST /select-section과 GET /:id는 캐시 로드 전후에 같은 단면 성능을 반환한다', async () => {
+  useMemoryModel(SteelMaterial, materials);
+  const h = materials.find(m => m.spec === 'H200x200x8x12');
+  const plate = materials.find(m => m.spec === 'PL1.6T 3x6');
+
+  await withServer(createApp({ '/api/materials': materialsRouter }, null), async baseUrl => {
+    const select = body => request(`${baseUrl}/api/materials/select-section`, { method: 'POST', body });
+    const get = id => request(`${baseUrl}/api/materials/${id}`);
+
+    const fromDb = await select({ family: 'H', modulus: 400, limit: 3 });
+    assert.strictEqual(fromDb.status, 200, JSON.stringify(fromDb.body));
+    assert.strictEqual(fromDb.body.fromCache, false);
+    assert.strictEqual(fromDb.body.total, 74);
+    assert.strictEqual(fromDb.body.data[0].spec, 'H298x149x5.5x8');
+    assert.deepStrictEqual(Object.keys(fromDb.body.data[0]).sort(),
+      ['_id', 'product', 'provided', 'sectionProperties', 'spec', 'utilization', 'wpm']);
+
+    const hFromDb = await get(h._id);
+    assert.deepStrictEqual(hFromDb.body.data.sectionProperties, of('H200x200x8x12'));
+    assert.strictEqual((await get(plate._id)).body.data.sectionProperties, null);
+
+    await materialsRouter.loadCacheFromDB();
+    const fromCache = await select({ family: 'H', modulus: 400, limit: 3 });
+    assert.strictEqual(fromCache.body.fromCache, true);
+    assert.deepStrictEqual(fromCache.body.data, fromDb.body.data);
+
+    assert.deepStrictEqual((await get(h._id)).body.data.sectionProperties, hFromDb.body.data.sectionProperties);
+    assert.strictEqual((await get(plate._id)).body.data.sectionProperties, null);
+
+    const invalid = await select({ family: 'H' });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.success, false);
+  });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const AuditLog = require('../models/AuditLog');
+const materialsRouter = require('../routers/materials');
+const { readBackupFile, seedMaterials } = require('../utils/materialSeed');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 백업 복원(seed) 테스트 - DB_BACKUP 파일 전체 적재
+// ============================================
+
+const BACKUP_COUNT = 1294;
+const backup = readBackupFile();
+
+function setup() {
+  const materials = useMemoryModel(SteelMaterial);
+  const balances = useMemoryModel(StockBalance);
+  useMemoryModel(StockMovement);
+  useMemoryModel(AuditLog);
+  return { materials, balances };
+}
+
+test('백업 파일의 spec은 모두 다르다', () => {
+  assert.strictEqual(backup.length, BACKUP_COUNT);
+  assert.strictEqual(new Set(backup.map(doc => doc.spec)).size, BACKUP_COUNT);
+});
+
+test('wipe 후 백업의 재료를 _id 그대로 모두 복원한다', async () => {
+  const { materials } = setup();
+  await seedMaterials(backup.slice(0, 10));
+
+  const { summary, audits } = await seedMaterials(backup, { wipe: true });
+  assert.strictEqual(summary.deleted, 10);
+  assert.strictEqual(summary.inserted, BACKUP_COUNT);
+  assert.deepStrictEqual(summary.errors, []);
+  assert.strictEqual(materials.length, BACKUP_COUNT);
+  assert.deepStrictEqual(
+    new Set(materials.map(material => String(material._id))),
+    new Set(backup.map(doc => doc._id.$oid))
+  );
+  assert.strictEqual(audits.filter(entry => entry.action === 'seed').length, BACKUP_COUNT);
+
+  // 다시 실행하면 바뀐 것이 없으므로 모두 건너뜀
+  const again = await seedMaterials(backup);
+  assert.strictEqual(again.summary.skipped, BACKUP_COUNT);
+  assert.strictEqual(materials.length, BACKUP_COUNT);
+});
+
+test('재고가 연결된 재료가 있으면 force 없이 wipe하지 않는다', async () => {
+  const { materials, balances } = setup();
+  await seedMaterials(backup.slice(0, 3));
+  balances.push({ material: materials[1]._id, location: '본사', length: 10, pieces: 2 });
+
+  await assert.rejects(seedMaterials(backup, { wipe: true }), error => {
+    assert.strictEqual(error.status, 409);
+    assert.deepStrictEqual(error.details.map(material => material.spec), [materials[1].spec]);
+    return true;
+  });
+  assert.strictEqual(materials.length, 3);
+
+  const { summary } = await seedMaterials(backup, { wipe: true, force: true });
+  assert.strictEqual(summary.deleted, 3);
+  assert.strictEqual(materials.length, BACKUP_COUNT);
+});
+
+test('POST /seed는 재고가 연결된 재료가 있으면 409와 재료 목록을 반환한다', async () => {
+  const { materials, balances } = setup();
+  await seedMaterials(backup.slice(0, 1));
+  balances.push({ material: materials[0]._id, location: '본사', length: 10, pieces: 1 });
+
+  await withServer(createApp({ '/api/materials': materialsRouter }), async baseUrl => {
+    const { status, body } = await request(`${baseUrl}/api/materials/seed`, { method: 'POST', body: { wipe: true } });
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.success, false);
+    assert.deepStrictEqual(body.errors.map(material => material.spec), [materials[0].spec]);
+  });
+});
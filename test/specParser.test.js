@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSpec } = require('../utils/specParser');
+const { readBackupFile } = require('../utils/materialSeed');
+
+// ============================================
+// 규격(spec) 파서 테스트
+// ============================================
+
+test('형강 spec에서 높이/폭/웨브/플랜지 두께를 추출한다', () => {
+  assert.deepStrictEqual(parseSpec('H100x100x6x8'), {
+    shape: 'H', height: 100, width: 100, webThickness: 6, flangeThickness: 8
+  });
+  assert.strictEqual(parseSpec('LH75x75x2.3x3.2').shape, 'lightH');
+  assert.strictEqual(parseSpec('IB100x75x5x8').shape, 'I');
+  assert.deepStrictEqual(parseSpec('ㄱ50x50x6'), { shape: 'angle', height: 50, width: 50, thickness: 6 });
+  assert.deepStrictEqual(parseSpec('칼라C60x30x10x1.6'), { shape: 'lipChannel', height: 60, width: 30, lip: 10, thickness: 1.6 });
+});
+
+test('구분자 X, *, ×와 앞뒤 공백을 x로 통일한다', () => {
+  assert.deepStrictEqual(parseSpec(' H200 X 100*5.5×8 '), parseSpec('H200x100x5.5x8'));
+});
+
+test('철판은 피트 규격을 mm로 바꾸고 두께를 추출한다', () => {
+  assert.deepStrictEqual(parseSpec('PL1.6T 4x8'), {
+    shape: 'plate', thickness: 1.6, sheetSize: '4x8', sheetWidth: 1219, sheetLength: 2438
+  });
+  assert.strictEqual(parseSpec('CKPL3.2T 3x6').shape, 'checkeredPlate');
+});
+
+test('철근/배관은 KS 표에서 지름과 두께를 찾는다', () => {
+  assert.deepStrictEqual(parseSpec('D13'), { shape: 'rebar', nominalSize: 13, diameter: 12.7 });
+  assert.deepStrictEqual(parseSpec('흑KS 25A'), { shape: 'ksPipe', nominalSize: 25, schedule: 'SGP', diameter: 34, thickness: 3.2 });
+  assert.strictEqual(parseSpec('백KS 25A(Sch80)').thickness, 4.5);
+  assert.deepStrictEqual(parseSpec('레일22kg'), { shape: 'rail', nominalWeight: 22 });
+});
+
+test('해석할 수 없거나 표에 없는 규격은 shape null과 사유를 반환한다', () => {
+  assert.strictEqual(parseSpec('D14').shape, null);
+  assert.match(parseSpec('D14').parseError, /철근 호칭/);
+  assert.match(parseSpec('흑KS 600A(Sch40)').parseError, /Sch40/);
+  assert.match(parseSpec('알수없음').parseError, /해석할 수 없는 규격/);
+  assert.strictEqual(parseSpec(undefined).shape, null);
+});
+
+test('백업 데이터의 spec은 오타 1건을 제외하고 모두 해석된다', () => {
+  const unparsed = readBackupFile().filter(doc => !parseSpec(doc.spec).shape).map(doc => doc.spec);
+  assert.deepStrictEqual(unparsed, ['LH200X150Xx3.2x6.0']);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const ProductType = require('../models/ProductType');
+const AuditLog = require('../models/AuditLog');
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const materialsRouter = require('../routers/materials');
+const stockRouter = require('../routers/stock');
+const { recordMovement, stockWeight } = require('../utils/stockLedger');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 재고 원장 테스트 - 입고/출고/조정/이동, 재고 부족, 재고가 있는 재료의 삭제 금지
+// ============================================
+
+const hBeam = { spec: 'H100x100x6x8', wpm: 17.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2 };
+const plate = { spec: 'PL1.6T 3x6', wpm: 21, product: '철판', method_calc: 3, initial_length: 0, trade_unit: 1, cat_product: 3 };
+const tube = { spec: '흑50x50x2.3', wpm: 3.34, product: '흑각관', method_calc: 4, initial_length: 6, trade_unit: 2, cat_product: 1 };
+
+let materials;
+let balances;
+let movements;
+
+function setup() {
+  materials = useMemoryModel(SteelMaterial, [hBeam, plate, tube], { unique: ['spec'] });
+  balances = useMemoryModel(StockBalance);
+  movements = useMemoryModel(StockMovement);
+  useMemoryModel(ProductType);
+  useMemoryModel(AuditLog);
+}
+
+const materialOf = spec => materials.find(material => material.spec === spec);
+const piecesAt = (spec, location, length) => {
+  const balance = balances.find(b => String(b.material) === String(materialOf(spec)._id) && b.location === location && b.length === length);
+  return balance ? balance.pieces : 0;
+};
+
+test('입고/출고/조정/이동에 따라 본 길이별 재고가 바뀌고 원장에 중량이 남는다', async () => {
+  setup();
+  const beam = materialOf(hBeam.spec);
+
+  const received = await recordMovement(beam, { type: 'receive', location: ' A동 ', pieces: 5 });
+  assert.strictEqual(received.location, 'A동');
+  assert.strictEqual(received.length, 10);
+  assert.strictEqual(received.weight, 860);
+
+  await recordMovement(beam, { type: 'receive', location: 'A동', pieces: 2, length: 6 });
+  await recordMovement(beam, { type: 'issue', location: 'A동', pieces: 2 });
+  await recordMovement(beam, { type: 'adjust', location: 'A동', pieces: -1 });
+  await recordMovement(beam, { type: 'transfer', location: 'A동', toLocation: 'B동', pieces: 1 });
+
+  assert.strictEqual(piecesAt(hBeam.spec, 'A동', 10), 1);
+  assert.strictEqual(piecesAt(hBeam.spec, 'B동', 10), 1);
+  assert.strictEqual(piecesAt(hBeam.spec, 'A동', 6), 2);
+  assert.deepStrictEqual(movements.map(m => m.type), ['receive', 'receive', 'issue', 'adjust', 'transfer']);
+
+  // 판재는 길이 없이 장 단위로 관리
+  const sheet = await recordMovement(materialOf(plate.spec), { type: 'receive', location: 'A동', pieces: 3, length: 5 });
+  assert.strictEqual(sheet.length, 0);
+  assert.strictEqual(sheet.weight, 63);
+  assert.strictEqual(stockWeight(materialOf(tube.spec), 6, 2), 40.08);
+});
+
+test('재고보다 많이 출고/이동하면 409이고 재고는 그대로다', async () => {
+  setup();
+  const beam = materialOf(hBeam.spec);
+  await recordMovement(beam, { type: 'receive', location: 'A동', pieces: 2 });
+
+  await assert.rejects(
+    recordMovement(beam, { type: 'issue', location: 'A동', pieces: 3 }),
+    error => error.status === 409 && /재고가 부족합니다: H100x100x6x8 10m @ A동/.test(error.message)
+  );
+  await assert.rejects(
+    recordMovement(beam, { type: 'transfer', location: 'B동', toLocation: 'A동', pieces: 1 }),
+    error => error.status === 409
+  );
+  await assert.rejects(
+    recordMovement(beam, { type: 'issue', location: 'A동', pieces: 1, length: 6 }),
+    error => error.status === 409
+  );
+
+  assert.strictEqual(piecesAt(hBeam.spec, 'A동', 10), 2);
+  assert.strictEqual(piecesAt(hBeam.spec, 'B동', 10), 0);
+  assert.strictEqual(movements.length, 1);
+});
+
+test('원장 기록이 실패하면 이미 반영한 재고 변경을 되돌린다', async () => {
+  setup();
+  const beam = materialOf(hBeam.spec);
+  await recordMovement(beam, { type: 'receive', location: 'A동', pieces: 4 });
+
+  const create = StockMovement.create;
+  StockMovement.create = async () => { throw new Error('write failed'); };
+  try {
+    await assert.rejects(recordMovement(beam, { type: 'transfer', location: 'A동', toLocation: 'B동', pieces: 3 }), /write failed/);
+  } finally {
+    StockMovement.create = create;
+  }
+
+  assert.strictEqual(piecesAt(hBeam.spec, 'A동', 10), 4);
+  assert.strictEqual(piecesAt(hBeam.spec, 'B동', 10), 0);
+});
+
+test('잘못된 이동 요청은 400', async () => {
+  setup();
+  const beam = materialOf(hBeam.spec);
+  const deck = { ...hBeam, initial_length: 0 };
+  const invalid = [
+    [beam, { type: 'move', location: 'A동', pieces: 1 }],
+    [beam, { type: 'receive', pieces: 1 }],
+    [beam, { type: 'receive', location: 'A동', pieces: 0 }],
+    [beam, { type: 'issue', location: 'A동', pieces: -1 }],
+    [beam, { type: 'receive', location: 'A동', pieces: 1.5 }],
+    [beam, { type: 'transfer', location: 'A동', toLocation: ' A동', pieces: 1 }],
+    [deck, { type: 'receive', location: 'A동', pieces: 1 }]
+  ];
+  for (const [material, input] of invalid) {
+    await assert.rejects(recordMovement(material, input), error => error.status === 400, JSON.stringify(input));
+  }
+  assert.strictEqual(balances.length, 0);
+});
+
+test('재고 API는 창고별 합계를 내고, 재고가 있는 재료는 삭제할 수 없다', async () => {
+  setup();
+  const app = createApp({ '/api/materials': materialsRouter, '/api/stock': stockRouter }, { username: 'tester', role: 'admin' });
+
+  await withServer(app, async baseUrl => {
+    const move = body => request(`${baseUrl}/api/stock/movements`, { method: 'POST', body });
+
+    assert.strictEqual((await move({ type: 'receive', spec: hBeam.spec, location: 'A동', pieces: 3 })).status, 201);
+    assert.strictEqual((await move({ type: 'receive', spec: plate.spec, location: 'B동', pieces: 2 })).status, 201);
+    assert.strictEqual((await move({ type: 'issue', spec: hBeam.spec, location: 'A동', pieces: 9 })).status, 409);
+    assert.strictEqual((await move({ type: 'receive', location: 'A동', pieces: 1 })).status, 400);
+    assert.strictEqual((await move({ type: 'receive', spec: 'H999x999x9x9', location: 'A동', pieces: 1 })).status, 404);
+
+    const stock = await request(`${baseUrl}/api/stock`);
+    assert.strictEqual(stock.status, 200);
+    assert.deepStrictEqual(stock.body.totals, {
+      pieces: 5,
+      weight: 558,
+      byLocation: { 'A동': { pieces: 3, weight: 516 }, 'B동': { pieces: 2, weight: 42 } }
+    });
+    const plateRow = stock.body.data.find(row => row.material.spec === plate.spec);
+    assert.strictEqual(plateRow.unit, '장');
+    assert.strictEqual(plateRow.length, null);
+
+    const ledger = await request(`${baseUrl}/api/stock/movements?spec=${encodeURIComponent(hBeam.spec)}`);
+    assert.strictEqual(ledger.body.pagination.total, 1);
+
+    // 재고 또는 이동 내역이 있으면 단건/일괄 삭제 모두 409
+    const deleted = await request(`${baseUrl}/api/materials/${encodeURIComponent(hBeam.spec)}`, { method: 'DELETE' });
+    assert.strictEqual(deleted.status, 409);
+    const bulkDeleted = await request(`${baseUrl}/api/materials`, { method: 'DELETE', body: { specs: [hBeam.spec, tube.spec] } });
+    assert.strictEqual(bulkDeleted.status, 409);
+    assert.deepStrictEqual(bulkDeleted.body.specs, [hBeam.spec]);
+    assert.ok(materials.every(material => !material.deletedAt));
+
+    // 재고를 모두 출고해도 이동 내역이 남아 있으므로 삭제 불가, 이력이 없는 재료는 삭제 가능
+    await move({ type: 'issue', spec: hBeam.spec, location: 'A동', pieces: 3 });
+    assert.strictEqual((await request(`${baseUrl}/api/materials/${encodeURIComponent(hBeam.spec)}`, { method: 'DELETE' })).status, 409);
+    assert.strictEqual((await request(`${baseUrl}/api/materials/${encodeURIComponent(tube.spec)}`, { method: 'DELETE' })).status, 200);
+  });
+});
+
+test('재고 이동 기록은 editor 이상만 가능하다', async () => {
+  setup();
+  const app = createApp({ '/api/stock': stockRouter }, { username: 'guest', role: 'viewer' });
+  await withServer(app, async baseUrl => {
+    const denied = await request(`${baseUrl}/api/stock/movements`, {
+      method: 'POST',
+      body: { type: 'receive', spec: hBeam.spec, location: 'A동', pieces: 1 }
+    });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual((await request(`${baseUrl}/api/stock`)).status, 200);
+  });
+});
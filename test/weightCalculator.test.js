@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SteelMaterial = require('../models/SteelMaterial');
+const materialsRouter = require('../routers/materials');
+const { calculateLine, summarizeLines, round } = require('../utils/weightCalculator');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp, withServer, request } = require('./helpers/app');
+
+// ============================================
+// 중량 계산 테스트 (method_calc, wpm, initial_length)
+// ============================================
+
+const hBeam = { spec: 'H100x100x6x8', wpm: 17.2, product: 'H형강', method_calc: 1, initial_length: 10, trade_unit: 1, cat_product: 2 };
+const plate = { spec: 'PL1.6T 3x6', wpm: 21, product: '철판', method_calc: 3, initial_length: 0, trade_unit: 1, cat_product: 3 };
+const tube = { spec: '흑18x18x1.4', wpm: 0.69, product: '흑각관', method_calc: 4, initial_length: 6, trade_unit: 2, cat_product: 1 };
+const deck = { spec: '칼라데크600x1.2', wpm: 9.38, product: '칼라데크플레이트', method_calc: 2, initial_length: 0, trade_unit: 1, cat_product: 2 };
+
+test('길이를 쓰는 방식은 wpm × 길이 × 수량, 길이가 없으면 정척 사용', () => {
+  const line = calculateLine(hBeam, { quantity: 3 });
+  assert.strictEqual(line.length, 10);
+  assert.strictEqual(line.lengthSource, 'initial_length');
+  assert.strictEqual(line.unitWeight, 172);
+  assert.strictEqual(line.weight, 516);
+
+  const cut = calculateLine(tube, { length: '2.5', pieces: 4 });
+  assert.strictEqual(cut.lengthSource, 'request');
+  assert.strictEqual(cut.quantity, 4);
+  assert.strictEqual(cut.weight, 6.9);
+});
+
+test('판재는 길이와 관계없이 wpm(장당 중량) × 장수', () => {
+  const line = calculateLine(plate, { quantity: 5, length: 99 });
+  assert.strictEqual(line.length, undefined);
+  assert.strictEqual(line.weight, 105);
+  assert.strictEqual(line.breakdown, '21 × 5');
+});
+
+test('정척이 없는 재료는 length가 필요하고, 잘못된 수량/방식은 400', () => {
+  assert.throws(() => calculateLine(deck), error => error.status === 400 && /length/.test(error.message));
+  assert.strictEqual(calculateLine(deck, { length: 3 }).weight, 28.14);
+  assert.throws(() => calculateLine(hBeam, { quantity: 0 }), error => error.status === 400);
+  assert.throws(() => calculateLine(hBeam, { length: 'abc' }), error => error.status === 400);
+  assert.throws(() => calculateLine({ ...hBeam, method_calc: 9 }), error => error.status === 400);
+});
+
+test('합계 중량은 소수점 3자리로 반올림', () => {
+  const lines = [calculateLine(tube, { length: 1 }), calculateLine(tube, { length: 1 }), calculateLine(tube, { length: 1 })];
+  assert.deepStrictEqual(summarizeLines(lines).totalWeight, 2.07);
+  assert.strictEqual(round(0.1 + 0.2), 0.3);
+});
+
+test('POST /calculate는 여러 품목의 중량과 합계를 반환한다', async () => {
+  useMemoryModel(SteelMaterial, [hBeam, plate]);
+  await withServer(createApp({ '/api/materials': materialsRouter }, null), async baseUrl => {
+    const { status, body } = await request(`${baseUrl}/api/materials/calculate`, {
+      method: 'POST',
+      body: { items: [{ spec: hBeam.spec, length: 6, quantity: 2 }, { spec: plate.spec, quantity: 1 }] }
+    });
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.deepStrictEqual(body.data.lines.map(line => line.weight), [206.4, 21]);
+    assert.strictEqual(body.data.totalWeight, 227.4);
+
+    const missing = await request(`${baseUrl}/api/materials/calculate`, { method: 'POST', body: { spec: 'H999x999x9x9' } });
+    assert.strictEqual(missing.status, 404);
+  });
+});
@@ -0,0 +1,120 @@
+const AuditLog = require('../models/AuditLog');
+
+// ============================================
+// 감사 로그 모듈
+// ============================================
+
+// 변경 이력을 남기는 재료 필드
+const AUDIT_FIELDS = ['spec', 'wpm', 'product', 'method_calc', 'initial_length', 'trade_unit', 'cat_product'];
+
+// 요청자 식별 (로그인 사용자 또는 API 키 이름, 인증 정보가 없으면 anonymous)
+// 클라이언트가 보내는 헤더는 위조할 수 있으므로 사용하지 않음
+function getActor(req) {
+  if (req.user && (req.user.username || req.user.name)) {
+    return req.user.username || req.user.name;
+  }
+  return 'anonymous';
+}
+
+// 감사 대상 필드만 추출
+function pickAuditFields(material) {
+  const snapshot = {};
+  if (!material) return snapshot;
+  AUDIT_FIELDS.forEach(field => {
+    if (material[field] !== undefined) snapshot[field] = material[field];
+  });
+  return snapshot;
+}
+
+// 필드 단위 변경 내역 (before/after가 없으면 생성/삭제로 간주)
+function diffFields(before, after) {
+  const changes = [];
+  AUDIT_FIELDS.forEach(field => {
+    const beforeValue = before ? before[field] : undefined;
+    const afterValue = after ? after[field] : undefined;
+    if (beforeValue !== afterValue) {
+      changes.push({ field, before: beforeValue, after: afterValue });
+    }
+  });
+  return changes;
+}
+
+// 재료별 다음 버전 번호 조회
+async function nextVersions(entityIds) {
+  const latest = await AuditLog.aggregate([
+    { $match: { entityId: { $in: entityIds } } },
+    { $group: { _id: '$entityId', version: { $max: '$version' } } }
+  ]);
+  const versions = new Map(latest.map(entry => [entry._id.toString(), entry.version]));
+  // 같은 요청 안에서 한 재료가 여러 번 변경되면 순서대로 증가
+  return entityIds.map(id => {
+    const version = (versions.get(id.toString()) || 0) + 1;
+    versions.set(id.toString(), version);
+    return version;
+  });
+}
+
+// 동시 요청과 버전 번호가 겹쳤을 때 다시 시도하는 횟수
+const MAX_VERSION_RETRIES = 5;
+
+// 감사 로그 문서 생성 (버전 번호는 기록 직전에 조회)
+async function buildEntries(req, items) {
+  const entityIds = items.map(entry => (entry.after || entry.before)._id);
+  const versions = await nextVersions(entityIds);
+  const actor = getActor(req);
+
+  return items.map((entry, index) => {
+    const material = entry.after || entry.before;
+    return {
+      entityId: material._id,
+      spec: material.spec,
+      version: versions[index],
+      action: entry.action,
+      actor,
+      requestId: req.id,
+      changes: entry.changes,
+      snapshot: pickAuditFields(material),
+      revertedTo: entry.revertedTo
+    };
+  });
+}
+
+// 감사 로그 기록
+// entries: [{ action, before, after, revertedTo }] (before/after는 재료 객체)
+// 같은 재료를 동시에 수정해 (entityId, version) 중복이 나면 실패한 항목부터 버전을 다시 받아 재시도
+// (ordered 삽입이라 같은 재료의 기록 순서가 유지됨)
+// 로그 기록 실패는 요청 자체를 실패시키지 않고 콘솔에만 남김
+async function recordAudit(req, entries) {
+  try {
+    let pending = entries
+      .map(entry => ({ ...entry, changes: diffFields(entry.before, entry.after) }))
+      .filter(entry => entry.changes.length > 0 || entry.action === 'revert');
+    const inserted = [];
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const docs = await buildEntries(req, pending);
+      try {
+        inserted.push(...await AuditLog.insertMany(docs, { ordered: true }));
+        pending = [];
+      } catch (error) {
+        const failed = error.writeErrors ? error.writeErrors[0] : error;
+        if (!failed || failed.code !== 11000 || attempt + 1 >= MAX_VERSION_RETRIES) throw error;
+        const index = typeof failed.index === 'number' ? failed.index : 0;
+        inserted.push(...docs.slice(0, index));
+        pending = pending.slice(index);
+      }
+    }
+    return inserted;
+  } catch (error) {
+    console.error('❌ 감사 로그 기록 실패:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  AUDIT_FIELDS,
+  getActor,
+  pickAuditFields,
+  diffFields,
+  recordAudit
+};
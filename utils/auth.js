@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { ROLES } = require('../models/User');
+const { createHttpError } = require('./httpError');
+
+// ============================================
+// 인증/권한 모듈
+// ============================================
+// 인증 방법: Authorization: Bearer <JWT> (로그인 세션) 또는 X-API-Key: <키>
+// 인증 정보가 없는 요청은 viewer 권한으로 처리 (조회 API는 계속 공개)
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const API_KEY_PREFIX = 'vsk_';
+
+// JWT 서명 키 (미설정 시 임시 키를 생성하므로 서버 재시작 시 기존 토큰이 무효화됨)
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  JWT_SECRET이 설정되지 않아 임시 키를 사용합니다. 서버를 재시작하면 로그인이 해제됩니다.');
+}
+
+// 권한 비교 (role이 required 이상인지)
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// 비밀번호 해시 (scrypt$salt$hash)
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// 비밀번호 규칙 검증
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    throw createHttpError(400, '비밀번호는 8자 이상이어야 합니다.');
+  }
+}
+
+// 권한 값 검증
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw createHttpError(400, `role은 ${ROLES.join(', ')} 중 하나여야 합니다.`);
+  }
+}
+
+// 로그인 토큰 발급
+function signToken(user) {
+  return jwt.sign({ role: user.role }, jwtSecret, {
+    subject: user._id.toString(),
+    expiresIn: JWT_EXPIRES_IN
+  });
+}
+
+// API 키 생성 (원본 키는 발급 응답에서만 노출)
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), keyHash: hashApiKey(key) };
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// JWT 검증 후 사용자 조회 (비활성화되었거나 권한이 바뀐 사용자도 즉시 반영)
+async function userFromToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret);
+  } catch (error) {
+    throw createHttpError(401, error.name === 'TokenExpiredError'
+      ? '로그인이 만료되었습니다. 다시 로그인해주세요.'
+      : '유효하지 않은 인증 토큰입니다.');
+  }
+
+  const user = await User.findById(payload.sub).lean();
+  if (!user || !user.active) {
+    throw createHttpError(401, '사용할 수 없는 계정입니다.');
+  }
+  return { id: user._id, username: user.username, role: user.role, type: 'user' };
+}
+
+// API 키로 사용자 정보 구성
+async function userFromApiKey(key) {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null }).lean();
+  if (!apiKey) {
+    throw createHttpError(401, '유효하지 않은 API 키입니다.');
+  }
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+  return { id: apiKey._id, username: `apikey:${apiKey.name}`, role: apiKey.role, type: 'apiKey' };
+}
+
+// 인증 미들웨어 - 인증 정보가 있으면 검증해 req.user에 저장 (없으면 null)
+async function authenticate(req, res, next) {
+  try {
+    const authorization = req.get('Authorization') || '';
+    const apiKey = req.get('X-API-Key');
+    req.user = null;
+
+    if (authorization.startsWith('Bearer ')) {
+      req.user = await userFromToken(authorization.slice(7).trim());
+    } else if (apiKey) {
+      req.user = await userFromApiKey(apiKey.trim());
+    }
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// 권한 확인 미들웨어 - 예: router.delete('/', requireRole('admin'), ...)
+function requireRole(required) {
+  return (req, res, next) => {
+    const role = req.user ? req.user.role : 'viewer';
+    if (hasRole(role, required)) {
+      return next();
+    }
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: '로그인이 필요합니다. Authorization: Bearer <토큰> 또는 X-API-Key 헤더를 보내주세요.'
+      });
+    }
+    res.status(403).json({
+      success: false,
+      error: `${required} 이상의 권한이 필요합니다. (현재 권한: ${role})`
+    });
+  };
+}
+
+// 최초 관리자 생성 - 사용자가 한 명도 없을 때 ADMIN_USERNAME/ADMIN_PASSWORD 환경 변수로 생성
+async function ensureInitialAdmin() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (await User.exists({})) return;
+
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn('⚠️  등록된 사용자가 없습니다. ADMIN_USERNAME, ADMIN_PASSWORD 환경 변수로 최초 관리자를 생성하세요.');
+    return;
+  }
+
+  if (ADMIN_PASSWORD.length < 8) {
+    console.error('❌ ADMIN_PASSWORD는 8자 이상이어야 합니다. 최초 관리자를 생성하지 않았습니다.');
+    return;
+  }
+  await User.create({ username: ADMIN_USERNAME, passwordHash: hashPassword(ADMIN_PASSWORD), role: 'admin' });
+  console.log(`👤 최초 관리자 계정 생성: ${ADMIN_USERNAME}`);
+}
+
+module.exports = {
+  ROLES,
+  JWT_EXPIRES_IN,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  validateRole,
+  signToken,
+  generateApiKey,
+  authenticate,
+  requireRole,
+  ensureInitialAdmin
+};
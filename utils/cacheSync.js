@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const CollectionVersion = require('../models/CollectionVersion');
+
+// ============================================
+// 캐시 동기화 모듈 - 여러 인스턴스의 메모리 캐시를 DB 변경에 맞춰 갱신
+// ============================================
+// changeStream: 레플리카셋/샤드 클러스터(Atlas 등)에서 변경 스트림으로 변경 내용을 바로 반영
+// polling: 단독(standalone) 서버에서 컬렉션 버전 카운터를 주기적으로 확인하고,
+//          다른 인스턴스가 바꿨으면 마지막 확인 이후 updatedAt이 바뀐 문서만 조회해 반영
+//          (이 인스턴스가 올린 버전은 캐시에 이미 반영되어 있으므로 조회하지 않음)
+// 두 방식 모두 다른 인스턴스나 DB 직접 수정으로 생긴 추가/수정/삭제를 항목 단위로 반영
+//
+// 환경 변수
+//   CACHE_SYNC_MODE: auto(기본값) | changeStream | polling | off
+//   CACHE_POLL_INTERVAL_MS: 버전 확인 주기 (기본 5초)
+//   CACHE_FULL_CHECK_MS: 버전과 관계없이 전체 비교하는 주기 (기본 5분, updatedAt을 바꾸지 않는 DB 직접 수정 대비)
+//   CACHE_CLOCK_SKEW_MS: 변경 문서 조회 시 겹쳐 조회하는 시간 (기본 1분, 인스턴스 간 시계 차이 대비)
+
+const SYNC_MODES = ['auto', 'changeStream', 'polling', 'off'];
+const POLL_INTERVAL_MS = parseInt(process.env.CACHE_POLL_INTERVAL_MS) || 5000;
+const FULL_CHECK_INTERVAL_MS = parseInt(process.env.CACHE_FULL_CHECK_MS) || 5 * 60 * 1000;
+const CLOCK_SKEW_MS = parseInt(process.env.CACHE_CLOCK_SKEW_MS) || 60 * 1000;
+const RETRY_DELAY_MS = 5000;
+
+// 변경 스트림 재개 토큰이 만료된 경우 (oplog에서 이미 사라짐)
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
+// 비교용 문서 값 (dimensions는 spec에서 계산되는 값이므로 제외, 필드 순서와 무관하게 비교)
+function fingerprint(doc) {
+  return JSON.stringify(Object.keys(doc).filter(key => key !== 'dimensions').sort().map(key => [key, doc[key]]));
+}
+
+// 변경 이벤트 발생 시각 (MongoDB 6.0 이상은 wallTime, 이전 버전은 clusterTime 초 단위)
+function eventTime(change) {
+  if (change.wallTime) return new Date(change.wallTime);
+  if (change.clusterTime) return new Date(change.clusterTime.getHighBits() * 1000);
+  return new Date();
+}
+
+// 캐시 동기화 생성
+// options.model: 감시할 모델 (updatedAt 타임스탬프 필요)
+// options.getEntries(): 현재 캐시 항목 배열, options.getEntry(id): 캐시 항목 조회
+// options.activeFilter / options.isActive(doc): 캐시에 두는 문서 조건 (예: 휴지통 제외)
+// options.onUpsert(doc), options.onRemove(id), options.onReload(): 캐시 반영 함수
+// applied 횟수에는 실제로 캐시가 바뀐 경우만 포함 (내용이 같은 문서, 캐시에 없는 제외 대상 문서는 제외)
+function createCacheSync({
+  model,
+  getEntries,
+  getEntry,
+  activeFilter = {},
+  isActive = () => true,
+  onUpsert,
+  onRemove,
+  onReload
+}) {
+  const collectionName = model.collection.collectionName;
+  const state = {
+    mode: 'off',
+    resumeToken: null,
+    version: null,
+    localBumps: 0,
+    since: null,
+    lagMs: null,
+    lastEventAt: null,
+    lastCheckAt: null,
+    lastFullCheckAt: null,
+    applied: { upserts: 0, removes: 0, reloads: 0 },
+    lastError: null
+  };
+  let stream = null;
+  let timer = null;
+  let stopped = true;
+
+  function schedule(fn, delay) {
+    clearTimeout(timer);
+    timer = setTimeout(fn, delay);
+    timer.unref();
+  }
+
+  // 문서 하나를 캐시에 반영 (제외 대상이면 캐시에서 제거, 내용이 같으면 무시)
+  function applyDoc(doc) {
+    const id = doc._id.toString();
+    const entry = getEntry(id);
+    if (!isActive(doc)) {
+      if (entry) {
+        onRemove(id);
+        state.applied.removes++;
+      }
+    } else if (!entry || fingerprint(entry) !== fingerprint(doc)) {
+      onUpsert(doc);
+      state.applied.upserts++;
+    }
+  }
+
+  // 다음 변경 조회 기준 (조회한 문서의 가장 늦은 updatedAt)
+  function advanceSince(docs) {
+    docs.forEach(doc => {
+      if (doc.updatedAt && (!state.since || doc.updatedAt > state.since)) {
+        state.since = doc.updatedAt;
+      }
+    });
+  }
+
+  // DB 전체와 캐시를 비교해 달라진 항목만 반영
+  async function reconcile() {
+    const docs = await model.find(activeFilter).lean();
+    const seen = new Set(docs.map(doc => doc._id.toString()));
+
+    docs.forEach(applyDoc);
+    getEntries()
+      .map(entry => entry._id.toString())
+      .filter(id => !seen.has(id))
+      .forEach(id => {
+        onRemove(id);
+        state.applied.removes++;
+      });
+    advanceSince(docs);
+    state.lastFullCheckAt = new Date();
+  }
+
+  // 마지막 확인 이후 updatedAt이 바뀐 문서만 반영
+  // 완전히 삭제된 문서는 조회되지 않으므로 개수가 다르면 전체 비교
+  async function applyRecentChanges() {
+    if (!state.since) return reconcile();
+
+    const docs = await model.find({ updatedAt: { $gte: new Date(state.since.getTime() - CLOCK_SKEW_MS) } }).lean();
+    docs.forEach(applyDoc);
+    advanceSince(docs);
+
+    const count = await model.countDocuments(activeFilter);
+    if (count !== getEntries().length) {
+      await reconcile();
+    }
+  }
+
+  // ------------------------------------------
+  // 변경 스트림 방식
+  // ------------------------------------------
+  function handleChange(change) {
+    state.resumeToken = change._id;
+    const time = eventTime(change);
+
+    switch (change.operationType) {
+      case 'insert':
+      case 'update':
+      case 'replace':
+        // updateLookup 시점에 이미 삭제된 문서는 fullDocument가 null
+        if (change.fullDocument) {
+          applyDoc(change.fullDocument);
+        } else {
+          removeById(change.documentKey._id.toString());
+        }
+        break;
+      case 'delete':
+        removeById(change.documentKey._id.toString());
+        break;
+      case 'drop':
+      case 'rename':
+      case 'dropDatabase':
+      case 'invalidate':
+        // 스트림이 무효화되므로 전체 다시 로드 후 새로 구독
+        state.resumeToken = null;
+        state.applied.reloads++;
+        closeStream();
+        Promise.resolve(onReload())
+          .then(() => !stopped && openChangeStream())
+          .catch(error => handleStreamError(error));
+        break;
+      default:
+        return;
+    }
+
+    state.lastEventAt = time;
+    state.lagMs = Math.max(0, Date.now() - time.getTime());
+  }
+
+  function removeById(id) {
+    if (!getEntry(id)) return;
+    onRemove(id);
+    state.applied.removes++;
+  }
+
+  function closeStream() {
+    if (!stream) return;
+    stream.removeAllListeners();
+    stream.on('error', () => {});
+    stream.close().catch(() => {});
+    stream = null;
+  }
+
+  async function handleStreamError(error) {
+    closeStream();
+    if (stopped) return;
+    state.lastError = error.message;
+
+    if (error.code === CHANGE_STREAM_HISTORY_LOST) {
+      // 재개할 수 없으면 전체 비교 후 처음부터 구독
+      console.warn('⚠️  변경 스트림 재개 토큰이 만료되어 캐시를 전체 비교합니다.');
+      state.resumeToken = null;
+    } else {
+      console.error(`❌ 변경 스트림 오류 (${RETRY_DELAY_MS / 1000}초 후 재연결):`, error.message);
+    }
+    schedule(() => openChangeStream().catch(handleStreamError), RETRY_DELAY_MS);
+  }
+
+  async function openChangeStream() {
+    const options = { fullDocument: 'updateLookup' };
+    if (state.resumeToken) options.resumeAfter = state.resumeToken;
+
+    stream = model.watch([], options);
+    stream.on('change', handleChange);
+    stream.on('error', handleStreamError);
+    state.mode = 'changeStream';
+    state.lastError = null;
+
+    // 구독 시작 전에 생긴 변경(초기 로드 직후, 재연결 중)은 전체 비교로 보완
+    if (!options.resumeAfter) {
+      await reconcile();
+    }
+  }
+
+  // ------------------------------------------
+  // polling 방식
+  // ------------------------------------------
+  async function poll() {
+    try {
+      // 버전을 읽기 전에 세어야 이 인스턴스의 쓰기를 다른 인스턴스의 변경으로 잘못 건너뛰지 않음
+      const localBumps = CollectionVersion.localBumpCount(collectionName);
+      const current = await CollectionVersion.findById(collectionName).lean();
+      const version = current ? current.version : 0;
+      const fullCheckDue = !state.lastFullCheckAt || Date.now() - state.lastFullCheckAt.getTime() >= FULL_CHECK_INTERVAL_MS;
+      const ownChangesOnly = state.version !== null && version - state.version === localBumps - state.localBumps;
+
+      if (fullCheckDue) {
+        await reconcile();
+      } else if (version !== state.version && !ownChangesOnly) {
+        await applyRecentChanges();
+      }
+      if (version !== state.version && !ownChangesOnly && state.version !== null && current) {
+        state.lastEventAt = current.updatedAt;
+        state.lagMs = Math.max(0, Date.now() - new Date(current.updatedAt).getTime());
+      }
+      state.version = version;
+      state.localBumps = localBumps;
+      state.lastCheckAt = new Date();
+      state.lastError = null;
+    } catch (error) {
+      state.lastError = error.message;
+      console.error('❌ 캐시 버전 확인 실패:', error.message);
+    }
+    if (!stopped) schedule(poll, POLL_INTERVAL_MS);
+  }
+
+  // 변경 스트림 지원 여부 (레플리카셋 또는 mongos)
+  async function supportsChangeStreams() {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+
+  async function start(mode = process.env.CACHE_SYNC_MODE || 'auto') {
+    if (!SYNC_MODES.includes(mode)) {
+      throw new Error(`CACHE_SYNC_MODE는 ${SYNC_MODES.join(', ')} 중 하나여야 합니다.`);
+    }
+    stop();
+    if (mode === 'off') return state;
+    stopped = false;
+
+    const useChangeStream = mode === 'changeStream' || (mode === 'auto' && await supportsChangeStreams());
+    if (useChangeStream) {
+      await openChangeStream();
+      console.log('🔄 캐시 동기화: 변경 스트림 구독 시작');
+    } else {
+      state.mode = 'polling';
+      await poll();
+      console.log(`🔄 캐시 동기화: ${POLL_INTERVAL_MS / 1000}초 간격 버전 확인 (변경 스트림 미지원 서버)`);
+    }
+    return state;
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    closeStream();
+    state.mode = 'off';
+  }
+
+  function status() {
+    return {
+      mode: state.mode,
+      resumeToken: state.resumeToken,
+      version: state.version,
+      since: state.since,
+      lagMs: state.lagMs,
+      lastEventAt: state.lastEventAt,
+      lastCheckAt: state.lastCheckAt,
+      lastFullCheckAt: state.lastFullCheckAt,
+      applied: { ...state.applied },
+      lastError: state.lastError
+    };
+  }
+
+  return { start, stop, status, reconcile };
+}
+
+module.exports = {
+  SYNC_MODES,
+  createCacheSync
+};
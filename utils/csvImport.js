@@ -0,0 +1,146 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const iconv = require('iconv-lite');
+const { createHttpError } = require('./httpError');
+const { parseSpec } = require('./specParser');
+const { validateMaterial } = require('./materialValidation');
+
+// ============================================
+// CSV 가져오기 모듈
+// ============================================
+
+// 가져오기 모드
+//   insert: 신규 spec만 추가 (기존 spec은 건너뜀)
+//   upsert: spec 기준으로 있으면 수정, 없으면 추가
+//   replace: 파일 내용으로 맞춤 - spec 기준으로 수정/추가하고, 파일에 없는 사용 중 재료는 휴지통으로 이동
+//            (재고 또는 재고 이동 내역이 있는 재료는 옮기지 않고 retained로 보고)
+const IMPORT_MODES = ['insert', 'upsert', 'replace'];
+
+// 헤더 별칭 → SteelMaterial 필드 매핑 (한글 엑셀 헤더 지원)
+const HEADER_ALIASES = {
+  spec: ['spec', '규격', '스펙', '사양'],
+  wpm: ['wpm', '단위중량', '단중', '중량', 'kg/m'],
+  product: ['product', '품목', '품명', '제품', '제품명'],
+  method_calc: ['method_calc', '계산방식', '계산방법'],
+  initial_length: ['initial_length', '정척', '정척길이', '길이'],
+  trade_unit: ['trade_unit', '거래단위', '판매단위'],
+  cat_product: ['cat_product', '분류', '카테고리', '제품분류']
+};
+
+// 헤더 정규화 (공백, BOM 제거 및 소문자 변환)
+function normalizeHeader(header) {
+  return String(header).replace(/^\uFEFF/, '').trim().toLowerCase();
+}
+
+// 헤더 → 필드 조회 테이블 생성 (사용자 지정 mapping이 별칭보다 우선)
+function buildHeaderMap(customMapping = {}) {
+  const headerMap = new Map();
+
+  Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+    aliases.forEach(alias => headerMap.set(normalizeHeader(alias), field));
+  });
+  Object.entries(customMapping).forEach(([header, field]) => {
+    headerMap.set(normalizeHeader(header), field);
+  });
+
+  return headerMap;
+}
+
+// 인코딩 자동 감지 후 문자열로 변환 (UTF-8 BOM → UTF-8 → CP949 순으로 판단)
+function decodeBuffer(buffer, encoding = 'auto') {
+  if (encoding && encoding !== 'auto') {
+    if (!iconv.encodingExists(encoding)) {
+      throw createHttpError(400, `지원하지 않는 인코딩입니다: ${encoding}`);
+    }
+    return { text: iconv.decode(buffer, encoding), encoding };
+  }
+
+  if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.slice(3).toString('utf8'), encoding: 'utf-8-bom' };
+  }
+
+  const utf8Text = buffer.toString('utf8');
+  if (!utf8Text.includes('\uFFFD')) {
+    return { text: utf8Text, encoding: 'utf-8' };
+  }
+
+  return { text: iconv.decode(buffer, 'cp949'), encoding: 'cp949' };
+}
+
+// CSV 문자열 파싱 (헤더는 SteelMaterial 필드명으로 변환, 알 수 없는 컬럼은 무시)
+function parseCsv(text, customMapping) {
+  const headerMap = buildHeaderMap(customMapping);
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([text])
+      .pipe(csv({
+        mapHeaders: ({ header }) => headerMap.get(normalizeHeader(header)) || null,
+        mapValues: ({ value }) => value.trim()
+      }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+// 한 행을 SteelMaterial 형식으로 변환하고 검증 (API와 같은 검증 규칙 사용)
+function validateRow(values, location) {
+  const { value, errors } = validateMaterial(values, { mode: 'create' });
+  const doc = { ...value };
+  if (doc.spec) {
+    doc.dimensions = parseSpec(doc.spec);
+  }
+
+  return {
+    doc,
+    errors: errors.map(({ field, message }) => ({ ...location, field, message: `${message} (입력값: ${values[field] || '없음'})` }))
+  };
+}
+
+// 전체 행 검증 및 파일 간 중복 spec 확인
+// entries: [{ file, row, values }] (row는 헤더 다음 줄부터 2)
+function validateRows(entries) {
+  const docs = [];
+  const errors = [];
+  const warnings = [];
+  const seenSpecs = new Map();
+
+  entries.forEach(({ file, row, values }) => {
+    const location = { file, row };
+    const result = validateRow(values, location);
+
+    if (result.doc.spec) {
+      const seen = seenSpecs.get(result.doc.spec);
+      if (seen) {
+        result.errors.push({
+          ...location,
+          field: 'spec',
+          message: `파일 내 중복된 spec입니다. (${seen.file} ${seen.row}행과 중복)`
+        });
+      } else {
+        seenSpecs.set(result.doc.spec, location);
+      }
+    }
+
+    if (result.errors.length > 0) {
+      errors.push(...result.errors);
+    } else {
+      docs.push({ ...location, doc: result.doc });
+      // 치수 해석 실패는 저장을 막지 않고 경고로만 표시
+      if (result.doc.dimensions.parseError) {
+        warnings.push({ ...location, field: 'spec', message: result.doc.dimensions.parseError });
+      }
+    }
+  });
+
+  return { docs, errors, warnings };
+}
+
+module.exports = {
+  IMPORT_MODES,
+  HEADER_ALIASES,
+  decodeBuffer,
+  parseCsv,
+  validateRows
+};
@@ -0,0 +1,222 @@
+const { createHttpError } = require('./httpError');
+
+// ============================================
+// 절단 계획(1차원 재단) 모듈
+// ============================================
+// 길이 단위는 mm, 내부 계산은 0.1mm 정수로 변환하여 부동소수점 오차 방지
+//
+// 톱날 두께(kerf) 처리: 한 본에서 n개를 자르면 조각 사이에 kerf × (n - 1)이 소모됨
+// → 조각 길이를 (p + kerf), 원자재 길이를 (L + kerf)로 보면 일반 빈 패킹 문제와 같음
+
+const SCALE = 10;
+const MAX_PIECES = 5000;
+const MAX_OPTIMAL_PIECES = 60;
+const AUTO_OPTIMAL_PIECES = 30;
+// 동기 탐색이 이벤트 루프를 오래 막지 않도록 노드 수와 시간(ms) 모두 제한
+const OPTIMAL_NODE_LIMIT = 200000;
+const OPTIMAL_TIME_LIMIT_MS = 50;
+const CUTTING_MODES = ['auto', 'heuristic', 'optimal'];
+
+function toUnits(mm) {
+  return Math.round(mm * SCALE);
+}
+
+function toMm(units) {
+  return units / SCALE;
+}
+
+// 요청 조각 목록을 개별 조각 배열로 펼침
+function expandPieces(pieces, stockUnits) {
+  if (!Array.isArray(pieces) || pieces.length === 0) {
+    throw createHttpError(400, 'pieces 배열이 필요합니다. 예: [{ "length": 2500, "quantity": 4 }]');
+  }
+
+  const expanded = [];
+  pieces.forEach((piece, index) => {
+    const length = parseFloat(piece && piece.length);
+    const quantity = piece && piece.quantity !== undefined ? Number(piece.quantity) : 1;
+
+    if (!Number.isFinite(length) || length <= 0) {
+      throw createHttpError(400, `${index + 1}번째 조각의 length는 0보다 큰 숫자여야 합니다.`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw createHttpError(400, `${index + 1}번째 조각의 quantity는 1 이상의 정수여야 합니다.`);
+    }
+    if (toUnits(length) > stockUnits) {
+      throw createHttpError(400, `${index + 1}번째 조각(${length}mm)이 원자재 길이(${toMm(stockUnits)}mm)보다 깁니다.`);
+    }
+
+    for (let i = 0; i < quantity; i++) {
+      expanded.push(toUnits(length));
+    }
+    if (expanded.length > MAX_PIECES) {
+      throw createHttpError(400, `조각 수는 최대 ${MAX_PIECES}개까지 가능합니다.`);
+    }
+  });
+
+  return expanded.sort((a, b) => b - a);
+}
+
+// 최적 적합 감소(Best Fit Decreasing) 휴리스틱
+function bestFitDecreasing(sizes, capacity) {
+  const bins = [];
+  sizes.forEach(size => {
+    let best = -1;
+    for (let i = 0; i < bins.length; i++) {
+      const remaining = bins[i].remaining - size;
+      if (remaining >= 0 && (best === -1 || remaining < bins[best].remaining - size)) {
+        best = i;
+      }
+    }
+    if (best === -1) {
+      bins.push({ items: [size], remaining: capacity - size });
+    } else {
+      bins[best].items.push(size);
+      bins[best].remaining -= size;
+    }
+  });
+  return bins.map(bin => bin.items);
+}
+
+// 분기 한정법으로 최소 본수 탐색 (소규모 작업용)
+// 탐색 노드 수나 시간이 한도를 넘으면 그때까지 찾은 최선의 해(최소 휴리스틱 결과)를 반환하고 proven: false
+function branchAndBound(sizes, capacity, initial) {
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  const lowerBound = Math.ceil(total / capacity);
+  let best = initial;
+  let nodes = 0;
+  let aborted = false;
+  const deadline = Date.now() + OPTIMAL_TIME_LIMIT_MS;
+
+  if (best.length === lowerBound) {
+    return { bins: best, proven: true };
+  }
+
+  const bins = [];
+  function search(index) {
+    if (aborted) return;
+    // 시간 확인은 1024 노드마다
+    if (++nodes > OPTIMAL_NODE_LIMIT || ((nodes & 1023) === 0 && Date.now() > deadline)) {
+      aborted = true;
+      return;
+    }
+    if (index === sizes.length) {
+      if (bins.length < best.length) {
+        best = bins.map(bin => [...bin.items]);
+      }
+      return;
+    }
+    if (bins.length >= best.length) return;
+
+    // 남은 조각으로 필요한 최소 본수가 현재 최선 이상이면 가지치기
+    const remainingSize = sizes.slice(index).reduce((sum, size) => sum + size, 0);
+    const freeSpace = bins.reduce((sum, bin) => sum + bin.remaining, 0);
+    if (bins.length + Math.max(0, Math.ceil((remainingSize - freeSpace) / capacity)) >= best.length) return;
+
+    const size = sizes[index];
+    const triedRemaining = new Set();
+    for (const bin of bins) {
+      // 남은 길이가 같은 본은 결과가 동일하므로 한 번만 시도
+      if (bin.remaining < size || triedRemaining.has(bin.remaining)) continue;
+      triedRemaining.add(bin.remaining);
+      bin.items.push(size);
+      bin.remaining -= size;
+      search(index + 1);
+      bin.remaining += size;
+      bin.items.pop();
+      if (best.length === lowerBound) return;
+    }
+
+    if (bins.length + 1 < best.length) {
+      bins.push({ items: [size], remaining: capacity - size });
+      search(index + 1);
+      bins.pop();
+    }
+  }
+
+  search(0);
+  return { bins: best, proven: !aborted };
+}
+
+// 절단 계획 수립
+// options: { pieces: [{ length(mm), quantity }], stockLength(mm), kerf(mm), mode }
+function planCuts({ pieces, stockLength, kerf = 0, mode = 'auto' }) {
+  if (!CUTTING_MODES.includes(mode)) {
+    throw createHttpError(400, `mode는 ${CUTTING_MODES.join(', ')} 중 하나여야 합니다.`);
+  }
+  if (!Number.isFinite(stockLength) || stockLength <= 0) {
+    throw createHttpError(400, 'stockLength(원자재 길이)는 0보다 커야 합니다.');
+  }
+  if (!Number.isFinite(kerf) || kerf < 0) {
+    throw createHttpError(400, 'kerf는 0 이상의 숫자여야 합니다.');
+  }
+
+  const stockUnits = toUnits(stockLength);
+  const kerfUnits = toUnits(kerf);
+  const lengths = expandPieces(pieces, stockUnits);
+
+  if (mode === 'optimal' && lengths.length > MAX_OPTIMAL_PIECES) {
+    throw createHttpError(400, `optimal 모드는 조각 ${MAX_OPTIMAL_PIECES}개 이하에서만 사용할 수 있습니다.`);
+  }
+
+  const useOptimal = mode === 'optimal' || (mode === 'auto' && lengths.length <= AUTO_OPTIMAL_PIECES);
+  const sizes = lengths.map(length => length + kerfUnits);
+  const capacity = stockUnits + kerfUnits;
+
+  const heuristic = bestFitDecreasing(sizes, capacity);
+  const result = useOptimal
+    ? branchAndBound(sizes, capacity, heuristic)
+    : { bins: heuristic, proven: false };
+
+  // 본별 절단 배치
+  const bars = result.bins.map((bin, index) => {
+    const cuts = bin.map(size => size - kerfUnits).sort((a, b) => b - a);
+    const used = cuts.reduce((sum, length) => sum + length, 0);
+    const remainder = stockUnits - used - kerfUnits * (cuts.length - 1);
+    // 남는 토막을 잘라내는 마지막 절단도 kerf 소모
+    const offcut = Math.max(0, remainder - kerfUnits);
+    return {
+      bar: index + 1,
+      cuts: cuts.map(toMm),
+      used: toMm(used),
+      kerfLoss: toMm(stockUnits - used - offcut),
+      offcut: toMm(offcut)
+    };
+  });
+
+  // 같은 배치끼리 묶은 절단 패턴
+  const patternMap = new Map();
+  bars.forEach(bar => {
+    const key = bar.cuts.join(',');
+    const pattern = patternMap.get(key) || { cuts: bar.cuts, offcut: bar.offcut, count: 0 };
+    pattern.count++;
+    patternMap.set(key, pattern);
+  });
+
+  const totalStock = stockUnits * bars.length;
+  const totalPieces = lengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    mode: useOptimal ? 'optimal' : 'heuristic',
+    optimal: useOptimal && result.proven,
+    stockLength,
+    kerf,
+    bars,
+    patterns: [...patternMap.values()].sort((a, b) => b.count - a.count),
+    summary: {
+      barCount: bars.length,
+      pieceCount: lengths.length,
+      lowerBound: Math.ceil(sizes.reduce((sum, size) => sum + size, 0) / capacity),
+      totalStockLength: toMm(totalStock),
+      totalPieceLength: toMm(totalPieces),
+      totalWaste: toMm(totalStock - totalPieces),
+      totalOffcut: toMm(bars.reduce((sum, bar) => sum + toUnits(bar.offcut), 0)),
+      wastePercent: Math.round(((totalStock - totalPieces) / totalStock) * 10000) / 100
+    }
+  };
+}
+
+module.exports = {
+  CUTTING_MODES,
+  planCuts
+};
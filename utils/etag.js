@@ -0,0 +1,61 @@
+// ============================================
+// ETag / 조건부 요청 모듈 (낙관적 동시성 제어)
+// ============================================
+// 재료 ETag: "<_id>-<__v>" (저장할 때마다 __v 증가, 스키마의 optimisticConcurrency 옵션)
+// 목록 ETag: W/"<캐시 로드 시각>-<캐시 버전>" (캐시 항목이 바뀔 때마다 버전 증가)
+// If-None-Match는 약한 비교(W/ 무시), If-Match는 강한 비교
+// (req.fresh는 fetch가 조건부 헤더와 함께 보내는 Cache-Control: no-cache 때문에 항상 false라 사용하지 않음)
+
+// 재료 문서(또는 lean 객체)의 ETag
+function materialEtag(material) {
+  return `"${material._id}-${material.__v || 0}"`;
+}
+
+// 캐시 상태로 만든 목록 ETag (같은 URL이면 캐시가 바뀌지 않는 한 응답도 같음)
+function collectionEtag(lastSync, version) {
+  return `W/"${lastSync ? lastSync.getTime() : 0}-${version}"`;
+}
+
+// "a", W/"b", * 형식의 헤더 값을 목록으로 분리
+function parseEtagList(header) {
+  return String(header)
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+// If-Match 확인 (헤더가 없으면 통과, 약한 ETag는 강한 비교에서 일치하지 않음)
+function checkIfMatch(req, etag) {
+  const header = req.get('If-Match');
+  if (!header) return true;
+  return parseEtagList(header).some(tag => tag === '*' || tag === etag);
+}
+
+// If-None-Match 확인 (일치하면 true → 304)
+function checkIfNoneMatch(req, etag) {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+  const weak = tag => tag.replace(/^W\//, '');
+  return parseEtagList(header).some(tag => tag === '*' || weak(tag) === weak(etag));
+}
+
+// 412 응답 - 클라이언트가 가진 버전이 오래된 경우 현재 서버 버전과 데이터를 함께 반환
+function sendPreconditionFailed(res, material) {
+  const etag = materialEtag(material);
+  res.set('ETag', etag);
+  res.status(412).json({
+    success: false,
+    error: '다른 사용자가 먼저 수정한 재료입니다. 최신 데이터를 다시 불러온 뒤 수정해주세요.',
+    currentVersion: material.__v || 0,
+    etag,
+    data: material
+  });
+}
+
+module.exports = {
+  materialEtag,
+  collectionEtag,
+  checkIfMatch,
+  checkIfNoneMatch,
+  sendPreconditionFailed
+};
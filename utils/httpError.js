@@ -0,0 +1,12 @@
+// HTTP 상태 코드를 포함한 에러 생성 함수
+// 라우터의 catch 블록에서 error.status를 확인하여 응답 코드로 사용
+function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+module.exports = { createHttpError };
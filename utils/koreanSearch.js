@@ -0,0 +1,368 @@
+const { productNamesOf } = require('./productCodes');
+
+// ============================================
+// 한글 규격 검색 모듈 - 오타 허용, 별칭, 초성 검색
+// ============================================
+// 예: "H 200 200", "h200x200", "앵글 50", "ㄱ50*50*6", "25각", "ㅎㄱㄱ 30"
+// 1. 정규화: 전각 → 반각, 소문자, 구분자(x, X, *, ×, 숫자 사이 공백) → x
+// 2. 검색어를 숫자(치수)와 단어(품목/약어)로 분리
+// 3. 단어는 품목 별칭 → 품목명 → 초성 → 오타 허용(편집 거리) 순으로 품목을 찾음
+// 4. 재료마다 품목, 치수 순서, spec 문자열 유사도로 점수를 매겨 정렬
+
+const CHOSUNG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// 업계 약어/별칭 → 품목 code (키는 소문자, 공백 없음, 이름은 productNamesOf로 조회)
+const PRODUCT_ALIASES = {
+  'ㄱ': ['ANGLE', 'UNEQUAL_ANGLE'],
+  '앵글': ['ANGLE', 'UNEQUAL_ANGLE'],
+  '기역': ['ANGLE', 'UNEQUAL_ANGLE'],
+  'ㄷ': ['CHANNEL'],
+  '잔넬': ['CHANNEL'],
+  '찬넬': ['CHANNEL'],
+  '채널': ['CHANNEL'],
+  'pl': ['PLATE'],
+  '철판': ['PLATE', 'CHECKERED_PLATE'],
+  '판': ['PLATE', 'CHECKERED_PLATE'],
+  '무늬': ['CHECKERED_PLATE'],
+  'ckpl': ['CHECKERED_PLATE'],
+  '각': ['BLACK_RECT_TUBE', 'COLOR_RECT_TUBE', 'GALV_RECT_TUBE'],
+  '각관': ['BLACK_RECT_TUBE', 'COLOR_RECT_TUBE', 'GALV_RECT_TUBE'],
+  '각파이프': ['BLACK_RECT_TUBE', 'COLOR_RECT_TUBE', 'GALV_RECT_TUBE'],
+  'h': ['H_BEAM'],
+  'h빔': ['H_BEAM'],
+  '에이치': ['H_BEAM'],
+  'lh': ['LIGHT_H_BEAM'],
+  '경량': ['LIGHT_H_BEAM'],
+  'ib': ['I_BEAM'],
+  'i빔': ['I_BEAM'],
+  'c': ['COLOR_C_CHANNEL', 'GALV_C_CHANNEL'],
+  'c형강': ['COLOR_C_CHANNEL', 'GALV_C_CHANNEL'],
+  '씨형강': ['COLOR_C_CHANNEL', 'GALV_C_CHANNEL'],
+  'd': ['REBAR'],
+  '철근': ['REBAR'],
+  'fb': ['FLAT_BAR'],
+  'rb': ['ROUND_BAR'],
+  '데크': ['COLOR_DECK_PLATE', 'GALV_DECK_PLATE'],
+  '파이프': ['GREENHOUSE_PIPE', 'BLACK_PIPE', 'GALV_PIPE', 'PRESSURE_PIPE', 'KS_WHITE_PIPE', 'KS_BLACK_PIPE'],
+  '강관': ['BLACK_PIPE', 'GALV_PIPE', 'PRESSURE_PIPE', 'KS_WHITE_PIPE', 'KS_BLACK_PIPE'],
+  'gi': ['GREENHOUSE_PIPE'],
+  'hgi': ['GALV_PIPE'],
+  'hr': ['BLACK_PIPE'],
+  'ks': ['PRESSURE_PIPE', 'KS_WHITE_PIPE', 'KS_BLACK_PIPE'],
+  '백관': ['KS_WHITE_PIPE'],
+  '흑': ['BLACK_RECT_TUBE', 'BLACK_PIPE', 'PRESSURE_PIPE', 'KS_BLACK_PIPE'],
+  '백': ['KS_WHITE_PIPE'],
+  '아연': ['GALV_C_CHANNEL', 'GALV_DECK_PLATE', 'GALV_RECT_TUBE', 'GALV_PIPE'],
+  '칼라': ['COLOR_C_CHANNEL', 'COLOR_DECK_PLATE', 'COLOR_RECT_TUBE']
+};
+
+// 치수 뒤에 붙는 단위 (검색어에서 무시)
+const UNIT_WORDS = ['x', 't', 'mm', 'a', 'kg', 'm'];
+
+const SCORE = {
+  product: 30,
+  code: 20,
+  sequence: 15,
+  lastPrefix: 10,
+  allDimensions: 10,
+  present: 8,
+  missing: -12,
+  exact: 50,
+  startsWith: 30,
+  contains: 15,
+  typo: 20,
+  typoPenalty: 8,
+  word: 10
+};
+
+// 전각 문자 → 반각 (ＡＢＣ１２３ → ABC123)
+function toHalfWidth(text) {
+  return text
+    .replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+    .replace(/　/g, ' ');
+}
+
+// 검색어/spec 정규화
+function normalizeText(text) {
+  return toHalfWidth(String(text || ''))
+    .toLowerCase()
+    .replace(/[×✕*]/g, 'x')
+    .replace(/(\d)\s*x\s*(?=\d)/g, '$1x')
+    .replace(/(\d)\s+(?=\d)/g, '$1x')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// 공백 없는 비교용 키
+function compactText(text) {
+  return normalizeText(text).replace(/\s+/g, '');
+}
+
+// 한글 초성 추출 (한글이 아닌 문자는 그대로)
+function getChosung(text) {
+  return Array.from(String(text || '')).map(char => {
+    const code = char.charCodeAt(0) - 0xAC00;
+    return code >= 0 && code < 11172 ? CHOSUNG[Math.floor(code / 588)] : char;
+  }).join('');
+}
+
+// 편집 거리 (Levenshtein)
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = temp;
+    }
+  }
+  return prev[b.length];
+}
+
+// 글자 수에 따른 허용 오타 수 (한글은 한 글자의 정보량이 많아 두 글자부터 1개 허용)
+function maxTypos(text) {
+  if (text.length <= 1) return 0;
+  if (text.length === 2) return /[가-힣]/.test(text) ? 1 : 0;
+  if (text.length <= 5) return 1;
+  return 2;
+}
+
+const isNumber = token => /^\d/.test(token);
+const isChosungOnly = word => /^[ㄱ-ㅎ]+$/.test(word);
+
+// 재료별 검색 키 (재료 객체가 바뀌면 새로 계산)
+const keyCache = new WeakMap();
+function materialKeys(material) {
+  let keys = keyCache.get(material);
+  if (!keys) {
+    const compact = compactText(material.spec);
+    const product = compactText(material.product);
+    keys = {
+      compact,
+      code: compact.match(/^[^\d]*/)[0],
+      numbers: compact.match(/\d+(?:\.\d+)?/g) || [],
+      product,
+      chosung: getChosung(product)
+    };
+    keyCache.set(material, keys);
+  }
+  return keys;
+}
+
+// 단어 → 품목 집합 (별칭 → 품목명 → 초성 → 오타 허용 순)
+function resolveWord(word, products) {
+  const aliased = PRODUCT_ALIASES[word];
+  if (aliased) {
+    return { products: new Set(productNamesOf(aliased)), confidence: 1, via: 'alias' };
+  }
+
+  const byName = products.filter(product => compactText(product).includes(word));
+  if (byName.length > 0) {
+    return { products: new Set(byName), confidence: 1, via: 'name' };
+  }
+
+  if (isChosungOnly(word)) {
+    const byChosung = products.filter(product => getChosung(compactText(product)).includes(word));
+    if (byChosung.length > 0) {
+      return { products: new Set(byChosung), confidence: 0.9, via: 'chosung' };
+    }
+  }
+
+  const limit = maxTypos(word);
+  if (limit > 0) {
+    const fuzzy = new Set();
+    Object.entries(PRODUCT_ALIASES).forEach(([alias, codes]) => {
+      if (alias.length > 1 && editDistance(word, alias) <= limit) productNamesOf(codes).forEach(name => fuzzy.add(name));
+    });
+    products.forEach(product => {
+      if (editDistance(word, compactText(product)) <= limit) fuzzy.add(product);
+    });
+    if (fuzzy.size > 0) {
+      return { products: fuzzy, confidence: 0.7, via: 'typo' };
+    }
+  }
+
+  return null;
+}
+
+// 검색어 분석
+// 반환: { normalized, compact, numbers, words: [{ word, products, confidence, via }], unresolved, products }
+function parseQuery(query, products) {
+  const normalized = normalizeText(query);
+  const tokens = normalized.match(/\d+(?:\.\d+)?|[a-z]+|[가-힣ㄱ-ㅎ]+/g) || [];
+  const numbers = tokens.filter(isNumber);
+  const words = [];
+  const unresolved = [];
+
+  tokens.filter(token => !isNumber(token) && !UNIT_WORDS.includes(token)).forEach(word => {
+    const resolved = resolveWord(word, products);
+    if (resolved) words.push({ word, ...resolved });
+    else unresolved.push(word);
+  });
+
+  // 여러 단어가 품목을 가리키면 교집합 (예: "칼라 각관" → 칼라각관), 교집합이 없으면 합집합
+  let productSet = null;
+  words.forEach(({ products: set }) => {
+    if (!productSet) {
+      productSet = new Set(set);
+      return;
+    }
+    const both = new Set([...productSet].filter(product => set.has(product)));
+    productSet = both.size > 0 ? both : new Set([...productSet, ...set]);
+  });
+
+  return {
+    normalized,
+    compact: normalized.replace(/\s+/g, ''),
+    numbers,
+    endsWithNumber: /\d$/.test(normalized),
+    words,
+    unresolved,
+    products: productSet
+  };
+}
+
+// 치수 순서 비교 점수 (마지막 숫자는 입력 중일 수 있으므로 앞부분 일치도 인정)
+function scoreNumbers(queryNumbers, specNumbers, endsWithNumber) {
+  if (queryNumbers.length === 0) return { score: 0, hit: false };
+
+  let sequence = 0;
+  let prefixOnly = false;
+  for (let i = 0; i < queryNumbers.length && i < specNumbers.length; i++) {
+    if (Number(queryNumbers[i]) === Number(specNumbers[i])) {
+      sequence++;
+    } else if (i === queryNumbers.length - 1 && endsWithNumber && specNumbers[i].startsWith(queryNumbers[i])) {
+      sequence++;
+      prefixOnly = true;
+    } else {
+      break;
+    }
+  }
+
+  if (sequence === queryNumbers.length) {
+    const score = SCORE.sequence * sequence
+      - (prefixOnly ? SCORE.sequence - SCORE.lastPrefix : 0)
+      + (sequence === specNumbers.length ? SCORE.allDimensions : 0);
+    return { score, hit: true };
+  }
+
+  // 앞부분만 순서대로 맞으면 그만큼 점수, 나머지는 포함 여부로 부분 점수
+  const remaining = specNumbers.slice(sequence).map(Number);
+  let score = SCORE.sequence * sequence;
+  let present = sequence;
+  queryNumbers.slice(sequence).forEach(value => {
+    const index = remaining.indexOf(Number(value));
+    if (index !== -1) {
+      remaining.splice(index, 1);
+      score += SCORE.present;
+      present++;
+    } else {
+      score += SCORE.missing;
+    }
+  });
+  return { score, hit: present > 0 };
+}
+
+// 재료 한 건의 점수 (조건에 맞지 않으면 null)
+function scoreMaterial(material, parsed) {
+  const keys = materialKeys(material);
+  let score = 0;
+  let hit = false;
+
+  // 품목 (검색어에 품목 단어가 있으면 필수 조건)
+  if (parsed.products) {
+    if (!parsed.products.has(material.product)) return null;
+    const confidence = Math.max(...parsed.words.filter(w => w.products.has(material.product)).map(w => w.confidence));
+    score += SCORE.product * confidence;
+    hit = true;
+    // 약어가 spec 앞부분과 같으면 추가 점수 (예: "h" → H200x..., "흑" → 흑KS...)
+    if (parsed.words.some(w => keys.code === w.word || keys.code.startsWith(w.word))) {
+      score += SCORE.code;
+    }
+  }
+
+  // 치수
+  const numbers = scoreNumbers(parsed.numbers, keys.numbers, parsed.endsWithNumber);
+  score += numbers.score;
+  hit = hit || numbers.hit;
+
+  // spec 문자열 유사도 (오타 허용)
+  const query = parsed.compact;
+  let textHit = false;
+  if (query.length > 0) {
+    if (keys.compact === query) {
+      score += SCORE.exact;
+      textHit = true;
+    } else if (keys.compact.startsWith(query)) {
+      score += SCORE.startsWith;
+      textHit = true;
+    } else if (keys.compact.includes(query)) {
+      score += SCORE.contains;
+      textHit = true;
+    } else if (query.length >= 4) {
+      const distance = Math.min(
+        editDistance(query, keys.compact),
+        editDistance(query, keys.compact.slice(0, query.length))
+      );
+      if (distance <= maxTypos(query)) {
+        score += SCORE.typo - SCORE.typoPenalty * distance;
+        textHit = true;
+      }
+    }
+  }
+
+  // 치수를 입력했는데 하나도 맞지 않으면 제외 (문자열이 거의 같은 경우는 허용)
+  if (parsed.numbers.length > 0 && !numbers.hit && !textHit) return null;
+
+  // 해석되지 않은 단어는 spec에 포함되어야 함 (예: sch80)
+  for (const word of parsed.unresolved) {
+    if (!keys.compact.includes(word)) return null;
+    score += SCORE.word;
+  }
+
+  hit = hit || textHit || parsed.unresolved.length > 0;
+  return hit && score > 0 ? score : null;
+}
+
+// 검색 실행
+// materials: 검색 대상, options: { limit }
+// 반환: { parsed, results: [{ material, score }] }
+function searchMaterials(materials, query, { limit = 20 } = {}) {
+  const products = [...new Set(materials.map(material => material.product))];
+  const parsed = parseQuery(query, products);
+  const results = [];
+
+  materials.forEach(material => {
+    const score = scoreMaterial(material, parsed);
+    if (score !== null) results.push({ material, score: Math.round(score * 10) / 10 });
+  });
+
+  // 점수 → 짧은 spec → spec 순
+  results.sort((a, b) =>
+    (b.score - a.score) ||
+    (a.material.spec.length - b.material.spec.length) ||
+    (a.material.spec < b.material.spec ? -1 : a.material.spec > b.material.spec ? 1 : 0)
+  );
+
+  return {
+    parsed: {
+      normalized: parsed.normalized,
+      numbers: parsed.numbers,
+      words: parsed.words.map(({ word, products: set, via }) => ({ word, via, products: [...set] })),
+      unresolved: parsed.unresolved
+    },
+    total: results.length,
+    results: results.slice(0, limit)
+  };
+}
+
+module.exports = {
+  PRODUCT_ALIASES,
+  normalizeText,
+  getChosung,
+  editDistance,
+  parseQuery,
+  searchMaterials
+};
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const SteelMaterial = require('../models/SteelMaterial');
+const { validateMaterial } = require('./materialValidation');
+const { findMaterialsWithStock } = require('./stockLedger');
+const { createHttpError } = require('./httpError');
+
+// ============================================
+// 재료 일괄 작업 모듈 (생성/수정/upsert/삭제)
+// ============================================
+// atomic: 하나라도 실패하면 전체 취소 (트랜잭션 session 필요 - 레플리카셋 또는 mongos에서만 가능)
+// best-effort: 실패한 행만 건너뛰고 나머지는 저장
+
+const BULK_OPERATIONS = ['create', 'update', 'upsert', 'delete'];
+const BULK_MODES = ['atomic', 'best-effort'];
+const MAX_BULK_OPERATIONS = 1000;
+
+const isObjectId = value => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+// 트랜잭션 지원 여부 (단독 서버는 트랜잭션을 쓸 수 없음)
+async function supportsTransactions() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+// 저장 중 발생한 DB 오류를 행 단위 HTTP 오류로 변환 (변환할 수 없으면 null)
+// 입력 단계에서 확인했더라도 동시에 같은 spec이 생기거나 다른 요청이 먼저 수정할 수 있음
+function toRowError(error) {
+  if (error.status) return error;
+  if (error.code === 11000) {
+    return createHttpError(409, '이미 존재하는 spec입니다.');
+  }
+  if (error.name === 'VersionError') {
+    return createHttpError(412, '다른 사용자가 먼저 수정한 재료입니다. 최신 데이터를 다시 불러온 뒤 수정해주세요.');
+  }
+  if (error.name === 'ValidationError' && error.errors) {
+    return createHttpError(422, '입력값이 올바르지 않습니다.',
+      Object.values(error.errors).map(e => ({ field: e.path, message: e.message, value: e.value })));
+  }
+  return null;
+}
+
+// 트랜잭션을 다시 시도해야 하는 일시적 오류 (withTransaction이 재시도하도록 그대로 전달)
+function isTransientError(error) {
+  return typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+}
+
+// 요청 형식 검증 및 입력 검증 (DB 조회 전 단계)
+// 반환: [{ index, op, key, data, errors }]
+function prepareOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw createHttpError(400, 'operations 배열이 필요합니다. 예: [{ "op": "create", "data": { ... } }]');
+  }
+  if (operations.length > MAX_BULK_OPERATIONS) {
+    throw createHttpError(400, `한 번에 최대 ${MAX_BULK_OPERATIONS}건까지 처리할 수 있습니다.`);
+  }
+
+  return operations.map((operation, index) => {
+    const { op, id, spec, data = {} } = operation || {};
+    const row = { index, op, id, spec, data: {}, errors: [] };
+
+    if (!BULK_OPERATIONS.includes(op)) {
+      row.errors.push({ field: 'op', message: `op는 ${BULK_OPERATIONS.join(', ')} 중 하나여야 합니다.` });
+      return row;
+    }
+    if (id !== undefined && !isObjectId(id)) {
+      row.errors.push({ field: 'id', message: 'id 형식이 올바르지 않습니다.' });
+    }
+
+    // create/upsert는 data.spec이 없으면 키로 지정한 spec 사용
+    const input = (op === 'create' || op === 'upsert') && data.spec === undefined && spec
+      ? { ...data, spec }
+      : data;
+
+    if (op === 'delete') {
+      if (!id && !spec) row.errors.push({ field: 'spec', message: 'spec 또는 id가 필요합니다.' });
+    } else if (op === 'create') {
+      const result = validateMaterial(input, { mode: 'create' });
+      row.data = result.value;
+      row.errors.push(...result.errors);
+    } else {
+      if (op === 'update' && !id && !spec) {
+        row.errors.push({ field: 'spec', message: 'spec 또는 id가 필요합니다.' });
+      }
+      // update/upsert는 대상 재료를 찾은 뒤 spec/product 일치 여부를 다시 확인
+      const result = validateMaterial(input, { mode: 'patch' });
+      row.data = result.value;
+      row.errors.push(...result.errors);
+    }
+    return row;
+  });
+}
+
+// 일괄 작업 실행
+// rows: prepareOperations 결과, options: { atomic, session }
+// 반환: { results, saved: [변경 후 재료], deleted: [휴지통으로 이동한 재료], audits }
+// atomic 모드에서 실패하면 error.index(실패 행)와 함께 예외 발생
+// 알 수 없는 DB 오류는 atomic 모드에서는 그대로 던지고, best-effort 모드에서는 500 실패 행으로 기록
+async function runOperations(rows, { atomic = false, session = null } = {}) {
+  // 관련 재료를 한 번에 조회해 작업 중 상태를 메모리에서 관리 (행마다 중복 확인 조회를 하지 않음)
+  const ids = rows.filter(row => row.id && isObjectId(row.id)).map(row => row.id);
+  const specs = rows.flatMap(row => [row.spec, row.data && row.data.spec]).filter(Boolean);
+  const existing = await SteelMaterial.find({ $or: [{ _id: { $in: ids } }, { spec: { $in: specs } }] }).session(session);
+
+  // 휴지통의 재료는 수정/삭제 대상이 아니지만 spec은 계속 점유 (같은 spec으로 새로 만들지 않고 복원하도록)
+  const active = existing.filter(material => !material.deletedAt);
+  const trashedSpecs = new Set(existing.filter(material => material.deletedAt).map(material => material.spec));
+  const byId = new Map(active.map(material => [material._id.toString(), material]));
+  const bySpec = new Map(active.map(material => [material.spec, material]));
+  const assertNotTrashed = spec => {
+    if (trashedSpecs.has(spec)) {
+      throw createHttpError(409, '휴지통에 같은 spec의 재료가 있습니다. 새로 만들지 말고 복원해주세요.');
+    }
+  };
+  const withStock = await findMaterialsWithStock(existing.map(material => material._id));
+
+  const results = [];
+  const audits = [];
+  const saved = new Map();
+  const deleted = new Map();
+
+  const lookup = row => (row.id ? byId.get(String(row.id)) : bySpec.get(row.spec)) || null;
+
+  for (const row of rows) {
+    const result = { index: row.index, op: row.op, spec: row.spec || (row.data && row.data.spec) };
+
+    try {
+      if (row.errors.length > 0) {
+        throw createHttpError(422, '입력값이 올바르지 않습니다.', row.errors);
+      }
+
+      let material = lookup(row);
+      if (row.op === 'upsert' && !material && row.data.spec) {
+        material = bySpec.get(row.data.spec) || null;
+      }
+
+      if (row.op === 'delete') {
+        if (!material) throw createHttpError(404, '재료를 찾을 수 없습니다.');
+        if (withStock.has(material._id.toString())) {
+          throw createHttpError(409, '재고 또는 재고 이동 내역이 있는 재료는 삭제할 수 없습니다.');
+        }
+        const before = material.toObject();
+        material.deletedAt = new Date();
+        await material.save({ session });
+        trashedSpecs.add(before.spec);
+        byId.delete(before._id.toString());
+        bySpec.delete(before.spec);
+        saved.delete(before._id.toString());
+        deleted.set(before._id.toString(), before);
+        audits.push({ action: 'delete', before });
+        Object.assign(result, { status: 'deleted', id: before._id, spec: before.spec });
+      } else if (row.op === 'create' || (row.op === 'upsert' && !material)) {
+        if (row.op === 'create' && material) throw createHttpError(409, '이미 존재하는 spec입니다.');
+        const { errors } = validateMaterial(row.data, { mode: 'create' });
+        if (errors.length > 0) throw createHttpError(422, '입력값이 올바르지 않습니다.', errors);
+        if (bySpec.has(row.data.spec)) throw createHttpError(409, '이미 존재하는 spec입니다.');
+        assertNotTrashed(row.data.spec);
+
+        const created = new SteelMaterial(row.data);
+        await created.save({ session });
+        byId.set(created._id.toString(), created);
+        bySpec.set(created.spec, created);
+        saved.set(created._id.toString(), created.toObject());
+        audits.push({ action: 'create', after: created.toObject() });
+        Object.assign(result, { status: 'created', id: created._id, spec: created.spec });
+      } else {
+        if (!material) throw createHttpError(404, '재료를 찾을 수 없습니다.');
+        const { errors } = validateMaterial(row.data, { mode: 'patch', current: material });
+        if (errors.length > 0) throw createHttpError(422, '입력값이 올바르지 않습니다.', errors);
+        const spec = row.data.spec;
+        if (spec && spec !== material.spec && bySpec.has(spec)) {
+          throw createHttpError(409, '이미 존재하는 spec입니다.');
+        }
+        if (spec && spec !== material.spec) assertNotTrashed(spec);
+
+        const before = material.toObject();
+        Object.assign(material, row.data);
+        await material.save({ session });
+        bySpec.delete(before.spec);
+        bySpec.set(material.spec, material);
+        saved.set(material._id.toString(), material.toObject());
+        audits.push({ action: 'update', before, after: material.toObject() });
+        Object.assign(result, { status: 'updated', id: material._id, spec: material.spec });
+      }
+    } catch (caught) {
+      if (atomic && isTransientError(caught)) throw caught;
+      const error = toRowError(caught);
+      if (!error && atomic) throw caught;
+      const status = error ? error.status : 500;
+      Object.assign(result, {
+        status: 'failed',
+        statusCode: status,
+        error: (error || caught).message,
+        ...(error && error.details ? { errors: error.details } : {})
+      });
+      if (atomic) {
+        throw Object.assign(createHttpError(status, `${row.index + 1}번째 작업이 실패하여 전체 작업을 취소했습니다.`), {
+          index: row.index,
+          result
+        });
+      }
+    }
+    results.push(result);
+  }
+
+  return { results, saved: [...saved.values()], deleted: [...deleted.values()], audits };
+}
+
+module.exports = {
+  BULK_OPERATIONS,
+  BULK_MODES,
+  MAX_BULK_OPERATIONS,
+  supportsTransactions,
+  prepareOperations,
+  runOperations
+};
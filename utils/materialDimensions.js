@@ -0,0 +1,40 @@
+const SteelMaterial = require('../models/SteelMaterial');
+const { parseSpec } = require('./specParser');
+
+// ============================================
+// 치수 정보(dimensions) 저장 모듈
+// ============================================
+// 치수 필터(height_min, thickness_max 등)는 DB 조회 시 저장된 dimensions 필드를 사용하므로,
+// dimensions가 없는 기존 문서가 있으면 캐시와 DB 조회 결과가 달라짐
+// 서버 시작 시 빠진 문서만 채우고(missingOnly), /dimensions/rebuild와 migrate:dimensions에서 전체 재계산
+
+const BULK_CHUNK_SIZE = 500;
+
+// options.missingOnly: true이면 dimensions가 없는 문서만 계산
+// 반환: { count: 저장한 문서 수, unparsedCount: spec 해석 실패 수 }
+async function rebuildDimensions({ missingOnly = false } = {}) {
+  const query = missingOnly ? { dimensions: null } : {};
+  const materials = await SteelMaterial.find(query, 'spec').lean();
+
+  let unparsedCount = 0;
+  const operations = materials.map(material => {
+    const dimensions = parseSpec(material.spec);
+    if (!dimensions.shape) unparsedCount++;
+    return {
+      updateOne: {
+        filter: { _id: material._id },
+        update: { $set: { dimensions } }
+      }
+    };
+  });
+
+  for (let i = 0; i < operations.length; i += BULK_CHUNK_SIZE) {
+    await SteelMaterial.bulkWrite(operations.slice(i, i + BULK_CHUNK_SIZE), { ordered: false });
+  }
+
+  return { count: operations.length, unparsedCount };
+}
+
+module.exports = {
+  rebuildDimensions
+};
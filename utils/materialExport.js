@@ -0,0 +1,82 @@
+const iconv = require('iconv-lite');
+const { createHttpError } = require('./httpError');
+
+// ============================================
+// 내보내기 모듈 (CSV / mongoexport JSON / NDJSON)
+// ============================================
+
+// 내보내기 필드 순서 (DB_BACKUP 파일과 동일)
+const EXPORT_FIELDS = ['_id', 'spec', 'wpm', 'product', 'method_calc', 'initial_length', 'trade_unit', 'cat_product', '__v'];
+const CSV_FIELDS = EXPORT_FIELDS.filter(field => field !== '__v');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'json' }
+};
+
+// CSV 인코딩 옵션
+//   utf-8: BOM 없는 UTF-8
+//   utf-8-bom: BOM 포함 UTF-8 (한글 엑셀에서 바로 열림, 기본값)
+//   cp949/euc-kr: 한글 엑셀 기본 인코딩
+const CSV_ENCODINGS = ['utf-8', 'utf-8-bom', 'cp949', 'euc-kr'];
+
+// CSV 셀 이스케이프 (쉼표, 따옴표, 줄바꿈이 있으면 따옴표로 감싸기)
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV 버퍼 생성
+function toCsv(materials, encoding = 'utf-8-bom') {
+  if (!CSV_ENCODINGS.includes(encoding)) {
+    throw createHttpError(400, `encoding은 ${CSV_ENCODINGS.join(', ')} 중 하나여야 합니다.`);
+  }
+
+  const lines = [CSV_FIELDS.join(',')];
+  materials.forEach(material => {
+    lines.push(CSV_FIELDS.map(field => escapeCsvValue(material[field])).join(','));
+  });
+  const text = lines.join('\r\n') + '\r\n';
+
+  if (encoding === 'cp949' || encoding === 'euc-kr') {
+    return { buffer: iconv.encode(text, encoding), charset: encoding };
+  }
+
+  const bom = encoding === 'utf-8-bom' ? '\uFEFF' : '';
+  return { buffer: Buffer.from(bom + text, 'utf8'), charset: 'utf-8' };
+}
+
+// mongoexport 확장 JSON 형식 문서로 변환 (_id → { $oid })
+function toExtendedJsonDoc(material) {
+  const doc = {};
+  EXPORT_FIELDS.forEach(field => {
+    if (material[field] === undefined) return;
+    doc[field] = field === '_id'
+      ? { $oid: material._id.toString() }
+      : material[field];
+  });
+  return doc;
+}
+
+// DB_BACKUP 파일과 같은 JSON 배열 형식
+function toJson(materials) {
+  const docs = materials.map(material => JSON.stringify(toExtendedJsonDoc(material), null, 2));
+  return `[${docs.join(',\n')}]\n`;
+}
+
+// 한 줄에 한 문서 (mongoexport 기본 형식)
+function toNdjson(materials) {
+  return materials.map(material => JSON.stringify(toExtendedJsonDoc(material))).join('\n') + '\n';
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  EXPORT_FORMATS,
+  CSV_ENCODINGS,
+  toCsv,
+  toExtendedJsonDoc,
+  toJson,
+  toNdjson
+};
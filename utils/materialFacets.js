@@ -0,0 +1,155 @@
+const { getPath } = require('./materialFilters');
+const { round } = require('./weightCalculator');
+
+// ============================================
+// 재료 집계 모듈 - 필드별 개수(facet)와 wpm 통계
+// ============================================
+// 캐시 배열로 계산(computeFacets)하거나, 캐시가 없을 때 같은 결과 형식의 MongoDB 집계(facetPipeline) 사용
+// 결과 형식:
+// {
+//   total,
+//   facets: { product: [{ value, count }], cat_product, method_calc, trade_unit, initial_length, shape },
+//   stats: { wpm: { count, min, max, avg } },
+//   byProduct: [{ product, count, wpm: { min, max, avg }, initialLengths: [...] }]
+// }
+
+// facet 이름 → 문서 필드 경로
+const FACET_FIELDS = {
+  product: 'product',
+  cat_product: 'cat_product',
+  method_calc: 'method_calc',
+  trade_unit: 'trade_unit',
+  initial_length: 'initial_length',
+  shape: 'dimensions.shape'
+};
+
+// 개수 내림차순, 같으면 값 오름차순
+function sortBuckets(buckets) {
+  return buckets.sort((a, b) =>
+    (b.count - a.count) || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0)
+  );
+}
+
+function summarize({ count, min, max, sum }) {
+  return count > 0
+    ? { count, min, max, avg: round(sum / count) }
+    : { count: 0, min: null, max: null, avg: null };
+}
+
+// 캐시 배열로 집계
+function computeFacets(materials) {
+  const counters = Object.fromEntries(Object.keys(FACET_FIELDS).map(name => [name, new Map()]));
+  const wpm = { count: 0, min: Infinity, max: -Infinity, sum: 0 };
+  const products = new Map();
+
+  materials.forEach(material => {
+    Object.entries(FACET_FIELDS).forEach(([name, path]) => {
+      const value = getPath(material, path);
+      const key = value === undefined ? null : value;
+      counters[name].set(key, (counters[name].get(key) || 0) + 1);
+    });
+
+    let product = products.get(material.product);
+    if (!product) {
+      product = { count: 0, min: Infinity, max: -Infinity, sum: 0, initialLengths: new Set() };
+      products.set(material.product, product);
+    }
+    product.count++;
+    product.initialLengths.add(material.initial_length);
+
+    if (typeof material.wpm === 'number') {
+      [wpm, product].forEach(stat => {
+        stat.min = Math.min(stat.min, material.wpm);
+        stat.max = Math.max(stat.max, material.wpm);
+        stat.sum += material.wpm;
+      });
+      wpm.count++;
+      product.wpmCount = (product.wpmCount || 0) + 1;
+    }
+  });
+
+  const facets = {};
+  Object.entries(counters).forEach(([name, counter]) => {
+    facets[name] = sortBuckets([...counter].map(([value, count]) => ({ value, count })));
+  });
+
+  const byProduct = [...products].map(([name, stat]) => {
+    const { min, max, avg } = summarize({ ...stat, count: stat.wpmCount || 0 });
+    return {
+      product: name,
+      count: stat.count,
+      wpm: { min, max, avg },
+      initialLengths: [...stat.initialLengths].sort((a, b) => a - b)
+    };
+  }).sort((a, b) => (b.count - a.count) || (a.product < b.product ? -1 : 1));
+
+  return {
+    total: materials.length,
+    facets,
+    stats: { wpm: summarize(wpm) },
+    byProduct
+  };
+}
+
+// MongoDB 집계 파이프라인 (캐시가 로드되지 않았을 때 사용, fromAggregation으로 결과 형식 변환)
+function facetPipeline(match) {
+  const groups = { total: [{ $count: 'count' }] };
+  Object.entries(FACET_FIELDS).forEach(([name, path]) => {
+    groups[name] = [{ $group: { _id: `$${path}`, count: { $sum: 1 } } }];
+  });
+  groups.wpm = [{
+    $group: {
+      _id: null,
+      count: { $sum: { $cond: [{ $isNumber: '$wpm' }, 1, 0] } },
+      min: { $min: '$wpm' },
+      max: { $max: '$wpm' },
+      avg: { $avg: '$wpm' }
+    }
+  }];
+  groups.byProduct = [{
+    $group: {
+      _id: '$product',
+      count: { $sum: 1 },
+      min: { $min: '$wpm' },
+      max: { $max: '$wpm' },
+      avg: { $avg: '$wpm' },
+      initialLengths: { $addToSet: '$initial_length' }
+    }
+  }];
+
+  return [{ $match: match }, { $facet: groups }];
+}
+
+// 집계 결과 → computeFacets와 같은 형식
+function fromAggregation([result]) {
+  const facets = {};
+  Object.keys(FACET_FIELDS).forEach(name => {
+    facets[name] = sortBuckets(result[name].map(({ _id, count }) => ({ value: _id === undefined ? null : _id, count })));
+  });
+
+  const [wpm] = result.wpm;
+  const avgOf = stat => (typeof stat.avg === 'number' ? round(stat.avg) : null);
+
+  return {
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets,
+    stats: {
+      wpm: wpm && wpm.count > 0
+        ? { count: wpm.count, min: wpm.min, max: wpm.max, avg: avgOf(wpm) }
+        : { count: 0, min: null, max: null, avg: null }
+    },
+    byProduct: result.byProduct.map(stat => ({
+      product: stat._id,
+      count: stat.count,
+      wpm: { min: stat.min === undefined ? null : stat.min, max: stat.max === undefined ? null : stat.max, avg: avgOf(stat) },
+      initialLengths: stat.initialLengths.sort((a, b) => a - b)
+    })).sort((a, b) => (b.count - a.count) || (a.product < b.product ? -1 : 1))
+  };
+}
+
+module.exports = {
+  FACET_FIELDS,
+  computeFacets,
+  facetPipeline,
+  fromAggregation
+};
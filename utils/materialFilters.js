@@ -0,0 +1,208 @@
+const { createHttpError } = require('./httpError');
+
+// ============================================
+// 목록 검색 필터 - 캐시 검색과 DB 조회가 같은 조건을 사용하도록 공통화
+// ============================================
+
+// 부분 일치(대소문자 무시) 필터
+const TEXT_FIELDS = ['spec', 'product'];
+
+// 텍스트 검색 방식: substring(기본값, 입력을 그대로 부분 일치) | regex(match=regex로 명시한 경우만)
+const MATCH_MODES = ['substring', 'regex'];
+const MAX_REGEX_LENGTH = 100;
+
+// 정확히 일치하는 정수 필터
+const EXACT_FIELDS = ['method_calc', 'cat_product', 'trade_unit'];
+
+// 범위 필터: 쿼리 파라미터 이름 → 문서 필드 경로
+// <name>_min, <name>_max 로 범위 지정, <name> 단독이면 정확히 일치
+const RANGE_FIELDS = {
+  wpm: 'wpm',
+  initial_length: 'initial_length',
+  height: 'dimensions.height',
+  width: 'dimensions.width',
+  thickness: 'dimensions.thickness',
+  web_thickness: 'dimensions.webThickness',
+  flange_thickness: 'dimensions.flangeThickness',
+  diameter: 'dimensions.diameter',
+  nominal_size: 'dimensions.nominalSize'
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function toNumber(value, name) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) {
+    throw createHttpError(400, `${name}는 숫자여야 합니다. (입력값: ${value})`);
+  }
+  return num;
+}
+
+// 정규식 특수문자 이스케이프 (부분 일치 검색을 DB 쿼리로 보낼 때 사용)
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 반복(*, +, {n,m})되는 그룹 안에 다시 반복이나 선택(|)이 있는지 확인
+// 예: (a+)+, (a|a)+$, ((ab)*)+ - 일치하지 않는 입력에서 역추적이 기하급수적으로 늘어남
+// 이스케이프(\x)와 문자 클래스([...]) 안의 기호는 문자로 취급
+function hasAmbiguousRepeat(pattern) {
+  const groups = [];
+  let lastClosed = null;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+    const closed = lastClosed;
+    lastClosed = null;
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ risky: false });
+      if (pattern[i + 1] === '?') i++;
+    } else if (char === ')') {
+      lastClosed = groups.pop() || null;
+      if (lastClosed && groups.length > 0 && lastClosed.risky) groups[groups.length - 1].risky = true;
+    } else if (char === '*' || char === '+' || char === '{') {
+      if (closed && closed.risky) return true;
+      if (current) current.risky = true;
+    } else if (char === '?' || char === '|') {
+      if (current) current.risky = true;
+    }
+  }
+  return false;
+}
+
+// 정규식 검색어 검사 (길이 제한, 역참조와 중첩 반복/반복되는 선택처럼 실행 시간이 폭증할 수 있는 형태 거부)
+function compileSafeRegex(pattern, field) {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    throw createHttpError(400, `${field} 정규식은 ${MAX_REGEX_LENGTH}자 이하여야 합니다.`);
+  }
+  if (/\\[1-9]|\\k</.test(pattern) || hasAmbiguousRepeat(pattern)) {
+    throw createHttpError(400, `${field} 정규식에 허용되지 않는 형태(역참조, 반복되는 그룹 안의 반복이나 |)가 있습니다: ${pattern}`);
+  }
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw createHttpError(400, `${field} 검색어가 올바른 정규식이 아닙니다: ${pattern}`);
+  }
+}
+
+// 점(.) 경로로 값 조회 (예: 'dimensions.height')
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// 요청 쿼리 → 필터 객체
+function parseFilters(query = {}) {
+  const filters = { text: {}, exact: {}, ranges: [] };
+
+  const mode = isEmpty(query.match) ? 'substring' : String(query.match);
+  if (!MATCH_MODES.includes(mode)) {
+    throw createHttpError(400, `match는 ${MATCH_MODES.join(', ')} 중 하나여야 합니다.`);
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    if (!isEmpty(query[field])) {
+      const pattern = String(query[field]);
+      const regex = mode === 'regex'
+        ? compileSafeRegex(pattern, field)
+        : new RegExp(escapeRegex(pattern), 'i');
+      filters.text[field] = { pattern, mode, regex };
+    }
+  });
+
+  EXACT_FIELDS.forEach(field => {
+    if (!isEmpty(query[field])) {
+      const value = toNumber(query[field], field);
+      if (!Number.isInteger(value)) {
+        throw createHttpError(400, `${field}는 정수여야 합니다. (입력값: ${query[field]})`);
+      }
+      filters.exact[field] = value;
+    }
+  });
+
+  if (!isEmpty(query.shape)) {
+    filters.exact['dimensions.shape'] = String(query.shape);
+  }
+
+  Object.entries(RANGE_FIELDS).forEach(([name, path]) => {
+    const exact = query[name];
+    const min = isEmpty(exact) ? query[`${name}_min`] : exact;
+    const max = isEmpty(exact) ? query[`${name}_max`] : exact;
+    if (isEmpty(min) && isEmpty(max)) return;
+
+    const range = { path };
+    if (!isEmpty(min)) range.min = toNumber(min, `${name}_min`);
+    if (!isEmpty(max)) range.max = toNumber(max, `${name}_max`);
+    if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+      throw createHttpError(400, `${name}_min이 ${name}_max보다 클 수 없습니다.`);
+    }
+    filters.ranges.push(range);
+  });
+
+  return filters;
+}
+
+// 정렬 키 → 문서 필드 경로 (예: sort=height → dimensions.height)
+function resolveSortPath(sort) {
+  return RANGE_FIELDS[sort] || sort;
+}
+
+// 범위 조건 확인
+function matchesRanges(material, ranges) {
+  for (const { path, min, max } of ranges) {
+    const value = getPath(material, path);
+    if (typeof value !== 'number') return false;
+    if (min !== undefined && value < min) return false;
+    if (max !== undefined && value > max) return false;
+  }
+  return true;
+}
+
+// 캐시 항목이 필터 조건에 맞는지 확인
+function matchesFilters(material, filters) {
+  for (const [field, { regex }] of Object.entries(filters.text)) {
+    if (!regex.test(material[field] || '')) return false;
+  }
+  for (const [path, value] of Object.entries(filters.exact)) {
+    if (getPath(material, path) !== value) return false;
+  }
+  return matchesRanges(material, filters.ranges);
+}
+
+// 필터 객체 → MongoDB 쿼리
+function toMongoQuery(filters) {
+  const query = {};
+  Object.entries(filters.text).forEach(([field, { pattern, mode }]) => {
+    query[field] = { $regex: mode === 'regex' ? pattern : escapeRegex(pattern), $options: 'i' };
+  });
+  Object.entries(filters.exact).forEach(([path, value]) => {
+    query[path] = value;
+  });
+  filters.ranges.forEach(({ path, min, max }) => {
+    const condition = { $type: 'number' };
+    if (min !== undefined) condition.$gte = min;
+    if (max !== undefined) condition.$lte = max;
+    query[path] = condition;
+  });
+  return query;
+}
+
+module.exports = {
+  RANGE_FIELDS,
+  MATCH_MODES,
+  escapeRegex,
+  getPath,
+  parseFilters,
+  resolveSortPath,
+  matchesRanges,
+  matchesFilters,
+  toMongoQuery
+};
@@ -0,0 +1,259 @@
+const { getPath, matchesRanges } = require('./materialFilters');
+
+// ============================================
+// 재료 검색 인덱스 - 캐시 검색 시 전체 배열 복사/정렬 없이 조회
+// ============================================
+// buckets: 정확히 일치하는 필드별 값 → 재료 ID 집합 (품목, 분류, 계산방식, 거래단위, 형태)
+// grams: spec(소문자)의 1~3글자 조각 → 재료 ID 집합 (부분 일치 검색 후보 축소)
+// views: 자주 쓰는 정렬 키별로 미리 정렬해 둔 배열 (변경 시 이진 탐색으로 삽입/삭제)
+
+const BUCKET_FIELDS = ['product', 'cat_product', 'method_calc', 'trade_unit', 'dimensions.shape'];
+const SORT_KEYS = [
+  'spec', 'product', 'wpm', 'initial_length', 'cat_product', 'method_calc',
+  'dimensions.height', 'dimensions.width', 'dimensions.thickness', 'dimensions.diameter'
+];
+const GRAM_SIZE = 3;
+
+const idOf = material => material._id.toString();
+
+// 정렬 비교 (MongoDB와 같이 값이 없는 항목이 오름차순에서 앞, 같은 값은 spec → _id 순으로 고정)
+// 내림차순은 오름차순 결과를 뒤집어 사용
+function compareBy(path) {
+  const keys = path.split('.');
+  const read = material => keys.reduce((value, key) => (value == null ? undefined : value[key]), material);
+  return (a, b) => {
+    const aVal = read(a);
+    const bVal = read(b);
+    const aMissing = aVal === undefined || aVal === null;
+    const bMissing = bVal === undefined || bVal === null;
+    if (aMissing !== bMissing) return aMissing ? -1 : 1;
+    if (!aMissing && aVal < bVal) return -1;
+    if (!aMissing && aVal > bVal) return 1;
+    if (a.spec !== b.spec) return a.spec < b.spec ? -1 : 1;
+    const aId = idOf(a);
+    const bId = idOf(b);
+    return aId < bId ? -1 : aId > bId ? 1 : 0;
+  };
+}
+
+// 정렬된 배열에서 삽입 위치 (이진 탐색)
+function insertPosition(view, material, compare) {
+  let low = 0;
+  let high = view.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (compare(view[mid], material) < 0) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// 문자열의 1~GRAM_SIZE 글자 조각
+function gramsOf(text) {
+  const grams = new Set();
+  for (let size = 1; size <= GRAM_SIZE; size++) {
+    for (let i = 0; i + size <= text.length; i++) {
+      grams.add(text.slice(i, i + size));
+    }
+  }
+  return grams;
+}
+
+function addTo(map, key, id) {
+  let set = map.get(key);
+  if (!set) {
+    set = new Set();
+    map.set(key, set);
+  }
+  set.add(id);
+}
+
+function removeFrom(map, key, id) {
+  const set = map.get(key);
+  if (!set) return;
+  set.delete(id);
+  if (set.size === 0) map.delete(key);
+}
+
+// 두 집합의 교집합 (작은 쪽 기준으로 순회)
+function intersect(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  const result = new Set();
+  small.forEach(id => { if (large.has(id)) result.add(id); });
+  return result;
+}
+
+function createMaterialIndex() {
+  const byId = new Map();
+  const buckets = new Map(BUCKET_FIELDS.map(field => [field, new Map()]));
+  const grams = new Map();
+  const views = new Map();
+  const comparators = new Map(SORT_KEYS.map(path => [path, compareBy(path)]));
+
+  function indexEntry(material) {
+    const id = idOf(material);
+    byId.set(id, material);
+    BUCKET_FIELDS.forEach(field => addTo(buckets.get(field), getPath(material, field), id));
+    gramsOf(String(material.spec).toLowerCase()).forEach(gram => addTo(grams, gram, id));
+  }
+
+  function unindexEntry(material) {
+    const id = idOf(material);
+    byId.delete(id);
+    BUCKET_FIELDS.forEach(field => removeFrom(buckets.get(field), getPath(material, field), id));
+    gramsOf(String(material.spec).toLowerCase()).forEach(gram => removeFrom(grams, gram, id));
+  }
+
+  // 전체 다시 구성 (캐시 로드 시)
+  function rebuild(materials) {
+    byId.clear();
+    grams.clear();
+    buckets.forEach(bucket => bucket.clear());
+    materials.forEach(indexEntry);
+    views.clear();
+    comparators.forEach((compare, path) => views.set(path, [...materials].sort(compare)));
+  }
+
+  // 항목 추가/교체
+  function upsert(material) {
+    const previous = byId.get(idOf(material));
+    if (previous) remove(previous);
+    indexEntry(material);
+    views.forEach((view, path) => {
+      const compare = comparators.get(path);
+      view.splice(insertPosition(view, material, compare), 0, material);
+    });
+  }
+
+  // 항목 삭제
+  function remove(material) {
+    const existing = byId.get(idOf(material));
+    if (!existing) return;
+    unindexEntry(existing);
+    views.forEach((view, path) => {
+      const compare = comparators.get(path);
+      const position = insertPosition(view, existing, compare);
+      if (view[position] === existing) {
+        view.splice(position, 1);
+      } else {
+        // 인덱스 밖에서 객체가 바뀐 경우 대비 (위치를 못 찾으면 직접 검색)
+        const index = view.indexOf(existing);
+        if (index !== -1) view.splice(index, 1);
+      }
+    });
+  }
+
+  // spec 부분 일치 후보 (검색어가 GRAM_SIZE 이하이면 정확한 결과, 길면 조각 교집합 후 확인)
+  function specCandidates(term) {
+    const text = term.toLowerCase();
+    if (text.length <= GRAM_SIZE) {
+      return grams.get(text) || new Set();
+    }
+    let candidates = null;
+    for (const gram of gramsOf(text)) {
+      if (gram.length !== GRAM_SIZE) continue;
+      candidates = intersect(candidates, grams.get(gram) || new Set());
+      if (candidates.size === 0) return candidates;
+    }
+    const result = new Set();
+    candidates.forEach(id => {
+      if (byId.get(id).spec.toLowerCase().includes(text)) result.add(id);
+    });
+    return result;
+  }
+
+  // 텍스트 필터 후보 (정규식 모드는 전체 또는 다른 조건의 후보를 검사)
+  function textCandidates(field, { pattern, mode, regex }, current) {
+    if (mode === 'regex') {
+      const source = current || new Set(byId.keys());
+      const result = new Set();
+      source.forEach(id => {
+        if (regex.test(byId.get(id)[field] || '')) result.add(id);
+      });
+      return result;
+    }
+
+    if (field === 'spec') {
+      return intersect(current, specCandidates(pattern));
+    }
+
+    // product 등은 서로 다른 값이 적으므로 버킷 키에서 부분 일치 검색
+    const term = pattern.toLowerCase();
+    const result = new Set();
+    buckets.get(field).forEach((ids, value) => {
+      if (String(value).toLowerCase().includes(term)) ids.forEach(id => result.add(id));
+    });
+    return intersect(current, result);
+  }
+
+  // 필터 조건에 맞는 재료 ID 후보 (좁힐 조건이 없으면 null = 전체)
+  function candidatesFor(filters) {
+    let candidates = null;
+    Object.entries(filters.exact).forEach(([path, value]) => {
+      const bucket = buckets.get(path);
+      candidates = intersect(candidates, (bucket && bucket.get(value)) || new Set());
+    });
+    // 정규식 검사는 후보가 줄어든 뒤에 실행
+    const textFilters = Object.entries(filters.text)
+      .sort(([, a], [, b]) => (a.mode === 'regex') - (b.mode === 'regex'));
+    textFilters.forEach(([field, filter]) => {
+      candidates = textCandidates(field, filter, candidates);
+    });
+    return candidates;
+  }
+
+  // 검색
+  // options: { page, limit(0 또는 없음이면 전체), sort, order }
+  function search(filters, { page = 1, limit = 0, sort = 'spec', order = 'asc' } = {}) {
+    const candidates = candidatesFor(filters);
+    const accept = material => matchesRanges(material, filters.ranges);
+    const view = views.get(sort);
+    const start = limit ? (page - 1) * limit : 0;
+    const end = limit ? start + limit : Infinity;
+
+    let ordered;
+    if (view && (!candidates || candidates.size * Math.log2(candidates.size + 2) > view.length)) {
+      // 후보가 많으면 미리 정렬된 배열을 순서대로 훑으며 필터 적용 (복사/정렬 없음)
+      const members = candidates && new Set([...candidates].map(id => byId.get(id)));
+      ordered = members ? view.filter(material => members.has(material)) : view;
+    } else {
+      // 후보가 적으면 후보만 정렬
+      const source = candidates ? [...candidates].map(id => byId.get(id)) : [...byId.values()];
+      ordered = source.sort(comparators.get(sort) || compareBy(sort));
+    }
+
+    const matched = filters.ranges.length > 0 ? ordered.filter(accept) : ordered;
+    const total = matched.length;
+    const data = order === 'desc'
+      ? matched.slice(Math.max(0, total - end), Math.max(0, total - start)).reverse()
+      : matched.slice(start, end);
+
+    return { data, total };
+  }
+
+  // 버킷 필드의 값별 재료 수 (예: counts('product') → Map { 'H형강' => 88, ... })
+  function counts(field) {
+    const bucket = buckets.get(field);
+    if (!bucket) return new Map();
+    return new Map([...bucket].map(([value, ids]) => [value, ids.size]));
+  }
+
+  function stats() {
+    return {
+      size: byId.size,
+      grams: grams.size,
+      buckets: Object.fromEntries([...buckets].map(([field, bucket]) => [field, bucket.size])),
+      sortKeys: [...views.keys()]
+    };
+  }
+
+  return { rebuild, upsert, remove, search, counts, stats };
+}
+
+module.exports = {
+  BUCKET_FIELDS,
+  SORT_KEYS,
+  createMaterialIndex
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const SteelMaterial = require('../models/SteelMaterial');
+const { createHttpError } = require('./httpError');
+const { findMaterialsWithStock } = require('./stockLedger');
+const { parseSpec } = require('./specParser');
+
+// ============================================
+// 백업(mongoexport JSON) 복원 및 시드 모듈
+// ============================================
+
+const DEFAULT_BACKUP_FILE = path.join(__dirname, '..', 'DB_BACKUP_vibe-steel.steel_materials.json');
+const MATCH_KEYS = ['_id', 'spec'];
+const DATA_FIELDS = ['spec', 'wpm', 'product', 'method_calc', 'initial_length', 'trade_unit', 'cat_product'];
+const BULK_CHUNK_SIZE = 500;
+
+// 확장 JSON 값 변환 ($oid, $numberInt, $numberDouble 등)
+function fromExtendedJsonValue(value) {
+  if (value && typeof value === 'object') {
+    if (value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+    if (value.$numberInt !== undefined) return parseInt(value.$numberInt);
+    if (value.$numberLong !== undefined) return parseInt(value.$numberLong);
+    if (value.$numberDouble !== undefined) return parseFloat(value.$numberDouble);
+    if (value.$date !== undefined) return new Date(value.$date.$numberLong ? parseInt(value.$date.$numberLong) : value.$date);
+  }
+  return value;
+}
+
+function fromExtendedJsonDoc(doc) {
+  const result = {};
+  Object.entries(doc).forEach(([key, value]) => {
+    result[key] = fromExtendedJsonValue(value);
+  });
+  return result;
+}
+
+// 백업 파일 읽기 (JSON 배열 또는 한 줄에 한 문서인 NDJSON 모두 지원)
+function readBackupFile(filePath = DEFAULT_BACKUP_FILE) {
+  const text = fs.readFileSync(filePath, 'utf8').trim();
+  if (text.startsWith('[')) {
+    return JSON.parse(text);
+  }
+  return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+// 저장된 값과 비교하여 변경 여부 확인 (치수가 없는 기존 문서, 휴지통의 문서도 갱신 대상)
+function hasChanges(current, doc) {
+  return !current.dimensions || Boolean(current.deletedAt) || DATA_FIELDS.some(field => current[field] !== doc[field]);
+}
+
+// 백업 문서를 DB에 반영
+// options.wipe: true이면 컬렉션을 비운 뒤 전체 삽입
+// options.force: wipe할 때 재고 또는 재고 이동 내역이 있는 재료도 지움 (없으면 409로 거부)
+// options.matchBy: '_id'(기본값) 또는 'spec' - 기존 문서를 찾는 기준
+// 휴지통의 문서와 일치하면 복원(deletedAt 제거)하고 restored에 spec 기록
+// _id 기준일 때 다른 _id의 재료가 이미 쓰는 spec이면 중복 spec을 만들지 않도록 건너뜀
+// 반환: { summary: 처리 결과, audits: recordAudit에 넘길 감사 로그 항목 }
+//       (추가/수정은 seed, 휴지통 복원은 restore, wipe로 지운 재료는 purge)
+async function seedMaterials(rawDocs, options = {}) {
+  const { wipe = false, matchBy = '_id', force = false } = options;
+
+  if (!Array.isArray(rawDocs)) {
+    throw createHttpError(400, '백업 데이터는 문서 배열이어야 합니다.');
+  }
+  if (!MATCH_KEYS.includes(matchBy)) {
+    throw createHttpError(400, `matchBy는 ${MATCH_KEYS.join(', ')} 중 하나여야 합니다.`);
+  }
+
+  const result = {
+    total: rawDocs.length,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    deleted: 0,
+    restored: [],
+    errors: []
+  };
+
+  const audits = [];
+  const stored = await SteelMaterial.find({}).lean();
+  if (wipe) {
+    // 재고가 연결된 재료를 지우면 재고/이동 내역이 없는 재료를 가리키게 되므로 force 없이는 실행하지 않음
+    const withStock = await findMaterialsWithStock(stored.map(material => material._id));
+    if (withStock.size > 0 && !force) {
+      throw createHttpError(
+        409,
+        `재고 또는 재고 이동 내역이 있는 재료 ${withStock.size}개가 있어 컬렉션을 비울 수 없습니다. 그래도 지우려면 force 옵션을 사용하세요.`,
+        stored.filter(material => withStock.has(material._id.toString())).map(material => ({ _id: material._id, spec: material.spec }))
+      );
+    }
+    const deleteResult = await SteelMaterial.deleteMany({});
+    result.deleted = deleteResult.deletedCount;
+    stored.forEach(material => audits.push({ action: 'purge', before: material }));
+  }
+
+  const existing = wipe ? [] : stored;
+  const keyOf = doc => (matchBy === 'spec' ? doc.spec : String(doc._id));
+  const existingByKey = new Map(existing.map(material => [keyOf(material), material]));
+  const existingBySpec = new Map(existing.map(material => [material.spec, material]));
+
+  const operations = [];
+  const seenKeys = new Set();
+  const seenSpecs = new Set();
+
+  rawDocs.forEach((rawDoc, index) => {
+    const doc = fromExtendedJsonDoc(rawDoc);
+    if (!doc._id) {
+      doc._id = new mongoose.Types.ObjectId();
+    }
+
+    const validationError = new SteelMaterial(doc).validateSync();
+    if (validationError) {
+      result.skipped++;
+      result.errors.push({ index, spec: doc.spec, message: validationError.message });
+      return;
+    }
+
+    const key = keyOf(doc);
+    if (seenKeys.has(key)) {
+      result.skipped++;
+      result.errors.push({ index, spec: doc.spec, message: `파일 내 중복된 ${matchBy}입니다.` });
+      return;
+    }
+    const current = existingByKey.get(key);
+    if (matchBy === '_id') {
+      const owner = existingBySpec.get(doc.spec);
+      if (seenSpecs.has(doc.spec) || (owner && String(owner._id) !== String(doc._id))) {
+        result.skipped++;
+        result.errors.push({ index, spec: doc.spec, message: '다른 _id의 재료가 이미 사용 중인 spec입니다.' });
+        return;
+      }
+    }
+    seenKeys.add(key);
+    seenSpecs.add(doc.spec);
+    doc.dimensions = parseSpec(doc.spec);
+
+    if (!current) {
+      operations.push({ insertOne: { document: doc } });
+      audits.push({ action: 'seed', after: doc });
+      result.inserted++;
+    } else if (hasChanges(current, doc)) {
+      const update = {};
+      DATA_FIELDS.forEach(field => { update[field] = doc[field]; });
+      update.dimensions = doc.dimensions;
+      update.deletedAt = null;
+      operations.push({ updateOne: { filter: { _id: current._id }, update: { $set: update, $inc: { __v: 1 } } } });
+      result.updated++;
+      if (current.deletedAt) {
+        result.restored.push(current.spec);
+        audits.push({ action: 'restore', after: { ...current, ...update } });
+      } else {
+        audits.push({ action: 'seed', before: current, after: { ...current, ...update } });
+      }
+    } else {
+      result.skipped++;
+    }
+  });
+
+  for (let i = 0; i < operations.length; i += BULK_CHUNK_SIZE) {
+    await SteelMaterial.bulkWrite(operations.slice(i, i + BULK_CHUNK_SIZE), { ordered: false });
+  }
+
+  return { summary: result, audits };
+}
+
+module.exports = {
+  DEFAULT_BACKUP_FILE,
+  fromExtendedJsonDoc,
+  readBackupFile,
+  seedMaterials
+};
@@ -0,0 +1,183 @@
+const { createHttpError } = require('./httpError');
+const { parseSpec } = require('./specParser');
+const { productCodeOf } = require('./productCodes');
+
+// ============================================
+// 재료 입력 검증 모듈
+// ============================================
+// 생성(POST), 전체 수정(PUT), 부분 수정(PATCH), CSV 가져오기가 모두 같은 규칙을 사용
+// 검증 실패 시 422와 함께 필드별 오류 목록 반환: [{ field, message, value }]
+
+// 허용 값
+const METHOD_CALC_VALUES = [1, 2, 3, 4]; // 1, 2: kg/m × 길이, 3: 판재(장당 중량), 4: 관/각관(kg/m × 길이)
+const CAT_PRODUCT_VALUES = [1, 2, 3];    // 1: 관/각관, 2: 형강/봉강, 3: 판재
+const TRADE_UNIT_VALUES = [1, 2];        // 1: 중량, 2: 개수
+const INITIAL_LENGTHS = [0, 6, 8, 10, 12]; // 정척(m), 0은 정척 없음(판재, 데크플레이트 등)
+
+// 품목 code별 spec 형식 (specParser의 shape 기준)
+// 목록에 없는 품목은 spec 형식을 확인하지 않음
+const PRODUCT_SHAPES = {
+  H_BEAM: ['H'],
+  LIGHT_H_BEAM: ['lightH'],
+  I_BEAM: ['I'],
+  CHANNEL: ['channel'],
+  ANGLE: ['angle'],
+  UNEQUAL_ANGLE: ['angle'],
+  COLOR_C_CHANNEL: ['lipChannel'],
+  GALV_C_CHANNEL: ['lipChannel'],
+  PLATE: ['plate'],
+  CHECKERED_PLATE: ['checkeredPlate'],
+  REBAR: ['rebar'],
+  RAIL: ['rail'],
+  FLAT_BAR: ['flatBar'],
+  ROUND_BAR: ['roundBar'],
+  COLOR_DECK_PLATE: ['deckPlate'],
+  GALV_DECK_PLATE: ['deckPlate'],
+  BLACK_RECT_TUBE: ['rectTube'],
+  COLOR_RECT_TUBE: ['rectTube'],
+  GALV_RECT_TUBE: ['rectTube'],
+  GREENHOUSE_PIPE: ['pipe'],
+  BLACK_PIPE: ['pipe'],
+  GALV_PIPE: ['pipe'],
+  PRESSURE_PIPE: ['ksPipe'],
+  KS_WHITE_PIPE: ['ksPipe'],
+  KS_BLACK_PIPE: ['ksPipe']
+};
+
+// 필드별 규칙 (한 곳에서만 선언)
+const MATERIAL_RULES = {
+  spec: { type: 'string' },
+  product: { type: 'string' },
+  wpm: { type: 'number', check: value => value > 0, message: 'wpm은 0보다 큰 숫자여야 합니다.' },
+  method_calc: { type: 'integer', values: METHOD_CALC_VALUES },
+  initial_length: { type: 'number', values: INITIAL_LENGTHS },
+  trade_unit: { type: 'integer', values: TRADE_UNIT_VALUES },
+  cat_product: { type: 'integer', values: CAT_PRODUCT_VALUES }
+};
+
+const MATERIAL_FIELDS = Object.keys(MATERIAL_RULES);
+
+// 서버에서 관리하는 필드 (조회 결과를 그대로 다시 보내는 경우를 위해 오류 없이 무시)
+const READ_ONLY_FIELDS = ['_id', '__v', 'dimensions', 'productType', 'deletedAt', 'updatedAt', 'sectionProperties'];
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// 숫자 변환 (CSV의 "1,234.5" 같은 문자열 허용, 변환 불가 시 NaN)
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  const text = value.replace(/,/g, '').trim();
+  return text === '' ? NaN : Number(text);
+}
+
+// 한 필드 검증 후 변환된 값 반환 (오류 시 message 반환)
+function checkField(field, raw) {
+  const rule = MATERIAL_RULES[field];
+
+  if (rule.type === 'string') {
+    if (typeof raw !== 'string') {
+      return { message: `${field}는 문자열이어야 합니다.` };
+    }
+    return { value: raw.trim() };
+  }
+
+  const value = toNumber(raw);
+  if (!Number.isFinite(value)) {
+    return { message: `${field}는 숫자여야 합니다.` };
+  }
+  if (rule.type === 'integer' && !Number.isInteger(value)) {
+    return { message: `${field}는 정수여야 합니다.` };
+  }
+  if (rule.values && !rule.values.includes(value)) {
+    return { message: `${field}는 ${rule.values.join(', ')} 중 하나여야 합니다.` };
+  }
+  if (rule.check && !rule.check(value)) {
+    return { message: rule.message };
+  }
+  return { value };
+}
+
+// spec 형식이 품목과 맞는지 확인
+function checkSpecForProduct(spec, product) {
+  const shapes = PRODUCT_SHAPES[productCodeOf(product)];
+  if (!shapes) return null;
+
+  const dimensions = parseSpec(spec);
+  if (!dimensions.shape) {
+    return `${product}의 spec 형식이 올바르지 않습니다: ${dimensions.parseError}`;
+  }
+  if (!shapes.includes(dimensions.shape)) {
+    return `spec '${spec}'은(는) ${product} 형식이 아닙니다. (해석된 형태: ${dimensions.shape})`;
+  }
+  return null;
+}
+
+// 재료 입력 검증
+// mode: create | replace (모든 필드 필수) / patch (보낸 필드만 검증)
+// current: patch일 때 기존 재료 (spec/product 일치 여부 확인용)
+// 반환: { value: 변환된 필드 값, errors: [{ field, message, value }] }
+function validateMaterial(input, { mode = 'create', current = null } = {}) {
+  const errors = [];
+  const value = {};
+  const body = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+
+  Object.keys(body).forEach(field => {
+    if (!MATERIAL_RULES[field] && !READ_ONLY_FIELDS.includes(field)) {
+      errors.push({ field, message: `알 수 없는 필드입니다. (허용: ${MATERIAL_FIELDS.join(', ')})`, value: body[field] });
+    }
+  });
+
+  MATERIAL_FIELDS.forEach(field => {
+    const raw = body[field];
+    if (isBlank(raw)) {
+      if (mode !== 'patch' || raw !== undefined) {
+        errors.push({ field, message: `${field}는 필수 항목입니다.`, value: raw });
+      }
+      return;
+    }
+
+    const result = checkField(field, raw);
+    if (result.message) {
+      errors.push({ field, message: result.message, value: raw });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  // spec 또는 product를 바꾸는 경우에만 형식 일치 확인 (기존 데이터의 다른 필드 수정은 허용)
+  const specOrProductChanged = value.spec !== undefined || value.product !== undefined;
+  const spec = value.spec !== undefined ? value.spec : current && current.spec;
+  const product = value.product !== undefined ? value.product : current && current.product;
+  const hasFieldError = errors.some(error => error.field === 'spec' || error.field === 'product');
+  if (specOrProductChanged && spec && product && !hasFieldError) {
+    const message = checkSpecForProduct(spec, product);
+    if (message) {
+      errors.push({ field: 'spec', message, value: spec });
+    }
+  }
+
+  return { value, errors };
+}
+
+// 검증 실패 시 422 에러 발생
+function assertValidMaterial(input, options) {
+  const { value, errors } = validateMaterial(input, options);
+  if (errors.length > 0) {
+    throw createHttpError(422, '입력값이 올바르지 않습니다.', errors);
+  }
+  return value;
+}
+
+module.exports = {
+  METHOD_CALC_VALUES,
+  CAT_PRODUCT_VALUES,
+  TRADE_UNIT_VALUES,
+  INITIAL_LENGTHS,
+  PRODUCT_SHAPES,
+  MATERIAL_RULES,
+  MATERIAL_FIELDS,
+  validateMaterial,
+  assertValidMaterial
+};
@@ -0,0 +1,123 @@
+// ============================================
+// Prometheus 메트릭 모듈 (텍스트 형식 0.0.4)
+// ============================================
+// - http_requests_total{method, route, status}: 라우트별 요청 수 (route는 /api/materials/:id 같은 경로 패턴)
+// - http_request_duration_seconds{method, route}: 라우트별 응답 시간 히스토그램
+// - materials_cache_reads_total{operation, source}: 캐시 적중(cache)과 DB 직접 조회(db) 횟수
+// - mongodb_connection_events_total{event}: MongoDB 연결 상태 변화 (connected, disconnected, reconnected 등)
+// 캐시 크기, 마지막 동기화 이후 경과 시간 같은 현재 값은 수집 시점에 gauges로 전달받아 출력
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const MONGO_EVENTS = ['connecting', 'connected', 'disconnecting', 'disconnected', 'reconnected', 'error'];
+
+// 이름/설명/종류와 라벨 조합별 값
+const requestCounter = { name: 'http_requests_total', help: '라우트별 HTTP 요청 수', values: new Map() };
+const durationHistogram = { name: 'http_request_duration_seconds', help: '라우트별 HTTP 응답 시간(초)', values: new Map() };
+const cacheReadCounter = { name: 'materials_cache_reads_total', help: '재료 조회 시 캐시 적중(cache) / DB 직접 조회(db) 횟수', values: new Map() };
+const mongoEventCounter = { name: 'mongodb_connection_events_total', help: 'MongoDB 연결 상태 변화 횟수', values: new Map() };
+
+// 라벨 값 이스케이프 (\, ", 줄바꿈)
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function increment(metric, labels, amount = 1) {
+  const key = formatLabels(labels);
+  const entry = metric.values.get(key);
+  if (entry) {
+    entry.value += amount;
+  } else {
+    metric.values.set(key, { labels, value: amount });
+  }
+}
+
+function observe(metric, labels, value) {
+  const key = formatLabels(labels);
+  let entry = metric.values.get(key);
+  if (!entry) {
+    entry = { labels, counts: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    metric.values.set(key, entry);
+  }
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (value <= bound) entry.counts[index]++;
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+// 요청 수/응답 시간 수집 미들웨어 (라우터 등록 전에 사용)
+// 라우트에 매칭되지 않은 요청(404 등)은 경로 대신 unmatched로 묶어 라벨 수가 늘어나지 않게 함
+function metricsMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    increment(requestCounter, { method: req.method, route, status: res.statusCode });
+    observe(durationHistogram, { method: req.method, route }, seconds);
+  });
+  next();
+}
+
+// 캐시 적중 여부 기록 (operation: list, get, export, search, facets, lookup)
+function recordCacheRead(operation, fromCache) {
+  increment(cacheReadCounter, { operation, source: fromCache ? 'cache' : 'db' });
+}
+
+// MongoDB 연결 이벤트 기록
+function watchConnection(connection) {
+  MONGO_EVENTS.forEach(event => {
+    connection.on(event, () => increment(mongoEventCounter, { event }));
+  });
+}
+
+function renderCounter(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} counter`];
+  metric.values.forEach(({ labels, value }) => {
+    lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+  });
+  return lines;
+}
+
+function renderHistogram(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} histogram`];
+  metric.values.forEach(({ labels, counts, sum, count }) => {
+    DURATION_BUCKETS.forEach((bound, index) => {
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+  });
+  return lines;
+}
+
+// 수집 결과 텍스트
+// gauges: [{ name, help, value }] - 수집 시점의 현재 값 (null이면 출력하지 않음)
+function renderMetrics(gauges = []) {
+  const lines = [
+    ...renderCounter(requestCounter),
+    ...renderHistogram(durationHistogram),
+    ...renderCounter(cacheReadCounter),
+    ...renderCounter(mongoEventCounter)
+  ];
+  gauges
+    .filter(gauge => gauge.value !== null && gauge.value !== undefined)
+    .forEach(({ name, help, value }) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`);
+    });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  metricsMiddleware,
+  recordCacheRead,
+  watchConnection,
+  renderMetrics
+};
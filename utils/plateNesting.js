@@ -0,0 +1,179 @@
+const { createHttpError } = require('./httpError');
+
+// ============================================
+// 판재 배치(2차원 재단) 모듈 - 길로틴 방식
+// ============================================
+// 길이 단위는 mm, 내부 계산은 0.1mm 정수
+// 길로틴 절단: 판 전체를 가로지르는 직선 절단만으로 부품을 잘라낼 수 있는 배치
+// 톱날 두께(kerf)는 부품과 판 크기에 kerf를 더해 처리 (1차원 절단 계획과 동일한 방식)
+
+const SCALE = 10;
+const MAX_PARTS = 2000;
+
+function toUnits(mm) {
+  return Math.round(mm * SCALE);
+}
+
+function toMm(units) {
+  return units / SCALE;
+}
+
+// 요청 부품 목록을 개별 부품 배열로 펼침
+function expandParts(parts) {
+  if (!Array.isArray(parts) || parts.length === 0) {
+    throw createHttpError(400, 'parts 배열이 필요합니다. 예: [{ "width": 300, "height": 500, "quantity": 4 }]');
+  }
+
+  const expanded = [];
+  parts.forEach((part, index) => {
+    const width = parseFloat(part && part.width);
+    const height = parseFloat(part && part.height);
+    const quantity = part && part.quantity !== undefined ? Number(part.quantity) : 1;
+
+    if (!Number.isFinite(width) || width <= 0 || !Number.isFinite(height) || height <= 0) {
+      throw createHttpError(400, `${index + 1}번째 부품의 width, height는 0보다 큰 숫자여야 합니다.`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw createHttpError(400, `${index + 1}번째 부품의 quantity는 1 이상의 정수여야 합니다.`);
+    }
+
+    for (let i = 0; i < quantity; i++) {
+      expanded.push({ part: index + 1, width: toUnits(width), height: toUnits(height) });
+    }
+    if (expanded.length > MAX_PARTS) {
+      throw createHttpError(400, `부품 수는 최대 ${MAX_PARTS}개까지 가능합니다.`);
+    }
+  });
+
+  return expanded;
+}
+
+// 배치 순서 후보 (여러 순서로 배치해 보고 판 수가 가장 적은 결과 사용)
+const SORT_STRATEGIES = [
+  (a, b) => (b.width * b.height - a.width * a.height) || (Math.max(b.width, b.height) - Math.max(a.width, a.height)),
+  (a, b) => (Math.max(b.width, b.height) - Math.max(a.width, a.height)) || (b.width * b.height - a.width * a.height),
+  (a, b) => (Math.min(b.width, b.height) - Math.min(a.width, a.height)) || (Math.max(b.width, b.height) - Math.max(a.width, a.height))
+];
+
+// 빈 영역 중 부품이 들어갈 최적 위치 (남는 면적이 가장 작은 곳)
+function findBestFit(freeRects, width, height, allowRotation) {
+  let best = null;
+  freeRects.forEach((rect, index) => {
+    const orientations = allowRotation && width !== height
+      ? [[width, height, false], [height, width, true]]
+      : [[width, height, false]];
+    orientations.forEach(([w, h, rotated]) => {
+      if (w > rect.width || h > rect.height) return;
+      const waste = rect.width * rect.height - w * h;
+      if (!best || waste < best.waste) {
+        best = { index, w, h, rotated, waste };
+      }
+    });
+  });
+  return best;
+}
+
+// 배치 후 남은 영역을 두 직사각형으로 분할 (짧은 쪽 남는 축 기준)
+function splitFreeRect(rect, w, h) {
+  const rightWidth = rect.width - w;
+  const bottomHeight = rect.height - h;
+  const result = [];
+
+  if (rightWidth < bottomHeight) {
+    // 가로로 절단: 오른쪽은 부품 높이만큼, 아래쪽은 전체 폭
+    if (rightWidth > 0) result.push({ x: rect.x + w, y: rect.y, width: rightWidth, height: h });
+    if (bottomHeight > 0) result.push({ x: rect.x, y: rect.y + h, width: rect.width, height: bottomHeight });
+  } else {
+    // 세로로 절단: 오른쪽은 전체 높이, 아래쪽은 부품 폭만큼
+    if (rightWidth > 0) result.push({ x: rect.x + w, y: rect.y, width: rightWidth, height: rect.height });
+    if (bottomHeight > 0) result.push({ x: rect.x, y: rect.y + h, width: w, height: bottomHeight });
+  }
+  return result;
+}
+
+// 정해진 순서대로 부품을 판에 배치 (들어갈 판이 없으면 새 판 추가)
+function placeAll(items, sheetW, sheetH, kerfUnits, allowRotation) {
+  const sheets = [];
+  items.forEach(item => {
+    const w = item.width + kerfUnits;
+    const h = item.height + kerfUnits;
+
+    // 이미 사용 중인 판부터 순서대로 배치 시도
+    let placed = false;
+    for (const sheet of sheets) {
+      const fit = findBestFit(sheet.freeRects, w, h, allowRotation);
+      if (!fit) continue;
+      const rect = sheet.freeRects[fit.index];
+      sheet.placements.push({ part: item.part, x: rect.x, y: rect.y, width: fit.w - kerfUnits, height: fit.h - kerfUnits, rotated: fit.rotated });
+      sheet.freeRects.splice(fit.index, 1, ...splitFreeRect(rect, fit.w, fit.h));
+      placed = true;
+      break;
+    }
+
+    if (!placed) {
+      const rect = { x: 0, y: 0, width: sheetW, height: sheetH };
+      const fit = findBestFit([rect], w, h, allowRotation);
+      sheets.push({
+        placements: [{ part: item.part, x: 0, y: 0, width: fit.w - kerfUnits, height: fit.h - kerfUnits, rotated: fit.rotated }],
+        freeRects: splitFreeRect(rect, fit.w, fit.h)
+      });
+    }
+  });
+
+  return sheets;
+}
+
+// 한 가지 판 크기로 부품 배치
+// options: { parts, sheetWidth, sheetLength, kerf, allowRotation }
+function nestParts({ parts, sheetWidth, sheetLength, kerf = 0, allowRotation = true }) {
+  const kerfUnits = toUnits(kerf);
+  const sheetW = toUnits(sheetWidth) + kerfUnits;
+  const sheetH = toUnits(sheetLength) + kerfUnits;
+  const items = expandParts(parts);
+
+  const oversized = items.find(item => {
+    const w = item.width + kerfUnits;
+    const h = item.height + kerfUnits;
+    const fits = w <= sheetW && h <= sheetH;
+    const fitsRotated = allowRotation && h <= sheetW && w <= sheetH;
+    return !fits && !fitsRotated;
+  });
+  if (oversized) {
+    return {
+      feasible: false,
+      reason: `${oversized.part}번째 부품(${toMm(oversized.width)}×${toMm(oversized.height)})이 판(${sheetWidth}×${sheetLength})보다 큽니다.`
+    };
+  }
+
+  const layouts = SORT_STRATEGIES.map(compare => placeAll([...items].sort(compare), sheetW, sheetH, kerfUnits, allowRotation));
+  const sheets = layouts.reduce((best, layout) => (layout.length < best.length ? layout : best));
+
+  const sheetArea = toUnits(sheetWidth) * toUnits(sheetLength);
+  const partsArea = items.reduce((sum, item) => sum + item.width * item.height, 0);
+
+  return {
+    feasible: true,
+    sheetCount: sheets.length,
+    utilization: Math.round((partsArea / (sheetArea * sheets.length)) * 10000) / 100,
+    partsArea: toMm(toMm(partsArea)),
+    sheets: sheets.map((sheet, index) => {
+      const usedArea = sheet.placements.reduce((sum, p) => sum + p.width * p.height, 0);
+      return {
+        sheet: index + 1,
+        utilization: Math.round((usedArea / sheetArea) * 10000) / 100,
+        placements: sheet.placements.map(p => ({
+          part: p.part,
+          x: toMm(p.x),
+          y: toMm(p.y),
+          width: toMm(p.width),
+          height: toMm(p.height),
+          rotated: p.rotated
+        }))
+      };
+    })
+  };
+}
+
+module.exports = {
+  nestParts
+};
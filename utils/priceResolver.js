@@ -0,0 +1,93 @@
+const Price = require('../models/Price');
+const { createHttpError } = require('./httpError');
+const { round } = require('./weightCalculator');
+
+// ============================================
+// 단가 조회 모듈 - 특정 시점에 유효한 단가 결정
+// ============================================
+// 우선순위: 규격(spec) 단가 → 품목(product) 단가
+// 규격 단가는 재료 _id(material)로 찾으므로 spec 이름을 바꿔도 이력이 유지됨 (material이 없는 예전 단가만 spec 문자열로 비교)
+// 같은 대상에 여러 단가가 있으면 기준일 이전 중 effectiveFrom이 가장 늦은 단가 사용
+
+// 날짜 변환 (값이 없으면 현재 시각)
+function parseDate(value, field = 'date') {
+  if (value === undefined || value === null || value === '') {
+    return new Date();
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `${field}는 올바른 날짜 형식이어야 합니다. (입력값: ${value})`);
+  }
+  return date;
+}
+
+// 재료 _id (재료 문서는 _id, 견적 품목 스냅샷은 material에 저장)
+function materialIdOf(material) {
+  return material._id || material.material || null;
+}
+
+// 여러 재료의 유효 단가를 한 번에 조회 (materials와 같은 순서의 배열 반환, 단가가 없으면 null)
+// materials: 재료 문서 또는 견적 품목 스냅샷
+async function resolvePrices(materials, date = new Date()) {
+  if (materials.length === 0) return [];
+
+  const products = [...new Set(materials.map(m => m.product))];
+
+  const prices = await Price.find({
+    effectiveFrom: { $lte: date },
+    $or: [
+      ...materials.map(m => specPriceQuery(m)),
+      { scope: 'product', product: { $in: products } }
+    ]
+  }).sort({ effectiveFrom: -1, createdAt: -1 }).lean();
+
+  // 정렬되어 있으므로 대상별 첫 번째 항목이 유효 단가
+  const byMaterial = new Map();
+  const byLegacySpec = new Map();
+  const byProduct = new Map();
+  prices.forEach(price => {
+    if (price.scope === 'spec' && price.material) {
+      if (!byMaterial.has(String(price.material))) byMaterial.set(String(price.material), price);
+    } else if (price.scope === 'spec') {
+      if (!byLegacySpec.has(price.spec)) byLegacySpec.set(price.spec, price);
+    } else if (price.scope === 'product' && !byProduct.has(price.product)) {
+      byProduct.set(price.product, price);
+    }
+  });
+
+  return materials.map(m =>
+    byMaterial.get(String(materialIdOf(m))) || byLegacySpec.get(m.spec) || byProduct.get(m.product) || null
+  );
+}
+
+// 재료의 규격 단가 조건 (material 참조, 또는 material이 없는 예전 단가의 spec)
+// _id를 모르면 spec 조건만 사용 (undefined 조건은 모든 단가와 일치하므로 넣지 않음)
+function specPriceQuery(material) {
+  const materialId = materialIdOf(material);
+  return {
+    scope: 'spec',
+    $or: [
+      ...(materialId ? [{ material: materialId }] : []),
+      { material: null, spec: material.spec }
+    ]
+  };
+}
+
+async function resolvePrice(material, date = new Date()) {
+  const [price] = await resolvePrices([material], date);
+  return price;
+}
+
+// 중량 계산 결과(line)에 단가를 적용한 금액 계산
+function calculateAmount(price, line) {
+  const basis = price.unit === 'kg' ? line.weight : line.quantity;
+  return round(basis * price.unitPrice, 0);
+}
+
+module.exports = {
+  parseDate,
+  specPriceQuery,
+  resolvePrices,
+  resolvePrice,
+  calculateAmount
+};
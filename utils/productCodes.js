@@ -0,0 +1,65 @@
+const ProductType = require('../models/ProductType');
+const { DEFAULT_PRODUCT_TYPES } = require('./taxonomyDefaults');
+
+// ============================================
+// 품목 이름 ↔ code 조회 모듈
+// ============================================
+// 품목별 규칙(spec 형식, 별칭, spec 접두어)은 한글 이름 대신 ProductType.code로 관리
+// 재료의 product에는 이름이 저장되므로 규칙을 찾을 때 이 모듈로 code를 조회
+// (품목 이름을 바꿔도 code는 그대로라 규칙이 계속 적용됨)
+// 기본 품목 목록으로 시작하고, DB의 품목으로 교체 (서버 시작, 품목 등록/수정/삭제 후)
+
+// 모르는 이름이 나왔을 때 다시 조회하는 최소 간격 (다른 인스턴스에서 품목 이름을 바꾼 경우)
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+const codesByName = new Map();
+const namesByCode = new Map();
+let loadedAt = 0;
+
+// 조회 목록 교체 (productTypes: [{ code, nameKo }])
+function setProductTypes(productTypes) {
+  codesByName.clear();
+  namesByCode.clear();
+  productTypes.forEach(({ code, nameKo }) => {
+    codesByName.set(nameKo, code);
+    namesByCode.set(code, nameKo);
+  });
+}
+
+// DB의 품목을 읽기 전까지는 기본 품목으로 조회 (이 모듈만 require해도 품목별 규칙이 적용됨)
+setProductTypes(DEFAULT_PRODUCT_TYPES);
+
+// 품목 이름 → code (등록되지 않은 이름이면 null)
+function productCodeOf(name) {
+  return codesByName.get(name) || null;
+}
+
+// code 목록 → 현재 품목 이름 목록 (삭제된 품목은 제외)
+function productNamesOf(codes) {
+  return codes.map(code => namesByCode.get(code)).filter(Boolean);
+}
+
+// DB의 품목으로 조회 목록 갱신 (품목이 하나도 없으면 기본 목록 유지)
+async function loadProductCodes() {
+  const productTypes = await ProductType.find({}, 'code nameKo').lean();
+  loadedAt = Date.now();
+  if (productTypes.length > 0) {
+    setProductTypes(productTypes);
+  }
+  return productTypes.length;
+}
+
+// 모르는 품목 이름이면 DB에서 다시 조회 (실패해도 요청은 실패시키지 않음)
+function reloadIfUnknown(name) {
+  if (!name || codesByName.has(name) || Date.now() - loadedAt < RELOAD_INTERVAL_MS) return;
+  loadedAt = Date.now();
+  loadProductCodes().catch(error => console.error('❌ 품목 code 조회 실패:', error.message));
+}
+
+module.exports = {
+  setProductTypes,
+  productCodeOf,
+  productNamesOf,
+  loadProductCodes,
+  reloadIfUnknown
+};
@@ -0,0 +1,302 @@
+const { STEEL_DENSITY, round } = require('./weightCalculator');
+const { parseSpec } = require('./specParser');
+const { PRODUCT_SHAPES } = require('./materialValidation');
+const { computeSectionProperties } = require('./sectionProperties');
+const { normalizeText } = require('./koreanSearch');
+const { productCodeOf, productNamesOf } = require('./productCodes');
+
+// ============================================
+// 데이터 품질 점검 모듈
+// ============================================
+// 1. weightDeviation: 등록된 wpm과 spec 치수로 계산한 이론 중량(비중 7.85)의 차이가 허용 오차를 넘는 재료 (KS 표 확인 권장, 자동 수정값 없음)
+// 2. precision: 0.558333333처럼 소수점 자리가 지나치게 긴 wpm (장당 중량을 정척으로 나눈 값 등)
+// 3. sameWpm: 같은 품목에서 치수(이론 중량)가 다른데 wpm이 똑같은 규격 (복사 입력 의심)
+// 4. duplicateSpecs: 표기만 다른 중복 규격 (대소문자, 구분자, 공백, 6.0/6 등)
+// 5. productMismatch: spec 형식/접두어와 맞지 않는 product
+// 6. inconsistentAttributes: 같은 품목 안에서 method_calc/trade_unit 조합이 다른 재료
+// 모든 항목에 suggestion(권장 조치)을 포함: { action: 'update' | 'delete' | 'review', changes, note }
+// (재료 하나에 대한 항목은 changes가 필드 값 객체, 여러 재료를 묶은 sameWpm은 [{ _id, changes }] 목록)
+
+const DEFAULT_TOLERANCE = 5; // %
+const MAX_WPM_DECIMALS = 3;
+
+// 품목 code별 spec 접두어 (형태가 같은 품목 구분용: 흑각관/칼라각관/아연도각관 등)
+const PRODUCT_SPEC_PREFIXES = {
+  H_BEAM: 'H',
+  LIGHT_H_BEAM: 'LH',
+  I_BEAM: 'IB',
+  CHANNEL: 'ㄷ',
+  ANGLE: 'ㄱ',
+  UNEQUAL_ANGLE: 'ㄱ',
+  COLOR_C_CHANNEL: '칼라C',
+  GALV_C_CHANNEL: '아연C',
+  PLATE: 'PL',
+  CHECKERED_PLATE: 'CKPL',
+  REBAR: 'D',
+  RAIL: '레일',
+  FLAT_BAR: 'FB',
+  ROUND_BAR: 'RB',
+  COLOR_DECK_PLATE: '칼라데크',
+  GALV_DECK_PLATE: '아연도데크',
+  BLACK_RECT_TUBE: '흑',
+  COLOR_RECT_TUBE: '칼라',
+  GALV_RECT_TUBE: '아연',
+  GREENHOUSE_PIPE: 'GI',
+  BLACK_PIPE: 'HR',
+  GALV_PIPE: 'HGI',
+  PRESSURE_PIPE: '흑KS',
+  KS_WHITE_PIPE: '백KS',
+  KS_BLACK_PIPE: '흑KS'
+};
+
+// 형태만으로 구분되지 않는 품목의 추가 조건
+const PRODUCT_RULES = {
+  ANGLE: dimensions => dimensions.height === dimensions.width,
+  UNEQUAL_ANGLE: dimensions => dimensions.height !== dimensions.width,
+  PRESSURE_PIPE: dimensions => dimensions.schedule !== 'SGP',
+  KS_BLACK_PIPE: dimensions => dimensions.schedule === 'SGP'
+};
+
+// 이론 중량 (kg/m, 판재는 kg/장)
+// 각관/강관은 KS 단위중량 식(모서리 곡률 반영), 그 밖의 단면은 공칭 치수 단면적 기준
+// 반환: { value, basis } 또는 null (데크플레이트처럼 치수만으로 계산할 수 없는 경우)
+function theoreticalWeight(dimensions) {
+  const { shape } = dimensions;
+  const kgPerM = area => area * STEEL_DENSITY * 1e-3; // 단면적(mm²) → kg/m
+
+  if (shape === 'plate' || shape === 'checkeredPlate') {
+    // 무늬철판은 무늬 높이만큼 실제 중량이 더 나가므로 참고값
+    const value = dimensions.thickness * dimensions.sheetWidth * dimensions.sheetLength * STEEL_DENSITY * 1e-6;
+    return { value: round(value), basis: 'kg/sheet' };
+  }
+  if (shape === 'rectTube') {
+    // KS D 3568: W = 0.0157 × t × (A + B − 3.287t)
+    const { width, height, thickness: t } = dimensions;
+    return { value: round(0.0157 * t * (width + height - 3.287 * t)), basis: 'kg/m' };
+  }
+  if (shape === 'pipe' || shape === 'ksPipe') {
+    // KS D 3507/3562: W = 0.02466 × t × (D − t)
+    const { diameter: D, thickness: t } = dimensions;
+    return { value: round(0.02466 * t * (D - t)), basis: 'kg/m' };
+  }
+  if (shape === 'rebar') {
+    return { value: round(kgPerM(Math.PI / 4 * dimensions.diameter * dimensions.diameter)), basis: 'kg/m' };
+  }
+  if (shape === 'rail') {
+    return { value: dimensions.nominalWeight, basis: 'kg/m' };
+  }
+  if (shape === 'lipChannel') {
+    // 경량 립 C형강: 두께 중심선 길이 × 두께
+    const { height, width, lip, thickness: t } = dimensions;
+    return { value: round(kgPerM(t * (height + 2 * width + 2 * lip - 4 * t))), basis: 'kg/m' };
+  }
+
+  const properties = computeSectionProperties(dimensions);
+  return properties ? { value: properties.theoreticalWpm, basis: 'kg/m' } : null;
+}
+
+// 소수점 자리수
+function decimalsOf(value) {
+  const text = String(value);
+  const index = text.indexOf('.');
+  return index === -1 ? 0 : text.length - index - 1;
+}
+
+// 중복 비교용 spec 키 (대소문자/구분자/공백/전각 통일, 6.0 → 6, mm 단위 제거)
+function specKey(spec) {
+  return normalizeText(spec)
+    .replace(/\s+/g, '')
+    .replace(/(\d+)\.0+(?!\d)/g, '$1')
+    .replace(/mm$/, '');
+}
+
+// spec에 맞는 품목 후보 이름 (형태, 접두어, 추가 조건)
+function expectedProducts(spec, dimensions) {
+  if (!dimensions.shape) return [];
+  const text = String(spec).trim();
+  return productNamesOf(Object.keys(PRODUCT_SHAPES).filter(code =>
+    PRODUCT_SHAPES[code].includes(dimensions.shape) &&
+    text.startsWith(PRODUCT_SPEC_PREFIXES[code]) &&
+    (!PRODUCT_RULES[code] || PRODUCT_RULES[code](dimensions))
+  ));
+}
+
+const describe = material => ({ _id: material._id, spec: material.spec, product: material.product });
+
+// 가장 많이 쓰인 값
+function majority(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// 품질 점검 실행
+// options.tolerance: 이론 중량 허용 오차 (%)
+function buildQualityReport(materials, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const findings = {
+    weightDeviation: [],
+    precision: [],
+    sameWpm: [],
+    duplicateSpecs: [],
+    productMismatch: [],
+    inconsistentAttributes: []
+  };
+  const theoretical = new Map();
+  let checked = 0;
+
+  materials.forEach(material => {
+    const dimensions = material.dimensions || parseSpec(material.spec);
+
+    // 1. 이론 중량 비교
+    const weight = dimensions.shape ? theoreticalWeight(dimensions) : null;
+    if (weight && weight.value > 0) {
+      checked++;
+      theoretical.set(material, weight.value);
+      const deviation = (material.wpm - weight.value) / weight.value * 100;
+      if (Math.abs(deviation) > tolerance) {
+        findings.weightDeviation.push({
+          ...describe(material),
+          wpm: material.wpm,
+          theoretical: weight.value,
+          basis: weight.basis,
+          deviation: round(deviation, 1),
+          // 형강/봉강의 이론 중량은 필렛·모서리 반지름을 빼고 계산한 참고값이므로 wpm 수정값으로 제안하지 않음
+          suggestion: {
+            action: 'review',
+            changes: {},
+            note: `이론 중량 ${weight.value}${weight.basis}과 ${round(Math.abs(deviation), 1)}% 차이가 있습니다. KS 표의 단위중량과 대조해 확인하세요.`
+          }
+        });
+      }
+    }
+
+    // 2. 소수점 자리수
+    if (decimalsOf(material.wpm) > MAX_WPM_DECIMALS) {
+      const rounded = round(material.wpm, MAX_WPM_DECIMALS);
+      findings.precision.push({
+        ...describe(material),
+        wpm: material.wpm,
+        suggestion: {
+          action: 'update',
+          changes: { wpm: rounded },
+          note: `wpm을 소수점 ${MAX_WPM_DECIMALS}자리(${rounded})로 정리하세요. 장당 중량을 길이로 나눈 값이라면 KS 단위중량을 사용하세요.`
+        }
+      });
+    }
+
+    // 5. 품목/spec 불일치 (형식 규칙이 있는 품목만)
+    if (PRODUCT_SHAPES[productCodeOf(material.product)]) {
+      const candidates = expectedProducts(material.spec, dimensions);
+      if (!candidates.includes(material.product)) {
+        findings.productMismatch.push({
+          ...describe(material),
+          shape: dimensions.shape,
+          expected: candidates,
+          suggestion: candidates.length === 1
+            ? { action: 'update', changes: { product: candidates[0] }, note: `spec 형식상 ${candidates[0]}입니다.` }
+            : {
+              action: 'review',
+              changes: {},
+              note: dimensions.shape
+                ? `spec 형식에 맞는 품목 후보: ${candidates.join(', ') || '없음'}`
+                : `spec을 해석할 수 없습니다: ${dimensions.parseError}`
+            }
+        });
+      }
+    }
+  });
+
+  // 3. 같은 품목, 같은 wpm, 다른 이론 중량 (10x20/15x15 각관처럼 이론 중량까지 같은 경우는 정상)
+  const byProductWpm = new Map();
+  materials.forEach(material => {
+    const key = `${material.product}\u0000${material.wpm}`;
+    if (!byProductWpm.has(key)) byProductWpm.set(key, []);
+    byProductWpm.get(key).push(material);
+  });
+  byProductWpm.forEach(group => {
+    const weighed = group.filter(material => theoretical.has(material));
+    if (weighed.length < 2) return;
+    const values = weighed.map(material => theoretical.get(material));
+    if ((Math.max(...values) - Math.min(...values)) / Math.min(...values) <= 0.001) return;
+
+    // 이론 중량과 가장 가까운 규격의 값이 다른 규격에 복사된 것으로 보고 나머지 확인 권장
+    const wpm = group[0].wpm;
+    const closest = weighed.reduce((best, material) =>
+      Math.abs(theoretical.get(material) - wpm) < Math.abs(theoretical.get(best) - wpm) ? material : best
+    );
+    findings.sameWpm.push({
+      product: group[0].product,
+      wpm,
+      materials: weighed.map(material => ({ ...describe(material), theoretical: theoretical.get(material) })),
+      suggestion: {
+        action: 'review',
+        changes: weighed
+          .filter(material => material !== closest)
+          .map(material => ({ _id: material._id, changes: { wpm: theoretical.get(material) } })),
+        note: `치수가 다른 규격의 wpm이 모두 ${wpm}입니다. ${closest.spec} 외의 규격은 KS 표 값(괄호 안은 이론 중량)으로 확인하세요.`
+      }
+    });
+  });
+
+  // 4. 중복 규격
+  const bySpecKey = new Map();
+  materials.forEach(material => {
+    const key = specKey(material.spec);
+    if (!bySpecKey.has(key)) bySpecKey.set(key, []);
+    bySpecKey.get(key).push(material);
+  });
+  bySpecKey.forEach((group, key) => {
+    if (group.length < 2) return;
+    const [keep, ...others] = group;
+    findings.duplicateSpecs.push({
+      key,
+      exact: group.every(material => material.spec === keep.spec),
+      materials: group.map(material => ({ ...describe(material), wpm: material.wpm })),
+      suggestion: {
+        action: 'delete',
+        changes: { delete: others.map(material => material._id) },
+        note: `${keep.spec}(${keep._id}) 하나만 남기고 나머지를 삭제하거나 spec을 구분되게 수정하세요. 재고/단가가 연결된 경우 먼저 옮기세요.`
+      }
+    });
+  });
+
+  // 6. 품목 내 method_calc/trade_unit 불일치 (가장 많이 쓰인 조합 기준)
+  const byProduct = new Map();
+  materials.forEach(material => {
+    if (!byProduct.has(material.product)) byProduct.set(material.product, []);
+    byProduct.get(material.product).push(material);
+  });
+  byProduct.forEach((group, product) => {
+    const expected = JSON.parse(majority(group.map(m => JSON.stringify([m.method_calc, m.trade_unit]))));
+    group.forEach(material => {
+      if (material.method_calc === expected[0] && material.trade_unit === expected[1]) return;
+      findings.inconsistentAttributes.push({
+        ...describe(material),
+        method_calc: material.method_calc,
+        trade_unit: material.trade_unit,
+        expected: { method_calc: expected[0], trade_unit: expected[1] },
+        suggestion: {
+          action: 'update',
+          changes: { method_calc: expected[0], trade_unit: expected[1] },
+          note: `${product}의 다른 재료는 대부분 method_calc ${expected[0]}, trade_unit ${expected[1]}입니다.`
+        }
+      });
+    });
+  });
+
+  return {
+    summary: {
+      total: materials.length,
+      weightChecked: checked,
+      tolerance,
+      counts: Object.fromEntries(Object.entries(findings).map(([type, list]) => [type, list.length]))
+    },
+    findings
+  };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  theoreticalWeight,
+  buildQualityReport
+};
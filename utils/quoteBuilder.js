@@ -0,0 +1,182 @@
+const { calculateLine, round } = require('./weightCalculator');
+const { resolvePrices, calculateAmount } = require('./priceResolver');
+const { createHttpError } = require('./httpError');
+const { PRICE_UNITS } = require('../models/Price');
+
+// ============================================
+// 견적 계산 모듈
+// ============================================
+
+const DEFAULT_VAT_RATE = 0.1;
+
+// 재료에서 견적에 보관할 스냅샷 필드 추출
+function snapshotMaterial(material) {
+  return {
+    material: material._id,
+    spec: material.spec,
+    product: material.product,
+    method_calc: material.method_calc,
+    trade_unit: material.trade_unit,
+    wpm: material.wpm,
+    initial_length: material.initial_length
+  };
+}
+
+// 기존 품목 값 위에 입력한 값만 덮어쓰기
+function mergeExistingItem(existing, input) {
+  const merged = { quantity: existing.quantity, length: existing.length, note: existing.note };
+  Object.entries(input).forEach(([key, value]) => {
+    if (value !== undefined) merged[key] = value;
+  });
+  return merged;
+}
+
+// 견적 품목 계산
+// inputs: [{ _id(기존 품목 유지 시), spec | id, length, quantity, unitPrice, priceUnit, note }]
+// options.findMaterial: spec/id로 재료를 찾는 함수
+// options.existingItems: 수정 시 기존 품목 (같은 _id면 스냅샷 유지)
+// options.reprice: true이면 기존 품목도 현재 재료 정보/단가로 다시 계산
+async function buildQuoteItems(inputs, options) {
+  const { date, findMaterial, existingItems = [], reprice = false } = options;
+
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw createHttpError(400, '견적 품목(items)이 최소 1개 이상 필요합니다.');
+  }
+
+  const existingById = new Map(existingItems.map(item => [String(item._id), item]));
+  const errors = [];
+  const drafts = [];
+
+  // 1단계: 재료 스냅샷 확보 (기존 품목 유지 또는 현재 재료 조회)
+  for (let i = 0; i < inputs.length; i++) {
+    const raw = inputs[i] || {};
+    const existing = raw._id ? existingById.get(String(raw._id)) : null;
+    // 기존 품목은 보내지 않은 수량/길이/비고를 유지 (_id만 보내면 그대로 유지)
+    const input = existing ? mergeExistingItem(existing, raw) : raw;
+    const sameMaterial = existing && (
+      !(input.id || input.spec) ||
+      input.spec === existing.spec ||
+      String(input.id) === String(existing.material)
+    );
+
+    if (sameMaterial && !reprice) {
+      drafts.push({
+        index: i,
+        input,
+        _id: existing._id,
+        snapshot: {
+          material: existing.material,
+          spec: existing.spec,
+          product: existing.product,
+          method_calc: existing.method_calc,
+          trade_unit: existing.trade_unit,
+          wpm: existing.wpm,
+          initial_length: existing.initial_length
+        },
+        price: {
+          unit: existing.priceUnit,
+          unitPrice: existing.unitPrice,
+          source: existing.priceSource,
+          id: existing.price
+        }
+      });
+      continue;
+    }
+
+    const key = input.id || input.spec || (existing && existing.spec);
+    if (!key) {
+      errors.push({ line: i + 1, message: 'spec 또는 id가 필요합니다.' });
+      continue;
+    }
+
+    const material = await findMaterial(key);
+    if (!material) {
+      errors.push({ line: i + 1, spec: key, message: '재료를 찾을 수 없습니다.' });
+      continue;
+    }
+
+    drafts.push({ index: i, input, _id: existing ? existing._id : undefined, snapshot: snapshotMaterial(material) });
+  }
+
+  // 2단계: 단가가 정해지지 않은 품목은 견적일 기준 유효 단가 조회
+  const needsPrice = drafts.filter(draft => !draft.price && draft.input.unitPrice === undefined);
+  const resolved = await resolvePrices(needsPrice.map(draft => draft.snapshot), date);
+  needsPrice.forEach((draft, i) => {
+    const price = resolved[i];
+    if (price) {
+      draft.price = { unit: price.unit, unitPrice: price.unitPrice, source: price.scope, id: price._id };
+    }
+  });
+
+  // 3단계: 중량 및 금액 계산
+  const items = [];
+  drafts.forEach(draft => {
+    const { input, snapshot } = draft;
+    const lineNo = draft.index + 1;
+
+    try {
+      // 직접 입력한 단가가 있으면 우선 적용
+      if (input.unitPrice !== undefined) {
+        const unitPrice = parseFloat(input.unitPrice);
+        const unit = input.priceUnit || (draft.price && draft.price.unit) || (snapshot.trade_unit === 2 ? 'piece' : 'kg');
+        if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+          throw createHttpError(400, 'unitPrice는 0 이상의 숫자여야 합니다.');
+        }
+        if (!PRICE_UNITS.includes(unit)) {
+          throw createHttpError(400, `priceUnit은 ${PRICE_UNITS.join(', ')} 중 하나여야 합니다.`);
+        }
+        draft.price = { unit, unitPrice, source: 'manual' };
+      }
+
+      if (!draft.price) {
+        throw createHttpError(400, '적용할 단가가 없습니다. 단가를 등록하거나 unitPrice를 입력해주세요.');
+      }
+
+      const line = calculateLine(snapshot, { quantity: input.quantity, length: input.length });
+      const price = { unit: draft.price.unit, unitPrice: draft.price.unitPrice };
+
+      items.push({
+        ...(draft._id ? { _id: draft._id } : {}),
+        ...snapshot,
+        length: line.length,
+        quantity: line.quantity,
+        unitWeight: line.unitWeight,
+        weight: line.weight,
+        priceUnit: price.unit,
+        unitPrice: price.unitPrice,
+        priceSource: draft.price.source,
+        price: draft.price.id,
+        amount: calculateAmount(price, line),
+        note: input.note || ''
+      });
+    } catch (error) {
+      errors.push({ line: lineNo, spec: snapshot.spec, message: error.message });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw createHttpError(400, '견적 품목에 오류가 있습니다.', errors);
+  }
+
+  return items;
+}
+
+// 합계 계산 (부가세는 원 미만 절사)
+function summarizeQuote(items, vatRate = DEFAULT_VAT_RATE) {
+  const supplyAmount = items.reduce((sum, item) => sum + item.amount, 0);
+  const vat = Math.floor(supplyAmount * vatRate);
+
+  return {
+    totalWeight: round(items.reduce((sum, item) => sum + item.weight, 0)),
+    supplyAmount,
+    vatRate,
+    vat,
+    totalAmount: supplyAmount + vat
+  };
+}
+
+module.exports = {
+  DEFAULT_VAT_RATE,
+  buildQuoteItems,
+  summarizeQuote
+};
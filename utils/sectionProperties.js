@@ -0,0 +1,288 @@
+const { STEEL_DENSITY, round } = require('./weightCalculator');
+const { PRODUCT_ALIASES } = require('./koreanSearch');
+const { productNamesOf } = require('./productCodes');
+const { createHttpError } = require('./httpError');
+
+// ============================================
+// 단면 성능 계산 모듈 - spec 치수(dimensions)로 단면적, 단면2차모멘트, 단면계수, 단면2차반경 계산
+// ============================================
+// 단위: 단면적 cm², 단면2차모멘트(I)/비틀림상수(J) cm⁴, 단면계수(Z) cm³, 단면2차반경(r)/도심(c) cm
+// x축: 높이(height) 방향으로 휘는 강축, y축: 폭(width) 방향 약축
+// 필렛(R), 모서리 곡률은 무시한 공칭 치수 기준이므로 KS 표 값보다 약간 작을 수 있음
+
+const UNITS = { area: 'cm2', inertia: 'cm4', modulus: 'cm3', radius: 'cm', centroid: 'cm', thickness: 'mm' };
+
+// 단면 성능을 계산할 수 있는 형태
+const SECTION_SHAPES = ['H', 'lightH', 'I', 'channel', 'angle', 'rectTube', 'pipe', 'ksPipe', 'flatBar', 'roundBar'];
+
+// mm 단위 값 → cm 단위 (차수: 면적 2, 단면계수 3, 단면2차모멘트 4)
+const toCm = (value, power) => value / Math.pow(10, power);
+
+// 공통 결과 (x/y축 단면 성능)
+function axisProperties({ area, Ix, Iy, cx, cy, width, height }) {
+  return {
+    area: round(toCm(area, 2)),
+    Ix: round(toCm(Ix, 4)),
+    Iy: round(toCm(Iy, 4)),
+    // 도심에서 가장 먼 끝단 기준 (비대칭 단면은 작은 쪽 단면계수)
+    Zx: round(toCm(Ix / Math.max(cy, height - cy), 3)),
+    Zy: round(toCm(Iy / Math.max(cx, width - cx), 3)),
+    rx: round(toCm(Math.sqrt(Ix / area), 1)),
+    ry: round(toCm(Math.sqrt(Iy / area), 1)),
+    // 단면적 기준 이론 단위중량 (kg/m), 등록된 wpm과 비교용
+    theoreticalWpm: round(area * STEEL_DENSITY * 1e-3)
+  };
+}
+
+// H형강, I형강, 경량H형강 (복대칭 I형 단면)
+function iSection({ height: H, width: B, webThickness: tw, flangeThickness: tf }) {
+  const hw = H - 2 * tf;
+  const area = 2 * B * tf + hw * tw;
+  const Ix = (B * Math.pow(H, 3) - (B - tw) * Math.pow(hw, 3)) / 12;
+  const Iy = (2 * tf * Math.pow(B, 3) + hw * Math.pow(tw, 3)) / 12;
+  return axisProperties({ area, Ix, Iy, cx: B / 2, cy: H / 2, width: B, height: H });
+}
+
+// 직사각형 조합 단면 (각 요소: { x, y, w, h } - 왼쪽 아래 기준 위치와 크기)
+function compositeSection(rects) {
+  const area = rects.reduce((sum, r) => sum + r.w * r.h, 0);
+  const cx = rects.reduce((sum, r) => sum + r.w * r.h * (r.x + r.w / 2), 0) / area;
+  const cy = rects.reduce((sum, r) => sum + r.w * r.h * (r.y + r.h / 2), 0) / area;
+  let Ix = 0;
+  let Iy = 0;
+  let Ixy = 0;
+  rects.forEach(r => {
+    const a = r.w * r.h;
+    const dx = r.x + r.w / 2 - cx;
+    const dy = r.y + r.h / 2 - cy;
+    Ix += r.w * Math.pow(r.h, 3) / 12 + a * dy * dy;
+    Iy += r.h * Math.pow(r.w, 3) / 12 + a * dx * dx;
+    Ixy += a * dx * dy;
+  });
+  return { area, cx, cy, Ix, Iy, Ixy };
+}
+
+// 잔넬 (ㄷ형강: 웨브가 한쪽에 있는 단면)
+function channelSection({ height: H, width: B, webThickness: tw, flangeThickness: tf }) {
+  const section = compositeSection([
+    { x: 0, y: 0, w: tw, h: H },
+    { x: tw, y: 0, w: B - tw, h: tf },
+    { x: tw, y: H - tf, w: B - tw, h: tf }
+  ]);
+  return {
+    ...axisProperties({ ...section, width: B, height: H }),
+    cx: round(toCm(section.cx, 1))
+  };
+}
+
+// 앵글 (ㄱ형강: 주축 u/v 성능 포함, 좌굴 검토는 최소 단면2차반경 rv 사용)
+function angleSection({ height: H, width: B, thickness: t }) {
+  const section = compositeSection([
+    { x: 0, y: 0, w: t, h: H },
+    { x: t, y: 0, w: B - t, h: t }
+  ]);
+  const { area, Ix, Iy, Ixy } = section;
+  const mean = (Ix + Iy) / 2;
+  const radius = Math.sqrt(Math.pow((Ix - Iy) / 2, 2) + Ixy * Ixy);
+  const Iu = mean + radius;
+  const Iv = mean - radius;
+  return {
+    ...axisProperties({ ...section, width: B, height: H }),
+    cx: round(toCm(section.cx, 1)),
+    cy: round(toCm(section.cy, 1)),
+    Iu: round(toCm(Iu, 4)),
+    Iv: round(toCm(Iv, 4)),
+    ru: round(toCm(Math.sqrt(Iu / area), 1)),
+    rv: round(toCm(Math.sqrt(Iv / area), 1))
+  };
+}
+
+// 각관 (직사각형 중공 단면)
+function rectTubeSection({ width: B, height: H, thickness: t }) {
+  const bi = B - 2 * t;
+  const hi = H - 2 * t;
+  const area = B * H - bi * hi;
+  const Ix = (B * Math.pow(H, 3) - bi * Math.pow(hi, 3)) / 12;
+  const Iy = (H * Math.pow(B, 3) - hi * Math.pow(bi, 3)) / 12;
+  // 폐단면 비틀림상수 (Bredt 식, 두께 중심선 기준)
+  const enclosed = (B - t) * (H - t);
+  const perimeter = 2 * ((B - t) + (H - t));
+  const J = 4 * enclosed * enclosed * t / perimeter;
+  return {
+    ...axisProperties({ area, Ix, Iy, cx: B / 2, cy: H / 2, width: B, height: H }),
+    wall: {
+      thickness: t,
+      widthToThickness: round(bi / t, 1),
+      heightToThickness: round(hi / t, 1),
+      J: round(toCm(J, 4))
+    }
+  };
+}
+
+// 강관 (원형 중공 단면)
+function pipeSection({ diameter: D, thickness: t }) {
+  const d = D - 2 * t;
+  const area = Math.PI / 4 * (D * D - d * d);
+  const I = Math.PI / 64 * (Math.pow(D, 4) - Math.pow(d, 4));
+  return {
+    ...axisProperties({ area, Ix: I, Iy: I, cx: D / 2, cy: D / 2, width: D, height: D }),
+    wall: {
+      thickness: t,
+      innerDiameter: round(d, 1),
+      diameterToThickness: round(D / t, 1),
+      J: round(toCm(2 * I, 4))
+    }
+  };
+}
+
+// 평철 (직사각형, x축은 폭 방향으로 세운 경우)
+function flatBarSection({ width: B, thickness: t }) {
+  const area = B * t;
+  return axisProperties({
+    area,
+    Ix: t * Math.pow(B, 3) / 12,
+    Iy: B * Math.pow(t, 3) / 12,
+    cx: t / 2,
+    cy: B / 2,
+    width: t,
+    height: B
+  });
+}
+
+// 환봉 (원형 단면)
+function roundBarSection({ diameter: D }) {
+  const area = Math.PI / 4 * D * D;
+  const I = Math.PI / 64 * Math.pow(D, 4);
+  return axisProperties({ area, Ix: I, Iy: I, cx: D / 2, cy: D / 2, width: D, height: D });
+}
+
+const CALCULATORS = {
+  H: iSection,
+  lightH: iSection,
+  I: iSection,
+  channel: channelSection,
+  angle: angleSection,
+  rectTube: rectTubeSection,
+  pipe: pipeSection,
+  ksPipe: pipeSection,
+  flatBar: flatBarSection,
+  roundBar: roundBarSection
+};
+
+// 단면 성능 계산 (계산할 수 없는 형태나 치수가 맞지 않으면 null)
+function computeSectionProperties(dimensions) {
+  const calculate = dimensions && CALCULATORS[dimensions.shape];
+  if (!calculate) return null;
+
+  const properties = calculate(dimensions);
+  if (!Number.isFinite(properties.area) || properties.area <= 0 || !Number.isFinite(properties.Ix)) {
+    return null;
+  }
+  return { shape: dimensions.shape, ...properties, units: UNITS };
+}
+
+// 재료의 단면 성능 (재료 객체가 바뀌면 새로 계산)
+const propertiesCache = new WeakMap();
+function sectionPropertiesOf(material) {
+  if (!propertiesCache.has(material)) {
+    propertiesCache.set(material, computeSectionProperties(material.dimensions));
+  }
+  return propertiesCache.get(material);
+}
+
+const SELECT_AXES = ['x', 'y'];
+const SELECT_LIMIT_MAX = 100;
+
+function toRequirement(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw createHttpError(400, `${name}는 0보다 큰 숫자여야 합니다.`);
+  }
+  return number;
+}
+
+// 제품군 → 재료 조건 (형태 이름, 품목 이름, 품목 별칭 순으로 해석)
+// 예: 'H', 'rectTube', 'H형강', '각관', 'ㄱ'
+function resolveFamily(family, materials) {
+  const key = String(family).trim();
+  if (SECTION_SHAPES.includes(key)) {
+    return material => material.dimensions && material.dimensions.shape === key;
+  }
+  if (materials.some(material => material.product === key)) {
+    return material => material.product === key;
+  }
+  const aliased = PRODUCT_ALIASES[key.toLowerCase()];
+  if (aliased) {
+    const names = productNamesOf(aliased);
+    return material => names.includes(material.product);
+  }
+  throw createHttpError(400, `알 수 없는 제품군입니다: ${key} (형태: ${SECTION_SHAPES.join(', ')} 또는 품목 이름)`);
+}
+
+// 필요 단면계수/단면2차모멘트를 만족하는 가장 가벼운 규격 선정
+// options: { family, modulus(cm³), inertia(cm⁴), axis: 'x' | 'y', limit }
+// 반환: { required, total, results: [{ material, properties, provided, utilization }] }
+function selectSections(materials, { family, modulus, inertia, axis = 'x', limit = 10 } = {}) {
+  if (!family) {
+    throw createHttpError(400, 'family(제품군)가 필요합니다. 예: H, I, channel, angle, rectTube, pipe 또는 품목 이름');
+  }
+  if (!SELECT_AXES.includes(axis)) {
+    throw createHttpError(400, `axis는 ${SELECT_AXES.join(', ')} 중 하나여야 합니다.`);
+  }
+  const required = {
+    modulus: toRequirement(modulus, 'modulus'),
+    inertia: toRequirement(inertia, 'inertia')
+  };
+  if (required.modulus === undefined && required.inertia === undefined) {
+    throw createHttpError(400, 'modulus(필요 단면계수, cm³) 또는 inertia(필요 단면2차모멘트, cm⁴) 중 하나 이상이 필요합니다.');
+  }
+  const count = Math.min(Math.max(parseInt(limit) || 10, 1), SELECT_LIMIT_MAX);
+
+  const inFamily = resolveFamily(family, materials);
+  const Z = `Z${axis}`;
+  const I = `I${axis}`;
+
+  const results = [];
+  materials.forEach(material => {
+    if (!inFamily(material)) return;
+    const properties = sectionPropertiesOf(material);
+    if (!properties) return;
+    if (required.modulus !== undefined && properties[Z] < required.modulus) return;
+    if (required.inertia !== undefined && properties[I] < required.inertia) return;
+
+    const provided = {};
+    const ratios = [];
+    if (required.modulus !== undefined) {
+      provided[Z] = properties[Z];
+      ratios.push(required.modulus / properties[Z]);
+    }
+    if (required.inertia !== undefined) {
+      provided[I] = properties[I];
+      ratios.push(required.inertia / properties[I]);
+    }
+    // 사용률 (필요값 / 보유값, 1에 가까울수록 여유가 적음)
+    results.push({ material, properties, provided, utilization: round(Math.max(...ratios)) });
+  });
+
+  // 가벼운 순 → 사용률 높은 순(여유가 적은 단면) → spec 순
+  results.sort((a, b) =>
+    (a.material.wpm - b.material.wpm) ||
+    (b.utilization - a.utilization) ||
+    (a.material.spec < b.material.spec ? -1 : a.material.spec > b.material.spec ? 1 : 0)
+  );
+
+  return {
+    required: { family, axis, ...required },
+    total: results.length,
+    results: results.slice(0, count)
+  };
+}
+
+module.exports = {
+  SECTION_SHAPES,
+  UNITS,
+  computeSectionProperties,
+  sectionPropertiesOf,
+  selectSections
+};
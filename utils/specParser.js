@@ -0,0 +1,143 @@
+// ============================================
+// 규격(spec) 파서 - spec 문자열에서 치수 추출
+// ============================================
+// 모든 치수 단위는 mm (레일의 nominalWeight는 kg/m)
+
+const NUM = '(\\d+(?:\\.\\d+)?)';
+const SEP = 'x';
+
+// 철판 치수 (피트 → mm, 업계 관용 치수)
+const SHEET_FEET_TO_MM = { 3: 914, 4: 1219, 5: 1524, 6: 1829, 8: 2438, 10: 3048, 20: 6096 };
+
+// 이형철근 공칭 지름 (KS D 3504)
+const REBAR_DIAMETERS = {
+  10: 9.53, 13: 12.7, 16: 15.9, 19: 19.1, 22: 22.2, 25: 25.4,
+  29: 28.6, 32: 31.8, 35: 34.9, 38: 38.1, 41: 41.3, 51: 50.8
+};
+
+// 배관용 강관 호칭(A)별 바깥지름 및 두께 (KS D 3507 SGP, KS D 3562 Sch40/Sch80)
+const KS_PIPE_TABLE = {
+  15: { diameter: 21.7, SGP: 2.8, Sch40: 2.8, Sch80: 3.7 },
+  20: { diameter: 27.2, SGP: 2.8, Sch40: 2.9, Sch80: 3.9 },
+  25: { diameter: 34.0, SGP: 3.2, Sch40: 3.4, Sch80: 4.5 },
+  32: { diameter: 42.7, SGP: 3.5, Sch40: 3.6, Sch80: 4.9 },
+  40: { diameter: 48.6, SGP: 3.5, Sch40: 3.7, Sch80: 5.1 },
+  50: { diameter: 60.5, SGP: 3.8, Sch40: 3.9, Sch80: 5.5 },
+  65: { diameter: 76.3, SGP: 4.2, Sch40: 5.2, Sch80: 7.0 },
+  80: { diameter: 89.1, SGP: 4.2, Sch40: 5.5, Sch80: 7.6 },
+  90: { diameter: 101.6, SGP: 4.2, Sch40: 5.7, Sch80: 8.1 },
+  100: { diameter: 114.3, SGP: 4.5, Sch40: 6.0, Sch80: 8.6 },
+  125: { diameter: 139.8, SGP: 4.5, Sch40: 6.6, Sch80: 9.5 },
+  150: { diameter: 165.2, SGP: 5.0, Sch40: 7.1, Sch80: 11.0 },
+  200: { diameter: 216.3, SGP: 5.8, Sch40: 8.2, Sch80: 12.7 },
+  250: { diameter: 267.4, SGP: 6.6, Sch40: 9.3, Sch80: 15.1 },
+  300: { diameter: 318.5, SGP: 6.9, Sch40: 10.3, Sch80: 17.4 },
+  350: { diameter: 355.6, SGP: 7.9, Sch40: 11.1, Sch80: 19.0 },
+  400: { diameter: 406.4, SGP: 7.9, Sch40: 12.7, Sch80: 21.4 },
+  450: { diameter: 457.2, SGP: 7.9, Sch40: 14.3, Sch80: 23.8 },
+  500: { diameter: 508.0, SGP: 7.9, Sch40: 15.1, Sch80: 26.2 },
+  550: { diameter: 558.8, SGP: 7.9 },
+  600: { diameter: 609.6, SGP: 7.9 }
+};
+
+// 치수 나열 패턴 생성 (예: dims(3) → "N x N x N")
+function dims(count) {
+  return Array(count).fill(NUM).join(SEP);
+}
+
+// 제품군별 spec 패턴 (위에서부터 순서대로 검사)
+// fields: 정규식 캡처 그룹에 대응하는 치수 필드명
+const SPEC_PATTERNS = [
+  { shape: 'lightH', regex: new RegExp(`^LH${dims(4)}$`), fields: ['height', 'width', 'webThickness', 'flangeThickness'] },
+  { shape: 'H', regex: new RegExp(`^H${dims(4)}$`), fields: ['height', 'width', 'webThickness', 'flangeThickness'] },
+  { shape: 'I', regex: new RegExp(`^IB${dims(4)}$`), fields: ['height', 'width', 'webThickness', 'flangeThickness'] },
+  { shape: 'channel', regex: new RegExp(`^ㄷ${dims(4)}$`), fields: ['height', 'width', 'webThickness', 'flangeThickness'] },
+  { shape: 'angle', regex: new RegExp(`^ㄱ${dims(3)}$`), fields: ['height', 'width', 'thickness'] },
+  { shape: 'lipChannel', regex: new RegExp(`^(?:칼라|아연)C${dims(4)}$`), fields: ['height', 'width', 'lip', 'thickness'] },
+  { shape: 'checkeredPlate', regex: new RegExp(`^CKPL${NUM}T\\s*(\\d+)${SEP}(\\d+)$`), fields: ['thickness', 'sheetWidthFt', 'sheetLengthFt'] },
+  { shape: 'plate', regex: new RegExp(`^PL${NUM}T\\s*(\\d+)${SEP}(\\d+)$`), fields: ['thickness', 'sheetWidthFt', 'sheetLengthFt'] },
+  { shape: 'rebar', regex: /^D(\d+)$/, fields: ['nominalSize'] },
+  { shape: 'rail', regex: new RegExp(`^레일${NUM}kg$`), fields: ['nominalWeight'] },
+  { shape: 'flatBar', regex: new RegExp(`^FB${dims(2)}$`), fields: ['width', 'thickness'] },
+  { shape: 'roundBar', regex: new RegExp(`^RB${NUM}(?:mm)?$`), fields: ['diameter'] },
+  { shape: 'deckPlate', regex: new RegExp(`^(?:칼라|아연도)데크${dims(2)}$`), fields: ['width', 'thickness'] },
+  { shape: 'ksPipe', regex: /^[흑백]KS\s*(\d+)A(?:\(Sch(\d+)\))?$/, fields: ['nominalSize', 'scheduleNumber'] },
+  { shape: 'pipe', regex: new RegExp(`^(?:GI|HGI|HR)${dims(2)}$`), fields: ['diameter', 'thickness'] },
+  { shape: 'rectTube', regex: new RegExp(`^(?:흑|칼라|아연)${dims(3)}$`), fields: ['width', 'height', 'thickness'] }
+];
+
+// 구분자 정규화 (X, *, × → x, 앞뒤 공백 제거)
+function normalizeSpec(spec) {
+  return String(spec || '').trim().replace(/\s*[xX*×]\s*/g, SEP);
+}
+
+// 제품군별 보조 치수 계산
+function completeDimensions(shape, values) {
+  const result = { ...values };
+
+  if (shape === 'plate' || shape === 'checkeredPlate') {
+    const { sheetWidthFt, sheetLengthFt } = result;
+    delete result.sheetWidthFt;
+    delete result.sheetLengthFt;
+    result.sheetSize = `${sheetWidthFt}x${sheetLengthFt}`;
+    result.sheetWidth = SHEET_FEET_TO_MM[sheetWidthFt] || Math.round(sheetWidthFt * 304.8);
+    result.sheetLength = SHEET_FEET_TO_MM[sheetLengthFt] || Math.round(sheetLengthFt * 304.8);
+  }
+
+  if (shape === 'rebar') {
+    result.diameter = REBAR_DIAMETERS[result.nominalSize];
+    if (!result.diameter) {
+      throw new Error(`알 수 없는 철근 호칭입니다: D${result.nominalSize}`);
+    }
+  }
+
+  if (shape === 'ksPipe') {
+    const schedule = result.scheduleNumber ? `Sch${result.scheduleNumber}` : 'SGP';
+    delete result.scheduleNumber;
+    const row = KS_PIPE_TABLE[result.nominalSize];
+    if (!row) {
+      throw new Error(`알 수 없는 배관 호칭입니다: ${result.nominalSize}A`);
+    }
+    if (!row[schedule]) {
+      throw new Error(`${result.nominalSize}A에는 ${schedule} 두께 정보가 없습니다.`);
+    }
+    result.schedule = schedule;
+    result.diameter = row.diameter;
+    result.thickness = row[schedule];
+  }
+
+  return result;
+}
+
+// spec 파싱
+// 성공: { shape, height, width, ... }, 실패: { shape: null, parseError }
+function parseSpec(spec) {
+  const normalized = normalizeSpec(spec);
+
+  for (const pattern of SPEC_PATTERNS) {
+    const match = normalized.match(pattern.regex);
+    if (!match) continue;
+
+    const values = {};
+    pattern.fields.forEach((field, index) => {
+      if (match[index + 1] !== undefined) {
+        values[field] = parseFloat(match[index + 1]);
+      }
+    });
+
+    try {
+      return { shape: pattern.shape, ...completeDimensions(pattern.shape, values) };
+    } catch (error) {
+      return { shape: null, parseError: error.message };
+    }
+  }
+
+  return { shape: null, parseError: `해석할 수 없는 규격입니다: ${spec}` };
+}
+
+module.exports = {
+  SPEC_PATTERNS,
+  KS_PIPE_TABLE,
+  normalizeSpec,
+  parseSpec
+};
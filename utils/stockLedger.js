@@ -0,0 +1,132 @@
+const StockBalance = require('../models/StockBalance');
+const StockMovement = require('../models/StockMovement');
+const { MOVEMENT_TYPES } = require('../models/StockMovement');
+const { createHttpError } = require('./httpError');
+const { round } = require('./weightCalculator');
+
+// ============================================
+// 재고 원장 모듈 - 이동 기록과 재고 현황 갱신
+// ============================================
+// 수량 단위: 본(판재는 장), 길이 단위: m (판재는 0)
+
+// 재고 중량 계산 (판재는 장당 중량, 그 외는 kg/m × 길이)
+function stockWeight(material, length, pieces) {
+  return round(material.method_calc === 3 ? material.wpm * pieces : material.wpm * length * pieces);
+}
+
+// 재고 수량 증감 (감소 시 재고가 부족하면 409)
+async function changeBalance(material, location, length, delta) {
+  if (delta >= 0) {
+    await StockBalance.updateOne(
+      { material: material._id, location, length },
+      { $inc: { pieces: delta } },
+      { upsert: true }
+    );
+    return;
+  }
+
+  const updated = await StockBalance.findOneAndUpdate(
+    { material: material._id, location, length, pieces: { $gte: -delta } },
+    { $inc: { pieces: delta } },
+    { new: true }
+  );
+  if (!updated) {
+    const lengthText = material.method_calc === 3 ? '' : ` ${length}m`;
+    throw createHttpError(409, `재고가 부족합니다: ${material.spec}${lengthText} @ ${location} (요청 ${-delta})`);
+  }
+}
+
+// 이동 요청 검증 및 정규화
+function normalizeMovement(material, input) {
+  const { type, location, toLocation, reference, note } = input;
+
+  if (!MOVEMENT_TYPES.includes(type)) {
+    throw createHttpError(400, `type은 ${MOVEMENT_TYPES.join(', ')} 중 하나여야 합니다.`);
+  }
+  if (!location || typeof location !== 'string') {
+    throw createHttpError(400, 'location(창고 위치)은 필수 항목입니다.');
+  }
+  if (type === 'transfer' && (!toLocation || typeof toLocation !== 'string' || toLocation.trim() === location.trim())) {
+    throw createHttpError(400, 'transfer는 location과 다른 toLocation이 필요합니다.');
+  }
+
+  const pieces = Number(input.pieces);
+  if (!Number.isInteger(pieces) || pieces === 0 || (type !== 'adjust' && pieces < 0)) {
+    throw createHttpError(400, type === 'adjust'
+      ? 'adjust의 pieces는 0이 아닌 정수(증감 수량)여야 합니다.'
+      : 'pieces는 1 이상의 정수여야 합니다.');
+  }
+
+  // 판재는 장 단위로만 관리하고, 그 외는 본 길이(기본값: 정척)별로 관리
+  let length = 0;
+  if (material.method_calc !== 3) {
+    length = input.length !== undefined ? parseFloat(input.length) : material.initial_length;
+    if (!Number.isFinite(length) || length <= 0) {
+      throw createHttpError(400, `${material.spec}은(는) length(m)를 지정해야 합니다.`);
+    }
+    length = round(length);
+  }
+
+  return {
+    type,
+    location: location.trim(),
+    toLocation: type === 'transfer' ? toLocation.trim() : undefined,
+    length,
+    pieces,
+    reference: reference || '',
+    note: note || ''
+  };
+}
+
+// 재고 이동 기록
+// 재고 현황을 먼저 갱신한 뒤 원장에 기록하며, 원장 기록이 실패하면 현황을 되돌림
+async function recordMovement(material, input) {
+  const movement = normalizeMovement(material, input);
+  const { type, location, toLocation, length, pieces } = movement;
+
+  const changes = [];
+  if (type === 'receive') {
+    changes.push([location, pieces]);
+  } else if (type === 'issue') {
+    changes.push([location, -pieces]);
+  } else if (type === 'adjust') {
+    changes.push([location, pieces]);
+  } else {
+    changes.push([location, -pieces], [toLocation, pieces]);
+  }
+
+  const applied = [];
+  try {
+    for (const [loc, delta] of changes) {
+      await changeBalance(material, loc, length, delta);
+      applied.push([loc, delta]);
+    }
+
+    return await StockMovement.create({
+      ...movement,
+      material: material._id,
+      spec: material.spec,
+      weight: stockWeight(material, length, Math.abs(pieces))
+    });
+  } catch (error) {
+    for (const [loc, delta] of applied.reverse()) {
+      await StockBalance.updateOne({ material: material._id, location: loc, length }, { $inc: { pieces: -delta } });
+    }
+    throw error;
+  }
+}
+
+// 재료별 재고 또는 이동 내역 존재 여부 (재료 삭제 가능 여부 확인용)
+async function findMaterialsWithStock(materialIds) {
+  const [balances, movements] = await Promise.all([
+    StockBalance.distinct('material', { material: { $in: materialIds }, pieces: { $gt: 0 } }),
+    StockMovement.distinct('material', { material: { $in: materialIds } })
+  ]);
+  return new Set([...balances, ...movements].map(id => id.toString()));
+}
+
+module.exports = {
+  stockWeight,
+  recordMovement,
+  findMaterialsWithStock
+};
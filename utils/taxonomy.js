@@ -0,0 +1,265 @@
+const Category = require('../models/Category');
+const ProductType = require('../models/ProductType');
+const SteelMaterial = require('../models/SteelMaterial');
+const Price = require('../models/Price');
+const { createHttpError } = require('./httpError');
+const { loadProductCodes } = require('./productCodes');
+const { DEFAULT_CATEGORIES, DEFAULT_PRODUCT_TYPES } = require('./taxonomyDefaults');
+const {
+  METHOD_CALC_VALUES,
+  TRADE_UNIT_VALUES,
+  INITIAL_LENGTHS
+} = require('./materialValidation');
+
+// ============================================
+// 품목/분류 모듈 - 입력 검증, 재료 기본값, 이름 변경 반영, 마이그레이션
+// ============================================
+
+const DEFAULT_FIELDS = {
+  method_calc: METHOD_CALC_VALUES,
+  initial_length: INITIAL_LENGTHS,
+  trade_unit: TRADE_UNIT_VALUES
+};
+
+const CATEGORY_FIELDS = ['nameKo', 'nameEn', 'order'];
+const PRODUCT_TYPE_FIELDS = ['code', 'nameKo', 'nameEn', 'category', 'defaults', 'order'];
+
+// 문자열 필드 검증 (required이면 빈 값 불가)
+function checkString(body, field, errors, value, required) {
+  const raw = body[field];
+  if (raw === undefined) {
+    if (required) errors.push({ field, message: `${field}는 필수 항목입니다.` });
+    return;
+  }
+  if (typeof raw !== 'string' || (required && raw.trim() === '')) {
+    errors.push({ field, message: `${field}는 ${required ? '비어 있지 않은 ' : ''}문자열이어야 합니다.`, value: raw });
+    return;
+  }
+  value[field] = raw.trim();
+}
+
+// 정수 필드 검증
+function checkInteger(body, field, errors, value, required) {
+  const raw = body[field];
+  if (raw === undefined) {
+    if (required) errors.push({ field, message: `${field}는 필수 항목입니다.` });
+    return;
+  }
+  const number = Number(raw);
+  if (raw === null || raw === '' || !Number.isInteger(number)) {
+    errors.push({ field, message: `${field}는 정수여야 합니다.`, value: raw });
+    return;
+  }
+  value[field] = number;
+}
+
+function unknownFieldErrors(body, allowed) {
+  return Object.keys(body)
+    .filter(field => !allowed.includes(field) && !['_id', '__v', 'createdAt', 'updatedAt'].includes(field))
+    .map(field => ({ field, message: `알 수 없는 필드입니다. (허용: ${allowed.join(', ')})`, value: body[field] }));
+}
+
+// 분류 수정 입력 검증 (code는 변경 불가)
+function validateCategory(input) {
+  const body = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const errors = unknownFieldErrors(body, [...CATEGORY_FIELDS, 'code']);
+  const value = {};
+
+  if (body.code !== undefined) {
+    errors.push({ field: 'code', message: 'code는 재료의 cat_product 값이므로 변경할 수 없습니다.', value: body.code });
+  }
+  checkString(body, 'nameKo', errors, value, body.nameKo !== undefined);
+  checkString(body, 'nameEn', errors, value, false);
+  checkInteger(body, 'order', errors, value, false);
+
+  if (errors.length > 0) {
+    throw createHttpError(422, '입력값이 올바르지 않습니다.', errors);
+  }
+  return value;
+}
+
+// 품목 입력 검증
+// mode: create (code, nameKo, category 필수) / patch (보낸 필드만 검증)
+function validateProductType(input, { mode = 'create' } = {}) {
+  const body = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const errors = unknownFieldErrors(body, PRODUCT_TYPE_FIELDS);
+  const value = {};
+  const required = mode === 'create';
+
+  checkString(body, 'code', errors, value, required || body.code !== undefined);
+  if (value.code !== undefined && !/^[A-Za-z0-9_]+$/.test(value.code)) {
+    errors.push({ field: 'code', message: 'code는 영문, 숫자, _만 사용할 수 있습니다.', value: value.code });
+  }
+  checkString(body, 'nameKo', errors, value, required || body.nameKo !== undefined);
+  checkString(body, 'nameEn', errors, value, false);
+  checkInteger(body, 'category', errors, value, required);
+  checkInteger(body, 'order', errors, value, false);
+
+  if (body.defaults !== undefined) {
+    const defaults = body.defaults;
+    if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+      errors.push({ field: 'defaults', message: 'defaults는 객체여야 합니다.', value: defaults });
+    } else {
+      value.defaults = {};
+      Object.keys(defaults).forEach(field => {
+        const allowed = DEFAULT_FIELDS[field];
+        const raw = defaults[field];
+        if (!allowed) {
+          errors.push({ field: `defaults.${field}`, message: `알 수 없는 필드입니다. (허용: ${Object.keys(DEFAULT_FIELDS).join(', ')})`, value: raw });
+        } else if (raw === null) {
+          value.defaults[field] = undefined;
+        } else if (!allowed.includes(Number(raw))) {
+          errors.push({ field: `defaults.${field}`, message: `${field}는 ${allowed.join(', ')} 중 하나여야 합니다.`, value: raw });
+        } else {
+          value.defaults[field] = Number(raw);
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(422, '입력값이 올바르지 않습니다.', errors);
+  }
+  return value;
+}
+
+// 등록된 분류인지 확인 (없으면 422)
+async function assertCategoryExists(code) {
+  if (!(await Category.exists({ code }))) {
+    throw createHttpError(422, '입력값이 올바르지 않습니다.', [
+      { field: 'category', message: `등록되지 않은 분류입니다: ${code}`, value: code }
+    ]);
+  }
+}
+
+// 새 재료 입력에 품목 기본값 적용 (요청에 없는 method_calc, initial_length, trade_unit, cat_product만 채움)
+async function applyProductDefaults(input) {
+  if (!input || typeof input !== 'object' || typeof input.product !== 'string') return input;
+  const productType = await ProductType.findOne({ nameKo: input.product.trim() }).lean();
+  if (!productType) return input;
+
+  const result = { ...input };
+  const defaults = { ...productType.defaults, cat_product: productType.category };
+  Object.entries(defaults).forEach(([field, value]) => {
+    if ((result[field] === undefined || result[field] === '') && value !== undefined && value !== null) {
+      result[field] = value;
+    }
+  });
+  return result;
+}
+
+// 품목 이름 → ProductType _id 조회 (반환: Map<nameKo, _id>)
+// bulkWrite처럼 pre('validate') 훅을 거치지 않고 저장할 때 productType을 직접 채우기 위해 사용
+async function productTypeIdsOf(names) {
+  const productTypes = await ProductType.find({ nameKo: { $in: [...new Set(names)] } }, '_id nameKo').lean();
+  return new Map(productTypes.map(productType => [productType.nameKo, productType._id]));
+}
+
+// 품목 이름/분류 변경을 재료와 단가에 반영
+// previous: 변경 전 품목, productType: 변경 후 품목
+// 반환: { materials: 변경된 재료 수, prices: 변경된 단가 수, audits: 재료별 감사 로그 항목 }
+async function propagateProductType(previous, productType) {
+  const renamed = previous.nameKo !== productType.nameKo;
+  const recategorized = previous.category !== productType.category;
+  if (!renamed && !recategorized) return { materials: 0, prices: 0, audits: [] };
+
+  // 변경 전 상태를 감사 로그에 남기기 위해 대상 재료를 먼저 조회하고, 조회한 재료만 변경
+  const targets = await SteelMaterial.find({ $or: [{ productType: productType._id }, { product: previous.nameKo }] }).lean();
+  const changes = { product: productType.nameKo, cat_product: productType.category, productType: productType._id };
+  const materialResult = targets.length > 0
+    ? await SteelMaterial.updateMany(
+      { _id: { $in: targets.map(material => material._id) } },
+      { $set: changes, $inc: { __v: 1 } }
+    )
+    : { modifiedCount: 0 };
+  const priceResult = renamed
+    ? await Price.updateMany({ product: previous.nameKo }, { $set: { product: productType.nameKo } })
+    : { modifiedCount: 0 };
+
+  const audits = targets.map(material => ({
+    action: 'update',
+    before: material,
+    after: { ...material, ...changes, __v: (material.__v || 0) + 1 }
+  }));
+  return { materials: materialResult.modifiedCount, prices: priceResult.modifiedCount, audits };
+}
+
+// 가장 많이 쓰인 값
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// 마이그레이션 - 기본 분류/품목 등록, 기본 목록에 없는 품목 추가, 기존 재료에 productType 연결
+// 이미 등록된 분류/품목은 수정하지 않으므로 여러 번 실행해도 안전
+async function migrateTaxonomy() {
+  const result = { categories: 0, productTypes: 0, discovered: [], linked: 0 };
+
+  for (const category of DEFAULT_CATEGORIES) {
+    const { upsertedCount } = await Category.updateOne(
+      { code: category.code },
+      { $setOnInsert: category },
+      { upsert: true }
+    );
+    result.categories += upsertedCount;
+  }
+
+  for (const productType of DEFAULT_PRODUCT_TYPES) {
+    const { upsertedCount } = await ProductType.updateOne(
+      { nameKo: productType.nameKo },
+      { $setOnInsert: productType },
+      { upsert: true }
+    );
+    result.productTypes += upsertedCount;
+  }
+
+  // 기본 목록에 없는 품목은 기존 재료 값으로 기본값을 정해 추가
+  const known = new Set((await ProductType.find({}, 'nameKo').lean()).map(p => p.nameKo));
+  const unknown = (await SteelMaterial.distinct('product')).filter(name => !known.has(name));
+  let order = await ProductType.countDocuments();
+  for (const name of unknown) {
+    const materials = await SteelMaterial.find({ product: name }).lean();
+    order++;
+    await ProductType.create({
+      code: `PRODUCT_${order}`,
+      nameKo: name,
+      category: mostCommon(materials.map(m => m.cat_product)),
+      defaults: {
+        method_calc: mostCommon(materials.map(m => m.method_calc)),
+        initial_length: mostCommon(materials.map(m => m.initial_length)),
+        trade_unit: mostCommon(materials.map(m => m.trade_unit))
+      },
+      order
+    });
+    result.productTypes++;
+    result.discovered.push(name);
+  }
+
+  // 재료에 productType 연결
+  const productTypes = await ProductType.find({}).lean();
+  if (productTypes.length > 0) {
+    const { modifiedCount } = await SteelMaterial.bulkWrite(productTypes.map(productType => ({
+      updateMany: {
+        filter: { product: productType.nameKo, productType: { $ne: productType._id } },
+        update: { $set: { productType: productType._id } }
+      }
+    })));
+    result.linked = modifiedCount;
+  }
+
+  await loadProductCodes();
+  return result;
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  DEFAULT_PRODUCT_TYPES,
+  validateCategory,
+  validateProductType,
+  assertCategoryExists,
+  applyProductDefaults,
+  productTypeIdsOf,
+  propagateProductType,
+  migrateTaxonomy
+};
@@ -0,0 +1,53 @@
+// ============================================
+// 기본 분류/품목 목록
+// ============================================
+// migrate:taxonomy가 DB에 등록하는 초기 데이터이자, DB의 품목을 읽기 전 productCodes의 조회 목록
+// (다른 모듈을 require하지 않으므로 어느 모듈에서든 순환 참조 없이 사용 가능)
+
+// 분류 (code는 재료의 cat_product 값)
+const DEFAULT_CATEGORIES = [
+  { code: 1, nameKo: '관/각관', nameEn: 'Pipes & Tubes', order: 3 },
+  { code: 2, nameKo: '형강/봉강', nameEn: 'Sections & Bars', order: 1 },
+  { code: 3, nameKo: '판재', nameEn: 'Plates', order: 2 }
+];
+
+// 품목 (기본값은 기존 재료 데이터에서 가장 많이 쓰인 값)
+const DEFAULT_PRODUCT_TYPES = [
+  ['H_BEAM', 'H형강', 'H-Beam', 2, [1, 10, 1]],
+  ['LIGHT_H_BEAM', '경량H형강', 'Light H-Beam', 2, [1, 10, 1]],
+  ['I_BEAM', 'I형강', 'I-Beam', 2, [1, 10, 1]],
+  ['CHANNEL', '잔넬', 'Channel', 2, [2, 10, 1]],
+  ['ANGLE', '앵글', 'Equal Angle', 2, [2, 10, 1]],
+  ['UNEQUAL_ANGLE', '부등변앵글', 'Unequal Angle', 2, [2, 10, 1]],
+  ['COLOR_C_CHANNEL', '칼라C형강', 'Color C-Channel', 2, [2, 10, 2]],
+  ['GALV_C_CHANNEL', '아연C형강', 'Galvanized C-Channel', 2, [2, 10, 2]],
+  ['REBAR', '철근', 'Rebar', 2, [2, 8, 1]],
+  ['RAIL', '레일', 'Rail', 2, [2, 10, 1]],
+  ['FLAT_BAR', '평철', 'Flat Bar', 2, [2, 6, 1]],
+  ['ROUND_BAR', '환봉', 'Round Bar', 2, [2, 6, 1]],
+  ['COLOR_DECK_PLATE', '칼라데크플레이트', 'Color Deck Plate', 2, [2, 0, 1]],
+  ['GALV_DECK_PLATE', '아연도데크플레이트', 'Galvanized Deck Plate', 2, [2, 0, 1]],
+  ['PLATE', '철판', 'Steel Plate', 3, [3, 0, 1]],
+  ['CHECKERED_PLATE', '무늬철판', 'Checkered Plate', 3, [3, 0, 1]],
+  ['BLACK_RECT_TUBE', '흑각관', 'Black Rectangular Tube', 1, [4, 6, 2]],
+  ['COLOR_RECT_TUBE', '칼라각관', 'Color Rectangular Tube', 1, [4, 6, 2]],
+  ['GALV_RECT_TUBE', '아연도각관', 'Galvanized Rectangular Tube', 1, [4, 6, 2]],
+  ['GREENHOUSE_PIPE', '하우스파이프', 'Greenhouse Pipe', 1, [4, 10, 2]],
+  ['BLACK_PIPE', '흑관', 'Black Pipe', 1, [4, 6, 2]],
+  ['GALV_PIPE', '아연도관', 'Galvanized Pipe', 1, [4, 6, 2]],
+  ['PRESSURE_PIPE', '압력배관용강관', 'Pressure Service Pipe', 1, [4, 6, 2]],
+  ['KS_WHITE_PIPE', '배관용KS백관', 'KS Galvanized Service Pipe', 1, [4, 6, 2]],
+  ['KS_BLACK_PIPE', '배관용KS흑관', 'KS Black Service Pipe', 1, [4, 6, 2]]
+].map(([code, nameKo, nameEn, category, [method_calc, initial_length, trade_unit]], index) => ({
+  code,
+  nameKo,
+  nameEn,
+  category,
+  defaults: { method_calc, initial_length, trade_unit },
+  order: index + 1
+}));
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  DEFAULT_PRODUCT_TYPES
+};
@@ -0,0 +1,113 @@
+const { createHttpError } = require('./httpError');
+
+// ============================================
+// 중량 계산 모듈
+// ============================================
+// method_calc 별 계산 방식
+//   1: H형강/I형강/경량H형강 - wpm(kg/m) × 길이(m) × 수량
+//   2: 앵글/잔넬/평철/환봉 등 일반 형강 - wpm(kg/m) × 길이(m) × 수량
+//   3: 철판 - wpm(장당 중량) × 장수 (길이 무관)
+//   4: 각관/파이프 - wpm(kg/m) × 길이(m) × 본수
+const CALC_METHODS = {
+  1: { name: '형강(중량)', unit: 'm', formula: 'wpm × length × quantity', usesLength: true },
+  2: { name: '일반 형강(중량)', unit: 'm', formula: 'wpm × length × quantity', usesLength: true },
+  3: { name: '판재(장)', unit: '장', formula: 'wpm × quantity', usesLength: false },
+  4: { name: '관재(본)', unit: '본', formula: 'wpm × length × quantity', usesLength: true }
+};
+
+// 강재 비중 (g/cm³ = kg/dm³), 체적(mm³) × STEEL_DENSITY × 1e-6 = 중량(kg)
+const STEEL_DENSITY = 7.85;
+
+// 소수점 자리수 반올림
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// 양수 숫자 변환 (값이 없으면 undefined 반환)
+function toPositiveNumber(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const num = parseFloat(value);
+  if (!Number.isFinite(num) || num <= 0) {
+    throw createHttpError(400, `${field}는 0보다 큰 숫자여야 합니다.`);
+  }
+  return num;
+}
+
+// 단일 라인 중량 계산
+// material: SteelMaterial 객체, options: { quantity, length, pieces }
+function calculateLine(material, options = {}) {
+  const method = CALC_METHODS[material.method_calc];
+  if (!method) {
+    throw createHttpError(400, `지원하지 않는 method_calc 입니다: ${material.method_calc} (${material.spec})`);
+  }
+
+  // pieces는 quantity의 별칭 (본수/장수)
+  const quantity = toPositiveNumber(
+    options.quantity !== undefined ? options.quantity : options.pieces,
+    'quantity'
+  ) || 1;
+
+  const line = {
+    spec: material.spec,
+    product: material.product,
+    method_calc: material.method_calc,
+    method: method.name,
+    trade_unit: material.trade_unit,
+    wpm: material.wpm,
+    quantity
+  };
+
+  if (method.usesLength) {
+    // 길이가 없으면 initial_length(정척)를 기본값으로 사용
+    let length = toPositiveNumber(options.length, 'length');
+    let lengthSource = 'request';
+    if (length === undefined) {
+      length = material.initial_length;
+      lengthSource = 'initial_length';
+    }
+    if (!length || length <= 0) {
+      throw createHttpError(400, `${material.spec}은(는) 정척 길이가 없으므로 length를 지정해야 합니다.`);
+    }
+
+    const unitWeight = material.wpm * length;
+    Object.assign(line, {
+      length,
+      lengthSource,
+      formula: method.formula,
+      breakdown: `${material.wpm} × ${length} × ${quantity}`,
+      unitWeight: round(unitWeight),
+      weight: round(unitWeight * quantity)
+    });
+  } else {
+    Object.assign(line, {
+      formula: method.formula,
+      breakdown: `${material.wpm} × ${quantity}`,
+      unitWeight: round(material.wpm),
+      weight: round(material.wpm * quantity)
+    });
+  }
+
+  return line;
+}
+
+// 여러 라인 중량 합계 계산
+function summarizeLines(lines) {
+  const totalWeight = lines.reduce((sum, line) => sum + line.weight, 0);
+  return {
+    lines,
+    count: lines.length,
+    totalWeight: round(totalWeight),
+    unit: 'kg'
+  };
+}
+
+module.exports = {
+  CALC_METHODS,
+  STEEL_DENSITY,
+  round,
+  calculateLine,
+  summarizeLines
+};